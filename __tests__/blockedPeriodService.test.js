@@ -0,0 +1,67 @@
+jest.mock('../src/models/BlockedPeriod', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../src/services/notificationService', () => ({
+  createNotification: jest.fn().mockResolvedValue({ _id: 'notification_id' })
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const BlockedPeriod = require('../src/models/BlockedPeriod');
+const blockedPeriodService = require('../src/services/blockedPeriodService');
+
+const mockPeriods = (periods) => {
+  const lean = jest.fn().mockResolvedValue(periods);
+  const session = jest.fn(() => ({ lean }));
+  BlockedPeriod.find.mockReturnValue({ session });
+};
+
+describe('blockedPeriodService.getBlockedSlots', () => {
+  beforeEach(() => {
+    BlockedPeriod.find.mockReset();
+  });
+
+  test('blocks the whole day without times and only the window with times', async () => {
+    mockPeriods([
+      { _id: 'vacation_id', type: 'vacation', startDate: '2025-03-08', endDate: '2025-03-12' },
+      { _id: 'break_id', type: 'break', startDate: '2025-03-10', endDate: '2025-03-10', startTime: '13:00', endTime: '14:30' }
+    ]);
+
+    const slots = await blockedPeriodService.getBlockedSlots({ providerId: 'barber_id' }, '2025-03-10');
+
+    expect(slots).toEqual([
+      expect.objectContaining({ blockedPeriodId: 'vacation_id', bookingTime: { hour: 0, minute: 0 }, duration: 1440 }),
+      expect.objectContaining({ blockedPeriodId: 'break_id', bookingTime: { hour: 13, minute: 0 }, duration: 90 })
+    ]);
+  });
+
+  test('matches provider, shop and country periods covering the date', async () => {
+    mockPeriods([]);
+
+    await blockedPeriodService.getBlockedSlots(
+      { providerId: 'barber_id', shopId: 'shop_id', countryId: 'country_id' },
+      '2025-03-10T00:00:00+05:00'
+    );
+
+    expect(BlockedPeriod.find).toHaveBeenCalledWith({
+      startDate: { $lte: '2025-03-10' },
+      endDate: { $gte: '2025-03-10' },
+      $or: [
+        { scope: 'provider', providerId: 'barber_id' },
+        { scope: 'shop', shopId: 'shop_id' },
+        { scope: 'country', countryId: 'country_id' }
+      ]
+    });
+  });
+
+  test('does not query without any scope', async () => {
+    expect(await blockedPeriodService.getBlockedSlots({}, '2025-03-10')).toEqual([]);
+    expect(BlockedPeriod.find).not.toHaveBeenCalled();
+  });
+});
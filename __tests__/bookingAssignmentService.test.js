@@ -0,0 +1,118 @@
+jest.mock('../src/services/bookingService', () => ({
+  isTimeSlotAvailable: jest.fn()
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const Barber = require('../src/models/Barber');
+const Booking = require('../src/models/Booking');
+const Customer = require('../src/models/Customer');
+const Service = require('../src/models/Service');
+const { isTimeSlotAvailable } = require('../src/services/bookingService');
+const bookingAssignmentService = require('../src/services/bookingAssignmentService');
+
+const monday = { status: 'available', from: '09:00', to: '18:00' };
+
+const barber = (id, fields = {}) => ({
+  _id: id,
+  firstName: id,
+  lastName: 'Barber',
+  schedule: { monday },
+  rating: 4,
+  reviewCount: 10,
+  ...fields
+});
+
+// Monday 2025-03-10, 10:00 - 10:30
+const booking = {
+  _id: 'booking_id',
+  uid: 'BK-1',
+  shopId: 'shop_id',
+  serviceId: 'service_id',
+  customerId: 'customer_id',
+  bookingDate: new Date('2025-03-10T00:00:00Z'),
+  bookingTime: { hour: 10, minute: 0 },
+  duration: 30
+};
+
+const leanResult = (value) => ({ select: () => ({ lean: jest.fn().mockResolvedValue(value) }) });
+
+const mockShop = ({ barbers, loads = [], favoriteBarbers = [] }) => {
+  jest.spyOn(Barber, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue(barbers) });
+  jest.spyOn(Service, 'findById').mockReturnValue(leanResult({ offeredBy: [] }));
+  jest.spyOn(Customer, 'findById').mockReturnValue(leanResult({ favoriteBarbers }));
+  jest.spyOn(Booking, 'aggregate').mockResolvedValue(loads);
+};
+
+describe('bookingAssignmentService.selectBarberForBooking', () => {
+  beforeEach(() => {
+    isTimeSlotAvailable.mockReset();
+    isTimeSlotAvailable.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('assigns the free barber with the lightest day and the customer preference', async () => {
+    mockShop({
+      barbers: [barber('busy'), barber('favourite')],
+      loads: [{ _id: 'busy', count: 3 }],
+      favoriteBarbers: ['favourite']
+    });
+
+    const { selected, candidates } = await bookingAssignmentService.selectBarberForBooking(booking);
+
+    expect(selected.barber._id).toBe('favourite');
+    expect(selected.reasons).toContain("customer's favourite barber");
+    expect(candidates.every(c => c.eligible)).toBe(true);
+    expect(candidates.find(c => c.barber._id === 'busy').score).toBeLessThan(selected.score);
+  });
+
+  test('selects nobody when no barber works at the booking time', async () => {
+    mockShop({
+      barbers: [
+        barber('off', { schedule: { monday: { status: 'unavailable' } } }),
+        barber('late', { schedule: { monday: { status: 'available', from: '12:00', to: '20:00' } } })
+      ]
+    });
+
+    const { selected, candidates } = await bookingAssignmentService.selectBarberForBooking(booking);
+
+    expect(selected).toBeNull();
+    expect(candidates.map(c => c.reasons[0])).toEqual([
+      'not working on monday',
+      'booking falls outside working hours (12:00 - 20:00)'
+    ]);
+    expect(isTimeSlotAvailable).not.toHaveBeenCalled();
+  });
+
+  test('skips barbers who already have a booking at that time', async () => {
+    mockShop({ barbers: [barber('booked', { rating: 5 }), barber('free', { rating: 3 })] });
+    isTimeSlotAvailable.mockImplementation(async (barberId) => barberId !== 'booked');
+
+    const { selected, candidates } = await bookingAssignmentService.selectBarberForBooking(booking);
+
+    expect(selected.barber._id).toBe('free');
+    expect(candidates.find(c => c.barber._id === 'booked')).toMatchObject({
+      eligible: false,
+      reasons: ['already booked at this time']
+    });
+    expect(isTimeSlotAvailable).toHaveBeenCalledWith(
+      'booked', booking.bookingDate, booking.bookingTime, 30, 'barber',
+      expect.objectContaining({ excludeBookingId: 'booking_id', ignoreLeadTime: true })
+    );
+  });
+
+  test('selects nobody when the shop has no active barbers', async () => {
+    mockShop({ barbers: [] });
+
+    await expect(bookingAssignmentService.selectBarberForBooking(booking))
+      .resolves.toEqual({ selected: null, candidates: [] });
+  });
+});
@@ -0,0 +1,49 @@
+jest.mock('../src/models/Service', () => ({
+  find: jest.fn()
+}));
+
+const Service = require('../src/models/Service');
+const bookingLineService = require('../src/services/bookingLineService');
+
+const haircut = { _id: 'haircut_id', title: 'Haircut', price: 15, duration: 30, bufferBefore: 5 };
+const beard = { _id: 'beard_id', title: 'Beard trim', price: 7.5, duration: 20, bufferAfter: 10 };
+
+describe('bookingLineService', () => {
+  test('combines services back to back with first and last buffers', () => {
+    const lines = bookingLineService.buildLines([haircut, beard], 'barber_id');
+
+    expect(lines.services).toEqual([
+      { serviceId: 'haircut_id', serviceName: 'Haircut', price: 15, duration: 30, startOffset: 0 },
+      { serviceId: 'beard_id', serviceName: 'Beard trim', price: 7.5, duration: 20, startOffset: 30 }
+    ]);
+    expect(lines).toEqual(expect.objectContaining({
+      serviceId: 'haircut_id',
+      serviceName: 'Haircut + Beard trim',
+      price: 22.5,
+      duration: 50,
+      bufferBefore: 5,
+      bufferAfter: 10
+    }));
+  });
+
+  test('reads a single line from bookings without lines', () => {
+    const booking = { serviceId: { _id: 'haircut_id', title: 'Haircut' }, serviceName: 'Haircut', price: 15, duration: 30 };
+
+    expect(bookingLineService.getServiceLines(booking)).toEqual([
+      { serviceId: 'haircut_id', serviceName: 'Haircut', price: 15, duration: 30, startOffset: 0 }
+    ]);
+    expect(bookingLineService.getTotalPrice({ services: [{ price: 10.1 }, { price: 4.2 }] })).toBe(14.3);
+  });
+
+  test('prefers serviceIds over serviceId', () => {
+    expect(bookingLineService.getRequestedServiceIds({ serviceIds: 'a, b', serviceId: 'c' })).toEqual(['a', 'b']);
+    expect(bookingLineService.getRequestedServiceIds({ serviceIds: [], serviceId: 'c' })).toEqual(['c']);
+  });
+
+  test('loads services in the requested order and rejects duplicates', async () => {
+    Service.find.mockReturnValue({ session: jest.fn().mockResolvedValue([beard, haircut]) });
+
+    await expect(bookingLineService.loadServices(['haircut_id', 'beard_id'])).resolves.toEqual([haircut, beard]);
+    await expect(bookingLineService.loadServices(['haircut_id', 'haircut_id'])).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
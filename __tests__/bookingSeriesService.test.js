@@ -0,0 +1,82 @@
+jest.mock('../src/services/notificationService', () => ({
+  createNotification: jest.fn().mockResolvedValue({ _id: 'notification_id' })
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const Booking = require('../src/models/Booking');
+const BookingSeries = require('../src/models/BookingSeries');
+const bookingService = require('../src/services/bookingService');
+const promotionService = require('../src/services/promotionService');
+const { getOccurrenceDates, createSeries } = require('../src/services/bookingSeriesService');
+
+describe('bookingSeriesService.getOccurrenceDates', () => {
+  test('lists weekly and biweekly occurrences up to a count', () => {
+    expect(getOccurrenceDates({ startDate: '2025-03-10', frequency: 'weekly', count: 3 }))
+      .toEqual(['2025-03-10', '2025-03-17', '2025-03-24']);
+    expect(getOccurrenceDates({ startDate: '2025-03-10', frequency: 'biweekly', count: 3 }))
+      .toEqual(['2025-03-10', '2025-03-24', '2025-04-07']);
+  });
+
+  test('stops at the end date and keeps the day of month after short months', () => {
+    expect(getOccurrenceDates({ startDate: '2025-01-31', frequency: 'monthly', endDate: '2025-04-30' }))
+      .toEqual(['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30']);
+  });
+
+  test('requires exactly one of end date and count', () => {
+    expect(() => getOccurrenceDates({ startDate: '2025-03-10', frequency: 'weekly' }))
+      .toThrow('Provide either an end date or an occurrence count');
+    expect(() => getOccurrenceDates({ startDate: '2025-03-10', frequency: 'weekly', count: 2, endDate: '2025-04-01' }))
+      .toThrow('Provide either an end date or an occurrence count');
+  });
+
+  test('rejects series longer than the occurrence limit', () => {
+    expect(() => getOccurrenceDates({ startDate: '2025-01-01', frequency: 'weekly', endDate: '2027-01-01' }))
+      .toThrow('at most 52 occurrences');
+  });
+});
+
+describe('bookingSeriesService.createSeries', () => {
+  const seriesData = {
+    customerId: 'customer_id',
+    barberId: 'barber_id',
+    serviceId: 'service_id',
+    serviceType: 'shopBased',
+    bookingDate: '2025-03-10',
+    bookingTime: { hour: 10, minute: 0 },
+    recurrence: { frequency: 'weekly', count: 3 }
+  };
+
+  let series;
+
+  beforeEach(() => {
+    series = { _id: 'series_id', uid: 'SR-1', save: jest.fn().mockResolvedValue() };
+    jest.spyOn(BookingSeries, 'create').mockResolvedValue(series);
+    jest.spyOn(BookingSeries, 'deleteOne').mockResolvedValue({});
+    jest.spyOn(Booking, 'deleteMany').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('removes the occurrences already booked when an unexpected error stops the series', async () => {
+    jest.spyOn(bookingService, 'createBooking')
+      .mockResolvedValueOnce({ _id: 'booking_1', shopId: 'shop_id' })
+      .mockRejectedValueOnce(new Error('connection reset'));
+    const release = jest.spyOn(promotionService, 'releaseFromBooking').mockResolvedValue(true);
+
+    await expect(createSeries(seriesData)).rejects.toThrow('connection reset');
+
+    expect(release).toHaveBeenCalledWith({ _id: 'booking_1', shopId: 'shop_id' });
+
+    expect(Booking.deleteMany).toHaveBeenCalledWith({ seriesId: 'series_id' });
+    expect(BookingSeries.deleteOne).toHaveBeenCalledWith({ _id: 'series_id' });
+    expect(series.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,130 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const ShopOwner = require('../src/models/ShopOwner');
+const SlotLock = require('../src/models/SlotLock');
+const waitlistService = require('../src/services/waitlistService');
+const blockedPeriodService = require('../src/services/blockedPeriodService');
+const bookingService = require('../src/services/bookingService');
+
+describe('bookingService.changeBookingTime', () => {
+  const barberId = '507f1f77bcf86cd799439011';
+  const shopId = '507f1f77bcf86cd799439021';
+  let booking;
+  let otherBookings;
+  let session;
+  let lock;
+
+  beforeEach(() => {
+    booking = {
+      _id: '507f1f77bcf86cd799439031',
+      customerId: '507f1f77bcf86cd799439041',
+      barberId,
+      shopId,
+      bookingDate: new Date('2030-03-10T00:00:00Z'),
+      bookingTime: { hour: 10, minute: 0 },
+      duration: 30,
+      status: 'pending',
+      save: jest.fn().mockResolvedValue()
+    };
+    // Another customer's booking at 14:00 on the 11th
+    otherBookings = [{ bookingTime: { hour: 14, minute: 0 }, duration: 30 }];
+
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Booking, 'findById').mockReturnValue({ session: () => Promise.resolve(booking) });
+    jest.spyOn(Booking, 'find').mockReturnValue({ session: () => Promise.resolve(otherBookings) });
+    jest.spyOn(ShopOwner, 'exists').mockReturnValue({ session: () => Promise.resolve(null) });
+    lock = jest.spyOn(SlotLock, 'findOneAndUpdate').mockResolvedValue({});
+    jest.spyOn(waitlistService, 'getActiveHolds').mockResolvedValue([]);
+    jest.spyOn(blockedPeriodService, 'getProviderRules').mockResolvedValue({ blocked: [], leadTimeMinutes: 0, timeZone: 'UTC' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('moves a booking into a free slot under the locks of both days', async () => {
+    const moved = await bookingService.changeBookingTime(booking._id, {
+      bookingDate: '2030-03-11',
+      bookingTime: { hour: 15, minute: 0 }
+    });
+
+    expect(moved).toMatchObject({ bookingDate: new Date('2030-03-11T00:00:00Z'), bookingTime: { hour: 15, minute: 0 } });
+    expect(lock.mock.calls.map(([query]) => query.key)).toEqual([
+      `provider:${barberId}:2030-03-10`,
+      `provider:${barberId}:2030-03-11`,
+      `shop:${shopId}:2030-03-10`,
+      `shop:${shopId}:2030-03-11`
+    ]);
+    expect(Booking.find).toHaveBeenCalledWith(expect.objectContaining({
+      barberId,
+      _id: { $ne: booking._id }
+    }));
+    expect(booking.save).toHaveBeenCalledWith({ session });
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+
+  test('does not reschedule into a taken slot', async () => {
+    await expect(bookingService.rescheduleBooking(booking._id, {
+      newDate: '2030-03-11',
+      newTime: { hour: 14, minute: 15 },
+      duration: 30
+    })).rejects.toMatchObject({ statusCode: 409, message: 'Selected time slot is not available' });
+
+    expect(booking.save).not.toHaveBeenCalled();
+    expect(session.abortTransaction).toHaveBeenCalled();
+  });
+
+  test('does not let a customer move a pending booking into a taken slot', async () => {
+    await expect(bookingService.updateBookingDetails(booking._id, booking.customerId, {
+      bookingDate: '2030-03-11',
+      bookingTime: { hour: 13, minute: 45 }
+    })).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(booking.save).not.toHaveBeenCalled();
+  });
+
+  test('checks access before moving the booking', async () => {
+    await expect(bookingService.updateBookingDetails(booking._id, '507f1f77bcf86cd799439099', {
+      bookingTime: { hour: 15, minute: 0 }
+    })).rejects.toMatchObject({ statusCode: 403 });
+
+    expect(lock).not.toHaveBeenCalled();
+    expect(booking.bookingTime).toEqual({ hour: 10, minute: 0 });
+  });
+
+  test('changes the status only of a booking that was moved', async () => {
+    const update = jest.fn();
+    otherBookings = [{ bookingTime: { hour: 10, minute: 30 }, duration: 30 }];
+
+    await expect(bookingService.changeBookingTime(
+      booking._id,
+      (current) => ({ bookingTime: { hour: current.bookingTime.hour, minute: current.bookingTime.minute + 30 } }),
+      { update, ignoreLeadTime: true }
+    )).rejects.toMatchObject({ statusCode: 409 });
+    expect(update).not.toHaveBeenCalled();
+
+    // The failed move was rolled back
+    booking.bookingTime = { hour: 10, minute: 0 };
+    otherBookings = [];
+    await bookingService.changeBookingTime(
+      booking._id,
+      (current) => ({ bookingTime: { hour: current.bookingTime.hour, minute: current.bookingTime.minute + 30 } }),
+      { update, ignoreLeadTime: true }
+    );
+    expect(update).toHaveBeenCalledWith(booking);
+    expect(booking.bookingTime).toEqual({ hour: 10, minute: 30 });
+  });
+});
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+jest.mock('../src/services/notificationService', () => ({
+  createNotification: jest.fn().mockResolvedValue({ _id: 'notification_id' })
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const bookingService = require('../src/services/bookingService');
+const Booking = require('../src/models/Booking');
+const Barber = require('../src/models/Barber');
+const Customer = require('../src/models/Customer');
+const Service = require('../src/models/Service');
+const SlotLock = require('../src/models/SlotLock');
+
+jest.setTimeout(60000);
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+describe('bookingService slot reservation', () => {
+  let replSet;
+  let barber;
+  let service;
+  let bookingDate;
+
+  beforeAll(async () => {
+    // Transactions need a replica set
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+    await Promise.all([Booking.init(), SlotLock.init()]);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([
+      Booking.deleteMany({}),
+      Barber.deleteMany({}),
+      Customer.deleteMany({}),
+      Service.deleteMany({}),
+      SlotLock.deleteMany({})
+    ]);
+
+    const schedule = {};
+    DAYS.forEach(day => { schedule[day] = { from: '00:00', to: '23:59', status: 'available' }; });
+
+    barber = await Barber.create({
+      email: 'barber@example.com',
+      password: 'password123',
+      firstName: 'Sam',
+      lastName: 'Cutter',
+      serviceType: 'homeBased',
+      schedule
+    });
+
+    service = await Service.create({
+      title: 'Haircut',
+      description: 'Classic haircut',
+      price: 20,
+      duration: 30,
+      category: 'hair',
+      countryId: new mongoose.Types.ObjectId()
+    });
+
+    bookingDate = new Date();
+    bookingDate.setDate(bookingDate.getDate() + 2);
+    bookingDate.setHours(0, 0, 0, 0);
+  });
+
+  const createCustomers = (count) => Promise.all(
+    Array.from({ length: count }, (_, i) => Customer.create({
+      email: `customer${i}@example.com`,
+      password: 'password123',
+      firstName: 'Customer',
+      lastName: `${i}`,
+      phoneNumber: `+1555000${i.toString().padStart(4, '0')}`
+    }))
+  );
+
+  const bookingFor = (customer, time) => ({
+    customerId: customer._id.toString(),
+    barberId: barber._id.toString(),
+    serviceId: service._id.toString(),
+    serviceType: 'homeBased',
+    bookingDate: bookingDate.toISOString(),
+    bookingTime: time
+  });
+
+  it('allows only one of several concurrent bookings for the same slot', async () => {
+    const customers = await createCustomers(5);
+
+    const results = await Promise.allSettled(
+      customers.map(customer => bookingService.createBooking(bookingFor(customer, { hour: 10, minute: 0 })))
+    );
+
+    const succeeded = results.filter(r => r.status === 'fulfilled');
+    const failed = results.filter(r => r.status === 'rejected');
+
+    expect(succeeded).toHaveLength(1);
+    failed.forEach(r => expect([400, 409]).toContain(r.reason.statusCode));
+    expect(await Booking.countDocuments({ barberId: barber._id })).toBe(1);
+  });
+
+  it('rejects concurrent bookings for overlapping slots', async () => {
+    const customers = await createCustomers(2);
+
+    const results = await Promise.allSettled([
+      bookingService.createBooking(bookingFor(customers[0], { hour: 10, minute: 0 })),
+      bookingService.createBooking(bookingFor(customers[1], { hour: 10, minute: 15 }))
+    ]);
+
+    expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+    expect(await Booking.countDocuments({ barberId: barber._id })).toBe(1);
+  });
+
+  it('still accepts concurrent bookings for different slots of the same provider', async () => {
+    const customers = await createCustomers(3);
+
+    const results = await Promise.allSettled(
+      customers.map((customer, i) => bookingService.createBooking(bookingFor(customer, { hour: 9 + i, minute: 0 })))
+    );
+
+    expect(results.every(r => r.status === 'fulfilled')).toBe(true);
+    expect(await Booking.countDocuments({ barberId: barber._id })).toBe(3);
+  });
+});
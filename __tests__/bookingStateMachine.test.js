@@ -0,0 +1,88 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const bookingStateMachine = require('../src/services/bookingStateMachine');
+
+const makeBooking = (status) => ({ status, statusHistory: [] });
+
+describe('bookingStateMachine.transition', () => {
+  test('records a legal transition with actor and reason', () => {
+    const booking = makeBooking('pending');
+
+    bookingStateMachine.transition(booking, 'confirmed', {
+      actor: { id: 'barber_id', role: 'barber' },
+      reason: 'Accepted'
+    });
+
+    expect(booking.status).toBe('confirmed');
+    expect(booking.statusHistory).toHaveLength(1);
+    expect(booking.statusHistory[0]).toMatchObject({
+      from: 'pending',
+      to: 'confirmed',
+      actorId: 'barber_id',
+      actorRole: 'barber',
+      reason: 'Accepted'
+    });
+  });
+
+  test('rejects an illegal transition with a 409 error', () => {
+    const booking = makeBooking('completed');
+
+    expect(() => bookingStateMachine.transition(booking, 'pending', {
+      actor: { id: 'admin_id', role: 'admin' }
+    })).toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(booking.status).toBe('completed');
+    expect(booking.statusHistory).toHaveLength(0);
+  });
+
+  test('rejects a role that may not perform the transition with a 403 error', () => {
+    const booking = makeBooking('confirmed');
+
+    expect(() => bookingStateMachine.transition(booking, 'completed', {
+      actor: { id: 'customer_id', role: 'customer' }
+    })).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  test('treats every admin role as admin', () => {
+    const booking = makeBooking('confirmed');
+
+    bookingStateMachine.transition(booking, 'noShow', {
+      actor: { id: 'cm_id', role: 'country_manager' }
+    });
+
+    expect(booking.status).toBe('noShow');
+    expect(booking.statusHistory[0].actorRole).toBe('admin');
+  });
+
+  test('lets the assigned provider reschedule only bookings they have not answered', () => {
+    expect(bookingStateMachine.getStatusesAllowing('rescheduled', 'barber').sort())
+      .toEqual(['assigned', 'pending']);
+    expect(bookingStateMachine.canTransition('rescheduled', 'rescheduled', 'freelancer')).toBe(true);
+    expect(() => bookingStateMachine.transition(makeBooking('confirmed'), 'rescheduled', {
+      actor: { id: 'barber_id', role: 'barber' }
+    })).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  test('ignores a change to the current status', () => {
+    const booking = makeBooking('confirmed');
+
+    bookingStateMachine.transition(booking, 'confirmed', { actor: { role: 'shop_owner' } });
+
+    expect(booking.statusHistory).toHaveLength(0);
+  });
+});
+
+describe('bookingStateMachine queries', () => {
+  test('lists the statuses the system may reschedule', () => {
+    expect(bookingStateMachine.getStatusesAllowing('rescheduled', 'system').sort())
+      .toEqual(['assigned', 'pending', 'reassigned']);
+  });
+
+  test('lists the transitions available to a customer', () => {
+    expect(bookingStateMachine.getAllowedTransitions('pending', 'customer')).toEqual(['cancelled']);
+  });
+});
@@ -0,0 +1,153 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Booking = require('../src/models/Booking');
+const Shop = require('../src/models/Shop');
+const paymentGateways = require('../src/services/paymentGateways');
+const cancellationPolicyService = require('../src/services/cancellationPolicyService');
+const bookingService = require('../src/services/bookingService');
+
+const policy = {
+  scope: 'shop',
+  refundTiers: [{ hoursBefore: 2, refundPercent: 50 }, { hoursBefore: 24, refundPercent: 100 }],
+  allowLateCancellation: true,
+  lateCancelFeePercent: 80,
+  noShowFeePercent: 100,
+  gracePeriodMinutes: 15
+};
+
+const now = new Date('2025-03-10T08:00:00Z');
+const booking = (hoursAhead, extra = {}) => ({
+  startsAt: new Date(now.getTime() + hoursAhead * 60 * 60 * 1000),
+  createdAt: new Date('2025-03-01T08:00:00Z'),
+  price: 40,
+  paymentStatus: 'paid',
+  paymentId: { amount: 40 },
+  ...extra
+});
+
+describe('cancellationPolicyService.evaluate', () => {
+  test('refunds by the tier with the most hours met', () => {
+    expect(cancellationPolicyService.evaluate(booking(48), policy, { now })).toEqual(expect.objectContaining({
+      kind: 'cancellation', feeAmount: 0, refundAmount: 40
+    }));
+    expect(cancellationPolicyService.evaluate(booking(5), policy, { now })).toEqual(expect.objectContaining({
+      kind: 'cancellation', feePercent: 50, feeAmount: 20, refundAmount: 20
+    }));
+  });
+
+  test('charges the late-cancel fee below every tier and leaves unpaid fees outstanding', () => {
+    const outcome = cancellationPolicyService.evaluate(booking(1, { paymentStatus: 'pending' }), policy, { now });
+
+    expect(outcome).toEqual(expect.objectContaining({
+      kind: 'late_cancellation', allowed: true, feeAmount: 32, refundAmount: 0, outstandingAmount: 32
+    }));
+    expect(cancellationPolicyService.evaluate(booking(1), cancellationPolicyService.DEFAULT_POLICY, { now }).allowed)
+      .toBe(false);
+  });
+
+  test('is free within the grace window and when the provider cancels', () => {
+    const justBooked = booking(1, { createdAt: new Date(now.getTime() - 10 * 60 * 1000) });
+
+    expect(cancellationPolicyService.evaluate(justBooked, policy, { now })).toEqual(expect.objectContaining({
+      withinGracePeriod: true, feeAmount: 0, refundAmount: 40
+    }));
+    expect(cancellationPolicyService.evaluate(booking(1), policy, { actorRole: 'shop_owner', now })).toEqual(
+      expect.objectContaining({ kind: 'provider_cancellation', feeAmount: 0, refundAmount: 40 })
+    );
+  });
+
+  test('charges the no-show fee', () => {
+    expect(cancellationPolicyService.evaluate(booking(-1), policy, { status: 'noShow', actorRole: 'barber', now }))
+      .toEqual(expect.objectContaining({ kind: 'no_show', feeAmount: 40, refundAmount: 0 }));
+  });
+
+  test('never refunds a no-show, whatever the fee', () => {
+    const noShow = { status: 'noShow', actorRole: 'barber', now };
+
+    expect(cancellationPolicyService.evaluate(booking(-1), cancellationPolicyService.DEFAULT_POLICY, noShow))
+      .toEqual(expect.objectContaining({ kind: 'no_show', feeAmount: 40, refundAmount: 0, outstandingAmount: 0 }));
+    expect(cancellationPolicyService.evaluate(booking(-1), { ...policy, noShowFeePercent: 25 }, noShow))
+      .toEqual(expect.objectContaining({ kind: 'no_show', feeAmount: 10, refundAmount: 0 }));
+  });
+});
+
+describe('bookingService.updateBookingStatus', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps the payment when a booking is marked no-show under the default policy', async () => {
+    const session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn()
+    };
+    const paidBooking = {
+      ...booking(-1),
+      _id: 'booking_id',
+      barberId: 'barber_id',
+      status: 'confirmed',
+      statusHistory: [],
+      paymentId: { amount: 40, currency: 'USD', paymentMethod: 'wallet', status: 'completed', refunds: [] },
+      populate: jest.fn().mockResolvedValue(),
+      save: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Booking, 'findById').mockReturnValue({ session: () => paidBooking });
+    jest.spyOn(cancellationPolicyService, 'getPolicyForBooking').mockResolvedValue(cancellationPolicyService.DEFAULT_POLICY);
+    const getGateway = jest.spyOn(paymentGateways, 'getPaymentGateway');
+
+    const result = await bookingService.updateBookingStatus('booking_id', 'noShow', '', { id: 'barber_id', role: 'barber' });
+
+    expect(getGateway).not.toHaveBeenCalled();
+    expect(result.status).toBe('noShow');
+    expect(result.paymentStatus).toBe('paid');
+    expect(result.cancellationCharge).toMatchObject({
+      kind: 'no_show', feeAmount: 40, refundAmount: 0, outstandingAmount: 0, status: 'retained'
+    });
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+
+  test('lets only the people of a booking change its status', async () => {
+    const session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn()
+    };
+    const makeBooking = () => ({
+      ...booking(24),
+      _id: 'booking_id',
+      customerId: 'customer_id',
+      barberId: 'barber_id',
+      shopId: 'shop_id',
+      status: 'pending',
+      statusHistory: [],
+      save: jest.fn().mockResolvedValue()
+    });
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Booking, 'findById').mockImplementation(() => ({ session: () => makeBooking() }));
+    jest.spyOn(Shop, 'findById').mockReturnValue({ session: () => ({ _id: 'shop_id', ownerId: 'owner_id' }) });
+
+    for (const actor of [
+      { id: 'other_barber_id', role: 'barber' },
+      { id: 'other_owner_id', role: 'shop_owner' },
+      { id: 'barber_id', role: 'customer' }
+    ]) {
+      await expect(bookingService.updateBookingStatus('booking_id', 'confirmed', '', actor))
+        .rejects.toMatchObject({ statusCode: 403, message: 'You are not authorized to update this booking' });
+    }
+
+    const confirmed = await bookingService.updateBookingStatus('booking_id', 'confirmed', '', { id: 'owner_id', role: 'shop_owner' });
+    expect(confirmed.status).toBe('confirmed');
+    const byBarber = await bookingService.updateBookingStatus('booking_id', 'confirmed', '', { id: 'barber_id', role: 'barber' });
+    expect(byBarber.statusHistory[0]).toMatchObject({ actorId: 'barber_id', actorRole: 'barber' });
+  });
+});
@@ -0,0 +1,117 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const ExchangeRate = require('../src/models/ExchangeRate');
+const Payment = require('../src/models/Payment');
+const paymentService = require('../src/services/paymentService');
+const exchangeRateService = require('../src/services/exchangeRateService');
+const fileSource = require('../src/services/exchangeRateSources/fileSource');
+const currencyConverter = require('../src/utils/currencyConverter');
+
+describe('exchangeRateService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rounds amounts to the minor unit of each currency', () => {
+    expect(currencyConverter.round(1234.567, 'JPY')).toBe(1235);
+    expect(currencyConverter.round(1.2345, 'KWD')).toBe(1.235);
+    expect(currencyConverter.round(1.005, 'USD')).toBe(1.01);
+    expect(currencyConverter.toMinorUnits(1500, 'JPY')).toBe(1500);
+    expect(currencyConverter.toMinorUnits(15, 'USD')).toBe(1500);
+  });
+
+  test('converts at the rate stored with the booking before today\'s rate', () => {
+    const rates = { USD: 1, PKR: 300, EUR: 0.9 };
+
+    const total = exchangeRateService.sumInCurrency([
+      { amount: 2755, currency: 'PKR', rate: 275.5 },
+      { amount: 3000, currency: 'PKR', rate: null },
+      { amount: 5, currency: 'USD', rate: 1 }
+    ], 'EUR', rates);
+
+    // (10 + 10 + 5) USD at 0.9
+    expect(total).toEqual({ amount: 22.5, unconverted: {} });
+  });
+
+  test('leaves amounts without any rate out of the total and reports them per currency', () => {
+    const rates = { USD: 1, EUR: 0.9 };
+
+    expect(exchangeRateService.sumInCurrency([
+      { amount: 10, currency: 'USD', rate: 1 },
+      { amount: 12.5, currency: 'GBP', rate: null },
+      { amount: 7.5, currency: 'GBP', rate: null },
+      { amount: 1000, currency: 'PKR', rate: 250 }
+    ], 'EUR', rates)).toEqual({ amount: 12.6, unconverted: { GBP: 20 } });
+
+    // Without a rate for the reporting currency only its own amounts add up
+    expect(exchangeRateService.sumInCurrency([
+      { amount: 5, currency: 'CHF' },
+      { amount: 10, currency: 'USD' }
+    ], 'CHF', rates)).toEqual({ amount: 5, unconverted: { USD: 10 } });
+  });
+
+  test('imports rates quoted against another base as rates per US dollar', async () => {
+    jest.spyOn(fileSource, 'fetchRates').mockResolvedValue({
+      base: 'EUR',
+      rates: { EUR: 1, USD: 1.25, GBP: 0.875, XYZ: 3 }
+    });
+    const bulkWrite = jest.spyOn(ExchangeRate, 'bulkWrite').mockResolvedValue({});
+
+    const result = await exchangeRateService.importRates('file');
+
+    expect(result).toEqual({ source: 'file', imported: 2, skipped: ['XYZ'] });
+    const rates = Object.fromEntries(bulkWrite.mock.calls[0][0].map(({ updateOne }) => [updateOne.filter.currency, updateOne.update.$set.rate]));
+    expect(rates).toEqual({ EUR: 0.8, GBP: 0.7 });
+  });
+
+  describe('payment reports', () => {
+    const row = (id, count, amount, extra = {}) => ({ _id: id, count, amount, refunds: 0, platformFees: 0, ...extra });
+
+    beforeEach(() => {
+      jest.spyOn(ExchangeRate, 'find').mockReturnValue({
+        select: () => ({ lean: jest.fn().mockResolvedValue([{ currency: 'EUR', rate: 0.9 }]) })
+      });
+    });
+
+    test('reports statistics of payments without an exchange rate apart from the converted totals', async () => {
+      jest.spyOn(Payment, 'aggregate').mockResolvedValue([
+        row({ status: 'completed', paymentMethod: 'card', currency: 'EUR', rate: 0.9 }, 2, 18),
+        row({ status: 'completed', paymentMethod: 'card', currency: 'GBP', rate: null }, 1, 12.5)
+      ]);
+
+      const statistics = await paymentService.getPaymentStatistics({ reportingCurrency: 'USD' });
+
+      expect(statistics).toMatchObject({
+        currency: 'USD',
+        totalPayments: 3,
+        totalAmount: 20,
+        unconverted: { GBP: 12.5 },
+        byStatus: { completed: { count: 3, amount: 20, unconverted: { GBP: 12.5 } } },
+        byCurrency: { EUR: { count: 2, amount: 18 }, GBP: { count: 1, amount: 12.5 } }
+      });
+    });
+
+    test('gives payments without an exchange rate revenue rows in their own currency', async () => {
+      jest.spyOn(Payment, 'aggregate').mockResolvedValue([
+        row({ period: '2025-03-10', currency: 'EUR', rate: 0.9 }, 2, 18, { refunds: 9 }),
+        row({ period: '2025-03-10', currency: 'GBP', rate: null }, 1, 12.5, { platformFees: 1.25 })
+      ]);
+
+      const report = await paymentService.getRevenueReport({
+        startDate: new Date('2025-03-01'),
+        endDate: new Date('2025-03-31'),
+        reportingCurrency: 'USD'
+      });
+
+      expect(report).toEqual([
+        { period: '2025-03-10', currency: 'USD', converted: true, payments: 2, revenue: 20, refunds: 10, netRevenue: 10, platformFees: 0 },
+        { period: '2025-03-10', currency: 'GBP', converted: false, payments: 1, revenue: 12.5, refunds: 0, netRevenue: 12.5, platformFees: 1.25 }
+      ]);
+    });
+  });
+});
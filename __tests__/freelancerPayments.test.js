@@ -0,0 +1,46 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const Payment = require('../src/models/Payment');
+const Barber = require('../src/models/Barber');
+const Freelancer = require('../src/models/Freelancer');
+const PlatformFee = require('../src/models/PlatformFee');
+const platformFeeService = require('../src/services/platformFeeService');
+
+const providerId = '507f1f77bcf86cd799439011';
+const countryId = '507f1f77bcf86cd799439022';
+
+describe('freelancer payments', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('payments can be made to a freelancer', () => {
+    const payment = new Payment({
+      bookingId: '507f1f77bcf86cd799439033',
+      customerId: '507f1f77bcf86cd799439044',
+      providerId,
+      providerModel: 'Freelancer',
+      amount: 50,
+      paymentMethod: 'cash'
+    });
+
+    const error = payment.validateSync();
+    expect(error && error.errors.providerModel).toBeUndefined();
+  });
+
+  test('freelancer bookings are charged the freelancer fee', async () => {
+    jest.spyOn(Barber, 'findById').mockResolvedValue(null);
+    jest.spyOn(Freelancer, 'findById').mockResolvedValue({ _id: providerId, countryId });
+    jest.spyOn(PlatformFee, 'findOne').mockResolvedValue({ freelanceBarberFee: 8, shopFee: 12 });
+
+    const fee = await platformFeeService.getApplicableFee({ barberId: providerId });
+
+    expect(PlatformFee.findOne).toHaveBeenCalledWith({ countryId, isActive: true });
+    expect(fee).toMatchObject({ isFreelance: true, applicableFee: 8, feeType: 'barber' });
+  });
+});
@@ -0,0 +1,192 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const Identity = require('../src/models/Identity');
+const Customer = require('../src/models/Customer');
+const Barber = require('../src/models/Barber');
+const Freelancer = require('../src/models/Freelancer');
+const ShopOwner = require('../src/models/ShopOwner');
+const Admin = require('../src/models/Admin');
+const { User } = require('../src/models/User');
+const identityService = require('../src/services/identityService');
+const authService = require('../src/services/authService');
+const sessionService = require('../src/services/sessionService');
+
+const customerId = new mongoose.Types.ObjectId();
+const barberId = new mongoose.Types.ObjectId();
+
+// Hashes of the same password differ by their salt
+let hashes;
+beforeAll(async () => {
+  hashes = {
+    first: await bcrypt.hash('Secret123!', 4),
+    second: await bcrypt.hash('Secret123!', 4),
+    other: await bcrypt.hash('Other456!', 4)
+  };
+});
+
+const account = (role, fields = {}) => {
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'sara@example.com', role, password: hashes.first, emailVerified: true, ...fields };
+  user.matchPassword = (password) => bcrypt.compare(password, user.password);
+  return { role, userModel: role === 'customer' ? 'Customer' : 'Barber', user };
+};
+
+// Let findAccountsByEmail find the given accounts in their collections
+const mockAccounts = (accounts) => {
+  [Customer, Barber, Freelancer, ShopOwner, User, Admin].forEach(Model => {
+    const users = accounts.filter(account => account.userModel === Model.modelName).map(account => account.user);
+    jest.spyOn(Model, 'find').mockReturnValue({ select: async () => users });
+  });
+};
+
+const makeIdentity = () => ({
+  _id: 'identity1',
+  email: 'sara@example.com',
+  defaultRole: 'barber',
+  profiles: [
+    { role: 'customer', userModel: 'Customer', userId: customerId },
+    { role: 'barber', userModel: 'Barber', userId: barberId }
+  ]
+});
+
+describe('identityService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports accounts that cannot share an identity', () => {
+    expect(identityService.getLinkConflicts([account('customer'), account('barber')])).toEqual([]);
+
+    const codes = (accounts) => identityService.getLinkConflicts(accounts).map(conflict => conflict.code);
+    expect(codes([account('customer'), account('admin')])).toEqual(['STAFF_AND_APP_ACCOUNTS']);
+    expect(codes([account('barber'), account('barber')])).toEqual(['DUPLICATE_ROLE']);
+    expect(codes([account('customer', { emailVerified: false }), account('barber')])).toEqual(['UNVERIFIED_ACCOUNT']);
+    expect(codes([account('customer', { password: hashes.other }), account('barber')])).toEqual([]);
+  });
+
+  test('keeps the accounts the typed password signs in to, whatever their salt', async () => {
+    const customer = account('customer', { password: hashes.first });
+    const barber = account('barber', { password: hashes.second });
+    const freelancer = account('freelancer', { password: hashes.other });
+
+    await expect(identityService.filterByPassword([customer, barber, freelancer], 'Secret123!'))
+      .resolves.toEqual([customer, barber]);
+  });
+
+  test('links only the accounts the login password opens and leaves their passwords alone', async () => {
+    const customer = account('customer', { password: hashes.first });
+    const barber = account('barber', { password: hashes.second });
+    const freelancer = { ...account('freelancer', { password: hashes.other }), userModel: 'Freelancer' };
+    mockAccounts([customer, barber, freelancer]);
+    jest.spyOn(Identity, 'exists').mockResolvedValue(null);
+    jest.spyOn(Identity, 'findOne').mockReturnValue({ select: async () => null });
+    const create = jest.spyOn(Identity, 'create').mockImplementation(async (data) => ({ _id: 'identity1', ...data }));
+    const passwordUpdates = [Customer, Barber, Freelancer].map(Model => jest.spyOn(Model, 'updateOne'));
+
+    await identityService.ensureIdentity(customer.user, 'customer', 'Secret123!');
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'sara@example.com',
+      password: hashes.first,
+      profiles: [
+        { role: 'customer', userModel: 'Customer', userId: customer.user._id },
+        { role: 'barber', userModel: 'Barber', userId: barber.user._id }
+      ]
+    }));
+    passwordUpdates.forEach(update => expect(update).not.toHaveBeenCalled());
+  });
+
+  test('adds an account created later to the identity when the login password is the identity\'s', async () => {
+    const customer = account('customer', { _id: customerId, password: hashes.first });
+    const barber = account('barber', { password: hashes.second });
+    const identity = {
+      ...makeIdentity(),
+      password: hashes.first,
+      profiles: [{ role: 'customer', userModel: 'Customer', userId: customerId }],
+      matchPassword: (password) => bcrypt.compare(password, hashes.first)
+    };
+    mockAccounts([customer, barber]);
+    jest.spyOn(Identity, 'exists').mockResolvedValue(null);
+    jest.spyOn(Identity, 'findOne').mockReturnValue({ select: async () => identity });
+    const update = jest.spyOn(Identity, 'findByIdAndUpdate').mockResolvedValue(identity);
+
+    await identityService.ensureIdentity(barber.user, 'barber', 'Secret123!');
+
+    expect(update).toHaveBeenCalledWith(
+      'identity1',
+      { $push: { profiles: { $each: [{ role: 'barber', userModel: 'Barber', userId: barber.user._id }] } } },
+      { new: true }
+    );
+    await expect(identityService.ensureIdentity(barber.user, 'barber', 'Other456!')).resolves.toBeNull();
+    expect(update).toHaveBeenCalledTimes(1);
+  });
+
+  test('picks the requested profile, else the one used last', () => {
+    const identity = makeIdentity();
+
+    expect(identityService.selectProfile(identity).role).toBe('barber');
+    expect(identityService.selectProfile(identity, 'customer').userId).toBe(customerId);
+    expect(() => identityService.selectProfile(identity, 'freelancer'))
+      .toThrow(expect.objectContaining({ statusCode: 400, errors: [{ code: 'PROFILE_NOT_FOUND' }] }));
+  });
+
+  test('copies a new password to the identity and the other profiles', async () => {
+    jest.spyOn(Identity, 'findOne').mockResolvedValue(makeIdentity());
+    const identityUpdate = jest.spyOn(Identity, 'updateOne').mockResolvedValue({});
+    const customerUpdate = jest.spyOn(Customer, 'updateOne').mockResolvedValue({});
+    const barberUpdate = jest.spyOn(Barber, 'updateOne').mockResolvedValue({});
+
+    const userIds = await identityService.syncPassword({ _id: barberId, password: '$2a$10$newhash' });
+
+    expect(userIds).toEqual([customerId, barberId]);
+    expect(identityUpdate).toHaveBeenCalledWith({ _id: 'identity1' }, { $set: { password: '$2a$10$newhash' } });
+    expect(customerUpdate).toHaveBeenCalledWith({ _id: customerId }, { $set: { password: '$2a$10$newhash' } });
+    expect(barberUpdate).not.toHaveBeenCalled();
+  });
+
+  test('does not switch to staff profiles', async () => {
+    const find = jest.spyOn(Identity, 'findOne');
+
+    await expect(authService.switchRole({ _id: customerId }, 'admin', 'session1'))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test('signs in to an account created after the identity with another password', async () => {
+    const identity = {
+      ...makeIdentity(),
+      profiles: [{ role: 'customer', userModel: 'Customer', userId: customerId }],
+      matchPassword: (password) => bcrypt.compare(password, hashes.first)
+    };
+    const barber = new Barber({
+      email: 'sara@example.com',
+      firstName: 'Sara',
+      lastName: 'Khan',
+      password: hashes.other,
+      isActive: true,
+      emailVerified: true
+    });
+    jest.spyOn(Identity, 'findOne').mockReturnValue({ select: async () => identity });
+    const customerLookup = jest.spyOn(Customer, 'findOne').mockReturnValue({ select: async () => null });
+    jest.spyOn(Barber, 'findOne').mockReturnValue({ select: async () => barber });
+    jest.spyOn(Barber, 'findOneAndUpdate').mockResolvedValue(barber);
+    const link = jest.spyOn(identityService, 'ensureIdentity').mockResolvedValue(null);
+    jest.spyOn(identityService, 'recordLogin').mockResolvedValue(null);
+    jest.spyOn(sessionService, 'createSession').mockResolvedValue({
+      accessToken: 'access', refreshToken: 'refresh', expiresIn: 900, session: { _id: 'session1' }
+    });
+
+    const result = await authService.login('sara@example.com', 'Other456!');
+
+    expect(customerLookup).toHaveBeenCalledWith({ email: 'sara@example.com', _id: { $nin: [customerId] } });
+    expect(result.user._id).toBe(barber._id);
+    expect(result.token).toBe('access');
+    expect(link).toHaveBeenCalledWith(barber, 'barber', 'Other456!');
+  });
+});
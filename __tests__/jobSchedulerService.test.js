@@ -0,0 +1,108 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const cron = require('node-cron');
+const ScheduledJob = require('../src/models/ScheduledJob');
+const JobRun = require('../src/models/JobRun');
+const jobSchedulerService = require('../src/services/jobSchedulerService');
+
+const JobSchedulerService = jobSchedulerService.constructor;
+
+const makeRun = () => ({
+  _id: 'run_id',
+  startedAt: new Date(),
+  attempts: [],
+  save: jest.fn().mockResolvedValue()
+});
+
+describe('jobSchedulerService', () => {
+  let scheduler;
+  let run;
+
+  beforeEach(() => {
+    scheduler = new JobSchedulerService();
+    run = makeRun();
+    jest.spyOn(JobRun, 'create').mockResolvedValue(run);
+    jest.spyOn(ScheduledJob, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.restoreAllMocks();
+  });
+
+  test('rejects jobs without a handler or with an invalid schedule', () => {
+    expect(() => scheduler.defineJob('broken', { schedule: '* * * * *' })).toThrow('must have a handler');
+    expect(() => scheduler.defineJob('broken', { schedule: 'every minute', handler: jest.fn() }))
+      .toThrow('invalid cron schedule');
+  });
+
+  test('registers jobs and runs a cron tick once per instance that takes the lock', async () => {
+    const upsert = jest.spyOn(ScheduledJob, 'findOneAndUpdate')
+      .mockResolvedValueOnce({}) // registration
+      .mockResolvedValueOnce({ name: 'cleanup' }) // first instance takes the lock
+      .mockResolvedValueOnce(null); // second instance finds it held
+    jest.spyOn(cron, 'schedule').mockReturnValue({ stop: jest.fn() });
+    const handler = jest.fn().mockResolvedValue({ removed: 3 });
+    scheduler.defineJob('cleanup', { schedule: '*/5 * * * *', handler, backoffMs: 0 });
+
+    await scheduler.start();
+
+    expect(upsert.mock.calls[0][0]).toEqual({ name: 'cleanup' });
+    expect(upsert.mock.calls[0][2]).toEqual({ upsert: true });
+    expect(cron.schedule).toHaveBeenCalledWith('*/5 * * * *', expect.any(Function));
+
+    const scheduledAt = new Date('2025-03-10T10:05:00Z');
+    await scheduler._runScheduled(scheduler.definitions.get('cleanup'), scheduledAt);
+    await scheduler._runScheduled(scheduler.definitions.get('cleanup'), scheduledAt);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(upsert.mock.calls[1][0].$and[1]).toEqual({
+      enabled: true,
+      $or: [{ lastScheduledAt: null }, { lastScheduledAt: { $lt: scheduledAt } }]
+    });
+    expect(upsert.mock.calls[1][1].$set).toMatchObject({ lastScheduledAt: scheduledAt, lockedBy: scheduler.instanceId });
+    expect(run).toMatchObject({ status: 'succeeded', result: { removed: 3 } });
+    expect(ScheduledJob.updateOne).toHaveBeenLastCalledWith(
+      { name: 'cleanup', lockedBy: scheduler.instanceId },
+      { $set: { lockedBy: null, lockedUntil: null, lastRunStatus: 'succeeded', lastError: null } }
+    );
+  });
+
+  test('retries a failing handler and records every attempt', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockResolvedValueOnce({ sent: 1 });
+    scheduler.defineJob('reminders', { schedule: '* * * * *', handler, maxAttempts: 3, backoffMs: 0 });
+
+    await scheduler._execute(scheduler.definitions.get('reminders'), run);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(run.status).toBe('succeeded');
+    expect(run.attempts.map(a => a.error)).toEqual(['timeout', undefined]);
+  });
+
+  test('marks the run failed once the attempts are used up', async () => {
+    const handler = jest.fn().mockRejectedValue(new Error('database down'));
+    scheduler.defineJob('reminders', { schedule: '* * * * *', handler, maxAttempts: 2, backoffMs: 0 });
+
+    await scheduler._execute(scheduler.definitions.get('reminders'), run);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(run).toMatchObject({ status: 'failed', error: 'database down' });
+    expect(ScheduledJob.updateOne.mock.calls.pop()[1].$set).toMatchObject({ lastRunStatus: 'failed', lastError: 'database down' });
+  });
+
+  test('does not start a manual run while the job is locked', async () => {
+    jest.spyOn(ScheduledJob, 'findOneAndUpdate').mockResolvedValue(null);
+    scheduler.defineJob('cleanup', { schedule: '* * * * *', handler: jest.fn() });
+
+    await expect(scheduler.triggerJob('cleanup', 'admin_id')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(scheduler.triggerJob('missing', 'admin_id')).rejects.toMatchObject({ statusCode: 404 });
+    expect(JobRun.create).not.toHaveBeenCalled();
+  });
+});
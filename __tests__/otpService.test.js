@@ -0,0 +1,111 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const Otp = require('../src/models/Otp');
+const Customer = require('../src/models/Customer');
+const otpService = require('../src/services/otpService');
+const fakeProvider = require('../src/services/smsProviders/fakeProvider');
+
+const customer = new Customer({
+  _id: '507f1f77bcf86cd799439051',
+  email: 'customer@example.com',
+  firstName: 'Sara',
+  lastName: 'Khan',
+  phoneNumber: '+923001234567'
+});
+
+describe('otpService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fakeProvider.clear();
+  });
+
+  test('sends a random code by SMS and stores only its hash', async () => {
+    jest.spyOn(Otp, 'findOne').mockResolvedValue(null);
+    const update = jest.spyOn(Otp, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => ({ _id: 'otp1', ...$set }));
+
+    const result = await otpService.sendOtp(customer, 'phone_verification');
+
+    const { body } = fakeProvider.lastMessageTo('+923001234567');
+    const code = body.match(/\d{6}/)[0];
+    const stored = update.mock.calls[0][1].$set;
+    expect(stored.codeHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(stored.codeHash).not.toContain(code);
+    expect(result.destination).toBe('*********4567');
+    expect(result.resendAvailableAt > new Date()).toBe(true);
+  });
+
+  test('refuses to resend a code during the cooldown', async () => {
+    jest.spyOn(Otp, 'findOne').mockResolvedValue({ lastSentAt: new Date(Date.now() - 10000), lockedUntil: null });
+
+    await expect(otpService.sendOtp(customer, 'phone_verification')).rejects.toMatchObject({ statusCode: 429 });
+    expect(fakeProvider.outbox).toHaveLength(0);
+  });
+
+  test('locks the user out after too many wrong codes', async () => {
+    let stored;
+    jest.spyOn(Otp, 'findOne').mockImplementation(() => ({ select: async () => stored }));
+    jest.spyOn(Otp, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (update.$set && update.$set.codeHash) {
+        stored = { _id: 'otp1', attempts: 0, ...update.$set };
+        return stored;
+      }
+      stored = { ...stored, attempts: stored.attempts + 1 };
+      return stored;
+    });
+    const lock = jest.spyOn(Otp, 'updateOne').mockResolvedValue({});
+    await otpService.sendOtp(customer, 'phone_verification');
+
+    for (let attempt = 1; attempt < otpService.OTP_MAX_ATTEMPTS; attempt++) {
+      await expect(otpService.verifyOtp(customer, 'phone_verification', '0000000')).rejects.toMatchObject({ statusCode: 400 });
+    }
+    await expect(otpService.verifyOtp(customer, 'phone_verification', '0000000')).rejects.toMatchObject({ statusCode: 429 });
+
+    expect(lock).toHaveBeenCalledWith(
+      { _id: 'otp1' },
+      { $set: expect.objectContaining({ codeHash: null, lockedUntil: expect.any(Date) }) }
+    );
+  });
+
+  test('accepts the code sent once', async () => {
+    let stored;
+    jest.spyOn(Otp, 'findOne').mockImplementation(() => ({ select: async () => stored }));
+    const update = jest.spyOn(Otp, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+      stored = { _id: 'otp1', attempts: 0, ...stored, ...$set };
+      return stored;
+    });
+    await otpService.sendOtp(customer, 'phone_verification');
+    const code = fakeProvider.lastMessageTo('+923001234567').body.match(/\d{6}/)[0];
+
+    const used = await otpService.verifyOtp(customer, 'phone_verification', code);
+
+    expect(update.mock.calls[2][0]).toEqual(expect.objectContaining({ consumedAt: null }));
+    expect(used.consumedAt).toEqual(expect.any(Date));
+    await expect(otpService.verifyOtp(customer, 'phone_verification', code)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('takes an attempt before comparing the code and stops when none is left', async () => {
+    const stored = {
+      _id: 'otp1',
+      codeHash: 'a'.repeat(64),
+      attempts: otpService.OTP_MAX_ATTEMPTS - 1,
+      expiresAt: new Date(Date.now() + 60000)
+    };
+    jest.spyOn(Otp, 'findOne').mockReturnValue({ select: async () => stored });
+    // A concurrent check took the last attempt first
+    const claim = jest.spyOn(Otp, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(otpService.verifyOtp(customer, 'phone_verification', '123456')).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(claim).toHaveBeenCalledTimes(1);
+    expect(claim).toHaveBeenCalledWith(
+      { _id: 'otp1', codeHash: stored.codeHash, consumedAt: null, attempts: { $lt: otpService.OTP_MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+  });
+});
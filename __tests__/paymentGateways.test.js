@@ -0,0 +1,166 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Country = require('../src/models/Country');
+const Booking = require('../src/models/Booking');
+const Freelancer = require('../src/models/Freelancer');
+const Payment = require('../src/models/Payment');
+const paymentGateways = require('../src/services/paymentGateways');
+const mockGateway = require('../src/services/paymentGateways/mockGateway');
+const ledgerService = require('../src/services/ledgerService');
+const notificationService = require('../src/services/notificationService');
+const paymentService = require('../src/services/paymentService');
+
+describe('payment gateways', () => {
+  const nodeEnv = process.env.NODE_ENV;
+
+  afterEach(() => {
+    process.env.NODE_ENV = nodeEnv;
+    mockGateway.reset();
+    jest.restoreAllMocks();
+  });
+
+  test('mock gateway takes and refunds payments', async () => {
+    const intent = await mockGateway.createIntent({ amount: 40, currency: 'PKR', metadata: { bookingId: 'b1' } });
+    const confirmed = await mockGateway.confirmIntent(intent.id);
+
+    expect(confirmed).toMatchObject({ status: 'succeeded', amount: 40, currency: 'pkr', metadata: { bookingId: 'b1' } });
+
+    await mockGateway.refund({ intentId: intent.id, amount: 15, reasonCode: 'goodwill' });
+    await expect(mockGateway.refund({ intentId: intent.id, amount: 30 })).rejects.toThrow('cannot refund');
+    expect(await mockGateway.listRefunds(intent.id)).toEqual([expect.objectContaining({ amount: 1500, reason: 'goodwill' })]);
+  });
+
+  test('declined mock payments are not confirmed', async () => {
+    const intent = await mockGateway.createIntent({ amount: 40, currency: 'usd' });
+    mockGateway.setIntentStatus(intent.id, 'requires_payment_method');
+
+    expect((await mockGateway.confirmIntent(intent.id)).status).toBe('requires_payment_method');
+  });
+
+  test('uses the gateway of the country', async () => {
+    jest.spyOn(Country, 'findById').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve({ paymentGateway: 'mock' }) })
+    });
+
+    expect((await paymentGateways.getGatewayForCountry('507f1f77bcf86cd799439022')).name).toBe('mock');
+    expect((await paymentGateways.getGatewayForCountry(null)).name).toBe('stripe');
+  });
+
+  test('finds the gateway of older Stripe payments', () => {
+    const gateway = paymentGateways.getPaymentGateway({ stripePaymentIntentId: 'pi_123' });
+
+    expect(gateway.gateway.name).toBe('stripe');
+    expect(gateway.intentId).toBe('pi_123');
+    expect(paymentGateways.getPaymentGateway({ paymentMethod: 'cash' })).toBeNull();
+  });
+
+  test('mock gateway is not available in production', () => {
+    process.env.NODE_ENV = 'production';
+
+    expect(paymentGateways.isAvailable('mock')).toBe(false);
+    expect(() => paymentGateways.getGateway('mock')).toThrow('not available');
+  });
+});
+
+describe('booking card payments', () => {
+  const bookingId = '507f1f77bcf86cd799439041';
+  const customerId = '507f1f77bcf86cd799439051';
+  let booking;
+  let create;
+
+  const confirmedIntent = async (amount, currency, metadata) => {
+    const intent = await mockGateway.createIntent({ amount, currency, metadata });
+    return intent.id;
+  };
+
+  beforeEach(() => {
+    booking = {
+      _id: bookingId,
+      uid: 'BK-1',
+      customerId,
+      barberId: '507f1f77bcf86cd799439011',
+      price: 40,
+      currency: 'USD',
+      status: 'pending',
+      paymentStatus: 'pending',
+      statusHistory: [],
+      save: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn()
+    });
+    jest.spyOn(Booking, 'findById').mockReturnValue({ session: () => Promise.resolve(booking) });
+    jest.spyOn(paymentGateways, 'getGatewayForCountry').mockResolvedValue(mockGateway);
+    jest.spyOn(Freelancer, 'exists').mockReturnValue({ session: () => Promise.resolve(null) });
+    jest.spyOn(ledgerService, 'postPaymentCaptured').mockResolvedValue({});
+    jest.spyOn(notificationService, 'createNotification').mockResolvedValue({});
+    create = jest.spyOn(Payment, 'create').mockImplementation(async ([data]) => [{ _id: 'payment_id', ...data }]);
+  });
+
+  afterEach(() => {
+    mockGateway.reset();
+    jest.restoreAllMocks();
+  });
+
+  test('records an intent created for the booking total', async () => {
+    const intentId = await confirmedIntent(40, 'USD', { purpose: 'booking_payment', bookingId });
+
+    const payment = await paymentService.processStripePayment(intentId, bookingId, customerId);
+
+    expect(payment).toMatchObject({ amount: 40, currency: 'USD', gateway: 'mock', gatewayPaymentId: intentId });
+    expect(booking).toMatchObject({ paymentStatus: 'paid', status: 'confirmed' });
+  });
+
+  test('does not take a tip on the booking as its payment', async () => {
+    const intentId = await confirmedIntent(5, 'USD', { purpose: 'tip', bookingId, customerId });
+
+    await expect(paymentService.processStripePayment(intentId, bookingId, customerId))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Payment intent is not a booking payment' });
+    expect(create).not.toHaveBeenCalled();
+    expect(booking.paymentStatus).toBe('pending');
+  });
+
+  test('does not pay a booking with a wallet top-up', async () => {
+    const intentId = await confirmedIntent(40, 'USD', { purpose: 'wallet_top_up', customerId });
+
+    await expect(paymentService.processStripePayment(intentId, bookingId, customerId))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Payment intent is not a booking payment' });
+    expect(create).not.toHaveBeenCalled();
+    expect(booking.paymentStatus).toBe('pending');
+  });
+
+  test('rejects intents for another amount or currency than the booking total', async () => {
+    const lower = await confirmedIntent(20, 'USD', { purpose: 'booking_payment', bookingId });
+    const otherCurrency = await confirmedIntent(40, 'EUR', { purpose: 'booking_payment', bookingId });
+
+    await expect(paymentService.processStripePayment(lower, bookingId, customerId))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Payment intent amount does not match the booking total' });
+    await expect(paymentService.processStripePayment(otherCurrency, bookingId, customerId))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('records an intent only once', async () => {
+    const intentId = await confirmedIntent(40, 'USD', { purpose: 'booking_payment', bookingId });
+    create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), {
+      code: 11000,
+      keyPattern: { gateway: 1, gatewayPaymentId: 1 }
+    }));
+
+    await expect(paymentService.processStripePayment(intentId, bookingId, customerId))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(Payment.schema.indexes()).toContainEqual([
+      { gateway: 1, gatewayPaymentId: 1 },
+      expect.objectContaining({ unique: true })
+    ]);
+  });
+});
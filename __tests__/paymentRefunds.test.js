@@ -0,0 +1,116 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const Payment = require('../src/models/Payment');
+const Shop = require('../src/models/Shop');
+const paymentController = require('../src/api/payments/controllers/paymentController');
+const paymentService = require('../src/services/paymentService');
+const walletService = require('../src/services/walletService');
+
+const payment = () => new Payment({
+  bookingId: '507f1f77bcf86cd799439033',
+  customerId: '507f1f77bcf86cd799439044',
+  providerId: '507f1f77bcf86cd799439011',
+  providerModel: 'Barber',
+  amount: 60,
+  status: 'completed',
+  paymentMethod: 'card',
+  countryId: '507f1f77bcf86cd799439022'
+});
+
+describe('payment refund history', () => {
+  test('keeps every refund until the payment is fully refunded', () => {
+    const doc = payment();
+
+    paymentService.recordRefund(doc, { amount: 10, reasonCode: 'goodwill', stripeRefundId: 're_1' });
+    expect(doc.status).toBe('partially_refunded');
+    expect(paymentService.getRefundableAmount(doc)).toBe(50);
+
+    paymentService.recordRefund(doc, { amount: 50, reasonCode: 'service_issue', stripeRefundId: 're_2' });
+    expect(doc.status).toBe('refunded');
+    expect(doc.refundedAmount).toBe(60);
+    expect(doc.refunds.map(refund => refund.reasonCode)).toEqual(['goodwill', 'service_issue']);
+    expect(doc.refundDetails.stripeRefundId).toBe('re_2');
+  });
+
+  test('does not record the same Stripe refund twice', () => {
+    const doc = payment();
+
+    expect(paymentService.recordRefund(doc, { amount: 20, stripeRefundId: 're_1' })).not.toBeNull();
+    expect(paymentService.recordRefund(doc, { amount: 20, stripeRefundId: 're_1', source: 'stripe' })).toBeNull();
+
+    expect(doc.refunds).toHaveLength(1);
+    expect(doc.refundedAmount).toBe(20);
+  });
+});
+
+describe('payment refund history access', () => {
+  const customerId = '507f1f77bcf86cd799439044';
+  const barberId = '507f1f77bcf86cd799439011';
+  const shopId = '507f1f77bcf86cd799439055';
+  const ownerId = '507f1f77bcf86cd799439066';
+
+  const viewRefunds = async (payment, user) => {
+    jest.spyOn(paymentService, 'getPaymentById').mockResolvedValue(payment);
+    jest.spyOn(paymentService, 'getPaymentRefunds').mockResolvedValue({ refunds: [] });
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await paymentController.getPaymentRefunds({ params: { id: 'payment_id' }, user }, res, next);
+    return next.mock.calls.length ? next.mock.calls[0][0].statusCode : res.status.mock.calls[0][0];
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('shows the refunds to the barber who was paid', async () => {
+    const paid = { customerId: { _id: customerId }, providerModel: 'Barber', providerId: { _id: barberId, firstName: 'Sam' } };
+
+    expect(await viewRefunds(paid, { _id: barberId, role: 'barber' })).toBe(200);
+    expect(await viewRefunds(paid, { _id: '507f1f77bcf86cd799439099', role: 'barber' })).toBe(403);
+  });
+
+  test('shows the refunds of a shop payment only to the owner of that shop', async () => {
+    const paid = { customerId: { _id: customerId }, providerModel: 'Shop', providerId: { _id: shopId, name: 'Cuts' } };
+    const exists = jest.spyOn(Shop, 'exists').mockImplementation(async (filter) => (
+      filter.ownerId === ownerId ? { _id: shopId } : null
+    ));
+
+    expect(await viewRefunds(paid, { _id: ownerId, role: 'shop_owner' })).toBe(200);
+    expect(exists).toHaveBeenCalledWith({ _id: shopId, ownerId });
+    expect(await viewRefunds(paid, { _id: '507f1f77bcf86cd799439099', role: 'shop_owner' })).toBe(403);
+  });
+});
+
+describe('Stripe wallet top-ups', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ['usd', 2550, 25.5],
+    ['jpy', 2550, 2550],
+    ['kwd', 2550, 2.55]
+  ])('credits a %s top-up in the currency\'s own minor units', async (currency, amountReceived, amount) => {
+    const credit = jest.spyOn(walletService, 'creditTopUp').mockResolvedValue({});
+
+    await paymentService.handleStripeWebhook({
+      type: 'payment_intent.succeeded',
+      data: {
+        object: {
+          id: 'pi_1',
+          status: 'succeeded',
+          currency,
+          amount_received: amountReceived,
+          metadata: { purpose: 'wallet_top_up', customerId: 'customer_id' }
+        }
+      }
+    });
+
+    expect(credit).toHaveBeenCalledWith('stripe', expect.objectContaining({ id: 'pi_1', amount }));
+  });
+});
@@ -0,0 +1,84 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const LedgerEntry = require('../src/models/LedgerEntry');
+const payoutService = require('../src/services/payoutService');
+
+const providerId = '507f1f77bcf86cd799439011';
+
+describe('payout ledger', () => {
+  test('rejects unbalanced entries', async () => {
+    const entry = new LedgerEntry({
+      type: 'booking_revenue',
+      providerId,
+      providerModel: 'Shop',
+      providerAmount: 85,
+      lines: [
+        { account: 'platform_cash', debit: 100 },
+        { account: 'provider_payable', credit: 85 }
+      ]
+    });
+
+    await expect(entry.validate()).rejects.toThrow('not balanced');
+
+    entry.lines.push({ account: 'platform_fees', credit: 15 });
+    await expect(entry.validate()).resolves.toBeUndefined();
+  });
+
+  test('summarizes card and cash revenue, refunds and adjustments', () => {
+    const statement = payoutService.buildStatement([
+      {
+        type: 'booking_revenue',
+        grossAmount: 100,
+        providerAmount: 85,
+        lines: [
+          { account: 'platform_cash', debit: 100 },
+          { account: 'provider_payable', credit: 85 },
+          { account: 'platform_fees', credit: 15 }
+        ]
+      },
+      {
+        type: 'booking_revenue',
+        grossAmount: 40,
+        providerAmount: -6,
+        lines: [
+          { account: 'provider_payable', debit: 6 },
+          { account: 'platform_fees', credit: 6 }
+        ]
+      },
+      {
+        type: 'refund',
+        grossAmount: 50,
+        providerAmount: -42.5,
+        lines: [
+          { account: 'provider_payable', debit: 42.5 },
+          { account: 'platform_fees', debit: 7.5 },
+          { account: 'platform_cash', credit: 50 }
+        ]
+      },
+      {
+        type: 'adjustment',
+        grossAmount: 10,
+        providerAmount: 10,
+        lines: [
+          { account: 'platform_adjustments', debit: 10 },
+          { account: 'provider_payable', credit: 10 }
+        ]
+      }
+    ]);
+
+    expect(statement).toEqual({
+      bookingRevenue: 140,
+      cashCollected: 40,
+      platformFees: 13.5,
+      refunds: 50,
+      adjustments: 10,
+      tips: 0,
+      entryCount: 4
+    });
+  });
+});
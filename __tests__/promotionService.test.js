@@ -0,0 +1,189 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const Booking = require('../src/models/Booking');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const PlatformFee = require('../src/models/PlatformFee');
+const Promotion = require('../src/models/Promotion');
+const PromotionRedemption = require('../src/models/PromotionRedemption');
+const Shop = require('../src/models/Shop');
+const paymentService = require('../src/services/paymentService');
+const shopOwnerService = require('../src/services/shopOwnerService');
+const promotionService = require('../src/services/promotionService');
+const ledgerService = require('../src/services/ledgerService');
+
+const shopId = '507f1f77bcf86cd799439011';
+const otherShopId = '507f1f77bcf86cd799439012';
+const serviceId = '507f1f77bcf86cd799439021';
+const otherServiceId = '507f1f77bcf86cd799439022';
+
+const promotion = (fields = {}) => ({
+  _id: '507f1f77bcf86cd799439031',
+  code: 'WELCOME',
+  discountType: 'percentage',
+  value: 20,
+  fundedBy: 'platform',
+  countryIds: [],
+  shopIds: [],
+  serviceIds: [],
+  usageLimitPerCustomer: null,
+  isActive: true,
+  ...fields
+});
+
+const booking = {
+  _id: '507f1f77bcf86cd799439041',
+  customerId: '507f1f77bcf86cd799439051',
+  shopId,
+  services: [
+    { serviceId, price: 30 },
+    { serviceId: otherServiceId, price: 20 }
+  ]
+};
+
+describe('promotionService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('caps percentage discounts and never discounts more than the price', () => {
+    expect(promotionService.calculateDiscount(promotion({ maxDiscount: 5 }), 50)).toBe(5);
+    expect(promotionService.calculateDiscount(promotion({ discountType: 'fixed', value: 80 }), 50)).toBe(50);
+  });
+
+  test('discounts only the services a promotion is limited to', async () => {
+    const discount = await promotionService.checkEligibility(promotion({ serviceIds: [serviceId] }), booking);
+
+    expect(discount).toBe(6);
+  });
+
+  test('rejects expired codes and codes of other shops', async () => {
+    await expect(promotionService.checkEligibility(promotion({ endsAt: new Date('2020-01-01') }), booking))
+      .rejects.toThrow('expired');
+    await expect(promotionService.checkEligibility(promotion({ fundedBy: 'shop', shopIds: [otherShopId] }), booking))
+      .rejects.toThrow('not valid for this shop');
+  });
+
+  test('limits first-booking offers to customers without earlier bookings', async () => {
+    jest.spyOn(Booking, 'exists').mockReturnValue({ session: () => Promise.resolve({ _id: 'earlier' }) });
+
+    await expect(promotionService.checkEligibility(promotion({ firstBookingOnly: true }), booking))
+      .rejects.toThrow('first booking');
+  });
+
+  test('pays providers the platform-funded discount and charges the fee on the full price', async () => {
+    const discounted = { ...booking, uid: 'BK1', discount: { code: 'WELCOME', amount: 10, fundedBy: 'platform' } };
+    jest.spyOn(Booking, 'findById').mockReturnValue({ session: () => Promise.resolve(discounted) });
+    jest.spyOn(PlatformFee, 'findOne').mockReturnValue({ session: () => Promise.resolve(null) });
+    jest.spyOn(LedgerEntry, 'findOne').mockReturnValue({ session: () => Promise.resolve(null) });
+    const create = jest.spyOn(LedgerEntry, 'create').mockImplementation(async ([data]) => [data]);
+    const payment = { _id: '507f1f77bcf86cd799439061', bookingId: booking._id, amount: 40, paymentMethod: 'card', save: jest.fn() };
+
+    const entry = await ledgerService.postPaymentCaptured(payment);
+
+    // Shop fee of 15% on 50, not on the 40 the customer paid
+    expect(entry.providerAmount).toBe(42.5);
+    expect(entry.lines).toEqual([
+      { account: 'platform_cash', debit: 40 },
+      { account: 'platform_promotions', debit: 10 },
+      { account: 'provider_payable', credit: 42.5 },
+      { account: 'platform_fees', credit: 7.5 }
+    ]);
+    expect(create).toHaveBeenCalled();
+    await expect(new LedgerEntry({ ...entry, providerId: shopId, providerModel: 'Shop' }).validate()).resolves.toBeUndefined();
+  });
+
+  describe('redemptions', () => {
+    const redeemedBy = (customerUses) => jest.spyOn(PromotionRedemption, 'find').mockReturnValue({
+      select: () => ({ session: () => ({ lean: jest.fn().mockResolvedValue(customerUses.map(customerUse => ({ customerUse }))) }) })
+    });
+
+    const unpaidBooking = () => ({ ...booking, discount: null, paymentStatus: 'pending', save: jest.fn().mockResolvedValue() });
+
+    beforeEach(() => {
+      jest.spyOn(Promotion, 'findOne').mockReturnValue({ session: () => Promise.resolve(promotion({ usageLimitPerCustomer: 2 })) });
+      jest.spyOn(Promotion, 'findOneAndUpdate').mockResolvedValue({ usageCount: 1 });
+    });
+
+    test('takes the lowest free use of a customer and stops at the per-customer limit', async () => {
+      redeemedBy([2]);
+      const create = jest.spyOn(PromotionRedemption, 'create').mockResolvedValue([{}]);
+
+      await promotionService.applyToBooking(unpaidBooking(), 'welcome', { session: 'session' });
+      expect(create.mock.calls[0][0][0]).toMatchObject({ customerUse: 1, discountAmount: 10 });
+
+      redeemedBy([1, 2]);
+      await expect(promotionService.applyToBooking(unpaidBooking(), 'welcome', { session: 'session' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'You have already used this promo code' });
+      expect(create).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects a concurrent booking that took the same use first', async () => {
+      redeemedBy([]);
+      jest.spyOn(PromotionRedemption, 'create').mockRejectedValue(
+        Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { promotionId: 1, customerId: 1, customerUse: 1 } })
+      );
+      const discounted = unpaidBooking();
+
+      await expect(promotionService.applyToBooking(discounted, 'welcome', { session: 'session' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'You have already used this promo code' });
+      expect(discounted.save).not.toHaveBeenCalled();
+    });
+
+    test('declares the per-use index unique', () => {
+      expect(PromotionRedemption.schema.indexes()).toContainEqual([
+        { promotionId: 1, customerId: 1, customerUse: 1 },
+        expect.objectContaining({ unique: true })
+      ]);
+    });
+
+    test('gives the use back once when a booking is cancelled', async () => {
+      const cancelled = { ...booking, discount: { promotionId: promotion()._id, code: 'WELCOME', amount: 10 } };
+      jest.spyOn(PromotionRedemption, 'findOneAndDelete')
+        .mockResolvedValueOnce({ promotionId: promotion()._id, code: 'WELCOME' })
+        .mockResolvedValueOnce(null);
+      const release = jest.spyOn(Promotion, 'updateOne').mockResolvedValue({});
+
+      await expect(promotionService.releaseFromBooking(cancelled, { session: 'session' })).resolves.toBe(true);
+      await expect(promotionService.releaseFromBooking(cancelled, { session: 'session' })).resolves.toBe(false);
+
+      expect(PromotionRedemption.findOneAndDelete).toHaveBeenCalledWith({ bookingId: booking._id }, { session: 'session' });
+      expect(release).toHaveBeenCalledTimes(1);
+      expect(release).toHaveBeenCalledWith(
+        { _id: promotion()._id, usageCount: { $gt: 0 } },
+        { $inc: { usageCount: -1 } },
+        { session: 'session' }
+      );
+    });
+
+    test('releases the promo code of cancelled bookings but not of no-shows', async () => {
+      const release = jest.spyOn(promotionService, 'releaseFromBooking').mockResolvedValue(true);
+      const unpaid = () => ({ ...unpaidBooking(), status: 'cancelled' });
+      const outcome = { feeAmount: 0, refundAmount: 0, outstandingAmount: 0 };
+
+      await paymentService.applyCancellationCharge(unpaid(), { ...outcome, kind: 'cancellation' }, { session: 'session' });
+      expect(release).toHaveBeenCalledWith(expect.objectContaining({ _id: booking._id }), { session: 'session' });
+
+      release.mockClear();
+      await paymentService.applyCancellationCharge(unpaid(), { ...outcome, kind: 'no_show' }, { session: 'session' });
+      expect(release).not.toHaveBeenCalled();
+    });
+
+    test('releases the promo code when the shop rejects the booking', async () => {
+      const release = jest.spyOn(promotionService, 'releaseFromBooking').mockResolvedValue(true);
+      const pending = { ...unpaidBooking(), status: 'pending', statusHistory: [] };
+      jest.spyOn(Booking, 'findById').mockResolvedValue(pending);
+      jest.spyOn(Shop, 'findById').mockResolvedValue({ _id: shopId, ownerId: 'owner_id' });
+
+      await shopOwnerService.rejectBooking(booking._id, 'owner_id');
+
+      expect(pending.status).toBe('rejected');
+      expect(release).toHaveBeenCalledWith(pending);
+      expect(pending.save).toHaveBeenCalled();
+    });
+  });
+});
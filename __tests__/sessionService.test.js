@@ -0,0 +1,86 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const crypto = require('crypto');
+const Session = require('../src/models/Session');
+const Customer = require('../src/models/Customer');
+const sessionService = require('../src/services/sessionService');
+const userService = require('../src/services/userService');
+const userController = require('../src/api/admin/controllers/userController');
+
+const userId = '507f1f77bcf86cd799439051';
+const sessionId = '507f1f77bcf86cd799439081';
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+describe('sessionService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('signs access tokens for their session', () => {
+    const token = sessionService.generateAccessToken({ _id: sessionId, userId, role: 'customer' });
+
+    const decoded = sessionService.verifyAccessToken(token);
+
+    expect(decoded).toEqual(expect.objectContaining({ id: userId, role: 'customer', sid: sessionId }));
+    expect(decoded.exp - decoded.iat).toBe(sessionService.ACCESS_TOKEN_TTL_SECONDS);
+  });
+
+  test('rotates the refresh token and remembers the one it replaced', async () => {
+    const session = { _id: sessionId, userId, role: 'customer', revokedAt: null, expiresAt: new Date(Date.now() + 60000) };
+    jest.spyOn(Session, 'findOne').mockResolvedValue(session);
+    jest.spyOn(Customer, 'findById').mockResolvedValue({ _id: userId, isActive: true });
+    const update = jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => ({ ...session, ...$set }));
+
+    const result = await sessionService.refreshSession('old-token');
+
+    expect(update.mock.calls[0][0]).toEqual({ _id: sessionId, refreshTokenHash: hash('old-token'), revokedAt: null });
+    expect(result.refreshToken).not.toBe('old-token');
+    expect(result.session.refreshTokenHash).toBe(hash(result.refreshToken));
+    expect(result.session.previousRefreshTokenHash).toBe(hash('old-token'));
+    expect(sessionService.verifyAccessToken(result.accessToken).sid).toBe(sessionId);
+  });
+
+  test('revokes the session when a replaced refresh token is used again', async () => {
+    jest.spyOn(Session, 'findOne').mockResolvedValue(null);
+    const update = jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue({ _id: sessionId, userId });
+
+    await expect(sessionService.refreshSession('stolen-token')).rejects.toThrow('Invalid refresh token');
+
+    expect(update).toHaveBeenCalledWith(
+      { previousRefreshTokenHash: hash('stolen-token'), revokedAt: null },
+      { $set: expect.objectContaining({ revokedReason: 'reuse' }) }
+    );
+  });
+});
+
+describe('admin password reset', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('logs out every profile linked to the user', async () => {
+    const linkedId = '507f1f77bcf86cd799439052';
+    jest.spyOn(userService, 'resetUserPassword').mockResolvedValue([userId, linkedId]);
+    const revoke = jest.spyOn(sessionService, 'revokeAllSessions').mockResolvedValue(1);
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await userController.resetUserPassword(
+      { params: { id: userId }, body: { password: 'NewSecret123!' }, user: { _id: 'admin_id' } },
+      res,
+      next
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(revoke.mock.calls).toEqual([
+      [userId, { reason: 'password_change', revokedBy: 'admin_id' }],
+      [linkedId, { reason: 'password_change', revokedBy: 'admin_id' }]
+    ]);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
@@ -0,0 +1,53 @@
+const slotRules = require('../src/utils/slotRules');
+
+describe('slotRules', () => {
+  test('keeps buffers of existing and requested bookings free', () => {
+    const colouring = { bookingTime: { hour: 10, minute: 0 }, duration: 60, bufferAfter: 10 };
+
+    expect(slotRules.overlapsAny({ bookingTime: { hour: 11, minute: 0 }, duration: 30 }, [colouring])).toBe(true);
+    expect(slotRules.overlapsAny({ bookingTime: { hour: 11, minute: 10 }, duration: 30 }, [colouring])).toBe(false);
+    expect(slotRules.overlapsAny(
+      { bookingTime: { hour: 9, minute: 30 }, duration: 30, bufferBefore: 5 },
+      [{ bookingTime: { hour: 9, minute: 0 }, duration: 30 }]
+    )).toBe(true);
+  });
+
+  test('prefers the provider override of service buffers', () => {
+    const service = {
+      bufferBefore: 5,
+      bufferAfter: 10,
+      offeredBy: [{ providerId: 'barber_id', bufferAfter: 20 }]
+    };
+
+    expect(slotRules.getServiceBuffers(service, 'barber_id')).toEqual({ bufferBefore: 5, bufferAfter: 20 });
+    expect(slotRules.getServiceBuffers(service, 'other_id')).toEqual({ bufferBefore: 5, bufferAfter: 10 });
+    expect(slotRules.getServiceBuffers({ duration: 30 })).toEqual({ bufferBefore: 0, bufferAfter: 0 });
+  });
+
+  test('returns daily breaks of the weekday only', () => {
+    const provider = {
+      breaks: [
+        { from: '13:00', to: '13:45', days: [], label: 'Lunch' },
+        { from: '16:00', to: '16:15', days: ['friday'] }
+      ]
+    };
+
+    expect(slotRules.getBreakSlots(provider, 'monday')).toEqual([
+      { bookingTime: { hour: 13, minute: 0 }, duration: 45, type: 'break', reason: 'Lunch' }
+    ]);
+    expect(slotRules.getBreakSlots(provider, 'friday')).toHaveLength(2);
+  });
+
+  test('resolves lead time from provider, then shop, then the default', () => {
+    expect(slotRules.resolveLeadTime({ minLeadTimeMinutes: 0 }, { minLeadTimeMinutes: 120 })).toBe(0);
+    expect(slotRules.resolveLeadTime({ minLeadTimeMinutes: null }, { minLeadTimeMinutes: 120 })).toBe(120);
+    expect(slotRules.resolveLeadTime(null, null)).toBe(slotRules.DEFAULT_LEAD_TIME_MINUTES);
+  });
+
+  test('compares lead time in the provider time zone', () => {
+    const now = new Date('2025-03-10T08:00:00Z'); // 13:00 in Karachi
+
+    expect(slotRules.startsTooSoon('2025-03-10', { hour: 13, minute: 30 }, 'Asia/Karachi', 60, now)).toBe(true);
+    expect(slotRules.startsTooSoon('2025-03-10', { hour: 14, minute: 0 }, 'Asia/Karachi', 60, now)).toBe(false);
+  });
+});
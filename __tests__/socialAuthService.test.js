@@ -0,0 +1,103 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Customer = require('../src/models/Customer');
+const Barber = require('../src/models/Barber');
+const Role = require('../src/models/Role');
+const firebaseTokenVerifier = require('../src/services/firebaseTokenVerifier');
+const sessionService = require('../src/services/sessionService');
+const identityService = require('../src/services/identityService');
+const socialAuthService = require('../src/services/socialAuthService');
+
+const identity = {
+  uid: 'firebase-uid-1',
+  provider: 'google',
+  email: 'sara@example.com',
+  emailVerified: true,
+  name: 'Sara Khan',
+  picture: null,
+  phoneNumber: null
+};
+
+const makeCustomer = (fields = {}) => {
+  const customer = new Customer({
+    email: 'sara@example.com',
+    password: '$2a$10$existinghash',
+    firstName: 'Sara',
+    lastName: 'Khan',
+    phoneNumber: '+923001234567',
+    emailVerified: true,
+    ...fields
+  });
+  jest.spyOn(customer, 'save').mockResolvedValue(customer);
+  return customer;
+};
+
+describe('socialAuthService', () => {
+  beforeEach(() => {
+    jest.spyOn(firebaseTokenVerifier, 'verifyIdToken').mockResolvedValue(identity);
+    jest.spyOn(mongoose.Model, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('links the account to the customer with the same verified email', async () => {
+    const customer = makeCustomer();
+    jest.spyOn(Customer, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(customer);
+
+    const result = await socialAuthService.authenticate('id-token');
+
+    expect(result.isNewUser).toBe(false);
+    expect(result.customer.socialAccounts[0]).toMatchObject({ provider: 'google', uid: 'firebase-uid-1' });
+    expect(customer.password).toBe('$2a$10$existinghash');
+  });
+
+  test('discards the password of an unverified customer it links to', async () => {
+    const customer = makeCustomer({ emailVerified: false });
+    jest.spyOn(Customer, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(customer);
+    const revoke = jest.spyOn(sessionService, 'revokeAllSessions').mockResolvedValue(1);
+    jest.spyOn(identityService, 'syncPassword').mockResolvedValue([customer._id]);
+
+    await socialAuthService.authenticate('id-token');
+
+    expect(customer.password).not.toBe('$2a$10$existinghash');
+    expect(customer.emailVerified).toBe(true);
+    expect(revoke).toHaveBeenCalledWith(customer._id, { reason: 'password_change' });
+  });
+
+  test('does not sign in to business or staff accounts', async () => {
+    jest.spyOn(Barber, 'exists').mockResolvedValue({ _id: 'barber1' });
+    jest.spyOn(Customer, 'findOne').mockResolvedValue(null);
+    const create = jest.spyOn(Customer, 'create');
+
+    await expect(socialAuthService.authenticate('id-token')).rejects.toMatchObject({ statusCode: 409 });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('creates a verified customer once it has a phone number', async () => {
+    jest.spyOn(Customer, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Role, 'findOne').mockResolvedValue(null);
+    const create = jest.spyOn(Customer, 'create').mockImplementation(async (data) => ({ _id: 'customer1', ...data }));
+
+    await expect(socialAuthService.authenticate('id-token'))
+      .rejects.toMatchObject({ statusCode: 400, errors: [{ code: 'PHONE_NUMBER_REQUIRED' }] });
+
+    const result = await socialAuthService.authenticate('id-token', { phoneNumber: '+923001234567' });
+
+    expect(result.isNewUser).toBe(true);
+    expect(create.mock.calls[0][0]).toMatchObject({
+      email: 'sara@example.com',
+      firstName: 'Sara',
+      lastName: 'Khan',
+      emailVerified: true,
+      socialAccounts: [{ provider: 'google', uid: 'firebase-uid-1', email: 'sara@example.com' }]
+    });
+  });
+});
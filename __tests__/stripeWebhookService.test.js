@@ -0,0 +1,69 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_secret';
+
+const WebhookEvent = require('../src/models/WebhookEvent');
+const paymentService = require('../src/services/paymentService');
+const stripeWebhookService = require('../src/services/stripeWebhookService');
+const stripeTestEvents = require('../src/utils/stripeTestEvents');
+
+const event = stripeTestEvents.paymentIntentSucceeded({
+  paymentIntentId: 'pi_test_1',
+  bookingId: '507f1f77bcf86cd799439011',
+  amount: 40
+});
+
+const storedEvent = (status) => ({
+  _id: '507f1f77bcf86cd799439099',
+  eventId: event.id,
+  type: event.type,
+  payload: event,
+  status,
+  save: jest.fn().mockResolvedValue(undefined)
+});
+
+describe('stripeWebhookService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('verifies the signature against the raw body', () => {
+    const { body, signature } = stripeTestEvents.signEvent(event);
+
+    expect(stripeWebhookService.constructEvent(Buffer.from(body), signature).id).toBe(event.id);
+    expect(() => stripeWebhookService.constructEvent(Buffer.from(body.replace('pi_test_1', 'pi_test_2')), signature))
+      .toThrow('Invalid Stripe signature');
+  });
+
+  test('does not process a redelivered event again', async () => {
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate')
+      .mockResolvedValueOnce(storedEvent('processed')) // stored on first delivery
+      .mockResolvedValueOnce(null); // already processed, nothing to claim
+    jest.spyOn(paymentService, 'handleStripeWebhook');
+
+    const result = await stripeWebhookService.receiveEvent(event);
+
+    expect(result.duplicate).toBe(true);
+    expect(paymentService.handleStripeWebhook).not.toHaveBeenCalled();
+  });
+
+  test('keeps failed events for replay', async () => {
+    const claimed = storedEvent('processing');
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate')
+      .mockResolvedValueOnce(storedEvent('received'))
+      .mockResolvedValueOnce(claimed);
+    jest.spyOn(paymentService, 'handleStripeWebhook').mockRejectedValue(new Error('Booking not found'));
+
+    const result = await stripeWebhookService.receiveEvent(event);
+
+    expect(result.duplicate).toBe(false);
+    expect(claimed.status).toBe('failed');
+    expect(claimed.lastError).toBe('Booking not found');
+    expect(claimed.save).toHaveBeenCalled();
+  });
+});
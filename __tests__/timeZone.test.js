@@ -0,0 +1,47 @@
+const timeZone = require('../src/utils/timeZone');
+
+describe('timeZone utils', () => {
+  it('keeps the calendar date a client sent regardless of its offset', () => {
+    expect(timeZone.toCalendarDate('2025-03-10')).toBe('2025-03-10');
+    expect(timeZone.toCalendarDate('2025-03-10T00:00:00+05:00')).toBe('2025-03-10');
+    expect(timeZone.toCalendarDate(new Date(Date.UTC(2025, 2, 10)))).toBe('2025-03-10');
+    expect(timeZone.toBookingDate('2025-03-10T00:00:00+05:00').toISOString()).toBe('2025-03-10T00:00:00.000Z');
+  });
+
+  it('converts a local booking time to a UTC instant in the provider zone', () => {
+    expect(timeZone.toInstant('2025-03-10', { hour: 10, minute: 30 }, 'Asia/Karachi').toISOString())
+      .toBe('2025-03-10T05:30:00.000Z');
+    expect(timeZone.toInstant('2025-07-01', { hour: 9, minute: 0 }, 'Europe/Berlin').toISOString())
+      .toBe('2025-07-01T07:00:00.000Z');
+  });
+
+  it('falls back to UTC for unknown zones', () => {
+    expect(timeZone.isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(timeZone.toInstant('2025-03-10', { hour: 10, minute: 0 }, 'Mars/Olympus').toISOString())
+      .toBe('2025-03-10T10:00:00.000Z');
+  });
+
+  it('builds slots with local and UTC representations', () => {
+    expect(timeZone.buildSlot('2025-03-10', 9 * 60 + 30, 'Asia/Karachi')).toEqual({
+      hour: 9,
+      minute: 30,
+      time: '09:30',
+      timeZone: 'Asia/Karachi',
+      local: '2025-03-10T09:30:00+05:00',
+      utc: '2025-03-10T04:30:00.000Z'
+    });
+  });
+
+  it('shifts a local booking time across midnight', () => {
+    const shifted = timeZone.shiftLocalTime('2025-03-10', { hour: 23, minute: 45 }, 30);
+    expect(shifted.bookingDate.toISOString()).toBe('2025-03-11T00:00:00.000Z');
+    expect(shifted.bookingTime).toEqual({ hour: 0, minute: 15 });
+  });
+
+  it('reads the weekday and day range of the calendar date', () => {
+    expect(timeZone.getDayOfWeek('2025-03-10')).toBe('monday');
+    const day = timeZone.getDayRange('2025-03-10');
+    expect(day.start.toISOString()).toBe('2025-03-10T00:00:00.000Z');
+    expect(day.end.toISOString()).toBe('2025-03-10T23:59:59.999Z');
+  });
+});
@@ -0,0 +1,59 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const Booking = require('../src/models/Booking');
+const Freelancer = require('../src/models/Freelancer');
+const ShopOwner = require('../src/models/ShopOwner');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const Tip = require('../src/models/Tip');
+const tipService = require('../src/services/tipService');
+const ledgerService = require('../src/services/ledgerService');
+
+const customerId = '507f1f77bcf86cd799439051';
+const barberId = '507f1f77bcf86cd799439071';
+const shopId = '507f1f77bcf86cd799439011';
+
+describe('tipService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('only accepts tips for completed bookings of the customer', async () => {
+    jest.spyOn(Booking, 'findById').mockResolvedValue({ _id: 'b1', customerId, barberId, status: 'confirmed' });
+
+    await expect(tipService.recordCashTip('b1', customerId, { amount: 5 }))
+      .rejects.toThrow('completed bookings');
+    await expect(tipService.recordCashTip('b1', '507f1f77bcf86cd799439052', { amount: 5 }))
+      .rejects.toThrow('Unauthorized');
+  });
+
+  test('pays tips of a shop owner\'s own bookings to the shop', async () => {
+    jest.spyOn(Freelancer, 'exists').mockResolvedValue(null);
+    jest.spyOn(ShopOwner, 'exists').mockResolvedValue({ _id: barberId });
+
+    const recipient = await tipService.getTipRecipient({ barberId, shopId });
+
+    expect(recipient).toEqual({ providerId: shopId, providerModel: 'Shop' });
+  });
+
+  test('credits the provider with the whole card tip and no platform fee', async () => {
+    jest.spyOn(LedgerEntry, 'findOne').mockReturnValue({ session: () => Promise.resolve(null) });
+    jest.spyOn(LedgerEntry, 'create').mockImplementation(async ([data]) => [data]);
+    const tip = new Tip({ bookingId: '507f1f77bcf86cd799439041', customerId, providerId: barberId, providerModel: 'Barber', amount: 7.5, method: 'card' });
+
+    const entry = await ledgerService.postTip(tip);
+
+    expect(entry.idempotencyKey).toBe(`tip:${tip._id}`);
+    expect(entry.providerAmount).toBe(7.5);
+    expect(entry.feePercentage).toBe(0);
+    expect(entry.lines).toEqual([
+      { account: 'platform_cash', debit: 7.5 },
+      { account: 'provider_payable', credit: 7.5 }
+    ]);
+    await expect(new LedgerEntry(entry).validate()).resolves.toBeUndefined();
+  });
+});
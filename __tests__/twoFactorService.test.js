@@ -0,0 +1,84 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const TwoFactorAuth = require('../src/models/TwoFactorAuth');
+const { User } = require('../src/models/User');
+const twoFactorService = require('../src/services/twoFactorService');
+const totp = require('../src/utils/totp');
+const { requireStepUp } = require('../src/middlewares/auth');
+
+const admin = new User({
+  _id: '507f1f77bcf86cd799439061',
+  email: 'admin@example.com',
+  password: 'Password123!',
+  firstName: 'Ali',
+  lastName: 'Raza',
+  role: 'admin'
+});
+
+describe('twoFactorService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('generates the RFC 6238 codes', () => {
+    const secret = totp.encodeBase32(Buffer.from('12345678901234567890'));
+
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.generate(secret, Math.floor(59 / 30))).toBe('287082');
+    expect(totp.generate(secret, Math.floor(1111111109 / 30))).toBe('081804');
+  });
+
+  test('enrolls with a code from the app and does not accept the same code twice', async () => {
+    const setupUpdate = jest.spyOn(TwoFactorAuth, 'findOneAndUpdate').mockResolvedValue({});
+    jest.spyOn(TwoFactorAuth, 'findOne').mockResolvedValueOnce(null);
+    const { secret, otpauthUri } = await twoFactorService.setup(admin, 'admin');
+
+    const record = { _id: 'tfa1', userId: admin._id, secret: setupUpdate.mock.calls[0][1].$set.secret, enabled: false };
+    expect(record.secret).not.toContain(secret);
+    expect(otpauthUri).toContain(`secret=${secret}`);
+
+    let lastUsedStep = 0;
+    const update = jest.spyOn(TwoFactorAuth, 'updateOne').mockImplementation(async (filter, { $set }) => {
+      if (filter.lastUsedStep && $set.lastUsedStep <= lastUsedStep) {
+        return { modifiedCount: 0 };
+      }
+      lastUsedStep = $set.lastUsedStep || lastUsedStep;
+      return { modifiedCount: 1 };
+    });
+    TwoFactorAuth.findOne.mockReturnValue({ select: async () => record });
+    const code = totp.generate(secret);
+
+    const { recoveryCodes } = await twoFactorService.enable(admin, code);
+
+    expect(recoveryCodes).toHaveLength(10);
+    const stored = update.mock.calls[1][1].$set.recoveryCodes;
+    expect(stored.map(c => c.codeHash)).not.toContain(recoveryCodes[0]);
+    await expect(twoFactorService.verify(admin._id, { code })).rejects.toThrow('already been used');
+  });
+
+  test('asks staff to step up before sensitive actions', async () => {
+    const next = jest.fn();
+    const req = {
+      user: admin,
+      role: { name: 'admin' },
+      method: 'PUT',
+      originalUrl: '/api/admin/platform-fees/1',
+      authSession: { twoFactorVerifiedAt: new Date(), stepUpAt: new Date(Date.now() - 10 * 60 * 1000) }
+    };
+
+    await requireStepUp(req, {}, next);
+    expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 403, errors: [{ code: 'STEP_UP_REQUIRED' }] });
+
+    req.authSession.stepUpAt = new Date();
+    await requireStepUp(req, {}, next);
+    expect(next.mock.calls[1]).toEqual([]);
+
+    await requireStepUp({ ...req, role: { name: 'barber' }, authSession: {} }, {}, next);
+    expect(next.mock.calls[2]).toEqual([]);
+  });
+});
@@ -0,0 +1,148 @@
+jest.mock('../src/services/bookingService', () => ({
+  isTimeSlotAvailable: jest.fn()
+}));
+
+jest.mock('../src/services/notificationService', () => ({
+  createNotification: jest.fn().mockResolvedValue({ _id: 'notification_id' })
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const WaitlistEntry = require('../src/models/WaitlistEntry');
+const { isTimeSlotAvailable } = require('../src/services/bookingService');
+const notificationService = require('../src/services/notificationService');
+const waitlistService = require('../src/services/waitlistService');
+
+const slot = {
+  sourceBookingId: 'booking_id',
+  barberId: 'barber_id',
+  shopId: 'shop_id',
+  serviceId: 'service_id',
+  bookingDate: new Date('2030-03-10T00:00:00Z'),
+  bookingTime: { hour: 10, minute: 0 },
+  duration: 30,
+  timeZone: 'UTC'
+};
+
+const heldEntry = (hold = {}) => ({
+  _id: 'entry_id',
+  uid: 'WL-1',
+  customerId: 'customer_id',
+  serviceName: 'Haircut',
+  status: 'offered',
+  hold: { ...slot, expiresAt: new Date(Date.now() - 1000), ...hold }
+});
+
+describe('waitlistService', () => {
+  beforeEach(() => {
+    isTimeSlotAvailable.mockReset();
+    isTimeSlotAvailable.mockResolvedValue(true);
+    notificationService.createNotification.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('holds a freed slot for the first waitlister of the same provider and service', async () => {
+    const claim = jest.spyOn(WaitlistEntry, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({
+      ...heldEntry(),
+      hold: update.$set.hold
+    }));
+
+    const entry = await waitlistService.offerSlot(slot);
+
+    const [filter, update, options] = claim.mock.calls[0];
+    expect(filter).toMatchObject({
+      status: 'waiting',
+      serviceId: 'service_id',
+      dateFrom: { $lte: '2030-03-10' },
+      dateTo: { $gte: '2030-03-10' },
+      duration: { $lte: 30 },
+      'offers.sourceBookingId': { $ne: 'booking_id' },
+      $or: [{ barberId: 'barber_id' }, { barberId: null, shopId: 'shop_id' }]
+    });
+    expect(options.sort).toEqual({ createdAt: 1 });
+    expect(update.$set.hold).toMatchObject({ serviceId: 'service_id', bookingTime: { hour: 10, minute: 0 } });
+    expect(update.$set.hold.expiresAt.getTime() - Date.now())
+      .toBeGreaterThan((waitlistService.HOLD_MINUTES - 1) * 60 * 1000);
+    expect(entry.status).toBe('offered');
+    expect(notificationService.createNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: 'customer_id', title: 'A Slot Opened Up' })
+    );
+  });
+
+  test('does not offer a slot that was booked in the meantime', async () => {
+    isTimeSlotAvailable.mockResolvedValue(false);
+    const claim = jest.spyOn(WaitlistEntry, 'findOneAndUpdate');
+
+    await expect(waitlistService.offerSlot(slot)).resolves.toBeNull();
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  test('keeps a held slot from everyone but the customer it is held for', async () => {
+    const entry = heldEntry();
+    const lean = jest.fn().mockResolvedValue([entry]);
+    const find = jest.spyOn(WaitlistEntry, 'find').mockReturnValue({
+      select: () => ({ session: () => ({ lean }) })
+    });
+    const day = { start: new Date('2030-03-10T00:00:00Z'), end: new Date('2030-03-10T23:59:59Z') };
+
+    const holds = await waitlistService.getActiveHolds({ barberId: 'barber_id' }, day, { excludeCustomerId: 'customer_id' });
+
+    expect(holds).toEqual([entry.hold]);
+    expect(find.mock.calls[0][0]).toMatchObject({
+      status: 'offered',
+      'hold.barberId': 'barber_id',
+      'hold.expiresAt': { $gt: expect.any(Date) },
+      customerId: { $ne: 'customer_id' }
+    });
+  });
+
+  test('marks the hold booked when the customer books the held time', async () => {
+    const claim = jest.spyOn(WaitlistEntry, 'findOneAndUpdate').mockResolvedValue({ status: 'booked' });
+    const booking = {
+      _id: 'new_booking_id',
+      customerId: 'customer_id',
+      barberId: 'barber_id',
+      bookingDate: slot.bookingDate,
+      bookingTime: slot.bookingTime
+    };
+
+    await waitlistService.claimHold(booking, 'session');
+
+    const [filter, update, options] = claim.mock.calls[0];
+    expect(filter).toMatchObject({
+      customerId: 'customer_id',
+      status: 'offered',
+      'hold.barberId': 'barber_id',
+      'hold.bookingTime.hour': 10,
+      'hold.bookingTime.minute': 0,
+      'hold.expiresAt': { $gt: expect.any(Date) }
+    });
+    expect(update.$set).toMatchObject({ status: 'booked', bookingId: 'new_booking_id' });
+    expect(options.session).toBe('session');
+  });
+
+  test('passes an expired hold on to the next waitlister', async () => {
+    jest.spyOn(WaitlistEntry, 'find').mockReturnValue({
+      sort: () => ({ limit: jest.fn().mockResolvedValue([heldEntry()]) })
+    });
+    const update = jest.spyOn(WaitlistEntry, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ ...heldEntry(), status: 'waiting', hold: null }) // release
+      .mockResolvedValueOnce({ ...heldEntry({ expiresAt: new Date(Date.now() + 60000) }), customerId: 'next_customer_id' });
+    jest.spyOn(WaitlistEntry, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    const result = await waitlistService.processExpiredHolds();
+
+    expect(result).toEqual({ expiredHolds: 1, reoffered: 1, expiredEntries: 2 });
+    expect(update.mock.calls[0][1].$set).toMatchObject({ status: 'waiting', hold: null, 'offers.$[offer].outcome': 'expired' });
+    expect(update.mock.calls[1][0]).toMatchObject({ serviceId: 'service_id', 'offers.sourceBookingId': { $ne: 'booking_id' } });
+    expect(notificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({ userId: 'next_customer_id' }));
+  });
+});
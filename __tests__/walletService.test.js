@@ -0,0 +1,74 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const Wallet = require('../src/models/Wallet');
+const WalletTransaction = require('../src/models/WalletTransaction');
+const walletService = require('../src/services/walletService');
+
+describe('walletService', () => {
+  const customerId = '507f1f77bcf86cd799439011';
+  const session = {};
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects amounts that are not positive', async () => {
+    await expect(walletService.postTransaction(customerId, { type: 'top_up', amount: 0 }, { session }))
+      .rejects.toThrow('greater than zero');
+  });
+
+  test('does not debit more than the balance', async () => {
+    const update = jest.spyOn(Wallet, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ _id: 'w1', balance: 5 })
+      .mockResolvedValueOnce(null);
+    const create = jest.spyOn(WalletTransaction, 'create');
+
+    await expect(walletService.postTransaction(customerId, { type: 'payment', amount: 20 }, { session }))
+      .rejects.toThrow('Insufficient wallet balance');
+
+    expect(update.mock.calls[1][0]).toEqual({ customerId, isActive: true, balance: { $gte: 20 } });
+    expect(update.mock.calls[1][1]).toEqual({ $inc: { balance: -20 } });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('posts a transaction with the same key once', async () => {
+    const existing = { _id: 't1', customerId, amount: 10 };
+    jest.spyOn(WalletTransaction, 'findOne').mockReturnValue({ session: () => Promise.resolve(existing) });
+    const update = jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue({ _id: 'w1', balance: 10 });
+
+    const result = await walletService.postTransaction(customerId, {
+      type: 'top_up',
+      amount: 10,
+      idempotencyKey: 'top_up:mock:mock_pi_1'
+    }, { session });
+
+    expect(result.transaction).toBe(existing);
+    // Only the wallet lookup, no balance change
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(update.mock.calls[0][1]).toEqual({ $setOnInsert: { customerId } });
+  });
+
+  test('only credits succeeded top-ups of the same customer', async () => {
+    const intent = {
+      id: 'mock_pi_1',
+      status: 'succeeded',
+      amount: 25,
+      metadata: { purpose: 'wallet_top_up', customerId: '507f1f77bcf86cd799439099' }
+    };
+
+    await expect(walletService.creditTopUp('mock', intent, { customerId }))
+      .rejects.toThrow('not a top-up of this wallet');
+    await expect(walletService.creditTopUp('mock', { ...intent, metadata: { bookingId: 'b1' } }))
+      .rejects.toThrow('not a top-up of this wallet');
+    await expect(walletService.creditTopUp('mock', {
+      ...intent,
+      status: 'requires_payment_method',
+      metadata: { purpose: 'wallet_top_up', customerId }
+    }, { customerId })).rejects.toThrow('has not been completed');
+  });
+});
@@ -0,0 +1,100 @@
+// scripts/backfill-booking-times.js
+/**
+ * Script to store time zones and UTC instants on existing bookings
+ *
+ * Older bookings kept `bookingDate` as midnight of the server's local zone.
+ * This script rewrites it as UTC midnight of the same calendar date, attaches
+ * the shop/provider time zone and fills `startsAt` / `endsAt`.
+ *
+ * Usage: node scripts/backfill-booking-times.js [--server-tz=Europe/Berlin] [--dry-run]
+ *   --server-tz  Zone the server ran in when the bookings were created (default: UTC)
+ *   --dry-run    Only print what would change
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const Booking = require('../src/models/Booking');
+const Barber = require('../src/models/Barber');
+const Freelancer = require('../src/models/Freelancer');
+const ShopOwner = require('../src/models/ShopOwner');
+const timeZoneService = require('../src/services/timeZoneService');
+const timeZone = require('../src/utils/timeZone');
+
+const getArg = (name) => {
+    const arg = process.argv.find(a => a.startsWith(`--${name}`));
+    if (!arg) return undefined;
+    const [, value] = arg.split('=');
+    return value === undefined ? true : value;
+};
+
+const findProvider = async (providerId) => {
+    for (const Model of [Barber, Freelancer, ShopOwner]) {
+        const provider = await Model.findById(providerId).select('countryId shopId').lean();
+        if (provider) return provider;
+    }
+    return null;
+};
+
+async function backfillBookingTimes() {
+    const serverTimeZone = getArg('server-tz') || 'UTC';
+    const dryRun = !!getArg('dry-run');
+
+    if (!timeZone.isValidTimeZone(serverTimeZone)) {
+        console.error(`❌ Unknown time zone: ${serverTimeZone}`);
+        process.exit(1);
+    }
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✓ Connected to MongoDB');
+        console.log(`📊 Backfilling booking times (legacy server zone: ${serverTimeZone}${dryRun ? ', dry run' : ''})\n`);
+
+        const zoneCache = new Map();
+        let updated = 0;
+        let failed = 0;
+
+        const cursor = Booking.find({ startsAt: { $exists: false } }).lean().cursor();
+        for (let booking = await cursor.next(); booking; booking = await cursor.next()) {
+            try {
+                const cacheKey = `${booking.shopId || ''}:${booking.barberId}`;
+                if (!zoneCache.has(cacheKey)) {
+                    const provider = await findProvider(booking.barberId);
+                    zoneCache.set(cacheKey, await timeZoneService.resolveTimeZone({
+                        shop: booking.shopId || (provider && provider.shopId),
+                        provider,
+                        countryId: booking.countryId
+                    }));
+                }
+                const bookingTimeZone = zoneCache.get(cacheKey);
+
+                const calendarDate = moment(booking.bookingDate).tz(serverTimeZone).format('YYYY-MM-DD');
+                const startsAt = timeZone.toInstant(calendarDate, booking.bookingTime, bookingTimeZone);
+                const update = {
+                    bookingDate: timeZone.toBookingDate(calendarDate),
+                    timeZone: bookingTimeZone,
+                    startsAt,
+                    endsAt: new Date(startsAt.getTime() + booking.duration * 60 * 1000)
+                };
+
+                if (dryRun) {
+                    console.log(`  - ${booking.uid}: ${calendarDate} ${booking.bookingTime.hour}:${booking.bookingTime.minute.toString().padStart(2, '0')} ${bookingTimeZone} -> ${update.startsAt.toISOString()}`);
+                } else {
+                    await Booking.updateOne({ _id: booking._id }, { $set: update });
+                }
+                updated++;
+            } catch (error) {
+                failed++;
+                console.error(`  ❌ ${booking.uid}: ${error.message}`);
+            }
+        }
+
+        console.log(`\n✅ ${dryRun ? 'Would update' : 'Updated'} ${updated} booking(s), ${failed} failed`);
+        process.exit(failed > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('❌ Error backfilling booking times:', error);
+        process.exit(1);
+    }
+}
+
+backfillBookingTimes();
@@ -0,0 +1,144 @@
+// scripts/migrate-identities.js
+/**
+ * Script to link existing accounts to identities
+ *
+ * Accounts in the Customer, Barber, Freelancer, ShopOwner, User and Admin
+ * collections that share an email are linked to one identity, so the person
+ * signs in once and switches between the profiles. Password hashes are
+ * salted, so only accounts with the very same hash are known to share a
+ * password; the others are reported and linked when the person signs in
+ * with a password that opens them. Emails whose accounts conflict are
+ * reported and left as they are.
+ *
+ * Usage: node scripts/migrate-identities.js [--dry-run]
+ *   --dry-run  Only print what would change
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Customer = require('../src/models/Customer');
+const Barber = require('../src/models/Barber');
+const Freelancer = require('../src/models/Freelancer');
+const ShopOwner = require('../src/models/ShopOwner');
+const Admin = require('../src/models/Admin');
+const { User } = require('../src/models/User');
+const Identity = require('../src/models/Identity');
+const identityService = require('../src/services/identityService');
+
+const getArg = (name) => {
+    const arg = process.argv.find(a => a.startsWith(`--${name}`));
+    if (!arg) return undefined;
+    const [, value] = arg.split('=');
+    return value === undefined ? true : value;
+};
+
+async function migrateIdentities() {
+    const dryRun = !!getArg('dry-run');
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✓ Connected to MongoDB');
+        console.log(`📊 Linking accounts to identities${dryRun ? ' (dry run)' : ''}\n`);
+
+        let created = 0;
+        let merged = 0;
+        let unchanged = 0;
+        let failed = 0;
+        const conflicts = [];
+        const atLogin = [];
+
+        // Group every account by email
+        const groups = new Map();
+        for (const Model of [Customer, Barber, Freelancer, ShopOwner, User, Admin]) {
+            const users = await Model.find({ email: { $exists: true, $ne: null } }).select('+password');
+            for (const user of users) {
+                try {
+                    const email = user.email.toLowerCase();
+                    const role = await identityService.resolveRoleName(user);
+                    if (!groups.has(email)) groups.set(email, []);
+                    groups.get(email).push({ user, role, userModel: Model.modelName });
+                } catch (error) {
+                    failed++;
+                    console.error(`  ❌ ${Model.modelName} ${user._id}: ${error.message}`);
+                }
+            }
+        }
+
+        for (const [email, accounts] of groups) {
+            try {
+                const identity = await Identity.findOne({ email }).select('+password');
+                const linkedIds = identity ? identity.profiles.map(profile => profile.userId.toString()) : [];
+                if (identity && accounts.every(account => linkedIds.includes(account.user._id.toString()))) {
+                    unchanged++;
+                    continue;
+                }
+
+                // Without the typed password only identical hashes are known to be the same password
+                const isLinked = account => linkedIds.includes(account.user._id.toString());
+                const unlinked = accounts.filter(account => !isLinked(account));
+                const password = identity ? identity.password : unlinked[0].user.password;
+                const joining = unlinked.filter(account => account.user.password === password);
+                const others = unlinked.filter(account => account.user.password !== password);
+
+                // With no identity yet, the first login decides which password it gets
+                if (!identity && others.length > 0) {
+                    atLogin.push({ email, accounts: unlinked });
+                    continue;
+                }
+                if (others.length > 0) {
+                    atLogin.push({ email, accounts: others });
+                }
+                if (joining.length === 0) {
+                    unchanged++;
+                    continue;
+                }
+
+                const found = identityService.getLinkConflicts([...accounts.filter(isLinked), ...joining]);
+                if (found.length > 0) {
+                    conflicts.push({ email, accounts, found });
+                    continue;
+                }
+
+                const roles = joining.map(account => account.role).join(', ');
+
+                if (dryRun) {
+                    console.log(`  - ${email}: ${identity ? 'merge into identity' : 'create identity'} (${roles})`);
+                } else {
+                    await identityService.linkAccounts(email, joining, password, identity);
+                }
+                if (identity) merged++; else created++;
+            } catch (error) {
+                failed++;
+                console.error(`  ❌ ${email}: ${error.message}`);
+            }
+        }
+
+        if (conflicts.length > 0) {
+            console.log(`\n⚠️  ${conflicts.length} email(s) not linked:`);
+            for (const { email, accounts, found } of conflicts) {
+                console.log(`  - ${email}`);
+                for (const account of accounts) {
+                    console.log(`      ${account.userModel} ${account.user._id} (${account.role}${account.user.emailVerified ? '' : ', unverified'})`);
+                }
+                for (const conflict of found) {
+                    console.log(`      ${conflict.code}: ${conflict.message}`);
+                }
+            }
+        }
+
+        if (atLogin.length > 0) {
+            console.log(`\nℹ️  ${atLogin.length} email(s) with accounts linked at their next login with the same password:`);
+            for (const { email, accounts } of atLogin) {
+                console.log(`  - ${email}: ${accounts.map(account => `${account.userModel} ${account.user._id} (${account.role})`).join(', ')}`);
+            }
+        }
+
+        console.log(`\n✅ ${dryRun ? 'Would create' : 'Created'} ${created} identit${created === 1 ? 'y' : 'ies'}, ${dryRun ? 'would merge' : 'merged'} ${merged}, ${unchanged} unchanged, ${conflicts.length} conflict(s), ${atLogin.length} left for login, ${failed} failed`);
+        process.exit(failed > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('❌ Error linking identities:', error);
+        process.exit(1);
+    }
+}
+
+migrateIdentities();
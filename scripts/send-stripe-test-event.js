@@ -0,0 +1,79 @@
+// scripts/send-stripe-test-event.js
+/**
+ * Script to send a signed fake Stripe event to a running server
+ *
+ * Signs the event with STRIPE_WEBHOOK_SECRET, so the server must use the
+ * same secret. Sending the same --event-id twice shows the redelivery being
+ * acknowledged without processing it again.
+ *
+ * Usage: node scripts/send-stripe-test-event.js <type> --payment-intent=pi_123 [options]
+ *   <type>            payment_intent.succeeded, payment_intent.payment_failed or charge.refunded
+ *   --payment-intent  Stripe payment intent ID of the payment
+ *   --booking         Booking ID (payment intent events)
+ *   --amount          Payment amount, e.g. 40 (default: 10)
+ *   --refund          Refunded amount for charge.refunded (default: the amount)
+ *   --event-id        Event ID to use, e.g. to resend an earlier event
+ *   --url             Webhook URL (default: http://localhost:$PORT/api/payments/webhook)
+ */
+
+require('dotenv').config();
+const stripeTestEvents = require('../src/utils/stripeTestEvents');
+
+const getArg = (name) => {
+    const arg = process.argv.find(a => a.startsWith(`--${name}`));
+    if (!arg) return undefined;
+    const [, value] = arg.split('=');
+    return value === undefined ? true : value;
+};
+
+async function sendStripeTestEvent() {
+    const type = process.argv[2];
+    const paymentIntentId = getArg('payment-intent');
+    const amount = parseFloat(getArg('amount') || 10);
+    const overrides = getArg('event-id') ? { id: getArg('event-id') } : {};
+    const url = getArg('url') || `http://localhost:${process.env.PORT || 5000}/api/payments/webhook`;
+
+    if (!process.env.STRIPE_WEBHOOK_SECRET) {
+        throw new Error('STRIPE_WEBHOOK_SECRET is not set');
+    }
+    if (!paymentIntentId) {
+        throw new Error('--payment-intent is required');
+    }
+
+    let event;
+    switch (type) {
+        case 'payment_intent.succeeded':
+            event = stripeTestEvents.paymentIntentSucceeded({ paymentIntentId, bookingId: getArg('booking'), amount }, overrides);
+            break;
+        case 'payment_intent.payment_failed':
+            event = stripeTestEvents.paymentIntentFailed({ paymentIntentId, bookingId: getArg('booking'), amount }, overrides);
+            break;
+        case 'charge.refunded':
+            event = stripeTestEvents.chargeRefunded({
+                paymentIntentId,
+                amount,
+                refundAmount: parseFloat(getArg('refund') || amount)
+            }, overrides);
+            break;
+        default:
+            throw new Error(`Unsupported event type: ${type}`);
+    }
+
+    const { body, signature } = stripeTestEvents.signEvent(event);
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Stripe-Signature': signature
+        },
+        body
+    });
+
+    console.log(`Sent ${event.type} ${event.id}: ${response.status}`);
+    console.log(await response.text());
+}
+
+sendStripeTestEvent().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
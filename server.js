@@ -99,6 +99,12 @@ app.use((req, res, next) => {
   // Use express.json for all other routes
   express.json({ 
     limit: '10mb',
+    // Stripe signs the body exactly as sent, so keep it for the webhook
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/api/payments/webhook')) {
+        req.rawBody = buf;
+      }
+    },
     reviver: (key, value) => {
       // Handle stringified JSON values
       if (typeof value === 'string' && value.startsWith('"') && value.endsWith('"')) {
@@ -271,26 +277,14 @@ const server = app.listen(port, host, () => {
   logger.info(`Server running in ${process.env.NODE_ENV} mode on ${host}:${port} url http://localhost:${port}`);
 });
 
-// Schedule auto-reschedule and auto-assign for bookings every 5 minutes
-const cron = require('node-cron');
-const bookingService = require('./src/services/bookingService');
-cron.schedule('*/5 * * * *', async () => {
-  try {
-    // Auto-assign pending bookings
-    const assignedCount = await bookingService.autoAssignPendingBookings();
-    if (assignedCount > 0) {
-      logger.info(`Auto-assigned ${assignedCount} pending bookings.`);
-    }
-
-    // Auto-reschedule stale bookings
-    const rescheduledCount = await bookingService.autoRescheduleStaleBookings();
-    if (rescheduledCount > 0) {
-      logger.info(`Auto-rescheduled ${rescheduledCount} stale bookings.`);
-    }
-  } catch (err) {
-    logger.error('Auto booking management cron error:', err);
-  }
-});
+// Start background jobs (bookings auto-assign/auto-reschedule, ...).
+// Runs are locked in MongoDB, so every instance can start the scheduler safely.
+// Set JOBS_ENABLED=false on instances that should only serve HTTP traffic.
+if (process.env.JOBS_ENABLED !== 'false') {
+  require('./src/jobs').start().catch(err => {
+    logger.error(`Job scheduler start error: ${err.message}`);
+  });
+}
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
@@ -0,0 +1,73 @@
+// src/api/admin/controllers/blockedPeriodController.js
+const blockedPeriodService = require('../../../services/blockedPeriodService');
+const { actorFromRequest } = require('../../../services/bookingStateMachine');
+
+/**
+ * Get blocked periods (time off, shop closures, public holidays)
+ * @route GET /api/admin/blocked-periods
+ * @access Private/Admin
+ */
+const getBlockedPeriods = async (req, res, next) => {
+    try {
+        const { scope, providerId, shopId, countryId, from, to } = req.query;
+
+        const periods = await blockedPeriodService.getBlockedPeriods({
+            scope,
+            providerId,
+            shopId,
+            countryId,
+            from,
+            to
+        });
+
+        res.status(200).json({
+            success: true,
+            data: periods
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create a blocked period; country scope adds a public holiday for every shop of the country
+ * @route POST /api/admin/blocked-periods
+ * @access Private/Admin
+ */
+const createBlockedPeriod = async (req, res, next) => {
+    try {
+        const result = await blockedPeriodService.createBlockedPeriod(req.body, actorFromRequest(req));
+
+        res.status(201).json({
+            success: true,
+            message: `Blocked period created. ${result.affectedBookings.length} existing booking(s) flagged.`,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete a blocked period
+ * @route DELETE /api/admin/blocked-periods/:id
+ * @access Private/Admin
+ */
+const deleteBlockedPeriod = async (req, res, next) => {
+    try {
+        await blockedPeriodService.deleteBlockedPeriod(req.params.id, actorFromRequest(req));
+
+        res.status(200).json({
+            success: true,
+            message: 'Blocked period deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getBlockedPeriods,
+    createBlockedPeriod,
+    deleteBlockedPeriod
+};
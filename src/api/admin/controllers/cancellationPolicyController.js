@@ -0,0 +1,75 @@
+// src/api/admin/controllers/cancellationPolicyController.js
+const cancellationPolicyService = require('../../../services/cancellationPolicyService');
+const { ApiError } = require('../../../middlewares/errorHandler');
+
+/**
+ * Get cancellation policies of countries and shops
+ * @route GET /api/admin/cancellation-policies
+ * @access Private/Admin
+ */
+const getCancellationPolicies = async (req, res, next) => {
+    try {
+        const { scope, countryId, shopId } = req.query;
+
+        const policies = await cancellationPolicyService.getPolicies({ scope, countryId, shopId });
+
+        res.status(200).json({
+            success: true,
+            data: policies,
+            defaultPolicy: cancellationPolicyService.DEFAULT_POLICY
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create or replace the cancellation policy of a country
+ * @route PUT /api/admin/cancellation-policies/country/:countryId
+ * @access Private/Admin
+ */
+const setCountryCancellationPolicy = async (req, res, next) => {
+    try {
+        const policy = await cancellationPolicyService.setCountryPolicy(
+            req.params.countryId,
+            req.body,
+            req.user._id
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Cancellation policy updated successfully',
+            data: policy
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete a cancellation policy; its bookings fall back to the country or default policy
+ * @route DELETE /api/admin/cancellation-policies/:id
+ * @access Private/Admin
+ */
+const deleteCancellationPolicy = async (req, res, next) => {
+    try {
+        const success = await cancellationPolicyService.deletePolicy(req.params.id);
+
+        if (!success) {
+            throw new ApiError('Cancellation policy not found', 404);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Cancellation policy deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getCancellationPolicies,
+    setCountryCancellationPolicy,
+    deleteCancellationPolicy
+};
@@ -2,6 +2,7 @@
 const customerService = require('../../../services/customerService');
 const bookingService = require('../../../services/bookingService');
 const paymentService = require('../../../services/paymentService');
+const walletService = require('../../../services/walletService');
 const { ApiError } = require('../../../middlewares/errorHandler');
 
 /**
@@ -178,11 +179,63 @@ const getCustomerPayments = async (req, res, next) => {
     }
 };
 
+/**
+ * Get a customer's wallet with its latest transactions
+ * @route GET /api/admin/customers/:id/wallet
+ * @access Private/Admin
+ */
+const getCustomerWallet = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { type, page, limit } = req.query;
+
+        // Make sure the customer exists before a wallet is created for them
+        await customerService.getCustomerById(id);
+
+        const wallet = await walletService.getWallet(id);
+        const result = await walletService.getTransactions(id, { type, page, limit });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                wallet,
+                transactions: result.transactions
+            },
+            pagination: result.pagination
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Grant a goodwill credit to a customer's wallet
+ * @route POST /api/admin/customers/:id/wallet/credits
+ * @access Private/Admin
+ */
+const grantWalletCredit = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const { wallet, transaction } = await walletService.grantCredit(id, req.body, req.user._id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Wallet credit granted successfully',
+            data: { wallet, transaction }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = {
     getAllCustomers,
     getCustomerById,
     updateCustomer,
     deleteCustomer,
     getCustomerBookings,
-    getCustomerPayments
+    getCustomerPayments,
+    getCustomerWallet,
+    grantWalletCredit
 };
\ No newline at end of file
@@ -0,0 +1,64 @@
+// src/api/admin/controllers/exchangeRateController.js
+const exchangeRateService = require('../../../services/exchangeRateService');
+
+/**
+ * Get the current exchange rates
+ * @route GET /api/admin/exchange-rates
+ * @access Private/Admin
+ */
+const getExchangeRates = async (req, res, next) => {
+    try {
+        const rates = await exchangeRateService.listRates();
+
+        res.status(200).json({
+            success: true,
+            data: rates
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Set the exchange rate of a currency
+ * @route PUT /api/admin/exchange-rates/:currency
+ * @access Private/Admin
+ */
+const setExchangeRate = async (req, res, next) => {
+    try {
+        const rate = await exchangeRateService.setRate(req.params.currency, req.body.rate, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Exchange rate updated successfully',
+            data: rate
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Import exchange rates from a source now instead of waiting for the job
+ * @route POST /api/admin/exchange-rates/import
+ * @access Private/Admin
+ */
+const importExchangeRates = async (req, res, next) => {
+    try {
+        const result = await exchangeRateService.importRates(req.body.source);
+
+        res.status(200).json({
+            success: true,
+            message: `Imported ${result.imported} exchange rates`,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getExchangeRates,
+    setExchangeRate,
+    importExchangeRates
+};
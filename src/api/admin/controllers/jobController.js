@@ -0,0 +1,69 @@
+// src/api/admin/controllers/jobController.js
+// Loading the job definitions makes them available even when this instance does not schedule them
+const jobScheduler = require('../../../jobs');
+
+/**
+ * Get all background jobs with their last run
+ * @route GET /api/admin/jobs
+ * @access Private/Admin
+ */
+const getJobs = async (req, res, next) => {
+    try {
+        const jobs = await jobScheduler.listJobs();
+
+        res.status(200).json({
+            success: true,
+            data: jobs
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get run history of a job
+ * @route GET /api/admin/jobs/:name/runs
+ * @access Private/Admin
+ */
+const getJobRuns = async (req, res, next) => {
+    try {
+        const { name } = req.params;
+        const { page, limit } = req.query;
+
+        const result = await jobScheduler.getJobRuns(name, { page, limit });
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Trigger a job manually
+ * @route POST /api/admin/jobs/:name/run
+ * @access Private/Admin
+ */
+const runJob = async (req, res, next) => {
+    try {
+        const { name } = req.params;
+
+        const run = await jobScheduler.triggerJob(name, req.user._id);
+
+        res.status(202).json({
+            success: true,
+            message: `Job ${name} started`,
+            data: run
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getJobs,
+    getJobRuns,
+    runJob
+};
@@ -1,6 +1,8 @@
 // src/api/admin/controllers/locationController.js - Updated to use LocationService
 const locationService = require('../../../services/locationService');
 const { ApiError } = require('../../../middlewares/errorHandler');
+const { isValidTimeZone } = require('../../../utils/timeZone');
+const paymentGateways = require('../../../services/paymentGateways');
 
 /**
  * Get all countries
@@ -71,12 +73,22 @@ const createCountry = async (req, res, next) => {
             phoneCode, 
             languageCode,
             flagUrl,
-            isActive 
+            isActive,
+            paymentGateway
         } = req.body;
         
         if (!name || !code) {
             throw new ApiError('Country name and code are required', 400);
         }
+
+        // Booking times of the country's shops are computed in this zone
+        if (timeZone && !isValidTimeZone(timeZone)) {
+            throw new ApiError(`Invalid time zone: ${timeZone}. Use an IANA name such as "Asia/Karachi"`, 400);
+        }
+
+        if (paymentGateway && !paymentGateways.isAvailable(paymentGateway)) {
+            throw new ApiError(`Invalid payment gateway: ${paymentGateway}`, 400);
+        }
         
         const countryData = {
             name,
@@ -86,7 +98,8 @@ const createCountry = async (req, res, next) => {
             phoneCode: phoneCode || '',
             languageCode: languageCode || 'en',
             flagUrl: flagUrl || null,
-            isActive: isActive !== undefined ? isActive : true
+            isActive: isActive !== undefined ? isActive : true,
+            paymentGateway: paymentGateway || null
         };
         
         const country = await locationService.createCountry(countryData);
@@ -117,9 +130,18 @@ const updateCountry = async (req, res, next) => {
             phoneCode, 
             languageCode,
             flagUrl,
-            isActive 
+            isActive,
+            paymentGateway
         } = req.body;
         
+        if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+            throw new ApiError(`Invalid time zone: ${timeZone}. Use an IANA name such as "Asia/Karachi"`, 400);
+        }
+
+        if (paymentGateway && !paymentGateways.isAvailable(paymentGateway)) {
+            throw new ApiError(`Invalid payment gateway: ${paymentGateway}`, 400);
+        }
+
         const countryData = {};
         
         if (name !== undefined) countryData.name = name;
@@ -130,6 +152,7 @@ const updateCountry = async (req, res, next) => {
         if (flagUrl !== undefined) countryData.flagUrl = flagUrl;
         if (isActive !== undefined) countryData.isActive = isActive;
         if (currency !== undefined) countryData.currency = currency;
+        if (paymentGateway !== undefined) countryData.paymentGateway = paymentGateway || null;
         
         const updatedCountry = await locationService.updateCountry(countryId, countryData);
         
@@ -0,0 +1,297 @@
+// src/api/admin/controllers/payoutController.js
+const moment = require('moment');
+const json2csv = require('json2csv').parse;
+const XLSX = require('xlsx');
+const ledgerService = require('../../../services/ledgerService');
+const payoutService = require('../../../services/payoutService');
+
+/**
+ * Send rows as a CSV or Excel download
+ * @private
+ */
+const sendExport = (res, rows, format, name) => {
+    const filename = `${name}-${moment().format('YYYY-MM-DD')}`;
+
+    if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename=${filename}.csv`);
+        return res.send(rows.length ? json2csv(rows) : '');
+    }
+
+    const worksheet = XLSX.utils.json_to_sheet(rows);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, name.slice(0, 31));
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.xlsx`);
+    return res.send(buffer);
+};
+
+/**
+ * Display name of a populated provider
+ * @private
+ */
+const getProviderName = (provider) => {
+    if (!provider || !provider._id) return '';
+    return provider.name || `${provider.firstName || ''} ${provider.lastName || ''}`.trim();
+};
+
+/**
+ * Get what the platform owes each provider
+ * @route GET /api/admin/ledger/balances
+ * @access Private/Admin
+ */
+const getProviderBalances = async (req, res, next) => {
+    try {
+        const { providerModel, currency } = req.query;
+
+        const balances = await ledgerService.getProviderBalances({ providerModel, currency });
+
+        res.status(200).json({
+            success: true,
+            data: balances
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get ledger entries
+ * @route GET /api/admin/ledger/entries
+ * @access Private/Admin
+ */
+const getLedgerEntries = async (req, res, next) => {
+    try {
+        const { providerId, providerModel, type, unsettled, from, to, page, limit } = req.query;
+
+        const result = await ledgerService.getEntries({
+            providerId,
+            providerModel,
+            type,
+            unsettled: unsettled === 'true',
+            from,
+            to,
+            page,
+            limit
+        });
+
+        res.status(200).json({
+            success: true,
+            data: result.entries,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Credit or charge a provider outside of bookings
+ * @route POST /api/admin/ledger/adjustments
+ * @access Private/Admin
+ */
+const createAdjustment = async (req, res, next) => {
+    try {
+        const entry = await ledgerService.postAdjustment(req.body, req.user._id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Adjustment posted successfully',
+            data: entry
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Run a settlement over the unsettled ledger entries
+ * @route POST /api/admin/settlements
+ * @access Private/Admin
+ */
+const runSettlement = async (req, res, next) => {
+    try {
+        const result = await payoutService.runSettlement({
+            periodEnd: req.body.periodEnd,
+            trigger: 'manual',
+            userId: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Settlement run created ${result.payouts.length} payout(s)`,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get settlement runs
+ * @route GET /api/admin/settlements
+ * @access Private/Admin
+ */
+const getSettlementRuns = async (req, res, next) => {
+    try {
+        const { page, limit } = req.query;
+
+        const result = await payoutService.getSettlementRuns({ page, limit });
+
+        res.status(200).json({
+            success: true,
+            data: result.runs,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get payouts, or export them with format=csv|excel
+ * @route GET /api/admin/payouts
+ * @access Private/Admin
+ */
+const getPayouts = async (req, res, next) => {
+    try {
+        const { status, settlementRunId, providerId, providerModel, format = 'json' } = req.query;
+
+        const payouts = await payoutService.getPayouts({ status, settlementRunId, providerId, providerModel });
+
+        if (format === 'csv' || format === 'excel') {
+            const rows = payouts.map(payout => ({
+                payout: payout.uid,
+                settlementRun: payout.settlementRunId ? payout.settlementRunId.uid : '',
+                providerType: payout.providerModel,
+                provider: getProviderName(payout.providerId),
+                currency: payout.currency,
+                bookingRevenue: payout.statement.bookingRevenue,
+                cashCollected: payout.statement.cashCollected,
+                platformFees: payout.statement.platformFees,
+                refunds: payout.statement.refunds,
+                adjustments: payout.statement.adjustments,
+                tips: payout.statement.tips || 0,
+                amount: payout.amount,
+                status: payout.status,
+                paidAt: payout.paidAt ? moment(payout.paidAt).format('YYYY-MM-DD') : '',
+                paymentReference: payout.paymentReference || ''
+            }));
+            return sendExport(res, rows, format, 'payouts');
+        }
+
+        res.status(200).json({
+            success: true,
+            data: payouts
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the statement of a payout, or export it with format=csv|excel
+ * @route GET /api/admin/payouts/:id
+ * @access Private/Admin
+ */
+const getPayoutStatement = async (req, res, next) => {
+    try {
+        const { format = 'json' } = req.query;
+
+        const result = await payoutService.getPayoutStatement(req.params.id);
+
+        if (format === 'csv' || format === 'excel') {
+            const rows = result.entries.map(entry => ({
+                entry: entry.uid,
+                postedAt: moment(entry.postedAt).format('YYYY-MM-DD HH:mm'),
+                type: entry.type,
+                booking: entry.bookingId ? entry.bookingId.uid : '',
+                description: entry.description,
+                grossAmount: entry.grossAmount,
+                feePercentage: entry.feePercentage ?? '',
+                providerAmount: entry.providerAmount,
+                currency: entry.currency
+            }));
+            return sendExport(res, rows, format, `payout-${result.payout.uid}`);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Approve a payout after review
+ * @route PATCH /api/admin/payouts/:id/approve
+ * @access Private/Admin
+ */
+const approvePayout = async (req, res, next) => {
+    try {
+        const payout = await payoutService.approvePayout(req.params.id, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Payout approved',
+            data: payout
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Mark an approved payout as paid
+ * @route PATCH /api/admin/payouts/:id/paid
+ * @access Private/Admin
+ */
+const markPayoutPaid = async (req, res, next) => {
+    try {
+        const payout = await payoutService.markPayoutPaid(req.params.id, req.user._id, req.body);
+
+        res.status(200).json({
+            success: true,
+            message: 'Payout marked as paid',
+            data: payout
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Cancel an unpaid payout; its entries are settled in the next run
+ * @route PATCH /api/admin/payouts/:id/cancel
+ * @access Private/Admin
+ */
+const cancelPayout = async (req, res, next) => {
+    try {
+        const payout = await payoutService.cancelPayout(req.params.id, req.user._id, req.body.notes);
+
+        res.status(200).json({
+            success: true,
+            message: 'Payout cancelled',
+            data: payout
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getProviderBalances,
+    getLedgerEntries,
+    createAdjustment,
+    runSettlement,
+    getSettlementRuns,
+    getPayouts,
+    getPayoutStatement,
+    approvePayout,
+    markPayoutPaid,
+    cancelPayout
+};
@@ -0,0 +1,109 @@
+// src/api/admin/controllers/promotionController.js
+const promotionService = require('../../../services/promotionService');
+const { ApiError } = require('../../../middlewares/errorHandler');
+
+/**
+ * Get promotions
+ * @route GET /api/admin/promotions
+ * @access Private/Admin
+ */
+const getPromotions = async (req, res, next) => {
+    try {
+        const { code, fundedBy, shopId, isActive } = req.query;
+
+        const promotions = await promotionService.getPromotions({ code, fundedBy, shopId, isActive });
+
+        res.status(200).json({
+            success: true,
+            data: promotions
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a promotion
+ * @route GET /api/admin/promotions/:id
+ * @access Private/Admin
+ */
+const getPromotionById = async (req, res, next) => {
+    try {
+        const promotion = await promotionService.getPromotionById(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: promotion
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create a promotion
+ * @route POST /api/admin/promotions
+ * @access Private/Admin
+ */
+const createPromotion = async (req, res, next) => {
+    try {
+        const promotion = await promotionService.createPromotion(req.body, req.user._id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Promotion created successfully',
+            data: promotion
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update a promotion
+ * @route PUT /api/admin/promotions/:id
+ * @access Private/Admin
+ */
+const updatePromotion = async (req, res, next) => {
+    try {
+        const promotion = await promotionService.updatePromotion(req.params.id, req.body);
+
+        res.status(200).json({
+            success: true,
+            message: 'Promotion updated successfully',
+            data: promotion
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete a promotion; promotions already used are deactivated instead
+ * @route DELETE /api/admin/promotions/:id
+ * @access Private/Admin
+ */
+const deletePromotion = async (req, res, next) => {
+    try {
+        const success = await promotionService.deletePromotion(req.params.id);
+
+        if (!success) {
+            throw new ApiError('Promotion not found', 404);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Promotion deleted successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getPromotions,
+    getPromotionById,
+    createPromotion,
+    updatePromotion,
+    deletePromotion
+};
@@ -1,6 +1,7 @@
 // src/api/admin/controllers/reportController.js
 const bookingService = require('../../../services/bookingService');
 const paymentService = require('../../../services/paymentService');
+const bookingLineService = require('../../../services/bookingLineService');
 const userService = require('../../../services/userService');
 const barberService = require('../../../services/barberService');
 const shopService = require('../../../services/shopService');
@@ -83,6 +84,10 @@ const generateBookingReport = async (req, res, next) => {
                 customerName: booking.customerName || `${booking.customerId?.firstName || ''} ${booking.customerId?.lastName || ''}`.trim() || 'N/A',
                 barberName: booking.barberName || `${booking.barberId?.firstName || ''} ${booking.barberId?.lastName || ''}`.trim() || 'N/A',
                 serviceName: booking.serviceName,
+                // One cell per booking so CSV and Excel exports stay flat
+                lineItems: bookingLineService.getServiceLines(booking)
+                    .map(line => `${line.serviceName} (${line.duration} min, ${line.price})`)
+                    .join('; '),
                 price: booking.price,
                 status: booking.status,
                 paymentStatus: booking.paymentStatus || 'N/A',
@@ -167,7 +172,7 @@ const generateBookingReport = async (req, res, next) => {
 };
 
 /**
- * Generate revenue report
+ * Generate revenue report, converted into the currency given (REPORTING_CURRENCY by default)
  * @route GET /api/admin/reports/revenue
  * @access Private/Admin
  */
@@ -177,6 +182,7 @@ const generateRevenueReport = async (req, res, next) => {
             startDate,
             endDate,
             groupBy = 'day',
+            currency,
             format = 'json'
         } = req.query;
 
@@ -192,7 +198,8 @@ const generateRevenueReport = async (req, res, next) => {
         const revenueData = await paymentService.getRevenueReport({
             startDate: parsedStartDate,
             endDate: parsedEndDate,
-            groupBy
+            groupBy,
+            reportingCurrency: currency
         });
 
         // Generate report in requested format
@@ -1,5 +1,7 @@
 // src/api/admin/controllers/userController.js
 const userService = require('../../../services/userService');
+const sessionService = require('../../../services/sessionService');
+const twoFactorService = require('../../../services/twoFactorService');
 const { ApiError } = require('../../../middlewares/errorHandler');
 
 /**
@@ -143,9 +145,14 @@ const resetUserPassword = async (req, res, next) => {
             throw new ApiError('Password is required', 400);
         }
 
-        const success = await userService.resetUserPassword(id, password);
+        const profileIds = await userService.resetUserPassword(id, password);
+
+        if (profileIds.length) {
+            // Every linked profile shares the password, so each is logged out
+            for (const profileId of profileIds) {
+                await sessionService.revokeAllSessions(profileId, { reason: 'password_change', revokedBy: req.user._id });
+            }
 
-        if (success) {
             res.status(200).json({
                 success: true,
                 message: 'Password reset successfully'
@@ -158,11 +165,77 @@ const resetUserPassword = async (req, res, next) => {
     }
 };
 
+/**
+ * Get the active sessions of a user of any type
+ * @route GET /api/admin/users/:id/sessions
+ * @access Private/Admin
+ */
+const getUserSessions = async (req, res, next) => {
+    try {
+        const sessions = await sessionService.listSessions(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: sessions
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Log a user of any type out of every device
+ * @route POST /api/admin/users/:id/logout
+ * @access Private/Admin
+ */
+const forceLogoutUser = async (req, res, next) => {
+    try {
+        const count = await sessionService.revokeAllSessions(req.params.id, {
+            reason: 'admin',
+            revokedBy: req.user._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `User logged out of ${count} sessions`,
+            data: { revoked: count }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Remove the two-factor authentication of a staff user who lost their
+ * device; they are logged out and set it up again on next login
+ * @route POST /api/admin/users/:id/2fa/reset
+ * @access Private/Admin
+ */
+const resetUserTwoFactor = async (req, res, next) => {
+    try {
+        if (req.params.id === req.user._id.toString()) {
+            throw new ApiError('You cannot reset your own two-factor authentication', 400);
+        }
+
+        await twoFactorService.reset(req.params.id, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication reset; the user must set it up again'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = {
     getUsers,
     getUserById,
     createUser,
     updateUser,
     deleteUser,
-    resetUserPassword
+    resetUserPassword,
+    getUserSessions,
+    forceLogoutUser,
+    resetUserTwoFactor
 };
\ No newline at end of file
@@ -0,0 +1,66 @@
+// src/api/admin/controllers/webhookEventController.js
+const stripeWebhookService = require('../../../services/stripeWebhookService');
+
+/**
+ * Get received Stripe webhook events
+ * @route GET /api/admin/webhook-events
+ * @access Private/Admin
+ */
+const getWebhookEvents = async (req, res, next) => {
+    try {
+        const { status, type, page, limit } = req.query;
+
+        const result = await stripeWebhookService.getEvents({ status, type, page, limit });
+
+        res.status(200).json({
+            success: true,
+            data: result.events,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a Stripe webhook event with its payload
+ * @route GET /api/admin/webhook-events/:id
+ * @access Private/Admin
+ */
+const getWebhookEvent = async (req, res, next) => {
+    try {
+        const event = await stripeWebhookService.getEvent(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: event
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Process a failed Stripe webhook event again
+ * @route POST /api/admin/webhook-events/:id/replay
+ * @access Private/Admin
+ */
+const replayWebhookEvent = async (req, res, next) => {
+    try {
+        const event = await stripeWebhookService.replayEvent(req.params.id, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: event.status === 'failed' ? 'Webhook event failed again' : 'Webhook event replayed',
+            data: event
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getWebhookEvents,
+    getWebhookEvent,
+    replayWebhookEvent
+};
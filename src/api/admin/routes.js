@@ -3,8 +3,8 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const upload = multer({ storage: multer.memoryStorage() });
-const { authenticate, authorize, requirePermission, checkCountryAccess } = require('../../middlewares/auth');
-const { validate, adminSchemas, barberSchemas } = require('../../utils/validators');
+const { authenticate, authorize, requirePermission, checkCountryAccess, requireTwoFactor, requireStepUp } = require('../../middlewares/auth');
+const { validate, adminSchemas, barberSchemas, bookingSchemas } = require('../../utils/validators');
 
 // Import controllers
 const userController = require('./controllers/userController');
@@ -24,6 +24,13 @@ const customerCareController = require('./controllers/customerCareController');
 const platformFeeController = require('./controllers/platformFeeController');
 const analyticsController = require('./controllers/analyticsController');
 const shopUpdateRequestAdminController = require('./controllers/shopUpdateRequestAdminController');
+const jobController = require('./controllers/jobController');
+const blockedPeriodController = require('./controllers/blockedPeriodController');
+const cancellationPolicyController = require('./controllers/cancellationPolicyController');
+const promotionController = require('./controllers/promotionController');
+const exchangeRateController = require('./controllers/exchangeRateController');
+const payoutController = require('./controllers/payoutController');
+const webhookEventController = require('./controllers/webhookEventController');
 
 
 
@@ -33,6 +40,10 @@ router.use(authenticate);
 // All admin routes require admin role
 router.use(authorize('admin'));
 
+// Staff roles must have passed two-factor authentication; sensitive routes
+// below also need a recent step-up (POST /api/auth/2fa/step-up)
+router.use(requireTwoFactor);
+
 router.get('/analytics', analyticsController.getAnalytics);
 
 // Dashboard routes
@@ -56,7 +67,10 @@ router.get('/users/:id', userController.getUserById);
 router.post('/users', validate(adminSchemas.createUser), userController.createUser);
 router.put('/users/:id', validate(adminSchemas.updateUser), userController.updateUser);
 router.delete('/users/:id', userController.deleteUser);
-router.post('/users/:id/reset-password', userController.resetUserPassword);
+router.post('/users/:id/reset-password', requireStepUp, userController.resetUserPassword);
+router.get('/users/:id/sessions', userController.getUserSessions);
+router.post('/users/:id/logout', userController.forceLogoutUser);
+router.post('/users/:id/2fa/reset', requireStepUp, userController.resetUserTwoFactor);
 
 // Role routes
 router.get('/roles', roleController.getRoles);
@@ -65,7 +79,7 @@ router.get('/roles/:id', roleController.getRoleById);
 router.post('/roles', validate(adminSchemas.createRole), roleController.createRole);
 router.put('/roles/:id', validate(adminSchemas.updateRole), roleController.updateRole);
 router.delete('/roles/:id', roleController.deleteRole);
-router.post('/roles/:roleId/assign/:userId', roleController.assignRoleToUser);
+router.post('/roles/:roleId/assign/:userId', requireStepUp, roleController.assignRoleToUser);
 router.get('/roles/:id/users', roleController.getUsersByRole);
 
 // Report routes
@@ -96,6 +110,16 @@ router.put('/settings/payment', validate(adminSchemas.updatePaymentSettings), se
 router.get('/settings/notification', settingsController.getNotificationSettings);
 router.put('/settings/notification', validate(adminSchemas.updateNotificationSettings), settingsController.updateNotificationSettings);
 
+// Background job routes
+router.get('/jobs', jobController.getJobs);
+router.get('/jobs/:name/runs', jobController.getJobRuns);
+router.post('/jobs/:name/run', jobController.runJob);
+
+// Blocked periods: provider time off, shop closures and public holidays per country
+router.get('/blocked-periods', blockedPeriodController.getBlockedPeriods);
+router.post('/blocked-periods', validate(bookingSchemas.createBlockedPeriod), blockedPeriodController.createBlockedPeriod);
+router.delete('/blocked-periods/:id', blockedPeriodController.deleteBlockedPeriod);
+
 // Enums endpoints
 router.get('/enums', (req, res) => {
     res.status(200).json({
@@ -190,7 +214,7 @@ router.get('/freelancers/pending/list', freelancerAdminController.getPendingFree
 router.get('/freelancers/verification/pending', freelancerAdminController.getPendingVerificationFreelancers);
 router.get('/freelancers/verification/verified', freelancerAdminController.getVerifiedFreelancers);
 router.get('/freelancers/verification/rejected', freelancerAdminController.getRejectedFreelancers);
-router.patch('/freelancers/:id/verify', freelancerAdminController.verifyFreelancerIdentity);
+router.patch('/freelancers/:id/verify', requireStepUp, freelancerAdminController.verifyFreelancerIdentity);
 router.patch('/freelancers/:id/reject-verification',
     freelancerAdminController.rejectFreelancerIdentity
 );
@@ -227,7 +251,7 @@ router.patch('/barbers/:id/unblock', barberAdminController.unblockBarber);
 router.patch('/barbers/:id/on-leave', barberAdminController.setBarberOnLeave);
 
 // Verification management
-router.patch('/barbers/:id/verify', barberAdminController.verifyBarberIdentity);
+router.patch('/barbers/:id/verify', requireStepUp, barberAdminController.verifyBarberIdentity);
 router.patch('/barbers/:id/reject-verification',
     barberAdminController.rejectBarberIdentity
 );
@@ -261,7 +285,7 @@ router.get('/shop-owners', shopOwnerAdminController.getAllShopOwners);
 router.get('/shop-owners/:id', shopOwnerAdminController.getShopOwnerById);
 router.put('/shop-owners/:id', validate(adminSchemas.updateShopOwner), shopOwnerAdminController.updateShopOwner);
 router.delete('/shop-owners/:id', shopOwnerAdminController.deleteShopOwner);
-router.patch('/shop-owners/:id/verify', shopOwnerAdminController.verifyShopOwner);
+router.patch('/shop-owners/:id/verify', requireStepUp, shopOwnerAdminController.verifyShopOwner);
 router.patch('/shop-owners/:id/reject', shopOwnerAdminController.rejectShopOwner);
 router.get('/shop-owners/pending/list', shopOwnerAdminController.getPendingShopOwners);
 router.get('/shop-owners/:id/documents', shopOwnerAdminController.getVerificationDocuments);
@@ -274,7 +298,7 @@ router.get('/shops', shopAdminController.getAllShops);
 router.get('/shops/:id', shopAdminController.getShopById);
 router.put('/shops/:id', upload.single('mainImageBlob'), validate(adminSchemas.updateShop), shopAdminController.updateShop);
 router.delete('/shops/:id', shopAdminController.deleteShop);
-router.patch('/shops/:id/verify', shopAdminController.verifyShop);
+router.patch('/shops/:id/verify', requireStepUp, shopAdminController.verifyShop);
 router.patch('/shops/:id/reject', shopAdminController.rejectShop);
 router.get('/shops/pending/list', shopAdminController.getPendingShops);
 router.get('/shops/:id/barbers', shopAdminController.getShopBarbers);
@@ -288,6 +312,8 @@ router.put('/customers/:id', validate(adminSchemas.updateCustomer), customerAdmi
 router.delete('/customers/:id', customerAdminController.deleteCustomer);
 router.get('/customers/:id/bookings', customerAdminController.getCustomerBookings);
 router.get('/customers/:id/payments', customerAdminController.getCustomerPayments);
+router.get('/customers/:id/wallet', customerAdminController.getCustomerWallet);
+router.post('/customers/:id/wallet/credits', requireStepUp, validate(adminSchemas.grantWalletCredit), customerAdminController.grantWalletCredit);
 
 
 router.get('/country-managers',
@@ -337,10 +363,44 @@ router.post('/customer-care/:userId/assign-customer',
 
 // Platform Fee routes
 router.get('/platform-fees', platformFeeController.getAllPlatformFees);
-router.post('/platform-fees', validate(adminSchemas.createPlatformFee), platformFeeController.createPlatformFees);
+router.post('/platform-fees', requireStepUp, validate(adminSchemas.createPlatformFee), platformFeeController.createPlatformFees);
 router.get('/platform-fees/:countryId', platformFeeController.getPlatformFees);
-router.put('/platform-fees/:countryId', validate(adminSchemas.updatePlatformFee), platformFeeController.setPlatformFees);
-router.delete('/platform-fees/:countryId', platformFeeController.deletePlatformFee);
+router.put('/platform-fees/:countryId', requireStepUp, validate(adminSchemas.updatePlatformFee), platformFeeController.setPlatformFees);
+router.delete('/platform-fees/:countryId', requireStepUp, platformFeeController.deletePlatformFee);
+
+// Cancellation policy routes
+router.get('/cancellation-policies', cancellationPolicyController.getCancellationPolicies);
+router.put('/cancellation-policies/country/:countryId', validate(bookingSchemas.setCancellationPolicy), cancellationPolicyController.setCountryCancellationPolicy);
+router.delete('/cancellation-policies/:id', cancellationPolicyController.deleteCancellationPolicy);
+
+// Promo codes and discount campaigns
+router.get('/promotions', promotionController.getPromotions);
+router.get('/promotions/:id', promotionController.getPromotionById);
+router.post('/promotions', validate(adminSchemas.createPromotion), promotionController.createPromotion);
+router.put('/promotions/:id', validate(adminSchemas.updatePromotion), promotionController.updatePromotion);
+router.delete('/promotions/:id', promotionController.deletePromotion);
+
+// Exchange rates used for booking rate snapshots and report conversion
+router.get('/exchange-rates', exchangeRateController.getExchangeRates);
+router.post('/exchange-rates/import', validate(adminSchemas.importExchangeRates), exchangeRateController.importExchangeRates);
+router.put('/exchange-rates/:currency', validate(adminSchemas.setExchangeRate), exchangeRateController.setExchangeRate);
+
+// Provider ledger, settlement and payout routes
+router.get('/ledger/balances', payoutController.getProviderBalances);
+router.get('/ledger/entries', payoutController.getLedgerEntries);
+router.post('/ledger/adjustments', requireStepUp, validate(adminSchemas.createLedgerAdjustment), payoutController.createAdjustment);
+router.get('/settlements', payoutController.getSettlementRuns);
+router.post('/settlements', validate(adminSchemas.runSettlement), payoutController.runSettlement);
+router.get('/payouts', payoutController.getPayouts);
+router.get('/payouts/:id', payoutController.getPayoutStatement);
+router.patch('/payouts/:id/approve', requireStepUp, payoutController.approvePayout);
+router.patch('/payouts/:id/paid', requireStepUp, validate(adminSchemas.markPayoutPaid), payoutController.markPayoutPaid);
+router.patch('/payouts/:id/cancel', payoutController.cancelPayout);
+
+// Stripe webhook event log
+router.get('/webhook-events', webhookEventController.getWebhookEvents);
+router.get('/webhook-events/:id', webhookEventController.getWebhookEvent);
+router.post('/webhook-events/:id/replay', webhookEventController.replayWebhookEvent);
 
 // Shop Join Request routes
 router.get('/shop-join-requests', shopAdminController.getShopJoinRequests);
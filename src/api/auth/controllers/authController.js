@@ -1,4 +1,8 @@
 const authService = require('../../../services/authService');
+const sessionService = require('../../../services/sessionService');
+const identityService = require('../../../services/identityService');
+const otpService = require('../../../services/otpService');
+const twoFactorService = require('../../../services/twoFactorService');
 const { ApiError } = require('../../../middlewares/errorHandler');
 const logger = require('../../../utils/logger');
 
@@ -27,6 +31,32 @@ const register = async (req, res, next) => {
     }
 };
 
+/**
+ * Device a session is started or refreshed from
+ * @private
+ */
+const getDevice = (req) => ({
+    deviceId: req.body.deviceId,
+    deviceName: req.body.deviceName,
+    userAgent: req.get('user-agent') || '',
+    ipAddress: req.ip
+});
+
+/**
+ * Set the access token as cookie
+ * @private
+ */
+const setTokenCookie = (res, token) => {
+    if (process.env.NODE_ENV === 'production') {
+        res.cookie('token', token, {
+            httpOnly: true,
+            secure: true,
+            sameSite: 'strict',
+            maxAge: sessionService.ACCESS_TOKEN_TTL_SECONDS * 1000
+        });
+    }
+};
+
 /**
  * Login user
  * @route POST /api/auth/login
@@ -34,20 +64,112 @@ const register = async (req, res, next) => {
  */
 const login = async (req, res, next) => {
     try {
-        const { email, password, fcmToken } = req.body;
-        console.log(req.body);
-        const result = await authService.login(email, password, fcmToken);
+        const { email, password, fcmToken, role } = req.body;
+        const result = await authService.login(email, password, fcmToken, getDevice(req), role);
 
-        // Set JWT as cookie
-        if (process.env.NODE_ENV === 'production') {
-            res.cookie('token', result.token, {
-                httpOnly: true,
-                secure: true,
-                sameSite: 'strict',
-                maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+        // Staff with two-factor authentication finish at POST /api/auth/2fa/login
+        if (result.twoFactorRequired) {
+            return res.status(200).json({
+                success: true,
+                message: 'Two-factor code required',
+                data: result
             });
         }
 
+        // Set JWT as cookie
+        setTokenCookie(res, result.token);
+
+        res.status(200).json({
+            success: true,
+            message: 'Login successful',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Sign a customer in with Google or Apple
+ * @route POST /api/auth/social
+ * @access Public
+ */
+const socialLogin = async (req, res, next) => {
+    try {
+        const { idToken, phoneNumber, firstName, lastName, fcmToken } = req.body;
+        const result = await authService.socialLogin(
+            idToken,
+            { phoneNumber, firstName, lastName },
+            fcmToken,
+            getDevice(req)
+        );
+
+        setTokenCookie(res, result.token);
+
+        res.status(result.isNewUser ? 201 : 200).json({
+            success: true,
+            message: result.isNewUser ? 'Account created successfully' : 'Login successful',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Switch to another profile of the same identity
+ * @route POST /api/auth/switch-role
+ * @access Private
+ */
+const switchRole = async (req, res, next) => {
+    try {
+        const result = await authService.switchRole(req.user, req.body.role, req.authSession._id, getDevice(req));
+
+        setTokenCookie(res, result.token);
+
+        res.status(200).json({
+            success: true,
+            message: 'Switched profile successfully',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the profiles the user can switch between
+ * @route GET /api/auth/profiles
+ * @access Private
+ */
+const getProfiles = async (req, res, next) => {
+    try {
+        const identity = await identityService.findByUserId(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                currentRole: req.role.name,
+                profiles: identityService.listProfiles(identity, req.user, req.role.name)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Finish a login with a two-factor code
+ * @route POST /api/auth/2fa/login
+ * @access Public
+ */
+const verifyTwoFactorLogin = async (req, res, next) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+        const result = await authService.verifyTwoFactorLogin(challengeToken, { code, recoveryCode }, getDevice(req));
+
+        setTokenCookie(res, result.token);
+
         res.status(200).json({
             success: true,
             message: 'Login successful',
@@ -58,6 +180,32 @@ const login = async (req, res, next) => {
     }
 };
 
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @route POST /api/auth/refresh
+ * @access Public
+ */
+const refreshToken = async (req, res, next) => {
+    try {
+        const { accessToken, refreshToken: nextRefreshToken, expiresIn, session } =
+            await sessionService.refreshSession(req.body.refreshToken, getDevice(req));
+
+        setTokenCookie(res, accessToken);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                token: accessToken,
+                refreshToken: nextRefreshToken,
+                expiresIn,
+                sessionId: session._id
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Logout user
  * @route POST /api/auth/logout
@@ -65,10 +213,13 @@ const login = async (req, res, next) => {
  */
 const logout = async (req, res, next) => {
     try {
-        const { fcmToken } = req.body;
-        
-        // Remove specific FCM token or clear all if not provided
-        await authService.logout(req.user, fcmToken);
+        const { fcmToken, allDevices } = req.body;
+
+        // Revoke this session (or all of them) and remove specific FCM token or clear all if not provided
+        await authService.logout(req.user, fcmToken, {
+            sessionId: req.authSession._id,
+            allDevices: allDevices === true
+        });
 
         // Clear JWT cookie
         res.cookie('token', '', {
@@ -196,7 +347,6 @@ const verifyEmail = async (req, res, next) => {
 const verifyEmailOTP = async (req, res, next) => {
     try {
         const { email, otp } = req.body;
-        console.log('[DEBUG] Verify Email OTP Request:', { email, otp });
 
         if (!email || !otp) {
             throw new ApiError('Email and OTP are required', 400);
@@ -221,32 +371,17 @@ const verifyEmailOTP = async (req, res, next) => {
 const forgotPassword = async (req, res, next) => {
     try {
         const { email } = req.body;
-        const authService = require('../../../services/authService');
-        const sendEmail = require('../../../utils/sendEmail');
         const user = await authService.findUserByEmail(email);
-        if (!user) {
-            // For security, always respond success, but do NOT send OTP
-            return res.status(200).json({ success: true, message: 'OTP sent to email if account exists' });
+        if (user) {
+            user.resetPasswordOTPVerified = false;
+            await user.save();
+            await otpService.sendOtp(user, 'password_reset');
         }
-        // Generate OTP and expiry, save to user, send email
-        const otp = '1234';
-        const otpExpire = Date.now() + 5 * 60 * 1000; // 5 minutes
-        user.resetPasswordOTP = otp;
-        user.resetPasswordOTPExpire = otpExpire;
-        user.resetPasswordOTPVerified = false;
-        await user.save();
-        await sendEmail({
-            to: email,
-            subject: 'Your Password Reset OTP',
-            text: `Your OTP is: ${otp}. It will expire in 5 minutes.`,
-            html: `<div style="font-family: Arial, sans-serif; background: #f9f9f9; padding: 30px; border-radius: 10px; max-width: 400px; margin: auto;"><h2 style="color: #2d8cf0; text-align: center;">Password Reset OTP</h2><p style="font-size: 16px; color: #333; text-align: center;">Use the OTP below to reset your password:</p><div style="background: #fff; border-radius: 8px; padding: 20px; margin: 20px 0; text-align: center;"><span style="font-size: 2.2em; letter-spacing: 8px; color: #27ae60; font-weight: bold;">${otp}</span></div><p style="font-size: 15px; color: #555; text-align: center;">This OTP will expire in <b>5 minutes</b>.</p><hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;"><p style="font-size: 13px; color: #aaa; text-align: center;">If you did not request this, please ignore this email.</p></div>`
-        });
-        console.log('[DEBUG] OTP sent to email:', email);
-        console.log('[DEBUG] OTP:', otp);
-        res.status(200).json({ success: true, message: 'OTP sent to email if account exists' });
     } catch (error) {
-        res.status(200).json({ success: true, message: 'OTP sent to email if account exists' });
+        // For security, the response is the same whether or not the code was sent
+        logger.warn(`Password reset code not sent: ${error.message}`);
     }
+    res.status(200).json({ success: true, message: 'OTP sent to email if account exists' });
 }
 
 /**
@@ -257,34 +392,18 @@ const forgotPassword = async (req, res, next) => {
 const verifyResetOTP = async (req, res, next) => {
     try {
         const { email, otp } = req.body;
-        console.log('[DEBUG] Verify Reset OTP Request:', { email, otp });
-        
+
         if (!email || !otp) {
             throw new ApiError('Email and OTP are required', 400);
         }
 
-        const authService = require('../../../services/authService');
         const user = await authService.findUserByEmail(email);
-        console.log('[DEBUG] User found for OTP verification:', user ? user.email : null);
-        console.log('[DEBUG] Provided OTP:', otp);
-        console.log('[DEBUG] User resetPasswordOTP:', user ? user.resetPasswordOTP : null);
-        console.log('[DEBUG] User resetPasswordOTPExpire:', user ? user.resetPasswordOTPExpire : null);
-        
         if (!user) {
-            throw new ApiError('User not found', 400);
-        }
-        
-        if (!user.resetPasswordOTP) {
-            throw new ApiError('No OTP requested for this email', 400);
-        }
-
-        if (user.resetPasswordOTP !== otp) {
             throw new ApiError('Invalid OTP', 400);
         }
-        
-        if (!user.resetPasswordOTPExpire || user.resetPasswordOTPExpire < Date.now()) {
-            throw new ApiError('OTP expired', 400);
-        }
+
+        await otpService.verifyOtp(user, 'password_reset', otp);
+
         // Generate secure reset token using the model's method
         const resetToken = user.generatePasswordResetToken();
         user.resetPasswordOTPVerified = true;
@@ -337,7 +456,7 @@ const changePassword = async (req, res, next) => {
         const userId = req.user._id;
         const { currentPassword, newPassword } = req.body;
 
-        const success = await authService.changePassword(userId, currentPassword, newPassword);
+        const success = await authService.changePassword(userId, currentPassword, newPassword, req.authSession._id);
 
         if (success) {
             res.status(200).json({
@@ -354,6 +473,180 @@ const changePassword = async (req, res, next) => {
 
 
 
+/**
+ * List the devices the user is logged in on
+ * @route GET /api/auth/sessions
+ * @access Private
+ */
+const getSessions = async (req, res, next) => {
+    try {
+        const sessions = await sessionService.listSessions(req.user._id, req.authSession._id);
+
+        res.status(200).json({
+            success: true,
+            data: sessions
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Log out one device
+ * @route DELETE /api/auth/sessions/:id
+ * @access Private
+ */
+const revokeSession = async (req, res, next) => {
+    try {
+        await sessionService.revokeSession(req.user._id, req.params.id, { reason: 'user' });
+
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Log out every device except this one
+ * @route DELETE /api/auth/sessions
+ * @access Private
+ */
+const revokeOtherSessions = async (req, res, next) => {
+    try {
+        const count = await sessionService.revokeAllSessions(req.user._id, {
+            reason: 'user',
+            exceptSessionId: req.authSession._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `${count} other sessions revoked`,
+            data: { revoked: count }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the two-factor authentication state of the user
+ * @route GET /api/auth/2fa
+ * @access Private
+ */
+const getTwoFactorStatus = async (req, res, next) => {
+    try {
+        const status = await twoFactorService.getStatus(req.user, req.role.name);
+
+        res.status(200).json({
+            success: true,
+            data: status
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Start enrolling an authenticator app
+ * @route POST /api/auth/2fa/setup
+ * @access Private/Staff
+ */
+const setupTwoFactor = async (req, res, next) => {
+    try {
+        const enrollment = await twoFactorService.setup(req.user, req.role.name);
+
+        res.status(200).json({
+            success: true,
+            message: 'Scan the code with your authenticator app, then confirm a code from it',
+            data: enrollment
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Confirm the authenticator app and turn on two-factor authentication
+ * @route POST /api/auth/2fa/enable
+ * @access Private/Staff
+ */
+const enableTwoFactor = async (req, res, next) => {
+    try {
+        const result = await twoFactorService.enable(req.user, req.body.code);
+
+        // This session has just passed two-factor authentication
+        await sessionService.markTwoFactorVerified(req.authSession._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Turn off two-factor authentication, for roles that do not require it
+ * @route POST /api/auth/2fa/disable
+ * @access Private/Staff
+ */
+const disableTwoFactor = async (req, res, next) => {
+    try {
+        await twoFactorService.disable(req.user, req.role.name, req.body.code);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Replace the recovery codes
+ * @route POST /api/auth/2fa/recovery-codes
+ * @access Private/Staff
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        const result = await twoFactorService.regenerateRecoveryCodes(req.user, req.body.code);
+
+        res.status(200).json({
+            success: true,
+            message: 'New recovery codes created; the old ones no longer work',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Re-authenticate before sensitive actions
+ * @route POST /api/auth/2fa/step-up
+ * @access Private
+ */
+const stepUp = async (req, res, next) => {
+    try {
+        const { code, recoveryCode, password } = req.body;
+        const result = await twoFactorService.stepUp(req.user, req.authSession, { code, recoveryCode, password });
+
+        res.status(200).json({
+            success: true,
+            message: 'Identity confirmed',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Update FCM token for push notifications
  * @route PUT /api/auth/fcm-token
@@ -475,6 +768,8 @@ const deactivateAccount = async (req, res, next) => {
             throw new ApiError('User not found', 404);
         }
 
+        await sessionService.revokeAllSessions(userId, { reason: 'deactivated' });
+
         res.status(200).json({
             success: true,
             message: 'Account deactivated successfully.'
@@ -487,7 +782,21 @@ const deactivateAccount = async (req, res, next) => {
 module.exports = {
     register,
     login,
+    socialLogin,
+    switchRole,
+    getProfiles,
+    verifyTwoFactorLogin,
+    refreshToken,
     logout,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    stepUp,
     getCurrentUser,
     verifyEmail,
     verifyEmailOTP,
@@ -144,9 +144,20 @@ router.post('/register', validate(userSchemas.register), authController.register
  *               password:
  *                 type: string
  *                 example: Password123!
+ *               role:  # optional
+ *                 type: string
+ *                 enum: [customer, barber, freelancer, shop_owner, admin, super_admin, country_manager, customer_care]
+ *                 description: Profile to sign in to when the email has several; defaults to the one used last
  *               fcmToken:  # optional
  *                 type: string
  *                 example: "fcm_token_here"
+ *               deviceId:  # optional
+ *                 type: string
+ *                 description: Stable ID of the device; logging in again on it replaces its session
+ *                 example: "a1b2c3d4"
+ *               deviceName:  # optional
+ *                 type: string
+ *                 example: "Pixel 8"
  *     responses:
  *       200:
  *         description: Login successful
@@ -157,7 +168,34 @@ router.post('/register', validate(userSchemas.register), authController.register
  *               properties:
  *                 token:
  *                   type: string
+ *                   description: Access token, valid for expiresIn seconds
  *                   example: "jwt_token_here"
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Exchanged at /api/auth/refresh for new tokens; usable once
+ *                 expiresIn:
+ *                   type: integer
+ *                   example: 900
+ *                 sessionId:
+ *                   type: string
+ *                 twoFactorSetupRequired:
+ *                   type: boolean
+ *                   description: The role requires two-factor authentication and the user has not set it up
+ *                 profiles:
+ *                   type: array
+ *                   description: Profiles of the same identity the app can switch to with /api/auth/switch-role
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       role:
+ *                         type: string
+ *                       userId:
+ *                         type: string
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: Set instead of the tokens when the user has two-factor authentication; send challengeToken and a code to /api/auth/2fa/login
+ *                 challengeToken:
+ *                   type: string
  *                 user:
  *                   $ref: '#/components/schemas/CurrentUserResponse'
  *       400:
@@ -168,6 +206,128 @@ router.post('/register', validate(userSchemas.register), authController.register
  *         description: Server error
  */
 router.post('/login', validate(userSchemas.login), authController.login);
+/**
+ * @swagger
+ * /api/auth/social:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Sign in a customer with Google or Apple
+ *     description: >
+ *       Verifies a Firebase ID token from Google or Apple sign-in. A known account signs in its customer;
+ *       otherwise it is linked to the customer with the same verified email, or a new customer is created.
+ *       Emails of business or staff accounts cannot be used.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - idToken
+ *             properties:
+ *               idToken:
+ *                 type: string
+ *                 description: Firebase ID token
+ *               phoneNumber:  # required for new customers unless the token has one
+ *                 type: string
+ *                 example: "+923001234567"
+ *               firstName:  # optional, Apple only shares the name on first sign-in
+ *                 type: string
+ *               lastName:  # optional
+ *                 type: string
+ *               fcmToken:  # optional
+ *                 type: string
+ *               deviceId:  # optional
+ *                 type: string
+ *               deviceName:  # optional
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful; same response as login with isNewUser false
+ *       201:
+ *         description: Customer created and logged in; isNewUser true
+ *       400:
+ *         description: Unsupported provider, unverified email, or phone number needed (code PHONE_NUMBER_REQUIRED)
+ *       401:
+ *         description: Invalid or expired ID token
+ *       403:
+ *         description: Account deactivated
+ *       409:
+ *         description: The email belongs to a business or staff account, or another account of the provider is already linked
+ *       500:
+ *         description: Server error
+ */
+router.post('/social', validate(userSchemas.socialLogin), authController.socialLogin);
+/**
+ * @swagger
+ * /api/auth/2fa/login:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Finish logging in with a two-factor code
+ *     description: Send the challengeToken returned by login with a code from the authenticator app, or one of the recovery codes.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "a1b2c-3d4e5"
+ *               deviceId:  # optional
+ *                 type: string
+ *               deviceName:  # optional
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful; same response as login
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       429:
+ *         description: Too many incorrect codes
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/login', validate(userSchemas.twoFactorLogin), authController.verifyTwoFactorLogin);
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Refresh the access token
+ *     description: Returns a new access token and refresh token. Each refresh token works once; using one again revokes its session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed
+ *       401:
+ *         description: Invalid, revoked or expired refresh token
+ *       403:
+ *         description: Account deactivated
+ *       500:
+ *         description: Server error
+ */
+router.post('/refresh', validate(userSchemas.refreshToken), authController.refreshToken);
 /**
  * @swagger
  * /api/auth/verify-email:
@@ -192,6 +352,8 @@ router.post('/login', validate(userSchemas.login), authController.login);
  *         description: OTP sent successfully
  *       400:
  *         description: Bad request
+ *       429:
+ *         description: A code was sent too recently, or too many incorrect codes were entered
  *       500:
  *         description: Server error
  */
@@ -223,7 +385,9 @@ router.post('/verify-email', authController.verifyEmail);
  *       200:
  *         description: Email verified successfully
  *       400:
- *         description: Invalid OTP or email
+ *         description: Invalid, expired or used OTP
+ *       429:
+ *         description: Too many incorrect codes; locked out for a while
  *       500:
  *         description: Server error
  */
@@ -285,7 +449,9 @@ router.post('/forgot-password', validate(userSchemas.resetPasswordRequest), auth
  *       200:
  *         description: OTP verified successfully
  *       400:
- *         description: Invalid OTP
+ *         description: Invalid, expired or used OTP
+ *       429:
+ *         description: Too many incorrect codes; locked out for a while
  *       500:
  *         description: Server error
  */
@@ -356,8 +522,19 @@ router.get('/me', authController.getCurrentUser);
  *   post:
  *     tags: [Authentication]
  *     summary: Logout user
+ *     description: Revokes the session of the request, or every session with allDevices.
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fcmToken:
+ *                 type: string
+ *               allDevices:
+ *                 type: boolean
  *     responses:
  *       200:
  *         description: Logout successful
@@ -366,7 +543,282 @@ router.get('/me', authController.getCurrentUser);
  *       500:
  *         description: Server error
  */
-router.post('/logout', authController.logout);
+router.post('/logout', validate(userSchemas.logout), authController.logout);
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: List the devices the user is logged in on
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, the one of the request flagged current
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     tags: [Authentication]
+ *     summary: Log out every other device
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/sessions', authController.getSessions);
+router.delete('/sessions', authController.revokeOtherSessions);
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     tags: [Authentication]
+ *     summary: Log out one device
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/sessions/:id', authController.revokeSession);
+/**
+ * @swagger
+ * /api/auth/profiles:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: List the profiles (customer, barber, ...) linked to the user's identity
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: currentRole and profiles
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/profiles', authController.getProfiles);
+/**
+ * @swagger
+ * /api/auth/switch-role:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Switch to another profile of the same identity
+ *     description: Starts a session for the profile and ends the current one. Staff profiles need a password login.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [customer, barber, freelancer, shop_owner]
+ *               deviceId:  # optional
+ *                 type: string
+ *               deviceName:  # optional
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens of the profile, as returned by login
+ *       400:
+ *         description: The user has no profile with that role (code PROFILE_NOT_FOUND)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Staff profile or deactivated profile
+ *       500:
+ *         description: Server error
+ */
+router.post('/switch-role', validate(userSchemas.switchRole), authController.switchRole);
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Get the two-factor authentication state of the user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: enabled, enabledAt, required and recoveryCodesRemaining
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/2fa', authController.getTwoFactorStatus);
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Start enrolling an authenticator app
+ *     description: Staff only. Returns a secret and an otpauth URI to show as a QR code; confirm with /api/auth/2fa/enable.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: secret and otpauthUri
+ *       400:
+ *         description: Already enabled
+ *       403:
+ *         description: Not a staff account
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/setup', authController.setupTwoFactor);
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Confirm the authenticator app and turn on two-factor authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Enabled; returns the recovery codes, shown only once
+ *       400:
+ *         description: Not set up or already enabled
+ *       401:
+ *         description: Invalid code
+ *       429:
+ *         description: Too many incorrect codes
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/enable', validate(userSchemas.twoFactorCode), authController.enableTwoFactor);
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Turn off two-factor authentication
+ *     description: Not allowed for roles that require two-factor authentication.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Disabled
+ *       401:
+ *         description: Invalid code
+ *       403:
+ *         description: Required for the role
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/disable', validate(userSchemas.twoFactorCode), authController.disableTwoFactor);
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Replace the recovery codes
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes, shown only once
+ *       401:
+ *         description: Invalid code
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/recovery-codes', validate(userSchemas.twoFactorCode), authController.regenerateRecoveryCodes);
+/**
+ * @swagger
+ * /api/auth/2fa/step-up:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Re-authenticate before sensitive actions
+ *     description: Sensitive admin actions answer 403 with code STEP_UP_REQUIRED until the user re-authenticates here. Users with two-factor authentication send a code or recovery code; others send their password. Lasts STEP_UP_TTL_MINUTES (5 by default).
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Confirmed; returns stepUpExpiresAt
+ *       400:
+ *         description: Missing code or password
+ *       401:
+ *         description: Invalid code or password
+ *       429:
+ *         description: Too many incorrect codes
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/step-up', validate(userSchemas.stepUp), authController.stepUp);
 /**
  * @swagger
  * /api/auth/change-password:
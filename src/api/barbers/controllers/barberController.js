@@ -1,9 +1,13 @@
 const barberService = require('../../../services/barberService');
 const notificationService = require('../../../services/notificationService');
 const bookingService = require('../../../services/bookingService');
+const bookingStateMachine = require('../../../services/bookingStateMachine');
+const promotionService = require('../../../services/promotionService');
+const blockedPeriodService = require('../../../services/blockedPeriodService');
 const { ApiError } = require('../../../middlewares/errorHandler');
 const moment = require('moment');
 const logger = require('../../../utils/logger');
+const timeZone = require('../../../utils/timeZone');
 
 /*/**
  * Get barber/freelancer profile
@@ -77,7 +81,7 @@ const respondToBookingAssignment = async (req, res, next) => {
             throw new ApiError('Freelancers cannot confirm bookings in pending state for shop-based services. Wait for shop owner assignment.', 403);
         }
         if (!['assigned', 'pending',  'rescheduled'].includes(booking.status)) {
-            throw new ApiError('Booking is not in a state that can be confirmed or rejected by barber', 400);
+            throw new ApiError('Booking is not in a state that can be confirmed or rejected by barber', 409);
         }
 
         // Update status
@@ -90,10 +94,16 @@ const respondToBookingAssignment = async (req, res, next) => {
             // Freelancers/home-based barbers get 'rejected' status
             newStatus = barberDoc.shopId ? 'rejected_barber' : 'rejected';
         }
-        booking.status = newStatus;
+        bookingStateMachine.transition(booking, newStatus, {
+            actor: { id: barberDoc._id, role: 'barber' },
+            reason: response === 'reject' ? rejectReason : ''
+        });
         if (response === 'reject') {
             booking.rejectReason = rejectReason;
         }
+        if (newStatus === 'rejected') {
+            await promotionService.releaseFromBooking(booking);
+        }
         await booking.save();
 
         // Notify customer (skip if freelancer rejects)
@@ -188,19 +198,26 @@ const rescheduleBooking = async (req, res, next) => {
         // Perform booking update and notifications after 30 minute (60000 ms)
         setTimeout(async () => {
             try {
+                // Move the booking 30 minutes later in its local time
+                await bookingService.changeBookingTime(
+                    bookingId,
+                    (current) => timeZone.shiftLocalTime(current.bookingDate, current.bookingTime, 30),
+                    {
+                        update: (moved) => bookingStateMachine.transition(moved, 'rescheduled', {
+                            actor: { id: barberProfile._id, role: 'barber' },
+                            reason: 'Rescheduled by the assigned provider'
+                        }),
+                        ignoreLeadTime: true
+                    }
+                );
                 const freshBooking = await bookingService.getBookingById(bookingId);
-                if (!freshBooking) return;
-                const currentTime = new Date(freshBooking.bookingDate);
-                currentTime.setMinutes(currentTime.getMinutes() + 30);
-                freshBooking.bookingDate = currentTime;
-                freshBooking.status = 'rescheduled';
-                await freshBooking.save();
+                const newTime = timeZone.describeInstant(freshBooking.startsAt, freshBooking.timeZone).local;
 
                 // Notify customer about rescheduling
                 await notificationService.createNotification({
                     userId: freshBooking.customerId._id || freshBooking.customerId,
                     title: 'Booking Rescheduled',
-                    message: `Your booking for ${freshBooking.serviceName} has been rescheduled by the barber to ${currentTime.toLocaleString()}.`,
+                    message: `Your booking for ${freshBooking.serviceName} has been rescheduled by the barber to ${newTime}.`,
                     type: 'booking',
                     relatedId: freshBooking._id,
                     onModel: 'Booking'
@@ -212,7 +229,7 @@ const rescheduleBooking = async (req, res, next) => {
                     await notificationService.createNotification({
                         userId: ownerId,
                         title: 'Booking Rescheduled',
-                        message: `The assigned barber/freelancer has rescheduled the booking for ${freshBooking.serviceName} to ${currentTime.toLocaleString()}.`,
+                        message: `The assigned barber/freelancer has rescheduled the booking for ${freshBooking.serviceName} to ${newTime}.`,
                         type: 'booking',
                         relatedId: freshBooking._id,
                         onModel: 'Booking'
@@ -220,7 +237,7 @@ const rescheduleBooking = async (req, res, next) => {
                 }
             } catch (err) {
                 // Log error but do not crash server
-                console.error('Error in delayed reschedule:', err);
+                logger.error('Error in delayed reschedule:', err);
             }
         }, 60000);
     } catch (error) {
@@ -472,21 +489,13 @@ const getBarbersByShop = async (req, res, next) => {
             
             let timeSlots = [];
             if (defaultService) {
-                const rawTimeSlots = await providerSlotsService.getProviderTimeSlots(
+                // Slots carry hour/minute in the barber's local time plus the UTC instant
+                timeSlots = await providerSlotsService.getProviderTimeSlots(
                     barber._id,
                     'barber',
-                    parsedDate,
+                    moment(parsedDate).format('YYYY-MM-DD'),
                     defaultService._id
                 );
-                
-                // Convert time strings (e.g., "10:00") to hour/minute objects
-                timeSlots = rawTimeSlots.map(slot => {
-                    const [hour, minute] = slot.split(':').map(num => parseInt(num));
-                    return {
-                        hour,
-                        minute
-                    };
-                });
             }
 
             return {
@@ -828,6 +837,96 @@ const getBarberShop = async (req, res, next) => {
     }
 };
 
+/**
+ * Get own time off
+ * @route GET /api/barbers/time-off
+ * @access Private/Barber,Freelancer
+ */
+const getMyTimeOff = async (req, res, next) => {
+    try {
+        const { from, to } = req.query;
+
+        const periods = await blockedPeriodService.getBlockedPeriods({
+            scope: 'provider',
+            providerId: req.user._id,
+            from,
+            to
+        });
+
+        res.status(200).json({
+            success: true,
+            data: periods
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Add time off (vacation, day off or break)
+ * @route POST /api/barbers/time-off
+ * @access Private/Barber,Freelancer
+ */
+const addMyTimeOff = async (req, res, next) => {
+    try {
+        const result = await blockedPeriodService.createBlockedPeriod(
+            { ...req.body, scope: 'provider', providerId: req.user._id },
+            bookingStateMachine.actorFromRequest(req)
+        );
+
+        res.status(201).json({
+            success: true,
+            message: result.affectedBookings.length
+                ? `Time off added. ${result.affectedBookings.length} existing booking(s) fall inside it and were flagged.`
+                : 'Time off added successfully',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Remove own time off
+ * @route DELETE /api/barbers/time-off/:id
+ * @access Private/Barber,Freelancer
+ */
+const removeMyTimeOff = async (req, res, next) => {
+    try {
+        await blockedPeriodService.deleteBlockedPeriod(req.params.id, bookingStateMachine.actorFromRequest(req));
+
+        res.status(200).json({
+            success: true,
+            message: 'Time off removed successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Set own daily breaks and minimum notice
+ * @route PUT /api/barbers/booking-rules
+ * @access Private/Barber,Freelancer
+ */
+const updateMyBookingRules = async (req, res, next) => {
+    try {
+        const rules = await blockedPeriodService.updateProviderRules(
+            req.user._id,
+            req.body,
+            bookingStateMachine.actorFromRequest(req)
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Booking rules updated successfully',
+            data: rules
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = {
     getBarbers,
     getBarberBookings,
@@ -847,5 +946,9 @@ module.exports = {
     removePortfolioItem,
     deleteBarber,
     respondToBookingAssignment,
-    rescheduleBooking
+    rescheduleBooking,
+    getMyTimeOff,
+    addMyTimeOff,
+    removeMyTimeOff,
+    updateMyBookingRules
 };
\ No newline at end of file
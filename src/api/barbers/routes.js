@@ -3,7 +3,7 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, authorize } = require('../../middlewares/auth');
 const { requirePermission } = require('../../middlewares/rbac');
-const { validate, barberSchemas } = require('../../utils/validators');
+const { validate, barberSchemas, bookingSchemas } = require('../../utils/validators');
 const barberController = require('./controllers/barberController');
 
 // Public routes
@@ -237,6 +237,173 @@ router.get('/bookings',
     barberController.getBarberBookings
 );
 
+// Time off
+/**
+ * @swagger
+ * /api/barbers/time-off:
+ *   get:
+ *     tags: [Barber]
+ *     summary: Get my time off
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only periods ending on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only periods starting on or before this date
+ *     responses:
+ *       200:
+ *         description: Time off retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   post:
+ *     tags: [Barber]
+ *     summary: Add time off
+ *     description: |
+ *       Blocks a vacation range, a single day or a partial-day break. Slots inside it
+ *       are no longer offered; existing bookings inside it are flagged with `scheduleConflict`.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - startDate
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [vacation, closure, break]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to startDate
+ *               startTime:
+ *                 type: string
+ *                 example: "13:00"
+ *                 description: Local time; omit for a full-day block
+ *               endTime:
+ *                 type: string
+ *                 example: "14:00"
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Time off added; `data.affectedBookings` lists flagged bookings
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/time-off',
+    authorize(['barber', 'freelancer']),
+    barberController.getMyTimeOff
+);
+router.post('/time-off',
+    authorize(['barber', 'freelancer']),
+    validate(bookingSchemas.createBlockedPeriod),
+    barberController.addMyTimeOff
+);
+
+/**
+ * @swagger
+ * /api/barbers/time-off/{id}:
+ *   delete:
+ *     tags: [Barber]
+ *     summary: Remove time off
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Time off removed; flags on bookings are cleared
+ *       403:
+ *         description: Not your time off
+ *       404:
+ *         description: Time off not found
+ */
+router.delete('/time-off/:id',
+    authorize(['barber', 'freelancer']),
+    barberController.removeMyTimeOff
+);
+
+/**
+ * @swagger
+ * /api/barbers/booking-rules:
+ *   put:
+ *     tags: [Barber]
+ *     summary: Set my daily breaks and minimum notice for new bookings
+ *     description: |
+ *       Slots overlapping a break are not offered. Without my own minimum notice
+ *       the shop's applies, else 60 minutes.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               breaks:
+ *                 type: array
+ *                 description: Replaces all breaks; a break without days applies every day
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       example: "13:00"
+ *                     to:
+ *                       type: string
+ *                       example: "14:00"
+ *                     days:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         example: monday
+ *                     label:
+ *                       type: string
+ *                       example: Lunch
+ *               minLeadTimeMinutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 120
+ *     responses:
+ *       200:
+ *         description: Booking rules updated
+ *       400:
+ *         description: Validation error
+ */
+router.put('/booking-rules',
+    authorize(['barber', 'freelancer']),
+    validate(bookingSchemas.updateProviderBookingRules),
+    barberController.updateMyBookingRules
+);
+
 // Shop-specific routes
 /**
  * @swagger
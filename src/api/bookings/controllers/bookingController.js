@@ -35,21 +35,28 @@ const getMyShopBookings = async (req, res, next) => {
 };
 /**
  * Get available time slots for a shop
- * @route GET /api/bookings/shop-available-slots?shopId=...&date=...&serviceId=...
+ * @route GET /api/bookings/shop-available-slots?shopId=...&date=...&serviceId=... (or serviceIds=id1,id2)
  * @access Public
  */
 const getShopAvailableTimeSlots = async (req, res, next) => {
     try {
-        const { shopId, date, serviceId } = req.query;
-        if (!shopId || !date || !serviceId) {
+        const { shopId, date } = req.query;
+        const serviceIds = bookingLineService.getRequestedServiceIds(req.query);
+        if (!shopId || !date || serviceIds.length === 0) {
             throw new ApiError('shopId, date, and serviceId are required', 400);
         }
         // Use new shop slot logic
         const shopSlotService = require('../../../services/bookingService.shopSlots');
-        const slots = await shopSlotService.getAvailableShopTimeSlots(shopId, new Date(date), serviceId);
+        const slots = await shopSlotService.getAvailableShopTimeSlots(shopId, date, serviceIds, {
+            customerId: req.user ? req.user._id : null
+        });
+        // data keeps the local "HH:MM" format, slots adds the time zone and UTC instants
         res.status(200).json({
             success: true,
-            data: slots
+            data: slots.map(slot => slot.time),
+            slots,
+            // Fully booked: customers can join the waitlist (POST /api/customers/waitlist)
+            canJoinWaitlist: slots.length === 0
         });
     } catch (error) {
         next(error);
@@ -154,7 +161,9 @@ const reassignBooking = async (req, res, next) => {
 };
 // src/api/bookings/controllers/bookingController.js
 const bookingService = require('../../../services/bookingService');
+const bookingStateMachine = require('../../../services/bookingStateMachine');
 const paymentService = require('../../../services/paymentService');
+const bookingLineService = require('../../../services/bookingLineService');
 const notificationService = require('../../../services/notificationService');
 const Barber = require('../../../models/Barber');
 const { ApiError } = require('../../../middlewares/errorHandler');
@@ -191,6 +200,7 @@ const createBooking = async (req, res, next) => {
                 uid: booking.uid,
                 status: booking.status,
                 serviceName: booking.serviceName,
+                services: bookingLineService.getServiceLines(booking),
                 bookingDate: booking.bookingDate,
                 bookingTime: booking.bookingTime,
                 price: booking.price,
@@ -432,7 +442,7 @@ const updateBookingStatus = async (req, res, next) => {
             }
         }
 
-        const updatedBooking = await bookingService.updateBookingStatus(id, status, reason);
+        const updatedBooking = await bookingService.updateBookingStatus(id, status, reason, bookingStateMachine.actorFromRequest(req));
 
         // Send notifications
         if (status === 'confirmed') {
@@ -516,34 +526,34 @@ const rateBooking = async (req, res, next) => {
  * @query {string} providerId - Provider ID (barber or freelancer)
  * @query {string} date - Date in YYYY-MM-DD format
  * @query {string} serviceId - Service ID
+ * @query {string} serviceIds - Comma-separated service IDs of a multi-service appointment, in order
  */
 const getAvailableTimeSlots = async (req, res, next) => {
     try {
-        const { barberId, providerId, date, serviceId } = req.query;
+        const { barberId, providerId, date } = req.query;
+        const serviceIds = bookingLineService.getRequestedServiceIds(req.query);
 
         // Support both barberId and providerId for backward compatibility
         const providerIdToUse = providerId || barberId;
 
-        if (!providerIdToUse || !date || !serviceId) {
+        if (!providerIdToUse || !date || serviceIds.length === 0) {
             throw new ApiError('Provider ID, date, and service ID are required', 400);
         }
 
         const slots = await bookingService.getAvailableTimeSlots(
             providerIdToUse,
-            new Date(date),
-            serviceId
+            date,
+            serviceIds,
+            { customerId: req.user ? req.user._id : null }
         );
 
-        // Format slots as ["HH:MM", ...]
-        const formattedSlots = slots.map(slot => {
-            const hour = slot.hour.toString().padStart(2, '0');
-            const minute = slot.minute.toString().padStart(2, '0');
-            return `${hour}:${minute}`;
-        });
-
+        // data keeps the local "HH:MM" format, slots adds the time zone and UTC instants
         res.status(200).json({
             success: true,
-            data: formattedSlots
+            data: slots.map(slot => slot.time),
+            slots,
+            // Fully booked: customers can join the waitlist (POST /api/customers/waitlist)
+            canJoinWaitlist: slots.length === 0
         });
     } catch (error) {
         next(error);
@@ -883,6 +893,7 @@ const getMyBookings = async (req, res, next) => {
                         description: booking.serviceId?.description
                     },
                     serviceName: booking.serviceName,
+                    services: bookingLineService.getServiceLines(booking),
                     serviceType: booking.serviceType,
                     price: booking.price,
                     bookingDate: booking.bookingDate,
@@ -1002,6 +1013,7 @@ const getMyBookings = async (req, res, next) => {
                         description: booking.serviceId?.description
                     },
                     serviceName: booking.serviceName,
+                    services: bookingLineService.getServiceLines(booking),
                     serviceType: booking.serviceType,
                     price: booking.price,
                     bookingDate: booking.bookingDate,
@@ -1105,6 +1117,7 @@ const getMyBookings = async (req, res, next) => {
                         description: booking.serviceId?.description
                     },
                     serviceName: booking.serviceName,
+                    services: bookingLineService.getServiceLines(booking),
                     serviceType: booking.serviceType,
                     price: booking.price,
                     bookingDate: booking.bookingDate,
@@ -1216,6 +1229,7 @@ const getMyBookings = async (req, res, next) => {
                             description: booking.serviceId?.description
                         },
                         serviceName: booking.serviceName,
+                        services: bookingLineService.getServiceLines(booking),
                         serviceType: booking.serviceType,
                         price: booking.price,
                         bookingDate: booking.bookingDate,
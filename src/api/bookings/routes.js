@@ -36,10 +36,14 @@ const bookingController = require('./controllers/bookingController');
  *         description: Date in YYYY-MM-DD format
  *       - in: query
  *         name: serviceId
- *         required: true
  *         schema:
  *           type: string
- *         description: Service ID
+ *         description: Service ID (required unless serviceIds is given)
+ *       - in: query
+ *         name: serviceIds
+ *         schema:
+ *           type: string
+ *         description: Comma-separated service IDs booked together, in order
  *     responses:
  *       200:
  *         description: Available time slots retrieved successfully
@@ -72,10 +76,14 @@ router.get('/available-slots', bookingController.getAvailableTimeSlots);
  *         description: Date in YYYY-MM-DD format
  *       - in: query
  *         name: serviceId
- *         required: true
  *         schema:
  *           type: string
- *         description: Service ID
+ *         description: Service ID (required unless serviceIds is given)
+ *       - in: query
+ *         name: serviceIds
+ *         schema:
+ *           type: string
+ *         description: Comma-separated service IDs booked together, in order
  *     responses:
  *       200:
  *         description: Shop available time slots retrieved successfully
@@ -196,7 +204,6 @@ router.get('/freelancer/my', requirePermission('view_bookings'), bookingControll
  *             required:
  *               - customerId
  *               - barberId
- *               - serviceId
  *               - serviceType
  *               - bookingDate
  *               - bookingTime
@@ -210,6 +217,12 @@ router.get('/freelancer/my', requirePermission('view_bookings'), bookingControll
  *               serviceId:
  *                 type: string
  *                 example: "507f1f77bcf86cd799439011"
+ *               serviceIds:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                 description: Several services in one appointment, performed back to back (replaces serviceId)
  *               serviceType:
  *                 type: string
  *                 enum: [shopBased, homeBased]
@@ -282,6 +295,8 @@ router.get('/freelancer/my', requirePermission('view_bookings'), bookingControll
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       409:
+ *         description: The time slot is being booked by someone else
  *       500:
  *         description: Server error
  */
@@ -609,9 +624,11 @@ router.get('/shop/:shopId',
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden
+ *         description: Forbidden - role may not perform this status change
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: Illegal status transition for the booking's current status
  *       500:
  *         description: Server error
  */
@@ -1,6 +1,13 @@
 // src/api/customer/controllers/customerBookingController.js
 const bookingService = require('../../../services/bookingService');
+const shopSlotService = require('../../../services/bookingService.shopSlots');
 const paymentService = require('../../../services/paymentService');
+const bookingSeriesService = require('../../../services/bookingSeriesService');
+const waitlistService = require('../../../services/waitlistService');
+const bookingLineService = require('../../../services/bookingLineService');
+const cancellationPolicyService = require('../../../services/cancellationPolicyService');
+const tipService = require('../../../services/tipService');
+const { actorFromRequest } = require('../../../services/bookingStateMachine');
 const notificationService = require('../../../services/notificationService');
 const { ApiError } = require('../../../middlewares/errorHandler');
 
@@ -233,7 +240,7 @@ const createBooking = async (req, res, next) => {
         };
 
         // Validate required fields
-        if (!bookingData.barberId || !bookingData.serviceId ||
+        if (!bookingData.barberId || bookingLineService.getRequestedServiceIds(bookingData).length === 0 ||
             !bookingData.bookingDate || !bookingData.bookingTime ||
             !bookingData.serviceType) {
             throw new ApiError('Missing required booking information', 400);
@@ -257,6 +264,147 @@ const createBooking = async (req, res, next) => {
     }
 };
 
+/**
+ * Create a recurring booking series
+ * @route POST /api/customers/bookings/recurring
+ * @access Private/Customer
+ */
+const createRecurringBooking = async (req, res, next) => {
+    try {
+        const result = await bookingSeriesService.createSeries({
+            ...req.body,
+            customerId: req.user._id,
+            customerName: `${req.user.firstName} ${req.user.lastName}`,
+            countryId: req.body.countryId || req.user.countryId
+        });
+
+        res.status(201).json({
+            success: true,
+            message: result.conflicts.length
+                ? `Recurring booking created. ${result.conflicts.length} occurrence(s) could not be booked.`
+                : 'Recurring booking created successfully',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get customer's recurring booking series
+ * @route GET /api/customers/bookings/recurring
+ * @access Private/Customer
+ */
+const getRecurringBookings = async (req, res, next) => {
+    try {
+        const series = await bookingSeriesService.getCustomerSeries(req.user._id, {
+            status: req.query.status
+        });
+
+        res.status(200).json({
+            success: true,
+            data: series
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a recurring booking series with its occurrences
+ * @route GET /api/customers/bookings/recurring/:seriesId
+ * @access Private/Customer
+ */
+const getRecurringBooking = async (req, res, next) => {
+    try {
+        const result = await bookingSeriesService.getSeries(req.params.seriesId, actorFromRequest(req));
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Join the waitlist of a fully booked provider or shop
+ * @route POST /api/customers/waitlist
+ * @access Private/Customer
+ */
+const joinWaitlist = async (req, res, next) => {
+    try {
+        const entry = await waitlistService.joinWaitlist(req.user._id, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'You have joined the waitlist. We will notify you when a slot opens up.',
+            data: entry
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get customer's waitlist entries
+ * @route GET /api/customers/waitlist
+ * @access Private/Customer
+ */
+const getMyWaitlist = async (req, res, next) => {
+    try {
+        const entries = await waitlistService.getCustomerEntries(req.user._id, {
+            status: req.query.status
+        });
+
+        res.status(200).json({
+            success: true,
+            data: entries
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Decline the slot held for a waitlist entry
+ * @route POST /api/customers/waitlist/:id/decline
+ * @access Private/Customer
+ */
+const declineWaitlistHold = async (req, res, next) => {
+    try {
+        const entry = await waitlistService.declineHold(req.params.id, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Held slot released. You stay on the waitlist.',
+            data: entry
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Leave the waitlist
+ * @route DELETE /api/customers/waitlist/:id
+ * @access Private/Customer
+ */
+const leaveWaitlist = async (req, res, next) => {
+    try {
+        const entry = await waitlistService.leaveWaitlist(req.params.id, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'You have left the waitlist',
+            data: entry
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Cancel booking with refund if applicable
  * @route POST /api/customer/bookings/:id/cancel
@@ -266,7 +414,17 @@ const cancelBooking = async (req, res, next) => {
     try {
         const { id } = req.params;
         const userId = req.user._id;
-        const { reason } = req.body;
+        const { reason, scope = 'this' } = req.body;
+
+        if (scope !== 'this') {
+            const result = await bookingSeriesService.cancelOccurrences(id, scope, actorFromRequest(req), reason);
+
+            return res.status(200).json({
+                success: true,
+                message: `${result.cancelled.length} booking(s) of the series cancelled.`,
+                data: result
+            });
+        }
 
         const result = await paymentService.cancelAndRefundBooking(id, userId, reason);
 
@@ -275,13 +433,17 @@ const cancelBooking = async (req, res, next) => {
         if (result.refund) {
             message += ` A refund of ${result.refund.amount} ${result.refund.currency.toUpperCase()} has been processed.`;
         }
+        if (result.charge && result.charge.feeAmount > 0) {
+            message += ` A cancellation fee of ${result.charge.feeAmount} applies.`;
+        }
 
         res.status(200).json({
             success: true,
             message,
             data: {
                 booking: result.booking,
-                refund: result.refund
+                refund: result.refund,
+                charge: result.charge
             }
         });
     } catch (error) {
@@ -289,6 +451,25 @@ const cancelBooking = async (req, res, next) => {
     }
 };
 
+/**
+ * Show what cancelling a booking now would cost, before the customer confirms
+ * @route GET /api/customers/bookings/:id/cancellation-preview
+ * @access Private/Customer
+ */
+const getCancellationPreview = async (req, res, next) => {
+    try {
+        const preview = await cancellationPolicyService.previewCancellation(req.params.id, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: preview.message,
+            data: preview
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Rate and review a completed booking
  * @route POST /api/customer/bookings/:id/rate
@@ -335,17 +516,18 @@ const rateBooking = async (req, res, next) => {
  */
 const getAvailableTimeSlots = async (req, res, next) => {
     try {
-        const { barberId, date, serviceId } = req.query;
+        const { barberId, shopId, date } = req.query;
+        const serviceIds = bookingLineService.getRequestedServiceIds(req.query);
 
-        if (!barberId || !date || !serviceId) {
+        if ((!barberId && !shopId) || !date || serviceIds.length === 0) {
             throw new ApiError('Barber ID, date, and service ID are required', 400);
         }
 
-        const slots = await bookingService.getAvailableTimeSlots(
-            barberId,
-            new Date(date),
-            serviceId
-        );
+        // Slots the waitlist holds for this customer are bookable for them
+        const options = { customerId: req.user._id };
+        const slots = barberId
+            ? await bookingService.getAvailableTimeSlots(barberId, new Date(date), serviceIds, options)
+            : await shopSlotService.getAvailableShopTimeSlots(shopId, date, serviceIds, options);
 
         res.status(200).json({
             success: true,
@@ -386,6 +568,35 @@ const processCashPayment = async (req, res, next) => {
     }
 };
 
+/**
+ * Pay for a booking from the customer's wallet
+ * @route POST /api/customer/bookings/:id/pay/wallet
+ * @access Private/Customer
+ */
+const processWalletPayment = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        // Verify booking exists and belongs to user
+        const booking = await bookingService.getBookingById(id);
+
+        if (!booking || booking.customerId.toString() !== userId.toString()) {
+            throw new ApiError('Booking not found or unauthorized', 404);
+        }
+
+        const { payment, wallet } = await paymentService.processWalletPayment(id, userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Booking paid from wallet',
+            data: { payment, balance: wallet.balance }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Create Stripe payment intent for a booking
  * @route POST /api/customer/bookings/:id/pay/card/intent
@@ -404,7 +615,9 @@ const createCardPaymentIntent = async (req, res, next) => {
         }
 
         // Create payment intent
-        const paymentIntent = await paymentService.createPaymentIntent(id, userId);
+        const paymentIntent = await paymentService.createPaymentIntent(id, userId, {
+            promoCode: req.body.promoCode
+        });
 
         res.status(200).json({
             success: true,
@@ -443,6 +656,80 @@ const confirmCardPayment = async (req, res, next) => {
     }
 };
 
+/**
+ * Start a card tip for a completed booking
+ * @route POST /api/customers/bookings/:id/tips/card/intent
+ * @access Private/Customer
+ */
+const createCardTipIntent = async (req, res, next) => {
+    try {
+        const intent = await tipService.createCardTipIntent(req.params.id, req.user._id, req.body);
+
+        res.status(200).json({
+            success: true,
+            data: intent
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Confirm a card tip for a completed booking
+ * @route POST /api/customers/bookings/:id/tips/card/confirm
+ * @access Private/Customer
+ */
+const confirmCardTip = async (req, res, next) => {
+    try {
+        const tip = await tipService.confirmCardTip(req.params.id, req.user._id, req.body.paymentIntentId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Tip paid successfully',
+            data: tip
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Record a cash tip for a completed booking
+ * @route POST /api/customers/bookings/:id/tips/cash
+ * @access Private/Customer
+ */
+const recordCashTip = async (req, res, next) => {
+    try {
+        const tip = await tipService.recordCashTip(req.params.id, req.user._id, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Cash tip recorded',
+            data: tip
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the tips given for a booking
+ * @route GET /api/customers/bookings/:id/tips
+ * @access Private/Customer
+ */
+const getBookingTips = async (req, res, next) => {
+    try {
+        const tips = await tipService.getBookingTips(req.params.id, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: tips
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Get upcoming bookings
  * @route GET /api/customer/bookings/upcoming
@@ -512,13 +799,26 @@ module.exports = {
     getMyBookings,
     getBookingDetails,
     createBooking,
+    createRecurringBooking,
+    getRecurringBookings,
+    getRecurringBooking,
+    joinWaitlist,
+    getMyWaitlist,
+    declineWaitlistHold,
+    leaveWaitlist,
     cancelBooking,
+    getCancellationPreview,
     rateBooking,
     getAvailableTimeSlots,
     getShopAvailability,
     processCashPayment,
+    processWalletPayment,
     createCardPaymentIntent,
     confirmCardPayment,
+    createCardTipIntent,
+    confirmCardTip,
+    recordCashTip,
+    getBookingTips,
     getUpcomingBookings,
     getPastBookings
 };
\ No newline at end of file
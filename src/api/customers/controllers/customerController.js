@@ -1,5 +1,6 @@
 // src/api/customers/controllers/customerController.js
 const customerService = require('../../../services/customerService');
+const walletService = require('../../../services/walletService');
 const { ApiError } = require('../../../middlewares/errorHandler');
 const { EMPLOYMENT_TYPES } = require('../../../models/User');
 
@@ -144,6 +145,48 @@ const updateCustomerProfile = async (req, res, next) => {
     }
 };
 
+/**
+ * Send a code to verify the customer's phone number
+ * @route POST /api/customers/phone/send-otp
+ * @access Private/Customer
+ */
+const sendPhoneVerification = async (req, res, next) => {
+    try {
+        const delivery = await customerService.sendPhoneVerification(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Verification code sent to your phone',
+            data: delivery
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Verify the customer's phone number
+ * @route POST /api/customers/phone/verify
+ * @access Private/Customer
+ */
+const verifyPhone = async (req, res, next) => {
+    try {
+        const customer = await customerService.verifyPhone(req.user._id, req.body.otp);
+
+        res.status(200).json({
+            success: true,
+            message: 'Phone number verified successfully',
+            data: {
+                phoneNumber: customer.phoneNumber,
+                phoneVerified: customer.phoneVerified,
+                phoneVerifiedAt: customer.phoneVerifiedAt
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Add address to customer
  * @route POST /api/customers/addresses
@@ -482,6 +525,82 @@ const searchBarbersNearby = async (req, res, next) => {
     }
 };
 
+/**
+ * Get the wallet balance of the current customer
+ * @route GET /api/customers/wallet
+ * @access Private/Customer
+ */
+const getWallet = async (req, res, next) => {
+    try {
+        const wallet = await walletService.getWallet(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: wallet
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the wallet transactions of the current customer
+ * @route GET /api/customers/wallet/transactions
+ * @access Private/Customer
+ */
+const getWalletTransactions = async (req, res, next) => {
+    try {
+        const { type, page, limit } = req.query;
+
+        const result = await walletService.getTransactions(req.user._id, { type, page, limit });
+
+        res.status(200).json({
+            success: true,
+            data: result.transactions,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Start a card top-up of the current customer's wallet
+ * @route POST /api/customers/wallet/top-up/intent
+ * @access Private/Customer
+ */
+const createWalletTopUpIntent = async (req, res, next) => {
+    try {
+        const intent = await walletService.createTopUpIntent(req.user._id, req.body.amount);
+
+        res.status(200).json({
+            success: true,
+            data: intent
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Confirm a paid top-up and credit the current customer's wallet
+ * @route POST /api/customers/wallet/top-up/confirm
+ * @access Private/Customer
+ */
+const confirmWalletTopUp = async (req, res, next) => {
+    try {
+        const { wallet, transaction } = await walletService.confirmTopUp(req.user._id, req.body.paymentIntentId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Wallet topped up successfully',
+            data: { wallet, transaction }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = {
     getCustomers,
     getCustomerById,
@@ -489,6 +608,8 @@ module.exports = {
     getCustomerProfile,
     createCustomerProfile,
     updateCustomerProfile,
+    sendPhoneVerification,
+    verifyPhone,
     addAddress,
     updateAddress,
     deleteAddress,
@@ -497,5 +618,9 @@ module.exports = {
     removeFavoriteShop,
     addFavoriteBarber,
     removeFavoriteBarber,
-    searchShopsNearby: searchBarbersNearby
+    searchShopsNearby: searchBarbersNearby,
+    getWallet,
+    getWalletTransactions,
+    createWalletTopUpIntent,
+    confirmWalletTopUp
 };
\ No newline at end of file
@@ -154,6 +154,71 @@ router.put('/profile',
     customerController.updateCustomerProfile
 );
 
+// Phone verification
+/**
+ * @swagger
+ * /api/customers/phone/send-otp:
+ *   post:
+ *     tags: [Customer]
+ *     summary: Send a code by SMS to verify the customer's phone number
+ *     description: Changing the phone number marks it unverified again. A new code can be requested once a minute.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Code sent; returns the masked phone number, expiry and when a new code can be requested
+ *       400:
+ *         description: Phone number is already verified
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: A code was sent too recently, or too many incorrect codes were entered
+ *       500:
+ *         description: Server error
+ */
+router.post('/phone/send-otp',
+    authorize('customer'),
+    customerController.sendPhoneVerification
+);
+
+/**
+ * @swagger
+ * /api/customers/phone/verify:
+ *   post:
+ *     tags: [Customer]
+ *     summary: Verify the customer's phone number with the code sent to it
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - otp
+ *             properties:
+ *               otp:
+ *                 type: string
+ *                 example: "482913"
+ *     responses:
+ *       200:
+ *         description: Phone number verified
+ *       400:
+ *         description: Invalid, expired or used code, or the phone number changed since it was sent
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Too many incorrect codes; locked out for a while
+ *       500:
+ *         description: Server error
+ */
+router.post('/phone/verify',
+    authorize('customer'),
+    validate(customerSchemas.verifyPhone),
+    customerController.verifyPhone
+);
+
 // Address management
 /**
  * @swagger
@@ -666,30 +731,57 @@ router.get('/bookings/past', authorize('customer'), customerBookingController.ge
 
 /**
  * @swagger
- * /api/customers/bookings/{id}:
+ * /api/customers/bookings/recurring:
  *   get:
  *     tags: [Customer]
- *     summary: Get booking details
+ *     summary: Get recurring booking series
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, cancelled]
+ *         description: Filter by series status
+ *     responses:
+ *       200:
+ *         description: Recurring bookings retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/bookings/recurring', authorize('customer'), customerBookingController.getRecurringBookings);
+
+/**
+ * @swagger
+ * /api/customers/bookings/recurring/{seriesId}:
+ *   get:
+ *     tags: [Customer]
+ *     summary: Get a recurring booking series with its occurrences
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: seriesId
  *         required: true
  *         schema:
  *           type: string
- *         description: Booking ID
+ *         description: Series ID
  *     responses:
  *       200:
- *         description: Booking details retrieved successfully
+ *         description: Recurring booking retrieved successfully
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Series belongs to another customer
  *       404:
- *         description: Booking not found
+ *         description: Series not found
  *       500:
  *         description: Server error
  */
-router.get('/bookings/:id', authorize('customer'), customerBookingController.getBookingDetails);
+router.get('/bookings/recurring/:seriesId', authorize('customer'), customerBookingController.getRecurringBooking);
 
 /**
  * @swagger
@@ -697,6 +789,7 @@ router.get('/bookings/:id', authorize('customer'), customerBookingController.get
  *   get:
  *     tags: [Customer]
  *     summary: Get available time slots
+ *     description: Slots held for the customer from the waitlist are included.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -711,6 +804,11 @@ router.get('/bookings/:id', authorize('customer'), customerBookingController.get
  *           type: string
  *         description: Service ID
  *       - in: query
+ *         name: serviceIds
+ *         schema:
+ *           type: string
+ *         description: Comma-separated service IDs booked together, in order
+ *       - in: query
  *         name: date
  *         schema:
  *           type: string
@@ -720,7 +818,7 @@ router.get('/bookings/:id', authorize('customer'), customerBookingController.get
  *         name: shopId
  *         schema:
  *           type: string
- *         description: Shop ID
+ *         description: Shop ID, for shop-wide slots when no barberId is given
  *     responses:
  *       200:
  *         description: Available slots retrieved successfully
@@ -733,6 +831,33 @@ router.get('/bookings/:id', authorize('customer'), customerBookingController.get
  */
 router.get('/bookings/available-slots', authorize('customer'), customerBookingController.getAvailableTimeSlots);
 
+/**
+ * @swagger
+ * /api/customers/bookings/{id}:
+ *   get:
+ *     tags: [Customer]
+ *     summary: Get booking details
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Booking details retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Booking not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/bookings/:id', authorize('customer'), customerBookingController.getBookingDetails);
+
 /**
  * @swagger
  * /api/customers/shop-availability/{shopId}:
@@ -793,6 +918,12 @@ router.get('/shop-availability/:shopId', authorize('customer'), customerBookingC
  *               serviceId:
  *                 type: string
  *                 description: Service ID (MongoDB ObjectId)
+ *               serviceIds:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                 description: Several services in one appointment, performed back to back (replaces serviceId)
  *               serviceType:
  *                 type: string
  *                 enum: [shopBased, homeBased]
@@ -849,10 +980,12 @@ router.get('/shop-availability/:shopId', authorize('customer'), customerBookingC
  *                   postalCode:
  *                     type: string
  *                 # optional
+ *               promoCode:
+ *                 type: string
+ *                 description: Promo code to discount the booking with; the booking fails if the code cannot be used
  *             required:
  *               - customerId
  *               - barberId
- *               - serviceId
  *               - serviceType
  *               - bookingDate
  *               - bookingTime
@@ -874,6 +1007,122 @@ router.post('/bookings',
     customerBookingController.createBooking
 );
 
+/**
+ * @swagger
+ * /api/customers/bookings/recurring:
+ *   post:
+ *     tags: [Customer]
+ *     summary: Create a recurring booking series
+ *     description: |
+ *       Books the same service and time weekly, every two weeks or monthly.
+ *       Every occurrence is checked like a single booking; occurrences that
+ *       cannot be booked are returned in `conflicts` and skipped.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               barberId:
+ *                 type: string
+ *               serviceId:
+ *                 type: string
+ *               serviceIds:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *               serviceType:
+ *                 type: string
+ *                 enum: [shopBased, homeBased]
+ *               bookingDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Date of the first occurrence (YYYY-MM-DD)
+ *               bookingTime:
+ *                 type: object
+ *                 properties:
+ *                   hour:
+ *                     type: integer
+ *                   minute:
+ *                     type: integer
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *               recurrence:
+ *                 type: object
+ *                 description: Provide either endDate or count
+ *                 properties:
+ *                   frequency:
+ *                     type: string
+ *                     enum: [weekly, biweekly, monthly]
+ *                   endDate:
+ *                     type: string
+ *                     format: date
+ *                   count:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 52
+ *                 required:
+ *                   - frequency
+ *             required:
+ *               - barberId
+ *               - serviceType
+ *               - bookingDate
+ *               - bookingTime
+ *               - recurrence
+ *     responses:
+ *       201:
+ *         description: Series created; `data` holds the series, the booked occurrences and the conflicts
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: None of the occurrences could be booked
+ *       500:
+ *         description: Server error
+ */
+router.post('/bookings/recurring',
+    authorize('customer'),
+    validate(bookingSchemas.createRecurringBooking),
+    customerBookingController.createRecurringBooking
+);
+
+/**
+ * @swagger
+ * /api/customers/bookings/{id}/cancellation-preview:
+ *   get:
+ *     tags: [Customer]
+ *     summary: Preview the refund and fees of cancelling a booking now
+ *     description: Evaluates the cancellation policy of the booking's shop or country without cancelling anything.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: "`data` holds canCancel, the outcome (feeAmount, refundAmount, outstandingAmount) and the policy"
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Booking belongs to another customer
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/bookings/:id/cancellation-preview',
+    authorize('customer'),
+    customerBookingController.getCancellationPreview
+);
+
 // Cancel booking with validation
 /**
  * @swagger
@@ -900,11 +1149,16 @@ router.post('/bookings',
  *                 type: string
  *                 maxLength: 500
  *                 description: Cancellation reason # optional
+ *               scope:
+ *                 type: string
+ *                 enum: [this, following, series]
+ *                 default: this
+ *                 description: For recurring bookings, cancel this occurrence, this and the following ones, or the whole series
  *     responses:
  *       200:
- *         description: Booking cancelled successfully
+ *         description: Booking cancelled; `data.charge` holds the fee and refund of the cancellation policy
  *       400:
- *         description: Validation error or booking cannot be cancelled
+ *         description: Validation error, or too late to cancel under the cancellation policy
  *       401:
  *         description: Unauthorized
  *       404:
@@ -1014,6 +1268,7 @@ router.post('/bookings/:id/pay/cash',
  *   post:
  *     tags: [Customer]
  *     summary: Create payment intent for card payment
+ *     description: The intent is created with the payment gateway of the booking's country (Stripe by default); `gateway` in the response names it.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -1023,6 +1278,15 @@ router.post('/bookings/:id/pay/cash',
  *         schema:
  *           type: string
  *         description: Booking ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               promoCode:
+ *                 type: string
+ *                 description: Promo code to apply if the booking has none; `amount` in the response is after the discount
  *     responses:
  *       200:
  *         description: Payment intent created successfully
@@ -1067,7 +1331,7 @@ router.post('/bookings/:id/pay/card/intent',
  *             properties:
  *               paymentIntentId:
  *                 type: string
- *                 description: Stripe payment intent ID
+ *                 description: Payment intent ID from the gateway that created it
  *               bookingId:
  *                 type: string
  *                 description: Booking ID (MongoDB ObjectId)
@@ -1094,6 +1358,472 @@ router.post('/bookings/:id/pay/card/confirm',
     customerBookingController.confirmCardPayment
 );
 
+/**
+ * @swagger
+ * /api/customers/bookings/{id}/pay/wallet:
+ *   post:
+ *     tags: [Customer]
+ *     summary: Pay for booking from the wallet
+ *     description: The booking is paid and confirmed at once when the wallet balance covers it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Booking paid from wallet
+ *       400:
+ *         description: Insufficient wallet balance or booking already paid
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Booking not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/bookings/:id/pay/wallet',
+    authorize('customer'),
+    validate(paymentSchemas.processWalletPayment),
+    customerBookingController.processWalletPayment
+);
+
+// Tips for completed bookings, paid to the provider without a platform fee
+/**
+ * @swagger
+ * /api/customers/bookings/{id}/tips/card/intent:
+ *   post:
+ *     tags: [Customer]
+ *     summary: Start a card tip for a completed booking
+ *     description: Creates a separate card charge on the gateway of the booking's country. The provider receives the whole tip.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Tip amount, at most 1000
+ *               note:
+ *                 type: string
+ *                 description: Optional note for the provider
+ *             required:
+ *               - amount
+ *     responses:
+ *       200:
+ *         description: Tip payment intent created
+ *       400:
+ *         description: Booking is not completed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Booking not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/bookings/:id/tips/card/intent',
+    authorize('customer'),
+    validate(paymentSchemas.createTip),
+    customerBookingController.createCardTipIntent
+);
+
+/**
+ * @swagger
+ * /api/customers/bookings/{id}/tips/card/confirm:
+ *   post:
+ *     tags: [Customer]
+ *     summary: Confirm a card tip
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paymentIntentId:
+ *                 type: string
+ *                 description: Payment intent ID returned when the tip was started
+ *             required:
+ *               - paymentIntentId
+ *     responses:
+ *       200:
+ *         description: Tip paid successfully
+ *       400:
+ *         description: Tip payment has not been completed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tip not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/bookings/:id/tips/card/confirm',
+    authorize('customer'),
+    validate(paymentSchemas.confirmTip),
+    customerBookingController.confirmCardTip
+);
+
+/**
+ * @swagger
+ * /api/customers/bookings/{id}/tips/cash:
+ *   post:
+ *     tags: [Customer]
+ *     summary: Record a cash tip for a completed booking
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Tip amount, at most 1000
+ *               note:
+ *                 type: string
+ *                 description: Optional note for the provider
+ *             required:
+ *               - amount
+ *     responses:
+ *       201:
+ *         description: Cash tip recorded
+ *       400:
+ *         description: Booking is not completed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Booking not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/bookings/:id/tips/cash',
+    authorize('customer'),
+    validate(paymentSchemas.createTip),
+    customerBookingController.recordCashTip
+);
+
+/**
+ * @swagger
+ * /api/customers/bookings/{id}/tips:
+ *   get:
+ *     tags: [Customer]
+ *     summary: Get the tips given for a booking
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Tips of the booking
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Booking not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/bookings/:id/tips',
+    authorize('customer'),
+    customerBookingController.getBookingTips
+);
+
+// Wallet balance, history and top-ups
+/**
+ * @swagger
+ * /api/customers/wallet:
+ *   get:
+ *     tags: [Customer]
+ *     summary: Get wallet balance
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wallet retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/wallet', authorize('customer'), customerController.getWallet);
+
+/**
+ * @swagger
+ * /api/customers/wallet/transactions:
+ *   get:
+ *     tags: [Customer]
+ *     summary: Get wallet transaction history
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [top_up, payment, refund_credit, goodwill_credit]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Transactions retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/wallet/transactions', authorize('customer'), customerController.getWalletTransactions);
+
+/**
+ * @swagger
+ * /api/customers/wallet/top-up/intent:
+ *   post:
+ *     tags: [Customer]
+ *     summary: Create payment intent to top up the wallet by card
+ *     description: The intent is created with the payment gateway of the customer's country; `gateway` in the response names it.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Top-up amount
+ *             required:
+ *               - amount
+ *     responses:
+ *       200:
+ *         description: Payment intent created successfully
+ *       400:
+ *         description: Invalid amount or inactive wallet
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/wallet/top-up/intent',
+    authorize('customer'),
+    validate(paymentSchemas.createWalletTopUp),
+    customerController.createWalletTopUpIntent
+);
+
+/**
+ * @swagger
+ * /api/customers/wallet/top-up/confirm:
+ *   post:
+ *     tags: [Customer]
+ *     summary: Confirm a wallet top-up
+ *     description: Credits the wallet once the gateway reports the top-up paid. Confirming the same top-up again does not credit it twice.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paymentIntentId:
+ *                 type: string
+ *                 description: Payment intent ID from the top-up intent
+ *             required:
+ *               - paymentIntentId
+ *     responses:
+ *       200:
+ *         description: Wallet topped up successfully
+ *       400:
+ *         description: Top-up not paid or not for this wallet
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/wallet/top-up/confirm',
+    authorize('customer'),
+    validate(paymentSchemas.confirmWalletTopUp),
+    customerController.confirmWalletTopUp
+);
+
+// Waitlist for fully booked providers and shops
+/**
+ * @swagger
+ * /api/customers/waitlist:
+ *   post:
+ *     tags: [Customer]
+ *     summary: Join the waitlist of a provider or shop
+ *     description: |
+ *       When a matching booking is cancelled, waitlisters are notified in the
+ *       order they joined and the freed slot is held for them for a limited time.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               barberId:
+ *                 type: string
+ *                 description: Provider ID (barber, freelancer or shop owner)
+ *               shopId:
+ *                 type: string
+ *                 description: Shop ID, to wait for any provider of the shop
+ *               serviceId:
+ *                 type: string
+ *               dateFrom:
+ *                 type: string
+ *                 format: date
+ *               dateTo:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day of the window (defaults to dateFrom, at most 30 days)
+ *             required:
+ *               - serviceId
+ *               - dateFrom
+ *     responses:
+ *       201:
+ *         description: Joined the waitlist
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Provider, shop or service not found
+ *       409:
+ *         description: Already on the waitlist for these dates
+ *       500:
+ *         description: Server error
+ *   get:
+ *     tags: [Customer]
+ *     summary: Get my waitlist entries
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, offered, booked, expired, cancelled]
+ *     responses:
+ *       200:
+ *         description: Waitlist entries retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/waitlist',
+    authorize('customer'),
+    validate(bookingSchemas.joinWaitlist),
+    customerBookingController.joinWaitlist
+);
+router.get('/waitlist', authorize('customer'), customerBookingController.getMyWaitlist);
+
+/**
+ * @swagger
+ * /api/customers/waitlist/{id}/decline:
+ *   post:
+ *     tags: [Customer]
+ *     summary: Release the slot held for me and keep waiting
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Waitlist entry ID
+ *     responses:
+ *       200:
+ *         description: Held slot released
+ *       400:
+ *         description: No slot is held for this entry
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Waitlist entry not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/waitlist/:id/decline', authorize('customer'), customerBookingController.declineWaitlistHold);
+
+/**
+ * @swagger
+ * /api/customers/waitlist/{id}:
+ *   delete:
+ *     tags: [Customer]
+ *     summary: Leave the waitlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Waitlist entry ID
+ *     responses:
+ *       200:
+ *         description: Left the waitlist
+ *       400:
+ *         description: Entry is no longer active
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Waitlist entry not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/waitlist/:id', authorize('customer'), customerBookingController.leaveWaitlist);
+
 // Parameterized routes - MUST be after specific routes
 /**
  * @swagger
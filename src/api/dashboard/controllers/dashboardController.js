@@ -9,6 +9,8 @@ const Barber = require('../../../models/Barber');
 const Freelancer = require('../../../models/Freelancer');
 const ShopOwner = require('../../../models/ShopOwner');
 const Payment = require('../../../models/Payment');
+const Tip = require('../../../models/Tip');
+const bookingLineService = require('../../../services/bookingLineService');
 const { ApiError } = require('../../../middlewares/errorHandler');
 
 /**
@@ -204,6 +206,7 @@ const getCustomerBookingData = async (userId) => {
         recent: recentBookings.map(booking => ({
             id: booking._id,
             serviceName: booking.serviceName || booking.serviceId?.title || 'Unknown Service',
+            services: bookingLineService.getServiceLines(booking),
             barberName: booking.barberId ? `${booking.barberId.firstName || 'Unknown'} ${booking.barberId.lastName || ''}`.trim() : 'Unknown Barber',
             shopName: booking.shopId?.name,
             date: booking.bookingDate,
@@ -357,6 +360,7 @@ const getBarberBookingData = async (barberId) => {
                 'Unknown Customer',
             customerPhone: booking.customerId?.phoneNumber || 'N/A',
             serviceName: booking.serviceName || booking.serviceId?.title || 'Unknown Service',
+            services: bookingLineService.getServiceLines(booking),
             date: booking.bookingDate,
             time: booking.bookingTime,
             status: booking.status === 'rejected_barber' ? 'pending' : booking.status,
@@ -367,9 +371,11 @@ const getBarberBookingData = async (barberId) => {
 };
 
 /**
- * Get optimized earnings data for barber dashboard
+ * Get optimized earnings data for barber and freelancer dashboards
+ * @param {string} providerId - Barber or freelancer ID
+ * @param {string} [providerModel] - Barber or Freelancer
  */
-const getBarberEarningsData = async (barberId) => {
+const getBarberEarningsData = async (providerId, providerModel = 'Barber') => {
     const now = new Date();
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
@@ -379,20 +385,27 @@ const getBarberEarningsData = async (barberId) => {
     const earningsResult = await Payment.aggregate([
         {
             $match: {
-                providerId: barberId,
-                providerModel: 'Barber',
-                status: { $in: ['completed', 'processing'] }
+                providerId,
+                providerModel,
+                status: { $in: ['completed', 'processing', 'partially_refunded'] }
+            }
+        },
+        {
+            // Partial refunds are not earned
+            $addFields: {
+                earned: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] }
             }
         },
         {
             $group: {
                 _id: null,
-                total: { $sum: '$amount' },
+                total: { $sum: '$earned' },
+                platformFees: { $sum: { $ifNull: ['$commission.amount', 0] } },
                 today: {
                     $sum: {
                         $cond: [
                             { $gte: ['$createdAt', today] },
-                            '$amount',
+                            '$earned',
                             0
                         ]
                     }
@@ -401,7 +414,7 @@ const getBarberEarningsData = async (barberId) => {
                     $sum: {
                         $cond: [
                             { $gte: ['$createdAt', weekAgo] },
-                            '$amount',
+                            '$earned',
                             0
                         ]
                     }
@@ -410,7 +423,7 @@ const getBarberEarningsData = async (barberId) => {
                     $sum: {
                         $cond: [
                             { $gte: ['$createdAt', monthAgo] },
-                            '$amount',
+                            '$earned',
                             0
                         ]
                     }
@@ -421,11 +434,44 @@ const getBarberEarningsData = async (barberId) => {
 
     const earnings = earningsResult.length > 0 ? earningsResult[0] : {
         total: 0,
+        platformFees: 0,
         today: 0,
         thisWeek: 0,
         thisMonth: 0
     };
 
+    // What the provider keeps after the platform commission
+    // Tips carry no platform commission and are kept in full
+    const tipsResult = await Tip.aggregate([
+        {
+            $match: {
+                providerId,
+                providerModel,
+                status: 'completed'
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                total: { $sum: '$amount' },
+                today: { $sum: { $cond: [{ $gte: ['$paidAt', today] }, '$amount', 0] } },
+                thisWeek: { $sum: { $cond: [{ $gte: ['$paidAt', weekAgo] }, '$amount', 0] } },
+                thisMonth: { $sum: { $cond: [{ $gte: ['$paidAt', monthAgo] }, '$amount', 0] } }
+            }
+        }
+    ]);
+
+    const { _id, ...tips } = tipsResult.length > 0 ? tipsResult[0] : {
+        total: 0,
+        today: 0,
+        thisWeek: 0,
+        thisMonth: 0
+    };
+    earnings.tips = tips;
+
+    // What the provider keeps after the platform commission
+    earnings.net = Math.round((earnings.total - earnings.platformFees + tips.total) * 100) / 100;
+
     return earnings;
 };
 
@@ -446,7 +492,7 @@ const getFreelancerDashboard = async (userId) => {
         // Get booking data and earnings in optimized queries
         const [bookingData, earningsData] = await Promise.all([
             getBarberBookingData(freelancer._id), // Reuse barber function since freelancers use same model
-            getBarberEarningsData(freelancer._id)  // Reuse barber function
+            getBarberEarningsData(freelancer._id, 'Freelancer')
         ]);
 
         // Get recent notifications
@@ -521,14 +567,14 @@ const getShopOwnerDashboard = async (userId) => {
                     $match: {
                         providerId: { $in: shopIds },
                         providerModel: 'Shop',
-                        status: 'completed',
+                        status: { $in: ['completed', 'partially_refunded'] },
                         createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
                     }
                 },
                 {
                     $group: {
                         _id: null,
-                        total: { $sum: '$amount' }
+                        total: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } }
                     }
                 }
             ]).then(result => result[0]?.total || 0),
@@ -537,14 +583,14 @@ const getShopOwnerDashboard = async (userId) => {
                     $match: {
                         providerId: { $in: shopIds },
                         providerModel: 'Shop',
-                        status: 'completed',
+                        status: { $in: ['completed', 'partially_refunded'] },
                         createdAt: { $gte: new Date(Date.now() - 365 * 24 * 60 * 60 * 1000) }
                     }
                 },
                 {
                     $group: {
                         _id: null,
-                        total: { $sum: '$amount' }
+                        total: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } }
                     }
                 }
             ]).then(result => result[0]?.total || 0)
@@ -565,6 +611,7 @@ const getShopOwnerDashboard = async (userId) => {
                     barberName: booking.barberId ? `${booking.barberId.firstName || 'Unknown'}` : 'Unknown Barber',
                     shopName: shops.find(shop => shop._id.toString() === booking.shopId.toString())?.name || 'Unknown Shop',
                     serviceName: booking.serviceName || 'Unknown Service',
+                    services: bookingLineService.getServiceLines(booking),
                     date: booking.bookingDate,
                     time: booking.bookingTime,
                     status: booking.status === 'rejected_barber' ? 'pending' : booking.status,
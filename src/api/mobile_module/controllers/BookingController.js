@@ -1,12 +1,13 @@
 
 const Booking = require("../../../models/Booking");
 const { updateBookingStatus } = require("../../../services/bookingService");
+const bookingStateMachine = require("../../../services/bookingStateMachine");
 
 const updateStatus = async (req, res, next) => {
     try {
         const { id } = req.params;
         const { status, reason } = req.body;
-        const updatedBooking = await updateBookingStatus(id, status, reason);
+        const updatedBooking = await updateBookingStatus(id, status, reason, bookingStateMachine.actorFromRequest(req));
 
         res.status(200).json({
             success: true,
@@ -30,7 +30,7 @@ router.use(authenticate);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, confirmed, in_progress, completed, cancelled, noShow, rejected]
+ *                 enum: [pending, assigned, reassigned, confirmed, completed, cancelled, noShow, rejected, rejected_barber, freelancer_rejected, rescheduled]
  *                 description: New booking status
  *               reason:
  *                 type: string
@@ -45,9 +45,11 @@ router.use(authenticate);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - insufficient permissions
+ *         description: Forbidden - role may not perform this status change
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: Illegal status transition for the booking's current status
  *       500:
  *         description: Server error
  */
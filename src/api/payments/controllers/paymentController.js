@@ -1,6 +1,8 @@
 // src/api/payments/controllers/paymentController.js
 const paymentService = require('../../../services/paymentService');
 const notificationService = require('../../../services/notificationService');
+const stripeWebhookService = require('../../../services/stripeWebhookService');
+const Shop = require('../../../models/Shop');
 const { ApiError } = require('../../../middlewares/errorHandler');
 
 /**
@@ -23,8 +25,11 @@ const getPaymentById = async (req, res, next) => {
         const isShopOwner = payment.providerModel === 'Shop' &&
             req.user.role === 'shop_owner' &&
             req.shopOwner;
+        const isFreelancer = payment.providerModel === 'Freelancer' &&
+            req.user.role === 'freelancer' &&
+            String(payment.providerId?._id) === req.user._id.toString();
 
-        if (!isCustomer && !isAdmin && !isProvider && !isShopOwner) {
+        if (!isCustomer && !isAdmin && !isProvider && !isShopOwner && !isFreelancer) {
             throw new ApiError('You are not authorized to view this payment', 403);
         }
 
@@ -57,8 +62,11 @@ const getPaymentByUid = async (req, res, next) => {
         const isShopOwner = payment.providerModel === 'Shop' &&
             req.user.role === 'shop_owner' &&
             req.shopOwner;
+        const isFreelancer = payment.providerModel === 'Freelancer' &&
+            req.user.role === 'freelancer' &&
+            String(payment.providerId?._id) === req.user._id.toString();
 
-        if (!isCustomer && !isAdmin && !isProvider && !isShopOwner) {
+        if (!isCustomer && !isAdmin && !isProvider && !isShopOwner && !isFreelancer) {
             throw new ApiError('You are not authorized to view this payment', 403);
         }
 
@@ -154,7 +162,7 @@ const updatePaymentStatus = async (req, res, next) => {
 const refundPayment = async (req, res, next) => {
     try {
         const { id } = req.params;
-        const { amount, reason } = req.body;
+        const { amount, reasonCode, reason, toWallet } = req.body;
 
         // First get payment to check authorization
         const payment = await paymentService.getPaymentById(id);
@@ -168,29 +176,37 @@ const refundPayment = async (req, res, next) => {
         const isShopOwner = payment.providerModel === 'Shop' &&
             req.user.role === 'shop_owner' &&
             req.shopOwner;
+        const isFreelancer = payment.providerModel === 'Freelancer' &&
+            req.user.role === 'freelancer' &&
+            String(payment.providerId?._id) === req.user._id.toString();
 
-        if (!isAdmin && !isProvider && !isShopOwner) {
+        if (!isAdmin && !isProvider && !isShopOwner && !isFreelancer) {
             throw new ApiError('You are not authorized to refund this payment', 403);
         }
 
         // Process refund
         const refundData = {
             amount,
-            reason
+            reasonCode,
+            reason,
+            refundedBy: req.user._id,
+            toWallet
         };
 
         const refundedPayment = await paymentService.refundPayment(id, refundData);
 
         // Send notification to customer
         await notificationService.sendPaymentNotification(
-            payment.customerId.toString(),
+            payment.customerId._id.toString(),
             refundedPayment,
-            'refunded'
+            refundedPayment.status
         );
 
         res.status(200).json({
             success: true,
-            message: 'Payment refunded successfully',
+            message: refundedPayment.status === 'refunded'
+                ? 'Payment refunded successfully'
+                : 'Payment partially refunded successfully',
             data: refundedPayment
         });
     } catch (error) {
@@ -198,6 +214,67 @@ const refundPayment = async (req, res, next) => {
     }
 };
 
+/**
+ * Get the refund history of a payment
+ * @route GET /api/payments/:id/refunds
+ * @access Private
+ */
+const getPaymentRefunds = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        // First get payment to check authorization
+        const payment = await paymentService.getPaymentById(id);
+
+        // The provider is populated unless its profile was removed
+        const providerId = payment.providerId && (payment.providerId._id || payment.providerId);
+        const isCustomer = payment.customerId._id.toString() === req.user._id.toString();
+        const isAdmin = req.user.role === 'admin';
+        const isProvider = payment.providerModel === 'Barber' &&
+            req.user.role === 'barber' &&
+            String(providerId) === req.user._id.toString();
+        const isShopOwner = payment.providerModel === 'Shop' &&
+            req.user.role === 'shop_owner' &&
+            !!providerId &&
+            !!(await Shop.exists({ _id: providerId, ownerId: req.user._id }));
+        const isFreelancer = payment.providerModel === 'Freelancer' &&
+            req.user.role === 'freelancer' &&
+            String(providerId) === req.user._id.toString();
+
+        if (!isCustomer && !isAdmin && !isProvider && !isShopOwner && !isFreelancer) {
+            throw new ApiError('You are not authorized to view this payment', 403);
+        }
+
+        const refunds = await paymentService.getPaymentRefunds(id);
+
+        res.status(200).json({
+            success: true,
+            data: refunds
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Add refunds made on Stripe that are missing from a payment
+ * @route POST /api/payments/:id/refunds/reconcile
+ * @access Private/Admin
+ */
+const reconcilePaymentRefunds = async (req, res, next) => {
+    try {
+        const { payment, added } = await paymentService.reconcilePaymentRefunds(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            message: `${added.length} refund(s) added from Stripe`,
+            data: payment
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Get payments by customer
  * @route GET /api/payments/customer
@@ -247,8 +324,11 @@ const getProviderPayments = async (req, res, next) => {
         const isShopOwner = providerModel === 'Shop' &&
             req.user.role === 'shop_owner' &&
             req.shopOwner;
+        const isFreelancer = providerModel === 'Freelancer' &&
+            req.user.role === 'freelancer' &&
+            providerId === req.user._id.toString();
 
-        if (!isAdmin && !isProvider && !isShopOwner) {
+        if (!isAdmin && !isProvider && !isShopOwner && !isFreelancer) {
             throw new ApiError('You are not authorized to view these payments', 403);
         }
 
@@ -273,19 +353,20 @@ const getProviderPayments = async (req, res, next) => {
 };
 
 /**
- * Get payment statistics
+ * Get payment statistics, converted into the currency given (REPORTING_CURRENCY by default)
  * @route GET /api/payments/statistics
  * @access Private
  */
 const getPaymentStatistics = async (req, res, next) => {
     try {
-        const { providerId, providerModel, customerId, startDate, endDate } = req.query;
+        const { providerId, providerModel, customerId, startDate, endDate, currency } = req.query;
 
         // Check authorization
         const isAdmin = req.user.role === 'admin';
         const isUserRequestingOwnStats =
             (providerId && providerModel === 'Barber' && req.user.role === 'barber' && req.barber && providerId === req.barber._id.toString()) ||
             (providerId && providerModel === 'Shop' && req.user.role === 'shop_owner' && req.shopOwner) ||
+            (providerId && providerModel === 'Freelancer' && req.user.role === 'freelancer' && providerId === req.user._id.toString()) ||
             (customerId && customerId === req.user._id.toString());
 
         if (!isAdmin && !isUserRequestingOwnStats) {
@@ -297,7 +378,8 @@ const getPaymentStatistics = async (req, res, next) => {
             providerModel,
             customerId,
             startDate,
-            endDate
+            endDate,
+            reportingCurrency: currency
         };
 
         const statistics = await paymentService.getPaymentStatistics(options);
@@ -312,39 +394,30 @@ const getPaymentStatistics = async (req, res, next) => {
 };
 
 /**
- * Handle Stripe webhook
+ * Handle Stripe webhook. The signature is checked against the raw body and
+ * each event is processed once; failed events are kept for replay.
  * @route POST /api/payments/webhook
  * @access Public
  */
 const handleStripeWebhook = async (req, res, next) => {
     try {
-        const sig = req.headers['stripe-signature'];
-
-        if (!sig) {
-            throw new ApiError('Stripe signature is required', 400);
-        }
-
-        // Get the raw request body as a buffer
-        const rawBody = req.rawBody;
-
-        if (!rawBody) {
-            throw new ApiError('Raw request body not available', 400);
-        }
-
-        const result = await paymentService.handleStripeWebhook(req.body);
+        const { event, duplicate } = await stripeWebhookService.handleWebhook(
+            req.rawBody,
+            req.headers['stripe-signature']
+        );
 
+        // Processing failures are answered with 200 too: Stripe would only
+        // retry them, while admins can replay them from the event log
         res.status(200).json({
             success: true,
-            message: 'Webhook handled successfully'
+            message: duplicate ? 'Webhook already received' : 'Webhook handled successfully',
+            data: {
+                eventId: event.eventId,
+                status: event.status
+            }
         });
     } catch (error) {
-        logger.error(`Stripe webhook error: ${error.message}`);
-
-        // Return a 200 response to avoid Stripe retrying
-        res.status(200).json({
-            success: false,
-            message: 'Webhook handling failed'
-        });
+        next(error);
     }
 };
 
@@ -354,6 +427,8 @@ module.exports = {
     createPayment,
     updatePaymentStatus,
     refundPayment,
+    getPaymentRefunds,
+    reconcilePaymentRefunds,
     getCustomerPayments,
     getProviderPayments,
     getPaymentStatistics,
@@ -1,7 +1,7 @@
 // src/api/payments/routes.js
 const express = require('express');
 const router = express.Router();
-const { authenticate, authorize } = require('../../middlewares/auth');
+const { authenticate, authorize, requireStepUp } = require('../../middlewares/auth');
 const { requirePermission } = require('../../middlewares/rbac');
 const { validate, paymentSchemas } = require('../../utils/validators');
 const paymentController = require('./controllers/paymentController');
@@ -31,18 +31,29 @@ router.get('/provider/:providerId/:providerModel', paymentController.getProvider
 // Get payment statistics
 router.get('/statistics', paymentController.getPaymentStatistics);
 
-// Process refund
+// Process refund; staff need a recent step-up
 router.post('/:id/refund',
+    requireStepUp,
     validate(paymentSchemas.refundPayment),
     paymentController.refundPayment
 );
 
+// Refund history
+router.get('/:id/refunds', paymentController.getPaymentRefunds);
+
 // Admin-only routes
 router.patch('/:id/status',
     authorize('admin'),
     requirePermission('process_payment'),
+    requireStepUp,
     validate(paymentSchemas.updateStatus),
     paymentController.updatePaymentStatus
 );
 
+router.post('/:id/refunds/reconcile',
+    authorize('admin'),
+    requirePermission('process_payment'),
+    paymentController.reconcilePaymentRefunds
+);
+
 module.exports = router;
\ No newline at end of file
@@ -3,7 +3,10 @@ const Barber = require('../../../models/Barber');
 const Freelancer = require('../../../models/Freelancer');
 const ShopOwner = require('../../../models/ShopOwner');
 const Shop = require('../../../models/Shop');
-const moment = require('moment');
+const timeZoneService = require('../../../services/timeZoneService');
+const blockedPeriodService = require('../../../services/blockedPeriodService');
+const timeZone = require('../../../utils/timeZone');
+const slotRules = require('../../../utils/slotRules');
 
 /**
  * Get available time slots for a provider (barber, freelancer, or shop owner) on a given date
@@ -17,7 +20,7 @@ const getAvailableSlots = async (req, res, next) => {
         if (!date) {
             return res.status(400).json({ success: false, message: 'Date is required' });
         }
-        const dayOfWeek = moment(date).format('dddd').toLowerCase();
+        const dayOfWeek = timeZone.getDayOfWeek(date);
 
         // Try to find provider in all collections
         let provider = await Barber.findById(providerId);
@@ -47,6 +50,9 @@ const getAvailableSlots = async (req, res, next) => {
             return res.status(404).json({ success: false, message: 'Provider not found' });
         }
 
+        // Slots are in the provider's local time
+        const providerTimeZone = await timeZoneService.resolveTimeZone({ shop: shop || provider.shopId, provider });
+
         // Get schedule based on provider type
         let scheduleForDay = null;
 
@@ -67,7 +73,7 @@ const getAvailableSlots = async (req, res, next) => {
         }
 
         if (!scheduleForDay || (providerType === 'shop_owner' ? !scheduleForDay.isOpen : scheduleForDay.status !== 'available') || !scheduleForDay.from || !scheduleForDay.to) {
-            return res.status(200).json({ success: true, slots: [] });
+            return res.status(200).json({ success: true, timeZone: providerTimeZone, slots: [] });
         }
 
         // Parse start and end times (different format for shops vs personal schedules)
@@ -85,41 +91,47 @@ const getAvailableSlots = async (req, res, next) => {
         const endMinutes = toHour * 60 + toMinute;
 
         // Get all bookings for this provider on the selected date
+        const day = timeZone.getDayRange(date);
         let bookingQuery;
         if (providerType === 'shop_owner') {
             // For shop owners, check bookings against the shop
             bookingQuery = {
                 shopId: shop._id,
-                bookingDate: new Date(date),
+                bookingDate: { $gte: day.start, $lte: day.end },
                 status: { $in: ['pending', 'confirmed'] }
             };
         } else {
             // For barbers and freelancers, check bookings against the provider
             bookingQuery = {
                 [`${providerType}Id`]: provider._id,
-                bookingDate: new Date(date),
+                bookingDate: { $gte: day.start, $lte: day.end },
                 status: { $in: ['pending', 'confirmed'] }
             };
         }
 
         const bookings = await Booking.find(bookingQuery);
 
+        // Time off, shop closures, public holidays, daily breaks and lead time
+        const rules = await blockedPeriodService.getProviderRules(provider._id, date, {
+            provider,
+            shop,
+            timeZone: providerTimeZone
+        });
+        bookings.push(...rules.blocked);
+
         // Build slots in 30-minute increments
         const slots = [];
         for (let m = startMinutes; m + 30 <= endMinutes; m += 30) {
-            const slotHour = Math.floor(m / 60);
-            const slotMinute = m % 60;
-            // Check for conflicts
-            const conflict = bookings.some(b => {
-                const bookingStart = b.bookingTime.hour * 60 + b.bookingTime.minute;
-                const bookingEnd = bookingStart + b.duration;
-                return m < bookingEnd && m + 30 > bookingStart;
-            });
+            const requested = { bookingTime: { hour: Math.floor(m / 60), minute: m % 60 }, duration: 30 };
+
+            // Check for conflicts, buffers of existing bookings included
+            const conflict = slotRules.startsTooSoon(date, requested.bookingTime, providerTimeZone, rules.leadTimeMinutes)
+                || slotRules.overlapsAny(requested, bookings);
             if (!conflict) {
-                slots.push({ hour: slotHour, minute: slotMinute });
+                slots.push(timeZone.buildSlot(date, m, providerTimeZone));
             }
         }
-        res.status(200).json({ success: true, slots });
+        res.status(200).json({ success: true, timeZone: providerTimeZone, slots });
     } catch (error) {
         next(error);
     }
@@ -34,6 +34,12 @@ const serviceController = require('./controllers/serviceController');
  *         duration:
  *           type: integer
  *           description: Service duration in minutes
+ *         bufferBefore:
+ *           type: integer
+ *           description: Preparation minutes kept free before each booking
+ *         bufferAfter:
+ *           type: integer
+ *           description: Cleanup minutes kept free after each booking
  *         status:
  *           type: string
  *           enum: [pending, active, rejected, inactive]
@@ -184,6 +190,14 @@ const serviceController = require('./controllers/serviceController');
  *           type: string
  *         barberId:
  *           type: string
+ *         bufferBefore:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 120
+ *         bufferAfter:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 120
  *     UpdateServiceRequest:
  *       type: object
  *       properties:
@@ -200,6 +214,14 @@ const serviceController = require('./controllers/serviceController');
  *           type: string
  *         barberId:
  *           type: string
+ *         bufferBefore:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 120
+ *         bufferAfter:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 120
  *     ApproveServiceRequest:
  *       type: object
  *       required:
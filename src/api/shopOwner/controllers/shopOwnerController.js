@@ -3,9 +3,16 @@ const shopOwnerService = require('../../../services/shopOwnerService');
 const notificationService = require('../../../services/notificationService');
 const shopService = require('../../../services/shopService');
 const bookingService = require('../../../services/bookingService');
+const bookingStateMachine = require('../../../services/bookingStateMachine');
+const bookingSeriesService = require('../../../services/bookingSeriesService');
+const blockedPeriodService = require('../../../services/blockedPeriodService');
+const cancellationPolicyService = require('../../../services/cancellationPolicyService');
+const promotionService = require('../../../services/promotionService');
+const bookingLineService = require('../../../services/bookingLineService');
 const fileUploadService = require('../../../services/fileUploadService');
 const { ApiError } = require('../../../middlewares/errorHandler');
 const logger = require('../../../utils/logger');
+const timeZone = require('../../../utils/timeZone');
 
 /**
  * Reject a booking (shop owner)
@@ -43,7 +50,10 @@ const rejectBooking = async (req, res, next) => {
         }
 
         // Update booking status to rejected
-        const updatedBooking = await bookingService.updateBookingStatus(bookingId, 'rejected');
+        const updatedBooking = await bookingService.updateBookingStatus(bookingId, 'rejected', '', {
+            id: currentShopOwner._id,
+            role: 'shop_owner'
+        });
 
         // Notify customer about rejection
         await notificationService.createNotification({
@@ -427,7 +437,7 @@ const assignBookingToBarber = async (req, res, next) => {
         }
 
         // Assign the booking
-        const updatedBooking = await shopOwnerService.assignBookingToBarber(bookingId, targetBarberId);
+        const updatedBooking = await shopOwnerService.assignBookingToBarber(bookingId, targetBarberId, currentShopOwner._id);
 
         // Notify assigned barber/freelancer
         await notificationService.createNotification({
@@ -604,7 +614,7 @@ const rescheduleBooking = async (req, res, next) => {
         }
 
         // Validate shop owner owns the booking's shop
-        const booking = await shopOwnerService.getBookingById(bookingId);
+        let booking = await shopOwnerService.getBookingById(bookingId);
         if (!booking) {
             throw new ApiError('Booking not found', 404);
         }
@@ -629,19 +639,26 @@ const rescheduleBooking = async (req, res, next) => {
             throw new ApiError('You are not authorized to manage this booking', 403);
         }
 
-        // Reschedule by adding 30 minutes to current booking time
-        const currentTime = new Date(booking.bookingDate);
-        currentTime.setMinutes(currentTime.getMinutes() + 30);
-
-        booking.bookingDate = currentTime;
-        booking.status = 'rescheduled';
-        await booking.save();
+        // Reschedule by adding 30 minutes to current booking time (in the booking's local time)
+        await bookingService.changeBookingTime(
+            bookingId,
+            (current) => timeZone.shiftLocalTime(current.bookingDate, current.bookingTime, 30),
+            {
+                update: (moved) => bookingStateMachine.transition(moved, 'rescheduled', {
+                    actor: { id: currentShopOwner._id, role: 'shop_owner' },
+                    reason: 'Rescheduled by shop owner'
+                }),
+                ignoreLeadTime: true
+            }
+        );
+        booking = await shopOwnerService.getBookingById(bookingId);
+        const newTime = timeZone.describeInstant(booking.startsAt, booking.timeZone).local;
 
         // Notify customer about rescheduling
         await notificationService.createNotification({
             userId: booking.customerId._id || booking.customerId,
             title: 'Booking Rescheduled',
-            message: `Your booking for ${booking.serviceName} has been rescheduled by the shop owner to ${currentTime.toLocaleString()}.`,
+            message: `Your booking for ${booking.serviceName} has been rescheduled by the shop owner to ${newTime}.`,
             type: 'booking',
             relatedId: booking._id,
             onModel: 'Booking'
@@ -651,7 +668,7 @@ const rescheduleBooking = async (req, res, next) => {
         await notificationService.createNotification({
             userId: booking.barberId._id || booking.barberId,
             title: 'Booking Rescheduled',
-            message: `Booking for ${booking.serviceName} has been rescheduled by shop owner to ${currentTime.toLocaleString()}.`,
+            message: `Booking for ${booking.serviceName} has been rescheduled by shop owner to ${newTime}.`,
             type: 'booking',
             relatedId: booking._id,
             onModel: 'Booking'
@@ -667,6 +684,234 @@ const rescheduleBooking = async (req, res, next) => {
     }
 };
 
+/**
+ * Cancel a booking, or several occurrences of a recurring booking (shop owner)
+ * @route POST /api/shop-owners/bookings/:bookingId/cancel
+ * @access Private/ShopOwner
+ */
+const cancelBooking = async (req, res, next) => {
+    try {
+        const { bookingId } = req.params;
+        const { reason, scope = 'this' } = req.body;
+
+        const result = await bookingSeriesService.cancelOccurrences(
+            bookingId,
+            scope,
+            { id: req.user._id, role: 'shop_owner' },
+            reason
+        );
+
+        res.status(200).json({
+            success: true,
+            message: scope === 'this'
+                ? 'Booking cancelled successfully'
+                : `${result.cancelled.length} booking(s) of the series cancelled`,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get blocked periods of the shop owner's shops and barbers
+ * @route GET /api/shop-owners/blocked-periods
+ * @access Private/ShopOwner
+ */
+const getBlockedPeriods = async (req, res, next) => {
+    try {
+        const { from, to } = req.query;
+
+        const periods = await blockedPeriodService.getShopOwnerBlockedPeriods(req.user._id, { from, to });
+
+        res.status(200).json({
+            success: true,
+            data: periods
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Add a shop closure or break, or time off of the owner or one of their barbers
+ * @route POST /api/shop-owners/blocked-periods
+ * @access Private/ShopOwner
+ */
+const createBlockedPeriod = async (req, res, next) => {
+    try {
+        const data = { scope: 'shop', ...req.body };
+        if (data.scope === 'provider' && !data.providerId) {
+            data.providerId = req.user._id;
+        }
+
+        const result = await blockedPeriodService.createBlockedPeriod(data, { id: req.user._id, role: 'shop_owner' });
+
+        res.status(201).json({
+            success: true,
+            message: result.affectedBookings.length
+                ? `Blocked period added. ${result.affectedBookings.length} existing booking(s) fall inside it and were flagged.`
+                : 'Blocked period added successfully',
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Remove a blocked period
+ * @route DELETE /api/shop-owners/blocked-periods/:id
+ * @access Private/ShopOwner
+ */
+const deleteBlockedPeriod = async (req, res, next) => {
+    try {
+        await blockedPeriodService.deleteBlockedPeriod(req.params.id, { id: req.user._id, role: 'shop_owner' });
+
+        res.status(200).json({
+            success: true,
+            message: 'Blocked period removed successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Set the minimum notice of the shop owner's shop
+ * @route PUT /api/shop-owners/booking-rules
+ * @access Private/ShopOwner
+ */
+const updateBookingRules = async (req, res, next) => {
+    try {
+        const rules = await blockedPeriodService.updateShopRules(req.user._id, req.body);
+
+        res.status(200).json({
+            success: true,
+            message: 'Booking rules updated successfully',
+            data: rules
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the cancellation policy that applies to bookings of the shop owner's shop
+ * @route GET /api/shop-owners/cancellation-policy
+ * @access Private/ShopOwner
+ */
+const getCancellationPolicy = async (req, res, next) => {
+    try {
+        const policy = await cancellationPolicyService.getShopPolicy(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: policy
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Set the cancellation and no-show policy of the shop owner's shop
+ * @route PUT /api/shop-owners/cancellation-policy
+ * @access Private/ShopOwner
+ */
+const updateCancellationPolicy = async (req, res, next) => {
+    try {
+        const policy = await cancellationPolicyService.setShopPolicy(req.user._id, req.body);
+
+        res.status(200).json({
+            success: true,
+            message: 'Cancellation policy updated successfully',
+            data: policy
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the promotions funded by the shop owner's shop
+ * @route GET /api/shop-owners/promotions
+ * @access Private/ShopOwner
+ */
+const getShopPromotions = async (req, res, next) => {
+    try {
+        const promotions = await promotionService.getShopPromotions(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: promotions
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Create a promo code funded by the shop owner's shop
+ * @route POST /api/shop-owners/promotions
+ * @access Private/ShopOwner
+ */
+const createShopPromotion = async (req, res, next) => {
+    try {
+        const promotion = await promotionService.createShopPromotion(req.user._id, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Promotion created successfully',
+            data: promotion
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update a promo code of the shop owner's shop
+ * @route PUT /api/shop-owners/promotions/:id
+ * @access Private/ShopOwner
+ */
+const updateShopPromotion = async (req, res, next) => {
+    try {
+        const promotion = await promotionService.updateShopPromotion(req.user._id, req.params.id, req.body);
+
+        res.status(200).json({
+            success: true,
+            message: 'Promotion updated successfully',
+            data: promotion
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Set daily breaks and minimum notice of a barber of the shop owner
+ * @route PUT /api/shop-owners/barbers/:barberId/booking-rules
+ * @access Private/ShopOwner
+ */
+const updateBarberBookingRules = async (req, res, next) => {
+    try {
+        const rules = await blockedPeriodService.updateProviderRules(
+            req.params.barberId,
+            req.body,
+            { id: req.user._id, role: 'shop_owner' }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Barber booking rules updated successfully',
+            data: rules
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Get barbers for the authenticated shop owner's shops
  * @route GET /api/shop-owners/barbers
@@ -791,11 +1036,12 @@ const getBarberBookings = async (req, res, next) => {
                         _id: booking._id,
                         barberName: `${barber.firstName} ${barber.lastName}`,
                         customerName: `${booking.customerId?.firstName || ''} ${booking.customerId?.lastName || ''}`.trim(),
-                        serviceName: booking.serviceId?.title || '',
+                        serviceName: booking.serviceName || booking.serviceId?.title || '',
+                        services: bookingLineService.getServiceLines(booking),
                         bookingTime: booking.bookingTime,
                         bookingDate: booking.bookingDate,
                         status: booking.status,
-                        price: booking.serviceId?.price || 0
+                        price: booking.price ?? booking.serviceId?.price ?? 0
                     }));
                     
                     result.push(formattedBookings);
@@ -884,6 +1130,17 @@ module.exports = {
     rejectBooking,
     reassignRejectedBooking,
     rescheduleBooking,
+    cancelBooking,
+    getBlockedPeriods,
+    createBlockedPeriod,
+    deleteBlockedPeriod,
+    updateBookingRules,
+    updateBarberBookingRules,
+    getCancellationPolicy,
+    updateCancellationPolicy,
+    getShopPromotions,
+    createShopPromotion,
+    updateShopPromotion,
     getRequestedBookings,
     getAllShopBookings,
     getShopBarbers,
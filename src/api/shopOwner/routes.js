@@ -4,7 +4,7 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, authorize } = require('../../middlewares/auth');
 const { requirePermission } = require('../../middlewares/rbac');
-const { validate, shopOwnerSchemas } = require('../../utils/validators');
+const { validate, shopOwnerSchemas, paymentSchemas, bookingSchemas } = require('../../utils/validators');
 const shopOwnerController = require('./controllers/shopOwnerController');
 const multer = require('multer');
 const upload = multer({ storage: multer.memoryStorage() });
@@ -582,6 +582,461 @@ router.post('/bookings/:bookingId/reschedule',
     shopOwnerController.rescheduleBooking
 );
 
+/**
+ * @swagger
+ * /api/shop-owners/bookings/{bookingId}/cancel:
+ *   post:
+ *     tags: [Shop Owners]
+ *     summary: Cancel a booking of the shop
+ *     description: For recurring bookings, `scope` cancels this occurrence, this and the following ones, or the whole series.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *               scope:
+ *                 type: string
+ *                 enum: [this, following, series]
+ *                 default: this
+ *     responses:
+ *       200:
+ *         description: Booking(s) cancelled; `data` lists cancelled, skipped and failed occurrences
+ *       400:
+ *         description: Invalid request data or booking is not part of a series
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - not authorized for this booking
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking can no longer be cancelled
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/bookings/:bookingId/cancel',
+    authorize('shop_owner'),
+    validate(paymentSchemas.cancelBooking),
+    shopOwnerController.cancelBooking
+);
+
+/**
+ * @swagger
+ * /api/shop-owners/blocked-periods:
+ *   get:
+ *     tags: [Shop Owners]
+ *     summary: Get closures, time off and public holidays of my shops
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Blocked periods retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     tags: [Shop Owners]
+ *     summary: Add a shop closure or break, or time off of a barber
+ *     description: |
+ *       Slots inside the period are no longer offered; existing bookings inside it
+ *       are flagged with `scheduleConflict` and their providers notified.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - startDate
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [shop, provider]
+ *                 default: shop
+ *               shopId:
+ *                 type: string
+ *                 description: Required for shop scope
+ *               providerId:
+ *                 type: string
+ *                 description: Barber of one of your shops (provider scope, defaults to yourself)
+ *               type:
+ *                 type: string
+ *                 enum: [vacation, closure, break]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               startTime:
+ *                 type: string
+ *                 example: "13:00"
+ *               endTime:
+ *                 type: string
+ *                 example: "14:00"
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Blocked period added; `data.affectedBookings` lists flagged bookings
+ *       400:
+ *         description: Invalid request data
+ *       403:
+ *         description: Shop or barber is not yours
+ */
+router.get('/blocked-periods',
+    authorize('shop_owner'),
+    shopOwnerController.getBlockedPeriods
+);
+router.post('/blocked-periods',
+    authorize('shop_owner'),
+    validate(bookingSchemas.createBlockedPeriod),
+    shopOwnerController.createBlockedPeriod
+);
+
+/**
+ * @swagger
+ * /api/shop-owners/blocked-periods/{id}:
+ *   delete:
+ *     tags: [Shop Owners]
+ *     summary: Remove a blocked period
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Blocked period removed; flags on bookings are cleared
+ *       403:
+ *         description: Not authorized for this blocked period
+ *       404:
+ *         description: Blocked period not found
+ */
+router.delete('/blocked-periods/:id',
+    authorize('shop_owner'),
+    shopOwnerController.deleteBlockedPeriod
+);
+
+/**
+ * @swagger
+ * /api/shop-owners/booking-rules:
+ *   put:
+ *     tags: [Shop Owners]
+ *     summary: Set the minimum notice before bookings of my shop can start
+ *     description: Barbers with their own minimum notice keep it. `null` restores the default of 60 minutes.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - minLeadTimeMinutes
+ *             properties:
+ *               minLeadTimeMinutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 120
+ *     responses:
+ *       200:
+ *         description: Booking rules updated
+ *       404:
+ *         description: Shop not found
+ */
+router.put('/booking-rules',
+    authorize('shop_owner'),
+    validate(bookingSchemas.updateShopBookingRules),
+    shopOwnerController.updateBookingRules
+);
+
+/**
+ * @swagger
+ * /api/shop-owners/cancellation-policy:
+ *   get:
+ *     tags: [Shop Owners]
+ *     summary: Get the cancellation policy that applies to bookings of my shop
+ *     description: Returns the shop's own policy, else the country policy, else the platform default.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cancellation policy
+ *       404:
+ *         description: Shop not found
+ *   put:
+ *     tags: [Shop Owners]
+ *     summary: Set the cancellation and no-show policy of my shop
+ *     description: |
+ *       Percentages are of the booking price. Cancelling at least `hoursBefore` hours before the
+ *       appointment refunds `refundPercent` of the tier with the most hours met. Below every tier
+ *       the cancellation is late: rejected unless `allowLateCancellation`, then charged
+ *       `lateCancelFeePercent`. Cancelling within `gracePeriodMinutes` of booking is always free.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refundTiers
+ *             properties:
+ *               refundTiers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     hoursBefore:
+ *                       type: number
+ *                       example: 24
+ *                     refundPercent:
+ *                       type: number
+ *                       example: 100
+ *               allowLateCancellation:
+ *                 type: boolean
+ *                 example: true
+ *               lateCancelFeePercent:
+ *                 type: number
+ *                 example: 50
+ *               noShowFeePercent:
+ *                 type: number
+ *                 example: 100
+ *               gracePeriodMinutes:
+ *                 type: integer
+ *                 example: 15
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Cancellation policy updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Shop not found
+ */
+router.get('/cancellation-policy',
+    authorize('shop_owner'),
+    shopOwnerController.getCancellationPolicy
+);
+
+router.put('/cancellation-policy',
+    authorize('shop_owner'),
+    validate(bookingSchemas.setCancellationPolicy),
+    shopOwnerController.updateCancellationPolicy
+);
+
+/**
+ * @swagger
+ * /api/shop-owners/promotions:
+ *   get:
+ *     tags: [Shop Owners]
+ *     summary: Get the promo codes of my shop
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Promotions
+ *       404:
+ *         description: Shop not found
+ *   post:
+ *     tags: [Shop Owners]
+ *     summary: Create a promo code funded by my shop
+ *     description: |
+ *       Shop promotions only apply to bookings of the shop, and the shop gives up the discount:
+ *       it is paid on the discounted price and charged the platform fee on it.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *               - discountType
+ *               - value
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: SUMMER10
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               discountType:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               value:
+ *                 type: number
+ *                 example: 10
+ *               maxDiscount:
+ *                 type: number
+ *                 description: Cap on percentage discounts
+ *               minBookingAmount:
+ *                 type: number
+ *               firstBookingOnly:
+ *                 type: boolean
+ *               serviceIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Limit the discount to these services
+ *               usageLimit:
+ *                 type: integer
+ *                 description: Redemptions allowed in total
+ *               usageLimitPerCustomer:
+ *                 type: integer
+ *                 default: 1
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Promotion created
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Shop not found
+ *       409:
+ *         description: Promo code already exists
+ */
+router.get('/promotions',
+    authorize('shop_owner'),
+    shopOwnerController.getShopPromotions
+);
+
+router.post('/promotions',
+    authorize('shop_owner'),
+    validate(shopOwnerSchemas.createPromotion),
+    shopOwnerController.createShopPromotion
+);
+
+/**
+ * @swagger
+ * /api/shop-owners/promotions/{id}:
+ *   put:
+ *     tags: [Shop Owners]
+ *     summary: Update a promo code of my shop
+ *     description: Takes the fields of POST /api/shop-owners/promotions; set `isActive` to false to end a promotion.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Promotion ID
+ *     responses:
+ *       200:
+ *         description: Promotion updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Promotion not found
+ */
+router.put('/promotions/:id',
+    authorize('shop_owner'),
+    validate(shopOwnerSchemas.updatePromotion),
+    shopOwnerController.updateShopPromotion
+);
+
+/**
+ * @swagger
+ * /api/shop-owners/barbers/{barberId}/booking-rules:
+ *   put:
+ *     tags: [Shop Owners]
+ *     summary: Set daily breaks and minimum notice of one of my barbers
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: barberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               breaks:
+ *                 type: array
+ *                 description: Replaces all breaks; a break without days applies every day
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       example: "13:00"
+ *                     to:
+ *                       type: string
+ *                       example: "14:00"
+ *                     days:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         example: monday
+ *                     label:
+ *                       type: string
+ *                       example: Lunch
+ *               minLeadTimeMinutes:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Booking rules updated
+ *       403:
+ *         description: Barber is not in your shop
+ */
+router.put('/barbers/:barberId/booking-rules',
+    authorize('shop_owner'),
+    validate(bookingSchemas.updateProviderBookingRules),
+    shopOwnerController.updateBarberBookingRules
+);
+
 /**
  * @swagger
  * /api/shop-owners/profile:
@@ -0,0 +1,90 @@
+// src/config/bookingLifecycle.js
+
+/**
+ * Booking lifecycle configuration.
+ *
+ * `transitions[from][to]` lists the actor roles allowed to move a booking
+ * from one status to another. Any move not listed here is rejected.
+ *
+ * Actor roles:
+ * - customer, barber, freelancer, shop_owner: the authenticated user's role
+ * - admin: any admin role (super_admin, admin, country_manager, customer_care)
+ * - system: background jobs and payment webhooks
+ */
+
+const ADMIN_ROLES = ['super_admin', 'admin', 'country_manager', 'customer_care'];
+
+const PROVIDERS = ['barber', 'freelancer', 'shop_owner', 'admin'];
+const MANAGERS = ['shop_owner', 'admin'];
+const ANY_USER = ['customer', 'barber', 'freelancer', 'shop_owner', 'admin'];
+// The assigned barber or freelancer may push back a booking they have not answered yet
+const RESCHEDULERS = ['barber', 'freelancer', ...MANAGERS];
+
+// Transitions shared by bookings waiting for a provider's answer
+const awaitingProvider = {
+    confirmed: PROVIDERS,
+    rejected: ['barber', ...MANAGERS],
+    rejected_barber: ['barber'],
+    freelancer_rejected: ['freelancer'],
+    reassigned: MANAGERS,
+    rescheduled: [...MANAGERS, 'system'],
+    cancelled: ANY_USER
+};
+
+const transitions = {
+    pending: {
+        ...awaitingProvider,
+        assigned: [...MANAGERS, 'system'],
+        confirmed: [...PROVIDERS, 'system'],
+        rescheduled: [...RESCHEDULERS, 'system']
+    },
+    assigned: {
+        ...awaitingProvider,
+        rescheduled: [...RESCHEDULERS, 'system']
+    },
+    reassigned: {
+        ...awaitingProvider
+    },
+    rescheduled: {
+        ...awaitingProvider,
+        pending: MANAGERS,
+        assigned: [...MANAGERS, 'system'],
+        confirmed: [...PROVIDERS, 'system'],
+        rescheduled: RESCHEDULERS
+    },
+    rejected_barber: {
+        assigned: MANAGERS,
+        reassigned: MANAGERS,
+        confirmed: ['barber', ...MANAGERS],
+        rejected: MANAGERS,
+        cancelled: ['customer', ...MANAGERS]
+    },
+    freelancer_rejected: {
+        assigned: MANAGERS,
+        reassigned: MANAGERS,
+        confirmed: ['freelancer', ...MANAGERS],
+        rejected: MANAGERS,
+        cancelled: ['customer', ...MANAGERS]
+    },
+    rejected: {
+        assigned: MANAGERS,
+        reassigned: MANAGERS,
+        confirmed: MANAGERS,
+        cancelled: ['customer', ...MANAGERS]
+    },
+    confirmed: {
+        completed: PROVIDERS,
+        noShow: PROVIDERS,
+        rejected: MANAGERS,
+        rescheduled: MANAGERS,
+        cancelled: ANY_USER
+    },
+    completed: {},
+    cancelled: {},
+    noShow: {}
+};
+
+module.exports = {
+    ADMIN_ROLES,
+    transitions
+};
@@ -0,0 +1,67 @@
+// src/jobs/index.js
+const jobScheduler = require('../services/jobSchedulerService');
+const bookingService = require('../services/bookingService');
+const waitlistService = require('../services/waitlistService');
+const payoutService = require('../services/payoutService');
+const exchangeRateService = require('../services/exchangeRateService');
+const logger = require('../utils/logger');
+
+// Auto-assign pending shop bookings every 5 minutes
+jobScheduler.defineJob('bookings.autoAssign', {
+    description: 'Assign pending shop-based bookings to an available barber',
+    schedule: '*/5 * * * *',
+    handler: async () => {
+        const assignedCount = await bookingService.autoAssignPendingBookings();
+        if (assignedCount > 0) {
+            logger.info(`Auto-assigned ${assignedCount} pending bookings.`);
+        }
+        return { assignedCount };
+    }
+});
+
+// Auto-reschedule stale bookings every 5 minutes
+jobScheduler.defineJob('bookings.autoReschedule', {
+    description: 'Reschedule bookings that were not confirmed within 30 minutes',
+    schedule: '*/5 * * * *',
+    handler: async () => {
+        const rescheduledCount = await bookingService.autoRescheduleStaleBookings();
+        if (rescheduledCount > 0) {
+            logger.info(`Auto-rescheduled ${rescheduledCount} stale bookings.`);
+        }
+        return { rescheduledCount };
+    }
+});
+
+// Pass expired waitlist holds on to the next customer every minute
+jobScheduler.defineJob('waitlist.expireHolds', {
+    description: 'Offer slots whose waitlist hold expired to the next waitlister',
+    schedule: '* * * * *',
+    handler: async () => {
+        const result = await waitlistService.processExpiredHolds();
+        if (result.expiredHolds > 0) {
+            logger.info(`Expired ${result.expiredHolds} waitlist holds, re-offered ${result.reoffered}.`);
+        }
+        return result;
+    }
+});
+
+// Settle the provider ledger into payouts every Monday at 02:00
+jobScheduler.defineJob('payouts.settle', {
+    description: 'Create payouts for the ledger entries of the past week',
+    schedule: '0 2 * * 1',
+    handler: async () => {
+        const { run, payouts } = await payoutService.runSettlement({ trigger: 'schedule' });
+        return { settlementRunId: run._id, payoutCount: payouts.length, totals: Object.fromEntries(run.totals) };
+    }
+});
+
+// Import exchange rates from EXCHANGE_RATES_SOURCE every day at 03:00
+jobScheduler.defineJob('exchangeRates.import', {
+    description: 'Update exchange rates from the configured file or feed',
+    schedule: '0 3 * * *',
+    handler: async () => {
+        return await exchangeRateService.importRates();
+    }
+});
+
+module.exports = jobScheduler;
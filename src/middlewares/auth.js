@@ -1,5 +1,4 @@
 // src/middlewares/auth.js
-const jwt = require('jsonwebtoken');
 const Customer = require('../models/Customer');
 const Barber = require('../models/Barber');
 const Freelancer = require('../models/Freelancer');
@@ -9,6 +8,8 @@ const { User } = require('../models/User');
 const Role = require('../models/Role');
 const { ApiError } = require('./errorHandler');
 const logger = require('../utils/logger');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
 
 // Define ROLES constant
 const ROLES = {
@@ -48,9 +49,16 @@ const authenticate = async (req, res, next) => {
 
         try {
             // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+            const decoded = sessionService.verifyAccessToken(token);
             logger.info(`[AUTH] 🔐 JWT token verified for user ID: ${decoded.id}`);
 
+            // Tokens belong to a session, which logout or an admin may have revoked
+            const session = decoded.sid ? await sessionService.getActiveSession(decoded.sid) : null;
+            if (!session || session.userId.toString() !== decoded.id.toString()) {
+                logger.warn(`[AUTH] ❌ Session ${decoded.sid || 'missing'} is not active for user ID: ${decoded.id}`);
+                return next(new ApiError('Session has expired. Please login again.', 401));
+            }
+
             // Get user from appropriate collection based on role
             let user = null;
             const userRole = decoded.role;
@@ -142,9 +150,10 @@ const authenticate = async (req, res, next) => {
                 logger.info(`[AUTH] 📋 Role verified: ${role.name} for user: ${user.email}`);
             }
 
-            // Add user and role to request
+            // Add user, role and session to request
             req.user = user;
             req.role = role.toObject ? role.toObject() : role;
+            req.authSession = session;
 
             logger.info(`[AUTH] ✅ Authentication successful for user: ${user.email} (${user._id}), Role: ${role.name}`);
 
@@ -313,6 +322,77 @@ const checkCustomerCareAccess = async (req, res, next) => {
     }
 };
 
+/**
+ * Get the normalised role name of the request
+ * @private
+ */
+const getRoleName = (req) => ((req.role && req.role.name) || '').toString().toLowerCase().trim();
+
+/**
+ * Check the session passed two-factor authentication when the role requires it
+ * @private
+ * @returns {Promise<ApiError|null>} - Error to respond with, or null
+ */
+const checkTwoFactor = async (req) => {
+    const roleName = getRoleName(req);
+    if (!twoFactorService.isRequiredForRole(roleName) || (req.authSession && req.authSession.twoFactorVerifiedAt)) {
+        return null;
+    }
+
+    const status = await twoFactorService.getStatus(req.user, roleName);
+    if (!status.enabled) {
+        return new ApiError('Set up two-factor authentication to continue.', 403, [{ code: 'TWO_FACTOR_SETUP_REQUIRED' }]);
+    }
+    return new ApiError('Please login again with your two-factor code.', 403, [{ code: 'TWO_FACTOR_REQUIRED' }]);
+};
+
+/**
+ * Two-factor enforcement middleware
+ * Roles in TWO_FACTOR_REQUIRED_ROLES must have enrolled and passed
+ * two-factor authentication in their session
+ */
+const requireTwoFactor = async (req, res, next) => {
+    try {
+        const error = await checkTwoFactor(req);
+        if (error) {
+            logger.warn(`[2FA] ❌ Two-factor authentication missing for user: ${req.user.email || req.user._id}`);
+            return next(error);
+        }
+        next();
+    } catch (error) {
+        logger.error('[2FA] ❌ Two-factor check error:', error);
+        next(new ApiError('Two-factor check failed', 500));
+    }
+};
+
+/**
+ * Step-up middleware for sensitive actions
+ * Staff must have re-authenticated in the last few minutes with
+ * POST /api/auth/2fa/step-up; other roles are not affected
+ */
+const requireStepUp = async (req, res, next) => {
+    try {
+        if (!twoFactorService.STAFF_ROLES.includes(getRoleName(req))) {
+            return next();
+        }
+
+        const error = await checkTwoFactor(req);
+        if (error) {
+            return next(error);
+        }
+
+        if (!twoFactorService.hasRecentStepUp(req.authSession)) {
+            logger.warn(`[2FA] ❌ Step-up required for user: ${req.user.email || req.user._id}, ${req.method} ${req.originalUrl}`);
+            return next(new ApiError('Please confirm your identity to continue.', 403, [{ code: 'STEP_UP_REQUIRED' }]));
+        }
+
+        next();
+    } catch (error) {
+        logger.error('[2FA] ❌ Step-up check error:', error);
+        next(new ApiError('Step-up check failed', 500));
+    }
+};
+
 // Alias for hasPermission for better naming in route files
 const requirePermission = hasPermission;
 
@@ -323,5 +403,7 @@ module.exports = {
     requirePermission,
     checkCountryAccess,
     checkCustomerCareAccess,
+    requireTwoFactor,
+    requireStepUp,
     ROLES
 };
\ No newline at end of file
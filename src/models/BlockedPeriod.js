@@ -0,0 +1,80 @@
+// src/models/BlockedPeriod.js
+const mongoose = require('mongoose');
+const { generateModelId, MODEL_PREFIXES } = require('../utils/idGenerator');
+
+/**
+ * Schema for dated exceptions to the weekly schedule.
+ *
+ * - provider: time off of a barber, freelancer or shop owner
+ * - shop: closure or break of a whole shop
+ * - country: public holiday closing every shop of the country
+ *
+ * Without startTime/endTime the whole day is blocked, otherwise only that
+ * window on every day from startDate to endDate.
+ */
+const BlockedPeriodSchema = new mongoose.Schema({
+    uid: {
+        type: String,
+        unique: true,
+        default: () => generateModelId(MODEL_PREFIXES.BLOCKED_PERIOD),
+        index: true
+    },
+    scope: {
+        type: String,
+        enum: ['provider', 'shop', 'country'],
+        required: true
+    },
+    providerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    shopId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shop',
+        default: null
+    },
+    countryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Country',
+        default: null
+    },
+    type: {
+        type: String,
+        enum: ['vacation', 'closure', 'break', 'holiday'],
+        required: true
+    },
+    // Local calendar dates (YYYY-MM-DD), both inclusive
+    startDate: {
+        type: String,
+        required: true
+    },
+    endDate: {
+        type: String,
+        required: true
+    },
+    // Local wall-clock times (HH:MM) for partial-day blocks
+    startTime: {
+        type: String,
+        default: null
+    },
+    endTime: {
+        type: String,
+        default: null
+    },
+    reason: {
+        type: String,
+        default: ''
+    },
+    createdBy: {
+        id: mongoose.Schema.Types.ObjectId,
+        role: String
+    }
+}, {
+    timestamps: true
+});
+
+BlockedPeriodSchema.index({ scope: 1, providerId: 1, startDate: 1, endDate: 1 });
+BlockedPeriodSchema.index({ scope: 1, shopId: 1, startDate: 1, endDate: 1 });
+BlockedPeriodSchema.index({ scope: 1, countryId: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('BlockedPeriod', BlockedPeriodSchema);
@@ -1,6 +1,7 @@
 // src/models/Booking.js
 const mongoose = require('mongoose');
 const { generateModelId, MODEL_PREFIXES } = require('../utils/idGenerator');
+const { DEFAULT_TIME_ZONE, toInstant } = require('../utils/timeZone');
 
 const BookingTimeSchema = new mongoose.Schema({
     hour: {
@@ -17,6 +18,58 @@ const BookingTimeSchema = new mongoose.Schema({
     }
 });
 
+const BookingStatusChangeSchema = new mongoose.Schema({
+    from: String,
+    to: {
+        type: String,
+        required: true
+    },
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    actorRole: {
+        type: String,
+        required: true
+    },
+    reason: {
+        type: String,
+        default: ''
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// One service of an appointment; lines are performed back to back in order
+const BookingServiceLineSchema = new mongoose.Schema({
+    serviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service',
+        required: true
+    },
+    serviceName: {
+        type: String,
+        required: true
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    duration: {
+        type: Number,  // in minutes
+        required: true,
+        min: 5
+    },
+    // Minutes after the booking start this service begins
+    startOffset: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
 const BookingAddressSchema = new mongoose.Schema({
     latitude: Number,
     longitude: Number,
@@ -62,6 +115,12 @@ const BookingSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Line items of the appointment. serviceId, serviceName, price and duration
+    // summarize them: first service, joined names, total price and duration.
+    services: {
+        type: [BookingServiceLineSchema],
+        default: []
+    },
     serviceType: {
         type: String,
         enum: ['shopBased', 'homeBased'],
@@ -72,6 +131,39 @@ const BookingSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
+    // Promotion applied to the booking; price stays the undiscounted total
+    discount: {
+        type: new mongoose.Schema({
+            promotionId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Promotion'
+            },
+            code: String,
+            amount: Number,
+            // Who pays the discount: the platform or the shop (see models/Promotion.js)
+            fundedBy: {
+                type: String,
+                enum: ['platform', 'shop']
+            }
+        }, { _id: false }),
+        default: null
+    },
+    // Currency of the booking's country that price and payments are in
+    currency: {
+        type: String,
+        uppercase: true,
+        default: 'USD'
+    },
+    // Rate of currency against USD when the booking was made, used to convert it in reports
+    exchangeRate: {
+        type: new mongoose.Schema({
+            baseCurrency: String,
+            // null when the currency had no rate yet
+            rate: Number,
+            capturedAt: Date
+        }, { _id: false }),
+        default: null
+    },
     bookingDate: {
         type: Date,
         required: true
@@ -80,16 +172,39 @@ const BookingSchema = new mongoose.Schema({
         type: BookingTimeSchema,
         required: true
     },
+    // bookingDate (UTC midnight of the local calendar date) and bookingTime are in this zone
+    timeZone: {
+        type: String,
+        default: DEFAULT_TIME_ZONE
+    },
+    // UTC instants of the booking, kept in sync with bookingDate/bookingTime/duration
+    startsAt: {
+        type: Date
+    },
+    endsAt: {
+        type: Date
+    },
     duration: {
         type: Number,  // in minutes
         required: true,
         min: 5
     },
+    // Buffers of the service when booked, in minutes; the provider is busy for them too
+    bufferBefore: {
+        type: Number,
+        default: 0
+    },
+    bufferAfter: {
+        type: Number,
+        default: 0
+    },
     status: {
     type: String,
     enum: ['pending',  'reassigned', 'confirmed', 'completed', 'cancelled', 'noShow', 'assigned', 'rejected', 'freelancer_rejected', 'rejected_barber', 'rescheduled'],
     default: 'pending'
     },
+    // Every status change with who made it and why (see services/bookingStateMachine.js)
+    statusHistory: [BookingStatusChangeSchema],
     address: BookingAddressSchema, // For home-based services
     notes: {
         type: String,
@@ -97,7 +212,7 @@ const BookingSchema = new mongoose.Schema({
     },
     paymentStatus: {
         type: String,
-        enum: ['pending', 'paid', 'refunded', 'failed'],
+        enum: ['pending', 'paid', 'refunded', 'failed', 'cancelled'],
         default: 'pending'
     },
     paymentId: {
@@ -108,6 +223,31 @@ const BookingSchema = new mongoose.Schema({
         type: String,
         default: null
     },
+    // What the cancellation policy charged when the booking was cancelled or marked as no-show
+    cancellationCharge: {
+        type: new mongoose.Schema({
+            kind: {
+                type: String,
+                enum: ['cancellation', 'late_cancellation', 'no_show', 'provider_cancellation']
+            },
+            policyId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'CancellationPolicy'
+            },
+            hoursBefore: Number,
+            feePercent: Number,
+            feeAmount: Number,
+            refundAmount: Number,
+            // Part of the fee not covered by the payment, still to collect from the customer
+            outstandingAmount: Number,
+            status: {
+                type: String,
+                enum: ['none', 'retained', 'outstanding', 'waived']
+            },
+            evaluatedAt: Date
+        }, { _id: false }),
+        default: null
+    },
     rejectReason: {
         type: String,
         default: null
@@ -121,6 +261,39 @@ const BookingSchema = new mongoose.Schema({
     ref: 'Country',
     required: false
     },
+    // Recurring series this booking is an occurrence of
+    seriesId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BookingSeries',
+        default: null
+    },
+    seriesIndex: {
+        type: Number,
+        default: null
+    },
+    // Set when a blocked period (time off, closure, holiday) is added over this booking
+    scheduleConflict: {
+        type: new mongoose.Schema({
+            blockedPeriodId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'BlockedPeriod'
+            },
+            type: String,
+            reason: String,
+            flaggedAt: Date
+        }, { _id: false }),
+        default: null
+    },
+    // How the current provider was chosen (set by the auto-assignment engine)
+    assignment: {
+        method: {
+            type: String,
+            enum: ['manual', 'auto']
+        },
+        score: Number,
+        reasons: [String],
+        assignedAt: Date
+    },
 }, {
     timestamps: true
 });
@@ -138,10 +311,30 @@ BookingSchema.index({ barberId: 1, bookingDate: 1 });
 BookingSchema.index({ barberId: 1, bookingDate: 1, status: 1 });
 BookingSchema.index({ shopId: 1, bookingDate: 1, status: 1 });
 
+// Index for UTC time range queries
+BookingSchema.index({ barberId: 1, startsAt: 1 });
+
+// Index for bookings flagged by a blocked period
+BookingSchema.index({ 'scheduleConflict.blockedPeriodId': 1 });
+
+// Index for recurring series occurrences
+BookingSchema.index({ seriesId: 1, seriesIndex: 1 });
+
 // Index for customer dashboard queries
 BookingSchema.index({ customerId: 1, status: 1 });
 BookingSchema.index({ customerId: 1, bookingDate: 1 });
 
+// Keep the UTC instants in sync with the local booking time
+BookingSchema.pre('validate', function (next) {
+    if (this.bookingDate && this.bookingTime && this.duration &&
+        (!this.startsAt || this.isModified('bookingDate') || this.isModified('bookingTime') ||
+         this.isModified('duration') || this.isModified('timeZone'))) {
+        this.startsAt = toInstant(this.bookingDate, this.bookingTime, this.timeZone);
+        this.endsAt = new Date(this.startsAt.getTime() + this.duration * 60 * 1000);
+    }
+    next();
+});
+
 // Helper method to check for time conflicts
 BookingSchema.statics.checkForConflicts = async function (barberId, date, startTime, duration) {
     const bookings = await this.find({
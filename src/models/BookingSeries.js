@@ -0,0 +1,119 @@
+// src/models/BookingSeries.js
+const mongoose = require('mongoose');
+const { generateModelId, MODEL_PREFIXES } = require('../utils/idGenerator');
+const { DEFAULT_TIME_ZONE } = require('../utils/timeZone');
+
+const SeriesConflictSchema = new mongoose.Schema({
+    index: {
+        type: Number,
+        required: true
+    },
+    date: {
+        type: String, // YYYY-MM-DD in the series time zone
+        required: true
+    },
+    reason: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+/**
+ * Schema for recurring bookings.
+ * Each occurrence is a regular Booking with seriesId/seriesIndex set.
+ */
+const BookingSeriesSchema = new mongoose.Schema({
+    uid: {
+        type: String,
+        unique: true,
+        default: () => generateModelId(MODEL_PREFIXES.BOOKING_SERIES),
+        index: true
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true
+    },
+    barberId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    shopId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shop',
+        default: null
+    },
+    serviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service',
+        required: true
+    },
+    // All services of each occurrence in order, when it combines several
+    serviceIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service'
+    }],
+    serviceType: {
+        type: String,
+        enum: ['shopBased', 'homeBased'],
+        required: true
+    },
+    frequency: {
+        type: String,
+        enum: ['weekly', 'biweekly', 'monthly'],
+        required: true
+    },
+    startDate: {
+        type: String, // YYYY-MM-DD in the series time zone
+        required: true
+    },
+    // Either endDate or count limits the series
+    endDate: {
+        type: String,
+        default: null
+    },
+    count: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+    bookingTime: {
+        hour: {
+            type: Number,
+            required: true,
+            min: 0,
+            max: 23
+        },
+        minute: {
+            type: Number,
+            required: true,
+            min: 0,
+            max: 59
+        }
+    },
+    timeZone: {
+        type: String,
+        default: DEFAULT_TIME_ZONE
+    },
+    status: {
+        type: String,
+        enum: ['active', 'cancelled'],
+        default: 'active'
+    },
+    // Occurrences that could not be booked when the series was created
+    conflicts: [SeriesConflictSchema],
+    notes: {
+        type: String,
+        default: ''
+    },
+    cancelledAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+BookingSeriesSchema.index({ customerId: 1, status: 1 });
+
+module.exports = mongoose.model('BookingSeries', BookingSeriesSchema);
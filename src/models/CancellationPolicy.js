@@ -0,0 +1,98 @@
+// src/models/CancellationPolicy.js
+const mongoose = require('mongoose');
+
+/**
+ * Refund granted when a booking is cancelled at least `hoursBefore` hours
+ * before it starts
+ */
+const RefundTierSchema = new mongoose.Schema({
+    hoursBefore: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    refundPercent: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    }
+}, { _id: false });
+
+/**
+ * Schema for cancellation and no-show policies.
+ *
+ * A shop policy applies to the bookings of that shop, a country policy to
+ * every other booking of the country. Without either the defaults of
+ * services/cancellationPolicyService.js apply.
+ *
+ * Percentages are of the booking price. A customer cancellation inside the
+ * grace window after booking is always free; otherwise the tier with the
+ * most hours the cancellation still meets sets the refund, and a cancellation
+ * below every tier is a late cancellation.
+ */
+const CancellationPolicySchema = new mongoose.Schema({
+    scope: {
+        type: String,
+        enum: ['country', 'shop'],
+        required: true
+    },
+    countryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Country',
+        default: null
+    },
+    shopId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shop',
+        default: null
+    },
+    refundTiers: {
+        type: [RefundTierSchema],
+        default: []
+    },
+    // Whether customers may cancel below every tier (paying the late-cancel fee)
+    allowLateCancellation: {
+        type: Boolean,
+        default: false
+    },
+    lateCancelFeePercent: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 100
+    },
+    noShowFeePercent: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 100
+    },
+    // Minutes after booking during which the customer can cancel for free
+    gracePeriodMinutes: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastUpdatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+CancellationPolicySchema.index(
+    { countryId: 1 },
+    { unique: true, partialFilterExpression: { scope: 'country' } }
+);
+CancellationPolicySchema.index(
+    { shopId: 1 },
+    { unique: true, partialFilterExpression: { scope: 'shop' } }
+);
+
+module.exports = mongoose.model('CancellationPolicy', CancellationPolicySchema);
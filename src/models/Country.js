@@ -45,6 +45,12 @@ const CountrySchema = new mongoose.Schema({
         type: String,
         default: 'UTC'
     },
+    // Gateway online payments are taken through; null uses PAYMENT_GATEWAY_DEFAULT (stripe)
+    paymentGateway: {
+        type: String,
+        enum: ['stripe', 'mock', null],
+        default: null
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -1,7 +1,6 @@
 // src/models/Customer.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { generateModelId, MODEL_PREFIXES } = require('../utils/idGenerator');
 
@@ -20,6 +19,29 @@ const AddressSchema = new mongoose.Schema({
   }
 });
 
+// Google or Apple account the customer signs in with, through Firebase
+const SocialAccountSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['google', 'apple'],
+    required: true
+  },
+  // Firebase user ID
+  uid: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const CustomerSchema = new mongoose.Schema({
   uid: {
     type: String,
@@ -109,6 +131,14 @@ const CustomerSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: {
+    type: Date,
+    default: null
+  },
   fcmTokens: [{
     token: {
       type: String,
@@ -156,6 +186,10 @@ const CustomerSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  socialAccounts: {
+    type: [SocialAccountSchema],
+    default: []
+  },
   countryId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Country',
@@ -170,6 +204,12 @@ const CustomerSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// A Firebase user can be linked to one customer only
+CustomerSchema.index(
+  { 'socialAccounts.uid': 1 },
+  { unique: true, partialFilterExpression: { 'socialAccounts.uid': { $exists: true } } }
+);
+
 // Virtual for bookings
 CustomerSchema.virtual('bookings', {
   ref: 'Booking',
@@ -192,20 +232,20 @@ CustomerSchema.pre('save', async function(next) {
   next();
 });
 
+// A changed phone number has to be verified again
+CustomerSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('phoneNumber')) {
+    this.phoneVerified = false;
+    this.phoneVerifiedAt = null;
+  }
+  next();
+});
+
 // Method to compare passwords
 CustomerSchema.methods.matchPassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Method to generate JWT token
-CustomerSchema.methods.generateToken = function() {
-  return jwt.sign(
-    { id: this._id, role: this.role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
-  );
-};
-
 // Method to generate password reset token
 CustomerSchema.methods.generatePasswordResetToken = function() {
   const resetToken = crypto.randomBytes(20).toString('hex');
@@ -0,0 +1,37 @@
+// src/models/ExchangeRate.js
+const mongoose = require('mongoose');
+
+/**
+ * Schema for the current exchange rate of a currency: how many units of it
+ * one unit of the base currency (USD) buys. Rates are set by admins or
+ * imported by the exchangeRates.import job; bookings keep a copy of the
+ * rate they were made at.
+ */
+const ExchangeRateSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    rate: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    source: {
+        type: String,
+        enum: ['manual', 'file', 'feed'],
+        default: 'manual'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
@@ -1,7 +1,6 @@
 // src/models/Freelancer.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { generateModelId, MODEL_PREFIXES } = require('../utils/idGenerator');
 
@@ -264,6 +263,23 @@ const FreelancerSchema = new mongoose.Schema({
         required: false,
         _id: false
     },
+    // Recurring daily breaks (e.g. lunch); no days means every working day
+    breaks: [{
+        from: { type: String, required: true },
+        to: { type: String, required: true },
+        days: {
+            type: [String],
+            enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+            default: []
+        },
+        label: { type: String, default: 'Break' }
+    }],
+    // Minimum notice in minutes before a booking can start; falls back to the shop, then the platform default
+    minLeadTimeMinutes: {
+        type: Number,
+        min: 0,
+        default: null
+    },
     serviceType: {
         type: String,
         enum: ['homeBased', 'shopBased', 'both'],
@@ -315,26 +331,6 @@ FreelancerSchema.methods.matchPassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Generate JWT token
-FreelancerSchema.methods.generateAuthToken = function () {
-    const payload = {
-        id: this._id,
-        uid: this.uid,
-        role: this.role
-    };
-
-    // Add country data for country-based roles
-    if (this.countryId) {
-        payload.countryId = this.countryId;
-    }
-
-    return jwt.sign(
-        payload,
-        process.env.JWT_SECRET || 'your-secret-key',
-        { expiresIn: process.env.JWT_EXPIRE || '30d' }
-    );
-};
-
 // Generate and hash password reset token
 FreelancerSchema.methods.generatePasswordResetToken = function () {
     // Generate token
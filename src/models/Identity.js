@@ -0,0 +1,70 @@
+// src/models/Identity.js
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const ProfileSchema = new mongoose.Schema({
+    role: {
+        type: String,
+        enum: ['customer', 'barber', 'freelancer', 'shop_owner', 'admin', 'super_admin', 'country_manager', 'customer_care'],
+        required: true
+    },
+    // Collection the profile is stored in
+    userModel: {
+        type: String,
+        enum: ['Customer', 'Barber', 'Freelancer', 'ShopOwner', 'User', 'Admin'],
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        refPath: 'profiles.userModel'
+    },
+    linkedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+/**
+ * Schema for the credentials a person signs in with, shared by the role
+ * profiles (customer, barber, ...) they have with the same email. The
+ * password is the bcrypt hash also kept on each profile.
+ */
+const IdentitySchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    password: {
+        type: String,
+        required: true,
+        select: false
+    },
+    profiles: {
+        type: [ProfileSchema],
+        default: []
+    },
+    // Profile the apps open after a login without a role
+    defaultRole: {
+        type: String,
+        default: null
+    },
+    lastLogin: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// A profile belongs to one identity
+IdentitySchema.index({ 'profiles.userId': 1 }, { unique: true, partialFilterExpression: { 'profiles.userId': { $exists: true } } });
+
+IdentitySchema.methods.matchPassword = async function (enteredPassword) {
+    return await bcrypt.compare(enteredPassword, this.password);
+};
+
+module.exports = mongoose.model('Identity', IdentitySchema);
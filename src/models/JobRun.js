@@ -0,0 +1,76 @@
+// src/models/JobRun.js
+const mongoose = require('mongoose');
+
+const JobAttemptSchema = new mongoose.Schema({
+    attempt: {
+        type: Number,
+        required: true
+    },
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    finishedAt: Date,
+    error: {
+        type: String,
+        default: null
+    }
+}, { _id: false });
+
+/**
+ * Schema for a single execution of a scheduled job
+ */
+const JobRunSchema = new mongoose.Schema({
+    jobName: {
+        type: String,
+        required: true
+    },
+    trigger: {
+        type: String,
+        enum: ['schedule', 'manual'],
+        default: 'schedule'
+    },
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    instance: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['running', 'succeeded', 'failed'],
+        default: 'running'
+    },
+    attempts: [JobAttemptSchema],
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    },
+    durationMs: {
+        type: Number,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+JobRunSchema.index({ jobName: 1, startedAt: -1 });
+
+// Keep run history for 30 days
+JobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', JobRunSchema);
@@ -0,0 +1,153 @@
+// src/models/LedgerEntry.js
+const mongoose = require('mongoose');
+const { generateModelId, MODEL_PREFIXES } = require('../utils/idGenerator');
+
+/**
+ * Ledger accounts
+ * - platform_cash: money held by the platform (card payments, payouts)
+ * - provider_payable: what the platform owes a provider; credits raise the balance
+ * - platform_fees: platform revenue from PlatformFee commissions
+ * - platform_adjustments: manual corrections granted or charged by admins
+ * - customer_wallet: customer wallet balances the platform holds (wallet payments and refunds)
+ * - platform_promotions: discounts of platform-funded promotions, paid to providers by the platform
+ */
+const LEDGER_ACCOUNTS = [
+    'platform_cash',
+    'provider_payable',
+    'platform_fees',
+    'platform_adjustments',
+    'customer_wallet',
+    'platform_promotions'
+];
+
+const LedgerLineSchema = new mongoose.Schema({
+    account: {
+        type: String,
+        enum: LEDGER_ACCOUNTS,
+        required: true
+    },
+    debit: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    credit: {
+        type: Number,
+        min: 0,
+        default: 0
+    }
+}, { _id: false });
+
+/**
+ * Schema for a double-entry journal entry. Its lines always balance
+ * (total debits equal total credits); at most one line is on the
+ * provider_payable account of `providerId`.
+ */
+const LedgerEntrySchema = new mongoose.Schema({
+    uid: {
+        type: String,
+        unique: true,
+        default: () => generateModelId(MODEL_PREFIXES.LEDGER_ENTRY),
+        index: true
+    },
+    type: {
+        type: String,
+        enum: ['booking_revenue', 'refund', 'adjustment', 'payout', 'tip'],
+        required: true
+    },
+    // Makes a posting happen once, e.g. payment:<id>:captured, refund:<stripe refund id> or tip:<id>
+    idempotencyKey: {
+        type: String,
+        default: undefined
+    },
+    providerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        refPath: 'providerModel'
+    },
+    providerModel: {
+        type: String,
+        enum: ['Barber', 'Freelancer', 'Shop'],
+        required: true
+    },
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        default: null
+    },
+    paymentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        default: null
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    lines: {
+        type: [LedgerLineSchema],
+        required: true
+    },
+    // Net effect on the provider's payable balance (credit minus debit)
+    providerAmount: {
+        type: Number,
+        required: true
+    },
+    // Payment or refund amount the entry was posted for, before the platform fee
+    grossAmount: {
+        type: Number,
+        default: 0
+    },
+    // Part of grossAmount the platform paid as a promotion discount instead of the customer
+    discountAmount: {
+        type: Number,
+        default: 0
+    },
+    // Platform fee percentage applied to booking revenue
+    feePercentage: {
+        type: Number,
+        default: null
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    // Payout that settled this entry; null while unsettled
+    payoutId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payout',
+        default: null
+    },
+    postedAt: {
+        type: Date,
+        default: Date.now
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Reject unbalanced entries
+LedgerEntrySchema.pre('validate', function (next) {
+    const toCents = amount => Math.round((amount || 0) * 100);
+    const debits = this.lines.reduce((sum, line) => sum + toCents(line.debit), 0);
+    const credits = this.lines.reduce((sum, line) => sum + toCents(line.credit), 0);
+
+    if (this.lines.length < 2 || debits !== credits) {
+        return next(new Error(`Ledger entry is not balanced (debits ${debits / 100}, credits ${credits / 100})`));
+    }
+    next();
+});
+
+LedgerEntrySchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+LedgerEntrySchema.index({ providerId: 1, providerModel: 1, payoutId: 1, postedAt: 1 });
+LedgerEntrySchema.index({ paymentId: 1, type: 1 });
+LedgerEntrySchema.index({ payoutId: 1 });
+
+LedgerEntrySchema.statics.ACCOUNTS = LEDGER_ACCOUNTS;
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema);
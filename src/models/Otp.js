@@ -0,0 +1,71 @@
+// src/models/Otp.js
+const mongoose = require('mongoose');
+
+/**
+ * Schema for the one-time password a user was last sent for a purpose.
+ * Only the hash of the code is stored; the document is kept after the code
+ * is used so the attempt counter, lockout and resend cooldown carry over
+ * to the next code.
+ */
+const OtpSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        refPath: 'userModel'
+    },
+    // Collection the user is stored in
+    userModel: {
+        type: String,
+        enum: ['Customer', 'Barber', 'Freelancer', 'ShopOwner', 'User', 'Admin'],
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: ['email_verification', 'password_reset', 'phone_verification'],
+        required: true
+    },
+    channel: {
+        type: String,
+        enum: ['email', 'sms'],
+        required: true
+    },
+    // Email address or phone number the code was sent to
+    destination: {
+        type: String,
+        required: true
+    },
+    codeHash: {
+        type: String,
+        default: null,
+        select: false
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    // Wrong codes entered since the last lockout
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    lastSentAt: {
+        type: Date,
+        default: null
+    },
+    consumedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+OtpSchema.index({ userId: 1, purpose: 1 }, { unique: true });
+// Remove codes a day after they were last touched
+OtpSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('Otp', OtpSchema);
@@ -2,11 +2,27 @@
 const mongoose = require('mongoose');
 const { generateModelId, MODEL_PREFIXES } = require('../utils/idGenerator');
 
+// Why a refund was given; Stripe is sent the closest of its own reasons
+const REFUND_REASONS = [
+    'requested_by_customer',
+    'booking_cancelled',
+    'service_issue',
+    'goodwill',
+    'duplicate',
+    'fraudulent',
+    'other'
+];
+
 const RefundDetailsSchema = new mongoose.Schema({
     amount: {
         type: Number,
         default: 0
     },
+    reasonCode: {
+        type: String,
+        enum: [...REFUND_REASONS, null],
+        default: null
+    },
     reason: {
         type: String,
         default: null
@@ -15,9 +31,32 @@ const RefundDetailsSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    // Refund ID on the payment's gateway (Stripe was the only gateway when it was named)
     stripeRefundId: {
         type: String,
         default: null
+    },
+    // api: refunded through this backend, stripe: found on Stripe (e.g. made in its dashboard)
+    source: {
+        type: String,
+        enum: ['api', 'stripe'],
+        default: 'api'
+    },
+    refundedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // original: back to the card or cash it was paid with, wallet: credited to the customer's wallet
+    method: {
+        type: String,
+        enum: ['original', 'wallet'],
+        default: 'original'
+    },
+    walletTransactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WalletTransaction',
+        default: null
     }
 });
 
@@ -50,14 +89,14 @@ const PaymentSchema = new mongoose.Schema({
         required: true
     },
     providerId: {
-        // Could be a barber ID or shop ID depending on payment flow
+        // Could be a barber, freelancer or shop ID depending on payment flow
         type: mongoose.Schema.Types.ObjectId,
         required: true,
         refPath: 'providerModel'
     },
     providerModel: {
         type: String,
-        enum: ['Barber', 'Shop'],
+        enum: ['Barber', 'Freelancer', 'Shop'],
         required: true
     },
     amount: {
@@ -71,9 +110,20 @@ const PaymentSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'cancelled'],
+        enum: ['pending', 'processing', 'completed', 'failed', 'partially_refunded', 'refunded', 'cancelled'],
         default: 'pending'
     },
+    // Gateway the payment was taken through; null for cash and wallet payments
+    gateway: {
+        type: String,
+        enum: ['stripe', 'mock', null],
+        default: null
+    },
+    gatewayPaymentId: {
+        type: String,
+        default: null
+    },
+    // Also set for Stripe payments, which older clients and webhooks look up by it
     stripePaymentIntentId: {
         type: String,
         default: null
@@ -84,7 +134,7 @@ const PaymentSchema = new mongoose.Schema({
     },
     paymentMethod: {
         type: String,
-        enum: ['card', 'cash', 'wallet'],
+        enum: ['card', 'cash', 'wallet', 'mobile_wallet', 'bank_transfer'],
         default: 'card'
     },
     paymentDetails: {
@@ -95,10 +145,20 @@ const PaymentSchema = new mongoose.Schema({
         type: CommissionSchema,
         default: {}
     },
+    // Latest refund, kept for clients reading a single refund
     refundDetails: {
         type: RefundDetailsSchema,
         default: {}
     },
+    refunds: {
+        type: [RefundDetailsSchema],
+        default: []
+    },
+    refundedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     metadata: {
         type: Map,
         of: mongoose.Schema.Types.Mixed
@@ -125,5 +185,14 @@ PaymentSchema.index({ bookingId: 1 });
 PaymentSchema.index({ customerId: 1 });
 PaymentSchema.index({ providerId: 1, providerModel: 1 });
 PaymentSchema.index({ status: 1 });
+// A gateway payment intent is recorded once
+PaymentSchema.index(
+    { gateway: 1, gatewayPaymentId: 1 },
+    { unique: true, partialFilterExpression: { gatewayPaymentId: { $type: 'string' } } }
+);
+PaymentSchema.index({ 'refunds.stripeRefundId': 1 }, { sparse: true });
+
+const Payment = mongoose.model('Payment', PaymentSchema);
+Payment.REFUND_REASONS = REFUND_REASONS;
 
-module.exports = mongoose.model('Payment', PaymentSchema);
\ No newline at end of file
+module.exports = Payment;
\ No newline at end of file
@@ -0,0 +1,120 @@
+// src/models/Payout.js
+const mongoose = require('mongoose');
+const { generateModelId, MODEL_PREFIXES } = require('../utils/idGenerator');
+
+/**
+ * Statement of the ledger entries a payout settles
+ */
+const PayoutStatementSchema = new mongoose.Schema({
+    bookingRevenue: {
+        type: Number,
+        default: 0
+    },
+    // Part of the booking revenue the provider collected in cash
+    cashCollected: {
+        type: Number,
+        default: 0
+    },
+    platformFees: {
+        type: Number,
+        default: 0
+    },
+    refunds: {
+        type: Number,
+        default: 0
+    },
+    adjustments: {
+        type: Number,
+        default: 0
+    },
+    // Card tips, paid to the provider without a platform fee
+    tips: {
+        type: Number,
+        default: 0
+    },
+    entryCount: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+/**
+ * Schema for what the platform pays one provider in a settlement run.
+ * Payouts are reviewed and approved by an admin before they are marked as paid.
+ */
+const PayoutSchema = new mongoose.Schema({
+    uid: {
+        type: String,
+        unique: true,
+        default: () => generateModelId(MODEL_PREFIXES.PAYOUT),
+        index: true
+    },
+    settlementRunId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SettlementRun',
+        required: true
+    },
+    providerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        refPath: 'providerModel'
+    },
+    providerModel: {
+        type: String,
+        enum: ['Barber', 'Freelancer', 'Shop'],
+        required: true
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    statement: {
+        type: PayoutStatementSchema,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'paid', 'cancelled'],
+        default: 'pending'
+    },
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    approvedAt: {
+        type: Date,
+        default: null
+    },
+    paidBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    paidAt: {
+        type: Date,
+        default: null
+    },
+    // Bank transfer or other reference of the payment to the provider
+    paymentReference: {
+        type: String,
+        default: null
+    },
+    notes: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+PayoutSchema.index({ settlementRunId: 1 });
+PayoutSchema.index({ providerId: 1, providerModel: 1, createdAt: -1 });
+PayoutSchema.index({ status: 1 });
+
+module.exports = mongoose.model('Payout', PayoutSchema);
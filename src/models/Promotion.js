@@ -0,0 +1,124 @@
+// src/models/Promotion.js
+const mongoose = require('mongoose');
+const { generateModelId, MODEL_PREFIXES } = require('../utils/idGenerator');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+// platform: the platform pays the discount and providers are paid as if the
+// customer paid in full; shop: the shop gives up the discount itself
+const FUNDED_BY = ['platform', 'shop'];
+
+/**
+ * Schema for promo codes and discount campaigns.
+ *
+ * A promotion applies to a booking when it is active and inside its validity
+ * window, the booking matches every scope list that is not empty (countries,
+ * shops, services) and its usage limits are not reached. Shop-funded
+ * promotions only apply to bookings of their shops.
+ */
+const PromotionSchema = new mongoose.Schema({
+    uid: {
+        type: String,
+        unique: true,
+        default: () => generateModelId(MODEL_PREFIXES.PROMOTION),
+        index: true
+    },
+    // Code customers enter, stored uppercase
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    discountType: {
+        type: String,
+        enum: DISCOUNT_TYPES,
+        required: true
+    },
+    // Percent of the booking price, or a fixed amount
+    value: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Cap on percentage discounts
+    maxDiscount: {
+        type: Number,
+        default: null
+    },
+    minBookingAmount: {
+        type: Number,
+        default: 0
+    },
+    fundedBy: {
+        type: String,
+        enum: FUNDED_BY,
+        default: 'platform'
+    },
+    // Only for a customer's first booking
+    firstBookingOnly: {
+        type: Boolean,
+        default: false
+    },
+    countryIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Country'
+    }],
+    shopIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shop'
+    }],
+    serviceIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service'
+    }],
+    // Redemptions allowed in total; null for no limit
+    usageLimit: {
+        type: Number,
+        default: null
+    },
+    usageLimitPerCustomer: {
+        type: Number,
+        default: 1
+    },
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    startsAt: {
+        type: Date,
+        default: null
+    },
+    endsAt: {
+        type: Date,
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+PromotionSchema.index({ shopIds: 1, isActive: 1 });
+
+PromotionSchema.statics.DISCOUNT_TYPES = DISCOUNT_TYPES;
+PromotionSchema.statics.FUNDED_BY = FUNDED_BY;
+
+module.exports = mongoose.model('Promotion', PromotionSchema);
@@ -0,0 +1,54 @@
+// src/models/PromotionRedemption.js
+const mongoose = require('mongoose');
+
+/**
+ * Schema for the use of a promotion on a booking. Per-customer usage
+ * limits count these; a booking redeems at most one promotion. Redemptions
+ * of cancelled and rejected bookings are deleted.
+ */
+const PromotionRedemptionSchema = new mongoose.Schema({
+    promotionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion',
+        required: true
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true
+    },
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+    // Which of the customer's allowed uses this takes, for promotions with a per-customer limit
+    customerUse: {
+        type: Number,
+        default: null
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    discountAmount: {
+        type: Number,
+        required: true
+    },
+    fundedBy: {
+        type: String,
+        enum: ['platform', 'shop'],
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+PromotionRedemptionSchema.index({ bookingId: 1 }, { unique: true });
+PromotionRedemptionSchema.index({ promotionId: 1, customerId: 1 });
+PromotionRedemptionSchema.index(
+    { promotionId: 1, customerId: 1, customerUse: 1 },
+    { unique: true, partialFilterExpression: { customerUse: { $type: 'number' } } }
+);
+
+module.exports = mongoose.model('PromotionRedemption', PromotionRedemptionSchema);
@@ -0,0 +1,71 @@
+// src/models/ScheduledJob.js
+const mongoose = require('mongoose');
+
+/**
+ * Schema for background jobs shared by all app instances.
+ * The lock fields make sure only one instance runs a job at a time.
+ */
+const ScheduledJobSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    schedule: {
+        type: String,
+        required: true
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    maxAttempts: {
+        type: Number,
+        min: 1,
+        default: 3
+    },
+    backoffMs: {
+        type: Number,
+        min: 0,
+        default: 30000
+    },
+    lockedBy: {
+        type: String,
+        default: null
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    lastScheduledAt: {
+        type: Date,
+        default: null
+    },
+    lastRunAt: {
+        type: Date,
+        default: null
+    },
+    lastRunStatus: {
+        type: String,
+        enum: ['running', 'succeeded', 'failed'],
+        default: null
+    },
+    lastRunId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'JobRun',
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('ScheduledJob', ScheduledJobSchema);
@@ -29,6 +29,17 @@ const ServiceSchema = new mongoose.Schema({
     required: [true, 'Service duration is required'],
     min: 5  // Minimum duration in minutes
   },
+  // Preparation before and cleanup after the service, kept free of other bookings
+  bufferBefore: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  bufferAfter: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   icon: {
     type: Map,
     of: mongoose.Schema.Types.Mixed
@@ -73,6 +84,15 @@ const ServiceSchema = new mongoose.Schema({
       type: Number,
       min: 5
     },
+    // Provider overrides of the service buffers
+    bufferBefore: {
+      type: Number,
+      min: 0
+    },
+    bufferAfter: {
+      type: Number,
+      min: 0
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -0,0 +1,93 @@
+// src/models/Session.js
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a login session of a user on one device. The session holds the
+ * hash of its current refresh token, which is replaced on every refresh;
+ * access tokens carry the session ID so revoking the session logs the device out.
+ */
+const SessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        refPath: 'userModel'
+    },
+    // Collection the user is stored in
+    userModel: {
+        type: String,
+        enum: ['Customer', 'Barber', 'Freelancer', 'ShopOwner', 'User', 'Admin'],
+        required: true
+    },
+    role: {
+        type: String,
+        required: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    // Hash of the refresh token replaced last; presenting it again means it was stolen
+    previousRefreshTokenHash: {
+        type: String,
+        default: null,
+        select: false
+    },
+    deviceId: {
+        type: String,
+        default: null
+    },
+    deviceName: {
+        type: String,
+        default: ''
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ipAddress: {
+        type: String,
+        default: ''
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // When the user passed two-factor authentication in this session
+    twoFactorVerifiedAt: {
+        type: Date,
+        default: null
+    },
+    // When the user last re-authenticated for a sensitive action
+    stepUpAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'user', 'admin', 'replaced', 'reuse', 'password_change', 'deactivated', null],
+        default: null
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+SessionSchema.index({ userId: 1, revokedAt: 1 });
+SessionSchema.index({ previousRefreshTokenHash: 1 }, { sparse: true });
+// Remove sessions a week after they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,50 @@
+// src/models/SettlementRun.js
+const mongoose = require('mongoose');
+const { generateModelId, MODEL_PREFIXES } = require('../utils/idGenerator');
+
+/**
+ * Schema for a settlement run: one batch of payouts covering the ledger
+ * entries posted up to `periodEnd` that no earlier payout settled
+ */
+const SettlementRunSchema = new mongoose.Schema({
+    uid: {
+        type: String,
+        unique: true,
+        default: () => generateModelId(MODEL_PREFIXES.SETTLEMENT_RUN),
+        index: true
+    },
+    periodStart: {
+        type: Date,
+        default: null
+    },
+    periodEnd: {
+        type: Date,
+        required: true
+    },
+    trigger: {
+        type: String,
+        enum: ['schedule', 'manual'],
+        default: 'manual'
+    },
+    payoutCount: {
+        type: Number,
+        default: 0
+    },
+    // Totals per currency, e.g. { USD: 1250.5 }
+    totals: {
+        type: Map,
+        of: Number,
+        default: {}
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+SettlementRunSchema.index({ periodEnd: -1 });
+
+module.exports = mongoose.model('SettlementRun', SettlementRunSchema);
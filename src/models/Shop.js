@@ -90,6 +90,12 @@ const ShopSchema = new mongoose.Schema({
         contentType: String
     },
     openingHours: [OpeningHoursSchema],
+    // Minimum notice in minutes before a booking can start, unless the provider sets their own
+    minLeadTimeMinutes: {
+        type: Number,
+        min: 0,
+        default: null
+    },
     serviceTypes: {
         type: [String],
         enum: ['shopBased', 'homeBased'],
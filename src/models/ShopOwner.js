@@ -1,7 +1,6 @@
 // src/models/ShopOwner.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { generateModelId, MODEL_PREFIXES } = require('../utils/idGenerator');
 
@@ -264,26 +263,6 @@ ShopOwnerSchema.methods.matchPassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Generate JWT token
-ShopOwnerSchema.methods.generateAuthToken = function () {
-    const payload = {
-        id: this._id,
-        uid: this.uid,
-        role: this.role
-    };
-
-    // Add country data for country-based roles
-    if (this.countryId) {
-        payload.countryId = this.countryId;
-    }
-
-    return jwt.sign(
-        payload,
-        process.env.JWT_SECRET || 'your-secret-key',
-        { expiresIn: process.env.JWT_EXPIRE || '30d' }
-    );
-};
-
 // Generate and hash password reset token
 ShopOwnerSchema.methods.generatePasswordResetToken = function () {
     // Generate token
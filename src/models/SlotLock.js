@@ -0,0 +1,28 @@
+// src/models/SlotLock.js
+const mongoose = require('mongoose');
+
+/**
+ * Schema for per-provider, per-day booking locks.
+ * Every transaction that books a slot bumps the lock of the provider's day,
+ * so two concurrent bookings of the same provider and day conflict and
+ * only one of them can commit.
+ */
+const SlotLockSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    version: {
+        type: Number,
+        default: 0
+    },
+    lastReservedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('SlotLock', SlotLockSchema);
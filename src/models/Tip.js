@@ -0,0 +1,88 @@
+// src/models/Tip.js
+const mongoose = require('mongoose');
+const { generateModelId, MODEL_PREFIXES } = require('../utils/idGenerator');
+
+/**
+ * Schema for a tip a customer gives for a completed booking. Tips are paid
+ * to the barber or freelancer who did the booking in full: no platform fee
+ * is charged on them. Card tips are a separate charge on the booking
+ * country's gateway; cash tips are only recorded.
+ */
+const TipSchema = new mongoose.Schema({
+    uid: {
+        type: String,
+        unique: true,
+        default: () => generateModelId(MODEL_PREFIXES.TIP),
+        index: true
+    },
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true
+    },
+    providerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        refPath: 'providerModel'
+    },
+    // Shop when the shop owner did the booking themselves
+    providerModel: {
+        type: String,
+        enum: ['Barber', 'Freelancer', 'Shop'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    method: {
+        type: String,
+        enum: ['card', 'cash'],
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'completed', 'failed'],
+        default: 'pending'
+    },
+    // Gateway and payment intent of card tips
+    gateway: {
+        type: String,
+        default: null
+    },
+    gatewayPaymentId: {
+        type: String,
+        default: null
+    },
+    note: {
+        type: String,
+        default: ''
+    },
+    paidAt: {
+        type: Date,
+        default: null
+    },
+    countryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Country',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+TipSchema.index({ bookingId: 1 });
+TipSchema.index({ providerId: 1, providerModel: 1, status: 1 });
+TipSchema.index({ gatewayPaymentId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('Tip', TipSchema);
@@ -0,0 +1,69 @@
+// src/models/TwoFactorAuth.js
+const mongoose = require('mongoose');
+
+const RecoveryCodeSchema = new mongoose.Schema({
+    codeHash: {
+        type: String,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
+
+/**
+ * Schema for the authenticator app (TOTP) second factor of a staff user.
+ * The secret is stored encrypted; recovery codes are stored hashed and can
+ * each be used once.
+ */
+const TwoFactorAuthSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        unique: true,
+        refPath: 'userModel'
+    },
+    // Collection the user is stored in
+    userModel: {
+        type: String,
+        enum: ['User', 'Admin'],
+        required: true
+    },
+    // Encrypted secret; set at setup, in use once enabled
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    enabled: {
+        type: Boolean,
+        default: false
+    },
+    enabledAt: {
+        type: Date,
+        default: null
+    },
+    recoveryCodes: {
+        type: [RecoveryCodeSchema],
+        default: [],
+        select: false
+    },
+    // Time step of the last accepted code, so a code cannot be used twice
+    lastUsedStep: {
+        type: Number,
+        default: 0
+    },
+    failedAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('TwoFactorAuth', TwoFactorAuthSchema);
@@ -0,0 +1,159 @@
+// src/models/WaitlistEntry.js
+const mongoose = require('mongoose');
+const { generateModelId, MODEL_PREFIXES } = require('../utils/idGenerator');
+const { DEFAULT_TIME_ZONE } = require('../utils/timeZone');
+
+// A freed slot reserved for one waitlister until expiresAt
+const SlotHoldSchema = new mongoose.Schema({
+    sourceBookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+    barberId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    shopId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shop',
+        default: null
+    },
+    // Service of the freed booking; the slot is only offered for the same service
+    serviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service',
+        default: null
+    },
+    bookingDate: {
+        type: Date, // UTC midnight of the local calendar date, like Booking.bookingDate
+        required: true
+    },
+    bookingTime: {
+        hour: {
+            type: Number,
+            required: true
+        },
+        minute: {
+            type: Number,
+            required: true
+        }
+    },
+    duration: {
+        type: Number,
+        required: true
+    },
+    // Buffers of the freed booking, kept free like the slot itself
+    bufferBefore: {
+        type: Number,
+        default: 0
+    },
+    bufferAfter: {
+        type: Number,
+        default: 0
+    },
+    timeZone: {
+        type: String,
+        default: DEFAULT_TIME_ZONE
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { _id: false });
+
+const OfferSchema = new mongoose.Schema({
+    sourceBookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true
+    },
+    offeredAt: {
+        type: Date,
+        default: Date.now
+    },
+    outcome: {
+        type: String,
+        enum: ['pending', 'booked', 'declined', 'expired'],
+        default: 'pending'
+    }
+}, { _id: false });
+
+/**
+ * Schema for customers waiting for a slot with a provider or shop.
+ * Entries are served in creation order.
+ */
+const WaitlistEntrySchema = new mongoose.Schema({
+    uid: {
+        type: String,
+        unique: true,
+        default: () => generateModelId(MODEL_PREFIXES.WAITLIST_ENTRY),
+        index: true
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true
+    },
+    // Specific provider; null means any provider of the shop
+    barberId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    shopId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shop',
+        default: null
+    },
+    serviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service',
+        required: true
+    },
+    serviceName: {
+        type: String,
+        default: ''
+    },
+    // Service duration in minutes; a freed slot must be at least this long
+    duration: {
+        type: Number,
+        required: true
+    },
+    // Date window in the provider's time zone (YYYY-MM-DD)
+    dateFrom: {
+        type: String,
+        required: true
+    },
+    dateTo: {
+        type: String,
+        required: true
+    },
+    timeZone: {
+        type: String,
+        default: DEFAULT_TIME_ZONE
+    },
+    status: {
+        type: String,
+        enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+        default: 'waiting'
+    },
+    hold: {
+        type: SlotHoldSchema,
+        default: null
+    },
+    offers: [OfferSchema],
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+WaitlistEntrySchema.index({ status: 1, barberId: 1, createdAt: 1 });
+WaitlistEntrySchema.index({ status: 1, shopId: 1, createdAt: 1 });
+WaitlistEntrySchema.index({ status: 1, 'hold.expiresAt': 1 });
+WaitlistEntrySchema.index({ customerId: 1, status: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
@@ -0,0 +1,32 @@
+// src/models/Wallet.js
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a customer wallet. The balance only changes together with a
+ * WalletTransaction recording why.
+ */
+const WalletSchema = new mongoose.Schema({
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true,
+        unique: true
+    },
+    balance: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Wallet', WalletSchema);
@@ -0,0 +1,91 @@
+// src/models/WalletTransaction.js
+const mongoose = require('mongoose');
+const { generateModelId, MODEL_PREFIXES } = require('../utils/idGenerator');
+
+/**
+ * Wallet transaction types
+ * - top_up: customer added money with a card (credit)
+ * - payment: booking paid from the wallet (debit)
+ * - refund_credit: refund issued to the wallet instead of the original payment method (credit)
+ * - goodwill_credit: credit granted by an admin (credit)
+ */
+const WALLET_TRANSACTION_TYPES = ['top_up', 'payment', 'refund_credit', 'goodwill_credit'];
+
+const WalletTransactionSchema = new mongoose.Schema({
+    uid: {
+        type: String,
+        unique: true,
+        default: () => generateModelId(MODEL_PREFIXES.WALLET_TRANSACTION),
+        index: true
+    },
+    walletId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Wallet',
+        required: true
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: WALLET_TRANSACTION_TYPES,
+        required: true
+    },
+    // Positive for credits, negative for debits
+    amount: {
+        type: Number,
+        required: true
+    },
+    balanceAfter: {
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String,
+        default: 'USD'
+    },
+    // Prevents crediting the same top-up twice (API confirmation and webhook)
+    idempotencyKey: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        default: null
+    },
+    paymentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        default: null
+    },
+    gateway: {
+        type: String,
+        default: null
+    },
+    gatewayPaymentId: {
+        type: String,
+        default: null
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+WalletTransactionSchema.index({ customerId: 1, createdAt: -1 });
+
+const WalletTransaction = mongoose.model('WalletTransaction', WalletTransactionSchema);
+WalletTransaction.TYPES = WALLET_TRANSACTION_TYPES;
+
+module.exports = WalletTransaction;
@@ -0,0 +1,70 @@
+// src/models/WebhookEvent.js
+const mongoose = require('mongoose');
+
+/**
+ * Schema for a webhook event received from a payment provider. Events are
+ * stored once per provider event ID so redeliveries are not processed twice,
+ * and failed events can be replayed.
+ */
+const WebhookEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        enum: ['stripe'],
+        default: 'stripe'
+    },
+    eventId: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    livemode: {
+        type: Boolean,
+        default: false
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // ignored: verified but of a type the backend does not handle
+    status: {
+        type: String,
+        enum: ['received', 'processing', 'processed', 'ignored', 'failed'],
+        default: 'received'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastAttemptAt: {
+        type: Date,
+        default: null
+    },
+    processedAt: {
+        type: Date,
+        default: null
+    },
+    replayedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+WebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+WebhookEventSchema.index({ status: 1, receivedAt: -1 });
+WebhookEventSchema.index({ type: 1, receivedAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
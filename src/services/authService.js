@@ -1,4 +1,3 @@
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const mongoose = require('mongoose');
 
@@ -12,6 +11,14 @@ const { User, ROLES } = require('../models/User');
 const { ApiError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
 const barberService = require('./barberService');
+const sessionService = require('./sessionService');
+const identityService = require('./identityService');
+const otpService = require('./otpService');
+const twoFactorService = require('./twoFactorService');
+const socialAuthService = require('./socialAuthService');
+
+// Collections a login looks up an email in, in order
+const LOGIN_MODELS = [Customer, Barber, Freelancer, ShopOwner, User];
 
 /**
  * Register a new user
@@ -301,50 +308,162 @@ const register = async (userData) => {
   }
 };
 
+/**
+ * Finish logging in a user whose credentials were checked: store the FCM
+ * token and start a session
+ * @private
+ * @param {Object} user - User document
+ * @param {string} roleName - Role name
+ * @param {string} fcmToken - FCM token (optional)
+ * @param {Object} device - { deviceId, deviceName, userAgent, ipAddress }
+ * @param {Object} [options] - { twoFactorVerified, twoFactorSetupRequired }
+ * @returns {Promise<Object>} - Login result
+ */
+const completeLogin = async (user, roleName, fcmToken, device, options = {}) => {
+  // Update FCM token if provided
+  if (fcmToken && typeof fcmToken === 'string') {
+    try {
+      // Use a deterministic device ID based on the FCM token (first 8 chars)
+      const deviceId = `device_${fcmToken.substring(0, 8)}`;
+      
+      // Use findOneAndUpdate to atomically update the FCM tokens
+      const updateResult = await user.constructor.findOneAndUpdate(
+        { _id: user._id },
+        {
+          $pull: { fcmTokens: { token: fcmToken } }, // Remove any existing entries with this token
+        },
+        { new: true }
+      );
+
+      await user.constructor.findOneAndUpdate(
+        { _id: user._id },
+        {
+          $push: {
+            fcmTokens: {
+              $each: [{
+                token: fcmToken,
+                deviceId: deviceId,
+                createdAt: new Date()
+              }],
+              $slice: -5 // Keep only the last 5 tokens
+            }
+          }
+        },
+        { new: true }
+      );
+
+      logger.info(`[LOGIN] 📱 FCM token added for user: ${user.email} (${user._id}), device: ${deviceId}`);
+    } catch (fcmError) {
+      logger.warn(`[LOGIN] ⚠️ Failed to update FCM token for user: ${user.email} (${user._id}): ${fcmError.message}`);
+      // Don't fail login if FCM update fails
+    }
+  }
+
+  // Start a session for the device with a short-lived access token and a refresh token
+  const { accessToken, refreshToken, expiresIn, session } = await sessionService.createSession(user, roleName, device, {
+    twoFactorVerified: options.twoFactorVerified
+  });
+
+  // Update last login using findOneAndUpdate to avoid triggering password hash middleware
+  await user.constructor.findOneAndUpdate(
+    { _id: user._id },
+    { lastLogin: new Date() },
+    { new: true }
+  );
+
+  const identity = await identityService.recordLogin(user, roleName);
+
+  logger.info(`[LOGIN] ✅ Login successful for user: ${user.email} (${user._id}), Role: ${roleName}`);
+
+  return {
+    user: {
+      _id: user._id,
+      uid: user.uid,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      profileImage: user.profileImage,
+      isActive: user.isActive,
+      emailVerified: user.emailVerified
+    },
+    token: accessToken,
+    refreshToken,
+    expiresIn,
+    sessionId: session._id,
+    twoFactorSetupRequired: Boolean(options.twoFactorSetupRequired),
+    // Profiles the apps can switch to without logging in again
+    profiles: identityService.listProfiles(identity, user, roleName)
+  };
+};
+
+/**
+ * Start a session for a user whose password was checked, or ask staff with
+ * two-factor authentication for a code first
+ * @private
+ */
+const startLogin = async (user, roleName, fcmToken, device) => {
+  // Staff with two-factor authentication finish logging in with a code
+  const twoFactor = await twoFactorService.getStatus(user, roleName);
+  if (twoFactor.enabled) {
+    logger.info(`[LOGIN] 🔑 Two-factor code required for user: ${user.email} (${user._id})`);
+    return twoFactorService.createLoginChallenge(user, roleName, fcmToken);
+  }
+
+  return completeLogin(user, roleName, fcmToken, device, { twoFactorSetupRequired: twoFactor.required });
+};
+
+/**
+ * Login to one of the profiles of an identity whose password was checked
+ * @private
+ */
+const loginWithIdentity = async (identity, role, fcmToken, device) => {
+  const profile = identityService.selectProfile(identity, role);
+  const found = await identityService.findUserForRole(profile.userId, profile.role);
+  if (!found) {
+    logger.error(`[LOGIN] ❌ Profile ${profile.role} ${profile.userId} of identity ${identity._id} is missing`);
+    throw new ApiError('Invalid credentials', 401);
+  }
+  const user = found.user;
+
+  if (!user.isActive) {
+    throw new ApiError('Your account has been deactivated', 403);
+  }
+  if (!user.emailVerified) {
+    throw new ApiError('Please verify your email address', 401);
+  }
+  logger.info(`[LOGIN] 🔐 Password verification successful for identity: ${identity.email}, profile: ${profile.role}`);
+
+  return startLogin(user, profile.role, fcmToken, device);
+};
+
 /**
  * Login user
  * @param {string} email - User email
  * @param {string} password - User password
- * @returns {Object} User object and JWT token
+ * @param {string} fcmToken - FCM token of the device (optional)
+ * @param {Object} device - Device the session is for { deviceId, deviceName, userAgent, ipAddress }
+ * @param {string} role - Profile to sign in to when the email has several (optional)
+ * @returns {Object} User object, access token and refresh token, or a two-factor challenge
  */
-const login = async (email, password, fcmToken = null) => {
+const login = async (email, password, fcmToken = null, device = {}, role = null) => {
   try {
-    // Try to find user in different collections
-    let user = null;
-    let userModel = null;
+    // Emails with an identity sign in with its credentials
+    const identity = await identityService.findByEmail(email, { withPassword: true });
+    if (identity && (!role || identity.profiles.some(profile => profile.role === role)) &&
+        await identity.matchPassword(password)) {
+      return await loginWithIdentity(identity, role, fcmToken, device);
+    }
 
-    // First check Customer collection (since customers are now stored directly here)
-    user = await Customer.findOne({ email }).select('+password');
-    if (user) {
-      userModel = Customer;
-      logger.info(`[LOGIN] ✅ User found in Customer collection: ${user.email} (${user._id})`);
-    } else {
-      // Check Barber collection
-      user = await Barber.findOne({ email }).select('+password');
+    // Accounts not linked to the identity, e.g. created after it with another
+    // password, sign in on their own. Customers are checked first, User (instead of Admin) last.
+    const linkedIds = identity ? identity.profiles.map(profile => profile.userId) : [];
+    let user = null;
+    for (const Model of LOGIN_MODELS) {
+      user = await Model.findOne({ email, _id: { $nin: linkedIds } }).select('+password');
       if (user) {
-        userModel = Barber;
-        logger.info(`[LOGIN] ✅ User found in Barber collection: ${user.email} (${user._id})`);
-      } else {
-        // Check Freelancer collection
-        user = await Freelancer.findOne({ email }).select('+password');
-        if (user) {
-          userModel = Freelancer;
-          logger.info(`[LOGIN] ✅ User found in Freelancer collection: ${user.email} (${user._id})`);
-        } else {
-          // Check ShopOwner collection
-          user = await ShopOwner.findOne({ email }).select('+password');
-          if (user) {
-            userModel = ShopOwner;
-            logger.info(`[LOGIN] ✅ User found in ShopOwner collection: ${user.email} (${user._id})`);
-          } else {
-            // Check User collection (instead of Admin)
-            user = await User.findOne({ email }).select('+password');
-            if (user) {
-              userModel = User;
-              logger.info(`[LOGIN] ✅ User found in User collection: ${user.email} (${user._id})`);
-            }
-          }
-        }
+        logger.info(`[LOGIN] ✅ User found in ${Model.modelName} collection: ${user.email} (${user._id})`);
+        break;
       }
     }
 
@@ -380,83 +499,114 @@ const login = async (email, password, fcmToken = null) => {
     logger.info(`[LOGIN] 🔐 Password verification successful for user: ${user.email}`);
 
     // Get role - handle different role storage methods
-    let roleName = user.role;
-    if (user.roleId) {
-      // For models that use roleId reference
-      const role = await Role.findById(user.roleId);
-      if (!role) {
-        throw new ApiError('Role not found', 500);
-      }
-      roleName = role.name;
+    const roleName = await identityService.resolveRoleName(user);
+
+    if (role && role !== roleName) {
+      throw new ApiError(`You do not have a ${role} profile`, 400, [{ code: 'PROFILE_NOT_FOUND' }]);
     }
 
-    // Update FCM token if provided
-    if (fcmToken && typeof fcmToken === 'string') {
-      try {
-        // Use a deterministic device ID based on the FCM token (first 8 chars)
-        const deviceId = `device_${fcmToken.substring(0, 8)}`;
-        
-        // Use findOneAndUpdate to atomically update the FCM tokens
-        const updateResult = await userModel.findOneAndUpdate(
-          { _id: user._id },
-          {
-            $pull: { fcmTokens: { token: fcmToken } }, // Remove any existing entries with this token
-          },
-          { new: true }
-        );
-
-        await userModel.findOneAndUpdate(
-          { _id: user._id },
-          {
-            $push: {
-              fcmTokens: {
-                $each: [{
-                  token: fcmToken,
-                  deviceId: deviceId,
-                  createdAt: new Date()
-                }],
-                $slice: -5 // Keep only the last 5 tokens
-              }
-            }
-          },
-          { new: true }
-        );
-
-        logger.info(`[LOGIN] 📱 FCM token added for user: ${user.email} (${user._id}), device: ${deviceId}`);
-      } catch (fcmError) {
-        logger.warn(`[LOGIN] ⚠️ Failed to update FCM token for user: ${user.email} (${user._id}): ${fcmError.message}`);
-        // Don't fail login if FCM update fails
-      }
+    // Accounts from before identities, or created after one, are linked on their first login
+    try {
+      await identityService.ensureIdentity(user, roleName, password);
+    } catch (identityError) {
+      logger.warn(`[LOGIN] ⚠️ Failed to link identity for user: ${user.email} (${user._id}): ${identityError.message}`);
     }
 
-    // Generate JWT
-    const token = generateToken(user._id, roleName);
+    return await startLogin(user, roleName, fcmToken, device);
+  } catch (error) {
+    logger.error('Login error:', error);
+    throw error instanceof ApiError ? error : new ApiError(error.message, 500);
+  }
+};
 
-    // Update last login using findOneAndUpdate to avoid triggering password hash middleware
-    await userModel.findOneAndUpdate(
-      { _id: user._id },
-      { lastLogin: new Date() },
-      { new: true }
-    );
+/**
+ * Finish logging in a user with two-factor authentication
+ * @param {string} challengeToken - Token returned by login
+ * @param {Object} credentials - { code } or { recoveryCode }
+ * @param {Object} device - Device the session is for { deviceId, deviceName, userAgent, ipAddress }
+ * @returns {Object} User object, access token and refresh token
+ */
+const verifyTwoFactorLogin = async (challengeToken, credentials, device = {}) => {
+  try {
+    const challenge = twoFactorService.verifyLoginChallenge(challengeToken);
 
-    logger.info(`[LOGIN] ✅ Login successful for user: ${user.email} (${user._id}), Role: ${roleName}`);
+    const found = await identityService.findUserForRole(challenge.id, challenge.role);
+    if (!found || !found.user.isActive) {
+      throw new ApiError('Your account has been deactivated', 403);
+    }
 
-    return {
-      user: {
-        _id: user._id,
-        uid: user.uid,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role,
-        profileImage: user.profileImage,
-        isActive: user.isActive,
-        emailVerified: user.emailVerified
-      },
-      token
-    };
+    const method = await twoFactorService.verify(found.user._id, credentials);
+    logger.info(`[LOGIN] 🔑 Two-factor ${method} accepted for user: ${found.user.email} (${found.user._id})`);
+
+    return await completeLogin(found.user, challenge.role, challenge.fcmToken, device, { twoFactorVerified: true });
   } catch (error) {
-    logger.error('Login error:', error);
+    logger.error('Two-factor login error:', error);
+    throw error instanceof ApiError ? error : new ApiError(error.message, 500);
+  }
+};
+
+/**
+ * Sign a customer in with Google or Apple through a Firebase ID token
+ * @param {string} idToken - Firebase ID token
+ * @param {Object} details - { phoneNumber, firstName, lastName } used when the customer is new
+ * @param {string} fcmToken - FCM token of the device (optional)
+ * @param {Object} device - Device the session is for { deviceId, deviceName, userAgent, ipAddress }
+ * @returns {Object} User object, access token and refresh token, and whether the customer is new
+ */
+const socialLogin = async (idToken, details = {}, fcmToken = null, device = {}) => {
+  try {
+    const { customer, isNewUser } = await socialAuthService.authenticate(idToken, details);
+
+    const result = await completeLogin(customer, 'customer', fcmToken, device);
+    return { ...result, isNewUser };
+  } catch (error) {
+    logger.error('Social login error:', error);
+    throw error instanceof ApiError ? error : new ApiError(error.message, 500);
+  }
+};
+
+/**
+ * Switch to another profile of the signed-in user's identity. The session
+ * moves to the profile; staff profiles need a password login instead.
+ * @param {Object} user - User document signed in
+ * @param {string} role - Role of the profile to switch to
+ * @param {string} currentSessionId - Session the switch replaces
+ * @param {Object} device - Device the session is for { deviceId, deviceName, userAgent, ipAddress }
+ * @returns {Object} User object, access token and refresh token of the profile
+ */
+const switchRole = async (user, role, currentSessionId, device = {}) => {
+  try {
+    if (identityService.isStaffRole(role)) {
+      throw new ApiError('Please sign in to staff profiles with your password', 403);
+    }
+
+    const identity = await identityService.findByUserId(user._id);
+    if (!identity) {
+      throw new ApiError(`You do not have a ${role} profile`, 400, [{ code: 'PROFILE_NOT_FOUND' }]);
+    }
+    const profile = identityService.selectProfile(identity, role);
+    if (profile.userId.equals(user._id)) {
+      throw new ApiError(`You are already signed in as ${role}`, 400);
+    }
+
+    const found = await identityService.findUserForRole(profile.userId, profile.role);
+    if (!found || !found.user.isActive) {
+      throw new ApiError('Your account has been deactivated', 403);
+    }
+    if (!found.user.emailVerified) {
+      throw new ApiError('Please verify your email address', 401);
+    }
+
+    const result = await completeLogin(found.user, profile.role, null, device);
+
+    if (currentSessionId) {
+      await sessionService.revokeSession(user._id, currentSessionId, { reason: 'replaced' });
+    }
+
+    logger.info(`[LOGIN] 🔁 Switched identity ${identity._id} from user ${user._id} to ${profile.role} ${found.user._id}`);
+    return result;
+  } catch (error) {
+    logger.error('Switch role error:', error);
     throw error instanceof ApiError ? error : new ApiError(error.message, 500);
   }
 };
@@ -681,12 +831,9 @@ const getCurrentUser = async (userId) => {
  * @param {string} token - Verification token
  * @returns {string} status ("already_verified" or "otp_sent")
  */
-const sendEmail = require('../utils/sendEmail');
 // this function should take email to find the user instead of token
 const verifyEmail = async (email) => {
   try {
-    logger.info(`[VERIFY EMAIL DEBUG] Received email: ${email}`);
-    
     // Try to find user in different collections
     let user = null;
     
@@ -709,7 +856,6 @@ const verifyEmail = async (email) => {
       }
     }
     
-    logger.info(`[VERIFY EMAIL DEBUG] User found: ${user ? JSON.stringify({ email: user.email, emailVerificationToken: user.emailVerificationToken }) : 'none'}`);
     if (!user) {
       throw new ApiError('User not found', 400);
     }
@@ -717,37 +863,7 @@ const verifyEmail = async (email) => {
       return 'already_verified';
     }
 
-    // Static OTP for testing
-    
-    const staticOtp = '1234';
-
-    const otpExpire = Date.now() + 5 * 60 * 1000; // 5 minutes
-    user.emailOTP = staticOtp;
-    user.emailOTPExpire = otpExpire;
-
-    // Debug log
-    console.log('Setting OTP:', { email: user.email, otp: staticOtp });
-
-    // Send OTP email
-    await sendEmail({
-      to: user.email,
-      subject: 'Your Email Verification OTP',
-      text: `Your OTP is: ${staticOtp}. It will expire in 5 minutes.`,
-      html: `
-        <div style="font-family: Arial, sans-serif; background: #f9f9f9; padding: 30px; border-radius: 10px; max-width: 400px; margin: auto;">
-          <h2 style="color: #2d8cf0; text-align: center;">Email Verification</h2>
-          <p style="font-size: 16px; color: #333; text-align: center;">Use the OTP below to verify your email address:</p>
-          <div style="background: #fff; border-radius: 8px; padding: 20px; margin: 20px 0; text-align: center;">
-            <span style="font-size: 2.2em; letter-spacing: 8px; color: #27ae60; font-weight: bold;">${staticOtp}</span>
-          </div>
-          <p style="font-size: 15px; color: #555; text-align: center;">This OTP will expire in <b>5 minutes</b>.</p>
-          <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;">
-          <p style="font-size: 13px; color: #aaa; text-align: center;">If you did not request this, please ignore this email.</p>
-        </div>
-      `
-    });
-    console.log(`OTP sent to ${user.email}: ${staticOtp}`);
-    await user.save();
+    await otpService.sendOtp(user, 'email_verification');
     return 'otp_sent';
   } catch (error) {
     logger.error('Email verification error:', error);
@@ -763,9 +879,6 @@ const verifyEmail = async (email) => {
  */
 const verifyEmailOTP = async (email, otp) => {
   try {
-    // Debug: print email and otp
-    logger.info(`[OTP DEBUG] Verifying OTP for email: ${email}, otp: ${otp}`);
-    
     // Try to find user in different collections
     let user = null;
     
@@ -788,18 +901,15 @@ const verifyEmailOTP = async (email, otp) => {
       }
     }
     
-    logger.info(`[OTP DEBUG] User found: ${user ? JSON.stringify({ email: user.email, emailOTP: user.emailOTP, emailOTPExpire: user.emailOTPExpire }) : 'none'}`);
-    console.log(`[OTP DEBUG] Comparing user.emailOTP (${user ? user.emailOTP : 'undefined'}) with provided otp (${otp})`);
-    if (!user || user.emailOTP !== otp) {
-      logger.warn(`[OTP DEBUG] OTP mismatch. user.emailOTP: ${user ? user.emailOTP : 'undefined'}, provided otp: ${otp}`);
+    if (!user) {
       throw new ApiError('Invalid OTP', 400);
     }
-    if (!user.emailOTPExpire || user.emailOTPExpire < Date.now()) {
-      throw new ApiError('OTP expired', 400);
+    if (user.emailVerified) {
+      return true;
     }
+
+    await otpService.verifyOtp(user, 'email_verification', otp);
     user.emailVerified = true;
-    user.emailOTP = '1234';
-    user.emailOTPExpire = undefined;
     await user.save();
     return true;
   } catch (error) {
@@ -925,6 +1035,11 @@ const resetPassword = async (token, newPassword) => {
 
     await user.save();
 
+    // Whoever knew the old password is logged out everywhere, on every linked profile
+    for (const userId of await identityService.syncPassword(user)) {
+      await sessionService.revokeAllSessions(userId, { reason: 'password_change' });
+    }
+
     return true;
   } catch (error) {
     logger.error('Password reset error:', error);
@@ -937,9 +1052,10 @@ const resetPassword = async (token, newPassword) => {
  * @param {string} userId - User ID
  * @param {string} currentPassword - Current password
  * @param {string} newPassword - New password
+ * @param {string} currentSessionId - Session that stays logged in (optional)
  * @returns {boolean} Success
  */
-const changePassword = async (userId, currentPassword, newPassword) => {
+const changePassword = async (userId, currentPassword, newPassword, currentSessionId = null) => {
   try {
     // Try to find user in different collections
     let user = null;
@@ -979,6 +1095,11 @@ const changePassword = async (userId, currentPassword, newPassword) => {
 
     await user.save();
 
+    // Log out the other devices, on every linked profile
+    for (const linkedUserId of await identityService.syncPassword(user)) {
+      await sessionService.revokeAllSessions(linkedUserId, { reason: 'password_change', exceptSessionId: currentSessionId });
+    }
+
     return true;
   } catch (error) {
     logger.error('Change password error:', error);
@@ -986,20 +1107,6 @@ const changePassword = async (userId, currentPassword, newPassword) => {
   }
 };
 
-/**
- * Generate JWT token
- * @param {string} userId - User ID
- * @param {string} role - User role
- * @returns {string} JWT token
- */
-const generateToken = (userId, role) => {
-  return jwt.sign(
-    { id: userId, role: role },
-    process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: process.env.JWT_EXPIRE || '30d' }
-  );
-};
-
 /**
  * Find user by email
  * @param {string} email - User email
@@ -1038,17 +1145,25 @@ const findUserByEmail = async (email) => {
 };
 
 /**
- * Logout user - Remove specific FCM token
+ * Logout user - Revoke the session and remove specific FCM token
  * @param {Object} user - User document from any collection
  * @param {string} fcmToken - FCM token to remove (optional - if not provided, clears all tokens)
+ * @param {Object} options - { sessionId, allDevices } - session to revoke, or all sessions of the user
  * @returns {Promise<void>}
  */
-const logout = async (user, fcmToken = null) => {
+const logout = async (user, fcmToken = null, options = {}) => {
   try {
     if (!user) {
       throw new ApiError('User not found', 404);
     }
 
+    // Revoke server-side so the access and refresh tokens stop working at once
+    if (options.allDevices) {
+      await sessionService.revokeAllSessions(user._id, { reason: 'logout' });
+    } else if (options.sessionId) {
+      await sessionService.revokeSession(user._id, options.sessionId, { reason: 'logout' });
+    }
+
     if (fcmToken) {
       // Remove only the specific FCM token
       if (!user.fcmTokens) {
@@ -1079,6 +1194,9 @@ const logout = async (user, fcmToken = null) => {
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
+  socialLogin,
+  switchRole,
   logout,
   getCurrentUser,
   verifyEmail,
@@ -6,6 +6,7 @@ const Service = require('../models/Service');
 const Country = require('../models/Country');
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const identityService = require('./identityService');
 const { convertFileToUrl } = require('../utils/helpers');
 const { ApiError } = require('../middlewares/errorHandler');
 // const { uploadToS3 } = require('../config/s3'); // Commented out AWS S3
@@ -382,6 +383,12 @@ class BarberService {
             }
 
             await barber.save();
+
+            // A new password applies to every profile linked to the barber's identity
+            if (updateData.password) {
+                await identityService.syncPassword(barber);
+            }
+
             return barber;
         } catch (error) {
             logger.error(`Update barber error: ${error.message}`);
@@ -0,0 +1,472 @@
+// src/services/blockedPeriodService.js
+const moment = require('moment-timezone');
+const BlockedPeriod = require('../models/BlockedPeriod');
+const Booking = require('../models/Booking');
+const Barber = require('../models/Barber');
+const Freelancer = require('../models/Freelancer');
+const ShopOwner = require('../models/ShopOwner');
+const Shop = require('../models/Shop');
+const { ApiError } = require('../middlewares/errorHandler');
+const bookingStateMachine = require('./bookingStateMachine');
+const notificationService = require('./notificationService');
+const timeZoneService = require('./timeZoneService');
+const logger = require('../utils/logger');
+const slotRules = require('../utils/slotRules');
+const { toCalendarDate, getDayRange, getDayOfWeek } = require('../utils/timeZone');
+const { ACTIVE_BOOKING_STATUSES } = require('../utils/constants');
+
+const MINUTES_PER_DAY = 24 * 60;
+const MAX_PERIOD_DAYS = 366;
+
+const TYPES_BY_SCOPE = {
+  provider: ['vacation', 'closure', 'break'],
+  shop: ['closure', 'break'],
+  country: ['holiday']
+};
+
+/**
+ * Blocked window of a period on each of its days, in local minutes
+ * @private
+ */
+const getWindow = (period) => {
+  if (!period.startTime || !period.endTime) {
+    return { start: 0, end: MINUTES_PER_DAY };
+  }
+  return { start: slotRules.toMinutes(period.startTime), end: slotRules.toMinutes(period.endTime) };
+};
+
+/**
+ * Express a period as a booking-like interval, so slot calculations can
+ * check it with the same overlap logic as existing bookings
+ * @private
+ */
+const toBlockedSlot = (period) => {
+  const window = getWindow(period);
+  return {
+    bookingTime: { hour: Math.floor(window.start / 60), minute: window.start % 60 },
+    duration: window.end - window.start,
+    blockedPeriodId: period._id,
+    type: period.type,
+    reason: period.reason
+  };
+};
+
+/**
+ * Get the blocked intervals of a calendar date
+ * @param {Object} scope - { providerId, shopId, countryId }; any of them may be omitted
+ * @param {Date|string} date - Calendar date in the provider's time zone
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Array>} - Intervals { bookingTime, duration, blockedPeriodId, type, reason }
+ */
+const getBlockedSlots = async ({ providerId, shopId, countryId }, date, options = {}) => {
+  const scopes = [];
+  if (providerId) scopes.push({ scope: 'provider', providerId });
+  if (shopId) scopes.push({ scope: 'shop', shopId });
+  if (countryId) scopes.push({ scope: 'country', countryId });
+  if (scopes.length === 0) return [];
+
+  const day = toCalendarDate(date);
+  const periods = await BlockedPeriod.find({
+    startDate: { $lte: day },
+    endDate: { $gte: day },
+    $or: scopes
+  }).session(options.session || null).lean();
+
+  return periods.map(toBlockedSlot);
+};
+
+/**
+ * Resolve the shop and country whose blocked periods apply to a provider.
+ * Public holidays close shops, so they only apply to providers working in one.
+ * @param {string} providerId - Barber, freelancer or shop owner ID
+ * @param {Object} [options] - { provider, shop, session } documents the caller already loaded
+ * @returns {Promise<Object>} - { providerId, shopId, countryId, provider, shop }
+ */
+const resolveProviderScope = async (providerId, options = {}) => {
+  const session = options.session || null;
+
+  let provider = options.provider;
+  if (!provider) {
+    for (const Model of [Barber, Freelancer, ShopOwner]) {
+      provider = await Model.findById(providerId)
+        .select('shopId countryId breaks minLeadTimeMinutes')
+        .session(session)
+        .lean();
+      if (provider) break;
+    }
+  }
+
+  let shop = options.shop;
+  if (!shop && provider && provider.shopId) {
+    shop = await Shop.findById(provider.shopId._id || provider.shopId)
+      .select('countryId minLeadTimeMinutes')
+      .session(session)
+      .lean();
+  }
+  if (!shop && provider) {
+    // Shop owners are linked from the shop side
+    shop = await Shop.findOne({ ownerId: providerId })
+      .select('countryId minLeadTimeMinutes')
+      .session(session)
+      .lean();
+  }
+
+  return {
+    providerId,
+    shopId: shop ? shop._id : null,
+    countryId: shop ? shop.countryId : null,
+    provider: provider || null,
+    shop: shop || null
+  };
+};
+
+/**
+ * Get what limits a provider's bookable time on a calendar date besides
+ * bookings: time off, closures of their shop, public holidays of its
+ * country, their daily breaks and the notice new bookings need
+ * @param {string} providerId - Barber, freelancer or shop owner ID
+ * @param {Date|string} date - Calendar date in the provider's time zone
+ * @param {Object} [options] - { provider, shop, session, timeZone }
+ * @returns {Promise<Object>} - { blocked, leadTimeMinutes, timeZone }; blocked items are booking-like intervals
+ */
+const getProviderRules = async (providerId, date, options = {}) => {
+  const scope = await resolveProviderScope(providerId, options);
+
+  const blocked = await getBlockedSlots(scope, date, options);
+  blocked.push(...slotRules.getBreakSlots(scope.provider, getDayOfWeek(date)));
+
+  const timeZone = options.timeZone
+    || await timeZoneService.resolveTimeZone({ shop: scope.shop, provider: scope.provider });
+
+  return {
+    blocked,
+    leadTimeMinutes: slotRules.resolveLeadTime(scope.provider, scope.shop),
+    timeZone
+  };
+};
+
+/**
+ * Check that an actor may manage blocked periods of a scope
+ * @private
+ */
+const assertCanManage = async (period, actor) => {
+  const role = bookingStateMachine.normalizeRole(actor.role);
+  if (role === 'admin') return;
+
+  if (period.scope === 'country') {
+    throw new ApiError('Only admins can manage public holidays', 403);
+  }
+
+  const actorId = actor.id.toString();
+
+  if (role === 'barber' || role === 'freelancer') {
+    if (period.scope !== 'provider' || period.providerId.toString() !== actorId) {
+      throw new ApiError('You can only manage your own time off', 403);
+    }
+    return;
+  }
+
+  if (role === 'shop_owner') {
+    if (period.scope === 'provider') {
+      if (period.providerId.toString() === actorId) return;
+      // Shop owners manage the time off of their barbers
+      const barber = await Barber.findById(period.providerId).select('shopId').lean();
+      const shop = barber && barber.shopId
+        ? await Shop.findOne({ _id: barber.shopId, ownerId: actor.id }).select('_id').lean()
+        : null;
+      if (!shop) {
+        throw new ApiError('You can only manage time off of barbers in your shops', 403);
+      }
+      return;
+    }
+
+    const shop = await Shop.findOne({ _id: period.shopId, ownerId: actor.id }).select('_id').lean();
+    if (!shop) {
+      throw new ApiError('You can only manage closures of your own shops', 403);
+    }
+    return;
+  }
+
+  throw new ApiError('You are not authorized to manage blocked periods', 403);
+};
+
+/**
+ * Find active bookings that fall inside a blocked period
+ * @private
+ */
+const findAffectedBookings = async (period) => {
+  const filter = {
+    bookingDate: {
+      $gte: getDayRange(period.startDate).start,
+      $lte: getDayRange(period.endDate).end
+    },
+    status: { $in: ACTIVE_BOOKING_STATUSES }
+  };
+
+  if (period.scope === 'provider') {
+    filter.barberId = period.providerId;
+  } else if (period.scope === 'shop') {
+    filter.shopId = period.shopId;
+  } else {
+    const shopIds = await Shop.find({ countryId: period.countryId }).distinct('_id');
+    filter.shopId = { $in: shopIds };
+  }
+
+  const bookings = await Booking.find(filter).lean();
+  const window = getWindow(period);
+
+  return bookings.filter(booking => {
+    const start = booking.bookingTime.hour * 60 + booking.bookingTime.minute;
+    return start < window.end && start + booking.duration > window.start;
+  });
+};
+
+/**
+ * Flag bookings inside a new blocked period and tell their providers
+ * @private
+ */
+const flagAffectedBookings = async (period) => {
+  const bookings = await findAffectedBookings(period);
+  if (bookings.length === 0) return [];
+
+  await Booking.updateMany(
+    { _id: { $in: bookings.map(booking => booking._id) } },
+    {
+      $set: {
+        scheduleConflict: {
+          blockedPeriodId: period._id,
+          type: period.type,
+          reason: period.reason,
+          flaggedAt: new Date()
+        }
+      }
+    }
+  );
+
+  // One notification per provider and per shop owner instead of one per booking
+  const recipients = new Map();
+  const addRecipient = (userId) => {
+    if (!userId) return;
+    const key = userId.toString();
+    recipients.set(key, (recipients.get(key) || 0) + 1);
+  };
+
+  const shopIds = [...new Set(bookings.filter(b => b.shopId).map(b => b.shopId.toString()))];
+  const shops = await Shop.find({ _id: { $in: shopIds } }).select('ownerId').lean();
+  const ownerByShop = new Map(shops.map(shop => [shop._id.toString(), shop.ownerId]));
+
+  for (const booking of bookings) {
+    addRecipient(booking.barberId);
+    const ownerId = booking.shopId && ownerByShop.get(booking.shopId.toString());
+    if (ownerId && ownerId.toString() !== booking.barberId.toString()) {
+      addRecipient(ownerId);
+    }
+  }
+
+  const dates = period.startDate === period.endDate ? period.startDate : `${period.startDate} - ${period.endDate}`;
+  for (const [userId, count] of recipients) {
+    try {
+      await notificationService.createNotification({
+        userId,
+        title: 'Bookings Affected by Blocked Period',
+        message: `${count} booking(s) fall inside the ${period.type} on ${dates}. Please reschedule or cancel them.`,
+        type: 'booking'
+      });
+    } catch (error) {
+      logger.warn('Failed to send blocked period notification:', error.message);
+    }
+  }
+
+  return bookings;
+};
+
+/**
+ * Create a blocked period
+ * @param {Object} data - { scope, providerId, shopId, countryId, type, startDate, endDate, startTime, endTime, reason }
+ * @param {Object} actor - Actor { id, role }
+ * @returns {Promise<Object>} - { blockedPeriod, affectedBookings }
+ */
+const createBlockedPeriod = async (data, actor) => {
+  const scope = data.scope;
+  if (!TYPES_BY_SCOPE[scope]) {
+    throw new ApiError('Invalid scope. Use provider, shop or country', 400);
+  }
+  if (!TYPES_BY_SCOPE[scope].includes(data.type)) {
+    throw new ApiError(`A ${scope} blocked period must be one of: ${TYPES_BY_SCOPE[scope].join(', ')}`, 400);
+  }
+
+  const period = {
+    scope,
+    providerId: scope === 'provider' ? data.providerId : null,
+    shopId: scope === 'shop' ? data.shopId : null,
+    countryId: scope === 'country' ? data.countryId : null,
+    type: data.type,
+    startDate: toCalendarDate(data.startDate),
+    endDate: toCalendarDate(data.endDate || data.startDate),
+    startTime: data.startTime || null,
+    endTime: data.endTime || null,
+    reason: data.reason || '',
+    createdBy: { id: actor.id, role: actor.role }
+  };
+
+  if (!period[`${scope}Id`]) {
+    throw new ApiError(`${scope}Id is required for a ${scope} blocked period`, 400);
+  }
+  if (period.endDate < period.startDate) {
+    throw new ApiError('End date must not be before start date', 400);
+  }
+  if (moment.utc(period.endDate).diff(moment.utc(period.startDate), 'days') >= MAX_PERIOD_DAYS) {
+    throw new ApiError(`A blocked period cannot be longer than ${MAX_PERIOD_DAYS} days`, 400);
+  }
+  if (!!period.startTime !== !!period.endTime) {
+    throw new ApiError('Provide both startTime and endTime for a partial-day block', 400);
+  }
+  if (period.startTime && slotRules.toMinutes(period.startTime) >= slotRules.toMinutes(period.endTime)) {
+    throw new ApiError('startTime must be before endTime', 400);
+  }
+  if (period.type === 'break' && !period.startTime) {
+    throw new ApiError('A break needs a startTime and endTime', 400);
+  }
+
+  await assertCanManage(period, actor);
+
+  const blockedPeriod = await BlockedPeriod.create(period);
+  const affectedBookings = await flagAffectedBookings(blockedPeriod);
+
+  logger.info(`Created blocked period ${blockedPeriod.uid} (${scope} ${period.type}, ${period.startDate} - ${period.endDate}); ${affectedBookings.length} booking(s) flagged`);
+
+  return { blockedPeriod, affectedBookings };
+};
+
+/**
+ * List blocked periods
+ * @param {Object} filter - { scope, providerId, shopId, countryId, from, to }
+ * @returns {Promise<Array>} - Blocked periods ordered by start date
+ */
+const getBlockedPeriods = async (filter = {}) => {
+  const query = {};
+  ['scope', 'providerId', 'shopId', 'countryId'].forEach(field => {
+    if (filter[field]) query[field] = filter[field];
+  });
+  if (filter.$or) {
+    query.$or = filter.$or;
+  }
+  if (filter.from) {
+    query.endDate = { $gte: toCalendarDate(filter.from) };
+  }
+  if (filter.to) {
+    query.startDate = { $lte: toCalendarDate(filter.to) };
+  }
+
+  return await BlockedPeriod.find(query).sort({ startDate: 1 }).lean();
+};
+
+/**
+ * List the blocked periods that apply to a shop owner's shops: shop closures,
+ * time off of the owner and their barbers, and public holidays
+ * @param {string} ownerId - Shop owner ID
+ * @param {Object} [options] - { from, to }
+ * @returns {Promise<Array>} - Blocked periods ordered by start date
+ */
+const getShopOwnerBlockedPeriods = async (ownerId, options = {}) => {
+  const shops = await Shop.find({ ownerId }).select('_id countryId').lean();
+  const shopIds = shops.map(shop => shop._id);
+  const countryIds = [...new Set(shops.filter(shop => shop.countryId).map(shop => shop.countryId.toString()))];
+  const barberIds = await Barber.find({ shopId: { $in: shopIds } }).distinct('_id');
+
+  return await getBlockedPeriods({
+    ...options,
+    $or: [
+      { scope: 'shop', shopId: { $in: shopIds } },
+      { scope: 'provider', providerId: { $in: [ownerId, ...barberIds] } },
+      { scope: 'country', countryId: { $in: countryIds } }
+    ]
+  });
+};
+
+/**
+ * Delete a blocked period and clear the flags it put on bookings
+ * @param {string} id - Blocked period ID
+ * @param {Object} actor - Actor { id, role }
+ * @returns {Promise<Object>} - Deleted blocked period
+ */
+const deleteBlockedPeriod = async (id, actor) => {
+  const period = await BlockedPeriod.findById(id);
+  if (!period) {
+    throw new ApiError('Blocked period not found', 404);
+  }
+
+  await assertCanManage(period, actor);
+
+  await period.deleteOne();
+  await Booking.updateMany(
+    { 'scheduleConflict.blockedPeriodId': period._id },
+    { $set: { scheduleConflict: null } }
+  );
+
+  return period;
+};
+
+/**
+ * Update the daily breaks and minimum notice of a barber or freelancer
+ * @param {string} providerId - Barber or freelancer ID
+ * @param {Object} data - { breaks, minLeadTimeMinutes }; omitted fields are kept
+ * @param {Object} actor - Actor { id, role }
+ * @returns {Promise<Object>} - { _id, breaks, minLeadTimeMinutes }
+ */
+const updateProviderRules = async (providerId, data, actor) => {
+  await assertCanManage({ scope: 'provider', providerId }, actor);
+
+  const update = {};
+  if (data.breaks !== undefined) {
+    for (const b of data.breaks) {
+      if (slotRules.toMinutes(b.from) >= slotRules.toMinutes(b.to)) {
+        throw new ApiError(`Break ${b.from} - ${b.to} must end after it starts`, 400);
+      }
+    }
+    update.breaks = data.breaks;
+  }
+  if (data.minLeadTimeMinutes !== undefined) {
+    update.minLeadTimeMinutes = data.minLeadTimeMinutes;
+  }
+
+  for (const Model of [Barber, Freelancer]) {
+    const provider = await Model.findByIdAndUpdate(providerId, { $set: update }, { new: true, runValidators: true })
+      .select('breaks minLeadTimeMinutes')
+      .lean();
+    if (provider) return provider;
+  }
+
+  throw new ApiError('Provider not found', 404);
+};
+
+/**
+ * Update the minimum notice of a shop owner's shop
+ * @param {string} ownerId - Shop owner ID
+ * @param {Object} data - { minLeadTimeMinutes }; null falls back to the platform default
+ * @returns {Promise<Object>} - { _id, minLeadTimeMinutes }
+ */
+const updateShopRules = async (ownerId, data) => {
+  const shop = await Shop.findOneAndUpdate(
+    { ownerId },
+    { $set: { minLeadTimeMinutes: data.minLeadTimeMinutes } },
+    { new: true, runValidators: true }
+  ).select('minLeadTimeMinutes').lean();
+
+  if (!shop) {
+    throw new ApiError('Shop not found', 404);
+  }
+  return shop;
+};
+
+module.exports = {
+  getBlockedSlots,
+  getProviderRules,
+  resolveProviderScope,
+  createBlockedPeriod,
+  getBlockedPeriods,
+  getShopOwnerBlockedPeriods,
+  deleteBlockedPeriod,
+  updateProviderRules,
+  updateShopRules
+};
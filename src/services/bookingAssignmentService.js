@@ -0,0 +1,263 @@
+// src/services/bookingAssignmentService.js
+const Barber = require('../models/Barber');
+const Booking = require('../models/Booking');
+const Customer = require('../models/Customer');
+const Service = require('../models/Service');
+const logger = require('../utils/logger');
+const { ACTIVE_BOOKING_STATUSES } = require('../utils/constants');
+const { getDayOfWeek, getDayRange } = require('../utils/timeZone');
+
+/**
+ * Eligibility rules. A candidate failing any rule is never assigned.
+ * Each rule returns { passed, reason }.
+ */
+const rules = [
+  {
+    name: 'schedule',
+    check: (candidate, context) => {
+      const { booking } = context;
+      const dayOfWeek = getDayOfWeek(booking.bookingDate);
+      const daySchedule = candidate.schedule && candidate.schedule[dayOfWeek];
+
+      if (!daySchedule || daySchedule.status !== 'available' || !daySchedule.from || !daySchedule.to) {
+        return { passed: false, reason: `not working on ${dayOfWeek}` };
+      }
+
+      const [fromHour, fromMinute] = daySchedule.from.split(':').map(Number);
+      const [toHour, toMinute] = daySchedule.to.split(':').map(Number);
+      const startMinutes = booking.bookingTime.hour * 60 + booking.bookingTime.minute;
+      const endMinutes = startMinutes + booking.duration;
+
+      if (startMinutes < fromHour * 60 + fromMinute || endMinutes > toHour * 60 + toMinute) {
+        return { passed: false, reason: `booking falls outside working hours (${daySchedule.from} - ${daySchedule.to})` };
+      }
+
+      return { passed: true, reason: `works ${daySchedule.from} - ${daySchedule.to} on ${dayOfWeek}` };
+    }
+  },
+  {
+    name: 'offersService',
+    check: (candidate, context) => {
+      const { service } = context;
+      const barberOfferings = (service && service.offeredBy || []).filter(o => o.providerType === 'Barber');
+
+      // Shop services without explicit barber offerings can be performed by any barber of the shop
+      if (barberOfferings.length === 0) {
+        return { passed: true, reason: 'service is offered shop-wide' };
+      }
+
+      const offering = barberOfferings.find(o => o.providerId.toString() === candidate._id.toString());
+      if (!offering || offering.isActive === false) {
+        return { passed: false, reason: 'does not offer this service' };
+      }
+
+      return { passed: true, reason: 'offers this service' };
+    }
+  },
+  {
+    name: 'slotFree',
+    check: async (candidate, context) => {
+      // Required lazily to avoid a circular dependency with bookingService
+      const { isTimeSlotAvailable } = require('./bookingService');
+      const { booking } = context;
+
+      const isFree = await isTimeSlotAvailable(
+        candidate._id,
+        booking.bookingDate,
+        booking.bookingTime,
+        booking.duration,
+        'barber',
+        {
+          excludeBookingId: booking._id,
+          bufferBefore: booking.bufferBefore,
+          bufferAfter: booking.bufferAfter,
+          ignoreLeadTime: true
+        }
+      );
+
+      return isFree
+        ? { passed: true, reason: 'free at the booking time' }
+        : { passed: false, reason: 'already booked at this time' };
+    }
+  }
+];
+
+/**
+ * Scorers rank eligible candidates. Each returns a value between 0 and 1
+ * which is multiplied by the scorer's weight.
+ */
+const scorers = [
+  {
+    name: 'load',
+    weight: 40,
+    score: (candidate, context) => {
+      const load = context.loadByBarber[candidate._id.toString()] || 0;
+      return {
+        value: 1 / (1 + load),
+        reason: `${load} other booking(s) that day`
+      };
+    }
+  },
+  {
+    name: 'rating',
+    weight: 30,
+    score: (candidate) => {
+      const rating = candidate.rating || 0;
+      return {
+        value: rating / 5,
+        reason: `rated ${rating.toFixed(1)}`
+      };
+    }
+  },
+  {
+    name: 'favourite',
+    weight: 30,
+    score: (candidate, context) => {
+      const isFavourite = context.favouriteBarberIds.includes(candidate._id.toString());
+      return {
+        value: isFavourite ? 1 : 0,
+        reason: isFavourite ? "customer's favourite barber" : null
+      };
+    }
+  }
+];
+
+/**
+ * Register an additional eligibility rule
+ * @param {Object} rule - { name, check(candidate, context) => { passed, reason } }
+ */
+const registerRule = (rule) => {
+  if (!rule || !rule.name || typeof rule.check !== 'function') {
+    throw new Error('Assignment rule must have a name and a check function');
+  }
+  rules.push(rule);
+};
+
+/**
+ * Register an additional scorer
+ * @param {Object} scorer - { name, weight, score(candidate, context) => { value, reason } }
+ */
+const registerScorer = (scorer) => {
+  if (!scorer || !scorer.name || typeof scorer.score !== 'function' || typeof scorer.weight !== 'number') {
+    throw new Error('Assignment scorer must have a name, a numeric weight and a score function');
+  }
+  scorers.push(scorer);
+};
+
+/**
+ * Build the shared context used by rules and scorers
+ * @param {Object} booking - Booking document
+ * @param {Array} candidates - Candidate barbers
+ * @returns {Promise<Object>} - Assignment context
+ */
+const buildContext = async (booking, candidates) => {
+  const service = await Service.findById(booking.serviceId).select('offeredBy').lean();
+
+  const customer = await Customer.findById(booking.customerId).select('favoriteBarbers').lean();
+  const favouriteBarberIds = (customer && customer.favoriteBarbers || []).map(id => id.toString());
+
+  // Count each candidate's other bookings on the same day
+  const day = getDayRange(booking.bookingDate);
+
+  const loads = await Booking.aggregate([
+    {
+      $match: {
+        _id: { $ne: booking._id },
+        barberId: { $in: candidates.map(c => c._id) },
+        bookingDate: { $gte: day.start, $lte: day.end },
+        status: { $in: ACTIVE_BOOKING_STATUSES }
+      }
+    },
+    { $group: { _id: '$barberId', count: { $sum: 1 } } }
+  ]);
+
+  const loadByBarber = {};
+  loads.forEach(l => { loadByBarber[l._id.toString()] = l.count; });
+
+  return { booking, service, favouriteBarberIds, loadByBarber };
+};
+
+/**
+ * Evaluate a single candidate against all rules and scorers
+ * @param {Object} candidate - Barber document
+ * @param {Object} context - Assignment context
+ * @returns {Promise<Object>} - Evaluation result
+ */
+const evaluateCandidate = async (candidate, context) => {
+  const reasons = [];
+
+  for (const rule of rules) {
+    const result = await rule.check(candidate, context);
+    if (!result.passed) {
+      return { barber: candidate, eligible: false, score: 0, reasons: [result.reason] };
+    }
+    if (result.reason) reasons.push(result.reason);
+  }
+
+  let score = 0;
+  const breakdown = {};
+  for (const scorer of scorers) {
+    const { value, reason } = await scorer.score(candidate, context);
+    const weighted = Math.max(0, Math.min(1, value || 0)) * scorer.weight;
+    breakdown[scorer.name] = parseFloat(weighted.toFixed(2));
+    score += weighted;
+    if (reason) reasons.push(reason);
+  }
+
+  return {
+    barber: candidate,
+    eligible: true,
+    score: parseFloat(score.toFixed(2)),
+    breakdown,
+    reasons
+  };
+};
+
+/**
+ * Pick the best barber of the booking's shop for a pending booking
+ * @param {Object} booking - Booking document (shop-based)
+ * @returns {Promise<Object>} - { selected, candidates } where selected is null if nobody is eligible
+ */
+const selectBarberForBooking = async (booking) => {
+  const shopId = booking.shopId && booking.shopId._id ? booking.shopId._id : booking.shopId;
+
+  const candidates = await Barber.find({
+    shopId,
+    isActive: true,
+    status: { $nin: ['onLeave', 'blocked', 'inactive'] }
+  }).select('_id firstName lastName schedule rating reviewCount');
+
+  if (candidates.length === 0) {
+    return { selected: null, candidates: [] };
+  }
+
+  const context = await buildContext(booking, candidates);
+
+  const evaluations = [];
+  for (const candidate of candidates) {
+    evaluations.push(await evaluateCandidate(candidate, context));
+  }
+
+  // Highest score first; fall back to rating count for stable tie-breaking
+  const eligible = evaluations
+    .filter(e => e.eligible)
+    .sort((a, b) => b.score - a.score || (b.barber.reviewCount || 0) - (a.barber.reviewCount || 0));
+
+  logger.debug(`Assignment candidates for booking ${booking.uid}:`, evaluations.map(e => ({
+    barberId: e.barber._id.toString(),
+    eligible: e.eligible,
+    score: e.score,
+    reasons: e.reasons
+  })));
+
+  return {
+    selected: eligible[0] || null,
+    candidates: evaluations
+  };
+};
+
+module.exports = {
+  registerRule,
+  registerScorer,
+  selectBarberForBooking
+};
@@ -0,0 +1,138 @@
+// src/services/bookingLineService.js
+const Service = require('../models/Service');
+const { ApiError } = require('../middlewares/errorHandler');
+const slotRules = require('../utils/slotRules');
+
+// Most services one appointment can combine
+const MAX_SERVICES_PER_BOOKING = 5;
+
+/**
+ * Read the ordered service IDs of a request. `serviceIds` (array or
+ * comma-separated string) wins over the single `serviceId`.
+ * @param {Object} data - Request body or query { serviceIds, serviceId }
+ * @returns {Array<string>} - Service IDs in the order they are performed
+ */
+const getRequestedServiceIds = ({ serviceIds, serviceId } = {}) => {
+  let ids = typeof serviceIds === 'string' ? serviceIds.split(',') : serviceIds;
+  if (!Array.isArray(ids) || ids.length === 0) {
+    ids = serviceId ? [serviceId] : [];
+  }
+  return ids.map(id => id.toString().trim()).filter(Boolean);
+};
+
+/**
+ * Load the services of an appointment in the order they are performed
+ * @param {string|Array<string>} serviceIds - One service ID or an ordered list
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Array>} - Service documents
+ */
+const loadServices = async (serviceIds, options = {}) => {
+  const ids = [].concat(serviceIds || []).map(id => id.toString());
+
+  if (ids.length === 0) {
+    throw new ApiError('At least one service is required', 400);
+  }
+  if (ids.length > MAX_SERVICES_PER_BOOKING) {
+    throw new ApiError(`A booking can combine at most ${MAX_SERVICES_PER_BOOKING} services`, 400);
+  }
+  if (new Set(ids).size !== ids.length) {
+    throw new ApiError('Each service can only be booked once per appointment', 400);
+  }
+
+  const services = await Service.find({ _id: { $in: ids } }).session(options.session || null);
+  const byId = new Map(services.map(service => [service._id.toString(), service]));
+
+  return ids.map((id) => {
+    const service = byId.get(id);
+    if (!service) {
+      throw new ApiError('Service not found', 404);
+    }
+    return service;
+  });
+};
+
+/**
+ * Round a money amount to cents
+ * @private
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Combine services into the lines of one appointment, performed back to back
+ * by the same provider. The first service's buffer is kept free before the
+ * appointment and the last one's after it.
+ * @param {Array} services - Service documents in order
+ * @param {string} [providerId] - Provider whose buffer overrides apply
+ * @returns {Object} - Booking fields { services, serviceId, serviceName, price, duration, bufferBefore, bufferAfter }
+ */
+const buildLines = (services, providerId) => {
+  let offset = 0;
+  const lines = services.map((service) => {
+    const line = {
+      serviceId: service._id,
+      serviceName: service.title,
+      price: service.price,
+      duration: service.duration || 30,
+      startOffset: offset
+    };
+    offset += line.duration;
+    return line;
+  });
+
+  return {
+    services: lines,
+    serviceId: lines[0].serviceId,
+    serviceName: lines.map(line => line.serviceName).join(' + '),
+    price: roundAmount(lines.reduce((sum, line) => sum + line.price, 0)),
+    duration: offset,
+    bufferBefore: slotRules.getServiceBuffers(services[0], providerId).bufferBefore,
+    bufferAfter: slotRules.getServiceBuffers(services[services.length - 1], providerId).bufferAfter
+  };
+};
+
+/**
+ * Get the line items of a booking. Bookings made before multi-service
+ * appointments have a single line built from their service fields.
+ * @param {Object} booking - Booking document or plain object
+ * @returns {Array} - Lines { serviceId, serviceName, price, duration, startOffset }
+ */
+const getServiceLines = (booking) => {
+  if (Array.isArray(booking.services) && booking.services.length > 0) {
+    return booking.services.map(line => ({
+      serviceId: line.serviceId,
+      serviceName: line.serviceName,
+      price: line.price,
+      duration: line.duration,
+      startOffset: line.startOffset || 0
+    }));
+  }
+
+  return [{
+    serviceId: booking.serviceId && booking.serviceId._id ? booking.serviceId._id : booking.serviceId,
+    serviceName: booking.serviceName,
+    price: booking.price,
+    duration: booking.duration,
+    startOffset: 0
+  }];
+};
+
+/**
+ * Get the amount to charge for a booking, computed from its lines less its
+ * promotion discount
+ * @param {Object} booking - Booking document or plain object
+ * @returns {number}
+ */
+const getTotalPrice = (booking) => {
+  const total = getServiceLines(booking).reduce((sum, line) => sum + (line.price || 0), 0);
+  const discount = booking.discount ? booking.discount.amount || 0 : 0;
+  return roundAmount(Math.max(total - discount, 0));
+};
+
+module.exports = {
+  MAX_SERVICES_PER_BOOKING,
+  getRequestedServiceIds,
+  loadServices,
+  buildLines,
+  getServiceLines,
+  getTotalPrice
+};
@@ -0,0 +1,362 @@
+// src/services/bookingSeriesService.js
+const moment = require('moment-timezone');
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const Shop = require('../models/Shop');
+const { ApiError } = require('../middlewares/errorHandler');
+const bookingService = require('./bookingService');
+const bookingStateMachine = require('./bookingStateMachine');
+const notificationService = require('./notificationService');
+const paymentService = require('./paymentService');
+const promotionService = require('./promotionService');
+const logger = require('../utils/logger');
+const { toCalendarDate } = require('../utils/timeZone');
+
+const MAX_OCCURRENCES = 52;
+
+const FREQUENCIES = {
+  weekly: { amount: 1, unit: 'weeks' },
+  biweekly: { amount: 2, unit: 'weeks' },
+  monthly: { amount: 1, unit: 'months' }
+};
+
+const CANCEL_SCOPES = ['this', 'following', 'series'];
+
+/**
+ * List the calendar dates of a recurrence rule
+ * @param {Object} rule - Recurrence rule
+ * @param {string} rule.startDate - First occurrence (YYYY-MM-DD)
+ * @param {string} rule.frequency - weekly, biweekly or monthly
+ * @param {string} [rule.endDate] - Last possible occurrence (YYYY-MM-DD)
+ * @param {number} [rule.count] - Number of occurrences
+ * @returns {Array<string>} - Occurrence dates (YYYY-MM-DD)
+ */
+const getOccurrenceDates = ({ startDate, frequency, endDate, count }) => {
+  const step = FREQUENCIES[frequency];
+  if (!step) {
+    throw new ApiError(`Invalid frequency. Use one of: ${Object.keys(FREQUENCIES).join(', ')}`, 400);
+  }
+  if ((endDate && count) || (!endDate && !count)) {
+    throw new ApiError('Provide either an end date or an occurrence count for the series', 400);
+  }
+  if (count && (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+    throw new ApiError(`Occurrence count must be between 1 and ${MAX_OCCURRENCES}`, 400);
+  }
+
+  const start = moment.utc(startDate, 'YYYY-MM-DD', true);
+  const end = endDate ? moment.utc(endDate, 'YYYY-MM-DD', true) : null;
+  if (!start.isValid() || (end && !end.isValid())) {
+    throw new ApiError('Invalid series start or end date', 400);
+  }
+  if (end && end.isBefore(start)) {
+    throw new ApiError('Series end date must not be before its start date', 400);
+  }
+
+  const dates = [];
+  for (let i = 0; count ? i < count : true; i++) {
+    // Always step from the start date so monthly series do not drift after short months
+    const date = start.clone().add(i * step.amount, step.unit);
+    if (end && date.isAfter(end)) break;
+    if (dates.length >= MAX_OCCURRENCES) {
+      throw new ApiError(`A series can have at most ${MAX_OCCURRENCES} occurrences`, 400);
+    }
+    dates.push(date.format('YYYY-MM-DD'));
+  }
+
+  return dates;
+};
+
+/**
+ * Create a recurring booking series. Every occurrence goes through
+ * bookingService.createBooking, so it is checked against the provider's
+ * schedule and isTimeSlotAvailable like a single booking. Occurrences that
+ * cannot be booked are reported and skipped.
+ * @param {Object} seriesData - Booking data plus recurrence { frequency, endDate | count }
+ * @returns {Promise<Object>} - { series, bookings, conflicts }
+ */
+const createSeries = async (seriesData) => {
+  const { recurrence = {}, ...bookingData } = seriesData;
+
+  const startDate = toCalendarDate(bookingData.bookingDate);
+  const dates = getOccurrenceDates({
+    startDate,
+    frequency: recurrence.frequency,
+    endDate: recurrence.endDate ? toCalendarDate(recurrence.endDate) : null,
+    count: recurrence.count
+  });
+
+  const series = await BookingSeries.create({
+    customerId: bookingData.customerId,
+    barberId: bookingData.barberId,
+    serviceId: bookingData.serviceId || (bookingData.serviceIds && bookingData.serviceIds[0]),
+    serviceIds: bookingData.serviceIds || [],
+    serviceType: bookingData.serviceType,
+    frequency: recurrence.frequency,
+    startDate,
+    endDate: recurrence.endDate ? toCalendarDate(recurrence.endDate) : null,
+    count: recurrence.count || null,
+    bookingTime: bookingData.bookingTime,
+    notes: bookingData.notes || ''
+  });
+
+  const bookings = [];
+  const conflicts = [];
+
+  try {
+    for (let index = 0; index < dates.length; index++) {
+      try {
+        const booking = await bookingService.createBooking({
+          ...bookingData,
+          bookingDate: dates[index],
+          seriesId: series._id,
+          seriesIndex: index
+        }, { notify: false });
+        bookings.push(booking);
+      } catch (error) {
+        if (!(error instanceof ApiError) || error.statusCode >= 500) {
+          throw error;
+        }
+        conflicts.push({ index, date: dates[index], reason: error.message });
+      }
+    }
+
+    if (bookings.length === 0) {
+      throw new ApiError('None of the occurrences of the series could be booked', 409, conflicts);
+    }
+
+    series.shopId = bookings[0].shopId || null;
+    series.timeZone = bookings[0].timeZone;
+    series.conflicts = conflicts;
+    await series.save();
+  } catch (error) {
+    // Never leave occurrences booked without their series, or their promo code uses counted
+    for (const booking of bookings) {
+      await promotionService.releaseFromBooking(booking);
+    }
+    await Booking.deleteMany({ seriesId: series._id });
+    await BookingSeries.deleteOne({ _id: series._id });
+    logger.warn(`Rolled back booking series ${series.uid} after ${bookings.length} occurrence(s): ${error.message}`);
+    throw error;
+  }
+
+  await notifySeriesCreated(series, bookings, dates.length);
+
+  logger.info(`Created booking series ${series.uid}: ${bookings.length}/${dates.length} occurrences booked`);
+
+  return { series, bookings, conflicts };
+};
+
+/**
+ * Send one notification per party for a new series instead of one per occurrence
+ * @private
+ */
+const notifySeriesCreated = async (series, bookings, total) => {
+  const first = bookings[0];
+  const time = `${series.bookingTime.hour}:${series.bookingTime.minute.toString().padStart(2, '0')}`;
+
+  try {
+    await notificationService.createNotification({
+      userId: series.customerId,
+      title: 'Recurring Booking Created',
+      message: `Your ${series.frequency} booking for ${first.serviceName} at ${time} was created: ${bookings.length} of ${total} occurrences booked.${series.conflicts.length ? ' Some dates were not available.' : ''}`,
+      type: 'booking',
+      relatedId: first._id,
+      onModel: 'Booking'
+    });
+
+    // Shop bookings are approved by the shop owner, other bookings by the provider
+    let providerUserId = first.barberId;
+    if (first.shopId) {
+      const shop = await Shop.findById(first.shopId).select('ownerId').lean();
+      if (shop && shop.ownerId) providerUserId = shop.ownerId;
+    }
+
+    await notificationService.createNotification({
+      userId: providerUserId,
+      title: 'New Recurring Booking Request',
+      message: `${first.customerName} requested a ${series.frequency} booking for ${first.serviceName} at ${time} (${bookings.length} occurrences starting ${series.startDate}). Please accept or reject each occurrence.`,
+      type: 'booking',
+      relatedId: first._id,
+      onModel: 'Booking'
+    });
+  } catch (error) {
+    logger.warn('Failed to send recurring booking notifications:', error.message);
+  }
+};
+
+/**
+ * Make sure the actor may manage a booking of a series
+ * @private
+ */
+const assertCanManage = async (booking, actor) => {
+  const role = bookingStateMachine.normalizeRole(actor.role);
+
+  if (role === 'customer') {
+    if (booking.customerId.toString() !== actor.id.toString()) {
+      throw new ApiError('You can only manage your own bookings', 403);
+    }
+    return;
+  }
+
+  if (role === 'shop_owner') {
+    const shop = booking.shopId ? await Shop.findById(booking.shopId).select('ownerId').lean() : null;
+    if (!shop || shop.ownerId.toString() !== actor.id.toString()) {
+      throw new ApiError('You are not authorized to manage this booking', 403);
+    }
+    return;
+  }
+
+  if (role !== 'admin') {
+    throw new ApiError('You are not authorized to manage this booking', 403);
+  }
+};
+
+/**
+ * Get a series with its occurrences
+ * @param {string} seriesId - Series ID
+ * @param {Object} actor - Actor { id, role }
+ * @returns {Promise<Object>} - { series, bookings }
+ */
+const getSeries = async (seriesId, actor) => {
+  const series = await BookingSeries.findById(seriesId);
+  if (!series) {
+    throw new ApiError('Booking series not found', 404);
+  }
+
+  await assertCanManage(series, actor);
+
+  const bookings = await Booking.find({ seriesId: series._id })
+    .sort({ seriesIndex: 1 })
+    .lean();
+
+  return { series, bookings };
+};
+
+/**
+ * Get the series of a customer
+ * @param {string} customerId - Customer ID
+ * @param {Object} options - Filter options (status)
+ * @returns {Promise<Array>} - Series
+ */
+const getCustomerSeries = async (customerId, options = {}) => {
+  const filter = { customerId };
+  if (options.status) {
+    filter.status = options.status;
+  }
+  return await BookingSeries.find(filter).sort({ createdAt: -1 }).lean();
+};
+
+/**
+ * Cancel one occurrence, an occurrence and the following ones, or a whole series.
+ * Customers go through the regular cancel-and-refund flow for each occurrence,
+ * shop owners and admins through the booking status update.
+ * @param {string} bookingId - Occurrence the operation starts from
+ * @param {string} scope - this, following or series
+ * @param {Object} actor - Actor { id, role }
+ * @param {string} [reason] - Cancellation reason
+ * @returns {Promise<Object>} - { scope, series, cancelled, skipped, failed }
+ */
+const cancelOccurrences = async (bookingId, scope = 'this', actor, reason = '') => {
+  if (!CANCEL_SCOPES.includes(scope)) {
+    throw new ApiError(`Invalid scope. Use one of: ${CANCEL_SCOPES.join(', ')}`, 400);
+  }
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw new ApiError('Booking not found', 404);
+  }
+
+  await assertCanManage(booking, actor);
+
+  if (scope !== 'this' && !booking.seriesId) {
+    throw new ApiError('Booking is not part of a recurring series', 400);
+  }
+
+  let targets = [booking];
+  if (scope !== 'this') {
+    const filter = { seriesId: booking.seriesId };
+    if (scope === 'following') {
+      filter.seriesIndex = { $gte: booking.seriesIndex };
+    }
+    targets = await Booking.find(filter).sort({ seriesIndex: 1 });
+  }
+
+  const role = bookingStateMachine.normalizeRole(actor.role);
+  const cancelled = [];
+  const skipped = [];
+  const failed = [];
+
+  for (const target of targets) {
+    const summary = { bookingId: target._id, uid: target.uid, seriesIndex: target.seriesIndex, bookingDate: target.bookingDate };
+
+    if (!bookingStateMachine.canTransition(target.status, 'cancelled', role)) {
+      if (scope === 'this') {
+        throw new ApiError(`Booking cannot be cancelled because it is already ${target.status}`, 409);
+      }
+      skipped.push({ ...summary, reason: `already ${target.status}` });
+      continue;
+    }
+
+    try {
+      if (role === 'customer') {
+        await paymentService.cancelAndRefundBooking(target._id, actor.id, reason);
+      } else {
+        await bookingService.updateBookingStatus(target._id, 'cancelled', reason || 'Cancelled by shop', actor);
+      }
+      cancelled.push(summary);
+    } catch (error) {
+      if (scope === 'this' || !(error instanceof ApiError)) {
+        throw error;
+      }
+      failed.push({ ...summary, reason: error.message });
+    }
+  }
+
+  // Customers cancelled themselves; tell them once when the shop did it
+  if (role !== 'customer' && cancelled.length > 0) {
+    try {
+      await notificationService.createNotification({
+        userId: booking.customerId,
+        title: 'Booking Cancelled',
+        message: cancelled.length === 1
+          ? `Your booking for ${booking.serviceName} was cancelled by the shop.${reason ? ` Reason: ${reason}` : ''}`
+          : `${cancelled.length} occurrences of your recurring booking for ${booking.serviceName} were cancelled by the shop.${reason ? ` Reason: ${reason}` : ''}`,
+        type: 'booking',
+        relatedId: booking._id,
+        onModel: 'Booking'
+      });
+    } catch (error) {
+      logger.warn('Failed to send cancellation notification:', error.message);
+    }
+  }
+
+  // Keep the series rule in line with what is left of it
+  let series = null;
+  if (booking.seriesId) {
+    series = await BookingSeries.findById(booking.seriesId);
+    if (series && scope !== 'this') {
+      if (scope === 'series' || booking.seriesIndex === 0) {
+        series.status = 'cancelled';
+        series.cancelledAt = new Date();
+      } else {
+        series.endDate = moment.utc(toCalendarDate(booking.bookingDate)).subtract(1, 'day').format('YYYY-MM-DD');
+        series.count = null;
+      }
+      await series.save();
+    }
+  }
+
+  logger.info(`Cancelled ${cancelled.length} occurrence(s) of booking ${booking.uid} (scope: ${scope})`);
+
+  return { scope, series, cancelled, skipped, failed };
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  CANCEL_SCOPES,
+  getOccurrenceDates,
+  createSeries,
+  getSeries,
+  getCustomerSeries,
+  cancelOccurrences
+};
@@ -85,27 +85,66 @@ const autoAssignPendingBookings = async () => {
 
     for (const booking of pendingBookings) {
       try {
-        // Find available barbers in the shop for this service
         const shop = booking.shopId;
         if (!shop) continue;
 
-        // Get barbers associated with this shop
-        const availableBarbers = await Barber.find({
-          _id: { $in: shop.barbers || [] },
-          isActive: true
-        }).select('_id firstName lastName');
-
-        if (availableBarbers.length === 0) continue;
+        // Score the shop's barbers on schedule, free slot, skills, load, rating and customer preference
+        const { selected, candidates } = await bookingAssignmentService.selectBarberForBooking(booking);
+        if (!selected) {
+          logger.info(`No eligible barber for booking ${booking.uid}:`, candidates.map(c => ({
+            barberId: c.barber._id.toString(),
+            reasons: c.reasons
+          })));
+          continue;
+        }
 
-        // For now, assign to the first available barber
-        // In a more sophisticated system, you could check schedules, ratings, etc.
-        const assignedBarber = availableBarbers[0];
+        const assignedBarber = selected.barber;
 
         // Update booking
         booking.barberId = assignedBarber._id;
         booking.barberName = `${assignedBarber.firstName} ${assignedBarber.lastName}`;
-        booking.status = 'assigned';
-        await booking.save();
+        bookingStateMachine.transition(booking, 'assigned', {
+          actor: bookingStateMachine.SYSTEM_ACTOR,
+          reason: `Auto-assigned to ${booking.barberName}`
+        });
+        booking.assignment = {
+          method: 'auto',
+          score: selected.score,
+          reasons: selected.reasons,
+          assignedAt: new Date()
+        };
+
+        // Save under the barber's day lock so a booking created meanwhile cannot overlap
+        const session = await mongoose.startSession();
+        try {
+          await session.withTransaction(async () => {
+            await slotReservationService.reserve(
+              slotReservationService.getScopes({ providerId: assignedBarber._id, providerType: 'barber', shopId: shop._id }),
+              booking.bookingDate,
+              session
+            );
+            const isFree = await isTimeSlotAvailable(
+              assignedBarber._id,
+              booking.bookingDate,
+              booking.bookingTime,
+              booking.duration,
+              'barber',
+              {
+                excludeBookingId: booking._id,
+                session,
+                bufferBefore: booking.bufferBefore,
+                bufferAfter: booking.bufferAfter,
+                ignoreLeadTime: true
+              }
+            );
+            if (!isFree) {
+              throw new ApiError(`${booking.barberName} was booked at this time in the meantime`, 409);
+            }
+            await booking.save({ session });
+          });
+        } finally {
+          session.endSession();
+        }
 
         // Send notifications
         try {
@@ -134,7 +173,7 @@ const autoAssignPendingBookings = async () => {
             await notificationService.createNotification({
               userId: shop.ownerId,
               title: 'Booking Auto-Assigned',
-              message: `Booking #${booking.uid} has been automatically assigned to ${booking.barberName}.`,
+              message: `Booking #${booking.uid} has been automatically assigned to ${booking.barberName} (${selected.reasons.join(', ')}).`,
               type: 'booking',
               relatedId: booking._id,
               onModel: 'Booking'
@@ -169,24 +208,33 @@ const autoRescheduleStaleBookings = async () => {
   const THIRTY_MINUTES = 30 * 60 * 1000;
   const now = Date.now();
   const cutoff = new Date(now - THIRTY_MINUTES);
-  // Find bookings not confirmed and older than 30 min
+  // Find bookings not confirmed and older than 30 min that the system may reschedule
   const staleBookings = await Booking.find({
-    status: { $nin: ['confirmed', 'completed', 'cancelled', 'rejected', 'freelancer_rejected', 'rejected_barber', 'rescheduled'] },
+    status: { $in: bookingStateMachine.getStatusesAllowing('rescheduled', 'system') },
     createdAt: { $lte: cutoff }
   });
   let count = 0;
-  for (const booking of staleBookings) {
-    // Ensure rejected_barber status is excluded explicitly
-    if (booking.status === 'rejected_barber') {
+  for (const stale of staleBookings) {
+    // Reschedule by adding 30 minutes to booking time (in the booking's local time)
+    let booking;
+    try {
+      booking = await changeBookingTime(
+        stale._id,
+        (current) => timeZone.shiftLocalTime(current.bookingDate, current.bookingTime, 30),
+        {
+          update: (moved) => bookingStateMachine.transition(moved, 'rescheduled', {
+            actor: bookingStateMachine.SYSTEM_ACTOR,
+            reason: 'Not confirmed within 30 minutes'
+          }),
+          ignoreLeadTime: true
+        }
+      );
+    } catch (e) {
+      // Taken slot or a status changed meanwhile; the booking is retried on the next run
+      if (!(e instanceof ApiError)) throw e;
+      logger.warn(`Could not auto-reschedule booking ${stale._id}: ${e.message}`);
       continue;
     }
-    // Reschedule by adding 30 minutes to booking time
-    const currentTime = new Date(booking.bookingDate);
-    currentTime.setMinutes(currentTime.getMinutes() + 30);
-
-    booking.bookingDate = currentTime;
-    booking.status = 'rescheduled';
-    await booking.save();
     count++;
 
     // Notify customer about rescheduling
@@ -194,7 +242,7 @@ const autoRescheduleStaleBookings = async () => {
       await notificationService.createNotification({
         userId: booking.customerId._id || booking.customerId,
         title: 'Booking Rescheduled',
-        message: `Your booking for ${booking.serviceName} has been automatically rescheduled to ${currentTime.toLocaleString()}.`,
+        message: `Your booking for ${booking.serviceName} has been automatically rescheduled to ${timeZone.describeInstant(booking.startsAt, booking.timeZone).local}.`,
         type: 'booking',
         relatedId: booking._id,
         onModel: 'Booking'
@@ -206,7 +254,7 @@ const autoRescheduleStaleBookings = async () => {
       await notificationService.createNotification({
         userId: booking.barberId._id || booking.barberId,
         title: 'Booking Rescheduled',
-        message: `Booking for ${booking.serviceName} has been automatically rescheduled to ${currentTime.toLocaleString()}.`,
+        message: `Booking for ${booking.serviceName} has been automatically rescheduled to ${timeZone.describeInstant(booking.startsAt, booking.timeZone).local}.`,
         type: 'booking',
         relatedId: booking._id,
         onModel: 'Booking'
@@ -238,8 +286,8 @@ const approveBooking = async (id, shopOwnerId) => {
     if (!shopOwnerDoc || shopOwnerDoc._id.toString() !== shopOwnerId.toString()) {
       throw new ApiError('You are not authorized to approve this booking', 403);
     }
-    if (booking.status !== 'pending' && booking.status !== 'rescheduled'  && booking.status !== 'pending0' && booking.status !== 'confirmed') {
-      throw new ApiError('Booking is not pending approval or rescheduled', 400);
+    if (!['pending', 'rescheduled', 'confirmed'].includes(booking.status)) {
+      throw new ApiError('Booking is not pending approval or rescheduled', 409);
     }
     
     // Check if barber is a freelancer to set appropriate status
@@ -271,13 +319,15 @@ const approveBooking = async (id, shopOwnerId) => {
     }
 
     // Set status based on service type and provider type
-    if (booking.serviceType === 'shopBased') {
-      // For shop-based bookings, status should be 'confirmed' directly
-      booking.status = 'confirmed';
-    } else {
-      // For home-based bookings, set status based on provider type
-      booking.status = (actualProviderType === 'freelancer') ? 'assigned' : 'pending';
-    }
+    // Shop-based bookings are confirmed directly; home-based ones wait for the provider
+    let approvedStatus = 'confirmed';
+    if (booking.serviceType !== 'shopBased') {
+      approvedStatus = (actualProviderType === 'freelancer') ? 'assigned' : 'pending';
+    }
+    bookingStateMachine.transition(booking, approvedStatus, {
+      actor: { id: shopOwnerId, role: 'shop_owner' },
+      reason: 'Approved by shop owner'
+    });
     await booking.save({ session });
     // Notify barber and customer about approval
     try {
@@ -422,13 +472,11 @@ const acceptBookingRequest = async (bookingId, providerId, reason = '') => {
       throw new ApiError('You are not authorized to accept this booking', 403);
     }
 
-    // Check if booking can be accepted
-    if (!['pending', 'assigned','rescheduled', 'reassigned', 'rejected_barber', 'freelancer_rejected'].includes(booking.status)) {
-      throw new ApiError(`Cannot accept booking with status: ${booking.status}`, 400);
-    }
-
-    // Update booking status
-    booking.status = 'confirmed';
+    // Update booking status (the state machine rejects illegal moves)
+    bookingStateMachine.transition(booking, 'confirmed', {
+      actor: { id: providerId, role: providerType },
+      reason: reason || 'Accepted by provider'
+    });
     if (reason) {
       booking.notes = (booking.notes || '') + `\nAccepted: ${reason}`;
     }
@@ -553,26 +601,25 @@ const rejectBookingRequest = async (bookingId, providerId, reason) => {
       throw new ApiError('You are not authorized to reject this booking', 403);
     }
 
-    // Check if booking can be rejected
-    if (!['pending', 'assigned','rescheduled', 'reassigned', 'rejected_barber', 'freelancer_rejected'].includes(booking.status)) {
-      throw new ApiError(`Cannot reject booking with status: ${booking.status}`, 400);
-    }
-
     // Update booking status based on provider type
     // Shop-based barbers get 'rejected_barber' status for reassignment
     // Freelancers get 'freelancer_rejected' status
-    // Shop owners get 'shop_owner_rejected' status
+    // Shop owners and independent barbers get 'rejected' status
     let rejectionStatus = 'rejected';
     if (providerType === 'barber' && barber && barber.shopId) {
       rejectionStatus = 'rejected_barber';
     } else if (providerType === 'freelancer') {
       rejectionStatus = 'freelancer_rejected';
-    } else if (providerType === 'shop_owner') {
-      rejectionStatus = 'shop_owner_rejected';
     }
-    
-    booking.status = rejectionStatus;
+
+    bookingStateMachine.transition(booking, rejectionStatus, {
+      actor: { id: providerId, role: providerType },
+      reason
+    });
     booking.notes = (booking.notes || '') + `\nRejected by ${providerType}${reason ? `: ${reason}` : ''}`;
+    if (rejectionStatus === 'rejected') {
+      await promotionService.releaseFromBooking(booking, { session });
+    }
     await booking.save({ session });
 
     logger.info('❌ [rejectBookingRequest] Booking rejected successfully:', {
@@ -638,19 +685,32 @@ const rejectBookingRequest = async (bookingId, providerId, reason) => {
     session.endSession();
   }
 };
-const reassignBooking = async (id, newBarberId, shopOwnerId, bookingDate, bookingTime) => {
+
+/**
+ * Reassign a shop booking to another provider of the shop, optionally moving it.
+ * Retried when a concurrent booking of the same provider and day wins the slot lock.
+ * @param {string} id - Booking ID
+ * @param {string} newBarberId - New provider ID (barber, freelancer or the shop owner)
+ * @param {string} shopOwnerId - Shop owner ID
+ * @param {string} [bookingDate] - New booking date
+ * @param {Object} [bookingTime] - New booking time {hour, minute}
+ * @returns {Promise<Object>} - Updated booking
+ */
+const reassignBooking = (id, newBarberId, shopOwnerId, bookingDate, bookingTime) => {
+  return slotReservationService.withRetry(() => reassignBookingAttempt(id, newBarberId, shopOwnerId, bookingDate, bookingTime));
+};
+
+/**
+ * Reassign a booking in a single transaction
+ * @private
+ */
+const reassignBookingAttempt = async (id, newBarberId, shopOwnerId, bookingDate, bookingTime) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
     const booking = await Booking.findById(id).session(session);
     if (!booking) throw new ApiError('Booking not found', 404);
     
-    // Validate that booking can be reassigned
-    const reassignableStatuses = ['rejected', 'rejected_barber', 'pending', 'assigned', 'rescheduled'];
-    if (!reassignableStatuses.includes(booking.status)) {
-      throw new ApiError(`Cannot reassign booking with status: ${booking.status}`, 400);
-    }
-    
     // Update booking time if provided
     if (bookingTime) {
       // Ensure we have valid hour and minute values
@@ -675,7 +735,7 @@ const reassignBooking = async (id, newBarberId, shopOwnerId, bookingDate, bookin
       if (isNaN(dateObj.getTime())) {
         throw new ApiError('Invalid booking date format', 400);
       }
-      booking.bookingDate = dateObj;
+      booking.bookingDate = timeZone.toBookingDate(bookingDate);
     }
     
     // Only allow if shop owner matches
@@ -720,18 +780,43 @@ const reassignBooking = async (id, newBarberId, shopOwnerId, bookingDate, bookin
       throw new ApiError('New provider must be associated with the same shop', 400);
     }
 
+    // Lock the new provider's day and make sure the slot is still free for them
+    await slotReservationService.reserve(
+      slotReservationService.getScopes({ providerId: newBarberId, providerType: newProviderType, shopId: booking.shopId }),
+      booking.bookingDate,
+      session
+    );
+
+    // Checked against the provider's own bookings, including a shop owner taking the booking himself
+    const isAvailable = await isTimeSlotAvailable(
+      newBarberId,
+      booking.bookingDate,
+      booking.bookingTime,
+      booking.duration,
+      'barber',
+      {
+        excludeBookingId: booking._id,
+        session,
+        bufferBefore: booking.bufferBefore,
+        bufferAfter: booking.bufferAfter,
+        ignoreLeadTime: true
+      }
+    );
+    if (!isAvailable) {
+      throw new ApiError(`${newProviderName || 'The selected provider'} is not available at this time`, 409);
+    }
+
     // Update barberId, barberName and set status based on assignment type
     booking.barberId = newBarberId;
     booking.barberName = newProviderName;
+    booking.assignment = { method: 'manual', assignedAt: new Date() };
 
-    // Set status based on who is being assigned
-    if (newBarberId.toString() === shopOwnerId.toString()) {
-        // Shop owner assigning to himself - set to confirmed
-        booking.status = 'confirmed';
-    } else {
-        // Shop owner assigning to another barber - set to reassigned
-        booking.status = 'reassigned';
-    }
+    // Shop owner assigning to himself confirms the booking, otherwise it is reassigned
+    const isSelfAssignment = newBarberId.toString() === shopOwnerId.toString();
+    bookingStateMachine.transition(booking, isSelfAssignment ? 'confirmed' : 'reassigned', {
+      actor: { id: shopOwnerId, role: 'shop_owner' },
+      reason: `Assigned to ${newProviderName}`
+    });
 
     await booking.save({ session });
     // Notify based on assignment type
@@ -771,7 +856,7 @@ const reassignBooking = async (id, newBarberId, shopOwnerId, bookingDate, bookin
   } catch (error) {
     await session.abortTransaction();
     logger.error('Reassign booking error:', error);
-    if (error instanceof ApiError) throw error;
+    if (error instanceof ApiError || slotReservationService.isConflict(error)) throw error;
     throw new Error(`Error reassigning booking: ${error.message}`);
   } finally {
     session.endSession();
@@ -787,14 +872,39 @@ const Customer = require('../models/Customer');
 const { ApiError } = require('../middlewares/errorHandler');
 const mongoose = require('mongoose');
 const notificationService = require('./notificationService');
+const bookingAssignmentService = require('./bookingAssignmentService');
+const bookingStateMachine = require('./bookingStateMachine');
 const logger = require('../utils/logger');
+const slotReservationService = require('./slotReservationService');
+const timeZoneService = require('./timeZoneService');
+const waitlistService = require('./waitlistService');
+const blockedPeriodService = require('./blockedPeriodService');
+const timeZone = require('../utils/timeZone');
+const slotRules = require('../utils/slotRules');
+const bookingLineService = require('./bookingLineService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const paymentService = require('./paymentService');
+const promotionService = require('./promotionService');
+const exchangeRateService = require('./exchangeRateService');
+const { ACTIVE_BOOKING_STATUSES } = require('../utils/constants');
 
 /**
- * Create a new booking
+ * Create a new booking.
+ * Retried when a concurrent booking of the same provider and day wins the slot lock.
  * @param {Object} bookingData - Booking data
+ * @param {Object} [options] - Creation options
+ * @param {boolean} [options.notify=true] - Send the booking notifications
  * @returns {Promise<Object>} - Created booking
  */
-const createBooking = async (bookingData) => {
+const createBooking = (bookingData, options = {}) => {
+  return slotReservationService.withRetry(() => createBookingAttempt(bookingData, options));
+};
+
+/**
+ * Create a new booking in a single transaction
+ * @private
+ */
+const createBookingAttempt = async (bookingData, options = {}) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -812,28 +922,23 @@ const createBooking = async (bookingData) => {
   }, null, 2));
 
     // Check required fields (countryId is now optional)
-    if (!bookingData.customerId || !bookingData.serviceId || !bookingData.bookingDate || !bookingData.bookingTime || !bookingData.serviceType) {
+    const serviceIds = bookingLineService.getRequestedServiceIds(bookingData);
+    if (!bookingData.customerId || serviceIds.length === 0 || !bookingData.bookingDate || !bookingData.bookingTime || !bookingData.serviceType) {
       throw new ApiError('Missing required booking information', 400);
     }
     if (!bookingData.barberId) {
       throw new ApiError('barberId is required', 400);
     }
 
-    // Get service details
-    const service = await Service.findById(bookingData.serviceId).session(session);
-    if (!service) {
-      throw new ApiError('Service not found', 404);
-    }
+    // Get service details, in the order they are performed
+    const services = await bookingLineService.loadServices(serviceIds, { session });
 
-    logger.info('💇 [createBooking] Service validation passed:', {
+    logger.info('💇 [createBooking] Service validation passed:', services.map(service => ({
       serviceId: service._id,
       serviceName: service.title,
       duration: service.duration,
       price: service.price
-    });
-
-    // Extract duration for time slot validation
-    const duration = service.duration || 30;
+    })));
 
     // Get customer details
     const customer = await Customer.findById(bookingData.customerId).session(session);
@@ -908,37 +1013,47 @@ const createBooking = async (bookingData) => {
       serviceType: bookingData.serviceType
     });
 
-    // Parse booking date from string to Date object
-    const bookingDate = new Date(bookingData.bookingDate);
-    if (isNaN(bookingDate.getTime())) {
+    // Parse booking date as a calendar date in the provider's time zone
+    if (isNaN(new Date(bookingData.bookingDate).getTime())) {
       throw new ApiError('Invalid booking date format', 400);
     }
+    const bookingDate = timeZone.toBookingDate(bookingData.bookingDate);
+    const bookingTimeZone = await timeZoneService.resolveTimeZone({
+      shop: shopId,
+      provider,
+      countryId: bookingData.countryId || customer.countryId
+    });
 
   // Address check removed for home-based services
 
-    // For same-day bookings, ensure minimum advance notice (2 hours)
-    const bookingDateTime = new Date(bookingDate);
-    bookingDateTime.setHours(bookingData.bookingTime.hour, bookingData.bookingTime.minute, 0, 0);
+    // Ensure the minimum advance notice of the provider, or else of their shop
+    const bookingDateTime = timeZone.toInstant(bookingDate, bookingData.bookingTime, bookingTimeZone);
+    const leadTimeShop = shopId
+      ? await Shop.findById(shopId).select('minLeadTimeMinutes').session(session).lean()
+      : null;
+    const leadTimeMinutes = slotRules.resolveLeadTime(provider, leadTimeShop);
 
     const now = new Date();
-    const minAdvanceTime = new Date(now.getTime() + (1 * 60 * 60 * 1000)); // 1 hours from now
+    const minAdvanceTime = new Date(now.getTime() + leadTimeMinutes * 60 * 1000);
 
     if (bookingDateTime < minAdvanceTime) {
-      throw new ApiError('Bookings must be made at least 2 hours in advance', 400);
+      throw new ApiError(`Bookings must be made at least ${leadTimeMinutes} minutes in advance`, 400);
     }
 
     logger.info('⏰ [createBooking] Advance booking time validation passed:', {
       bookingDateTime: bookingDateTime.toISOString(),
+      timeZone: bookingTimeZone,
       minAdvanceTime: minAdvanceTime.toISOString(),
       hoursDifference: Math.round((bookingDateTime - now) / (1000 * 60 * 60) * 10) / 10
     });
 
     // Check if customer already has a booking at this time slot
+    const bookingDay = timeZone.getDayRange(bookingDate);
     const existingCustomerBooking = await Booking.findOne({
       customerId: bookingData.customerId,
       bookingDate: {
-        $gte: new Date(bookingDate.getFullYear(), bookingDate.getMonth(), bookingDate.getDate()),
-        $lt: new Date(bookingDate.getFullYear(), bookingDate.getMonth(), bookingDate.getDate() + 1)
+        $gte: bookingDay.start,
+        $lte: bookingDay.end
       },
       bookingTime: {
         hour: bookingData.bookingTime.hour,
@@ -952,12 +1067,32 @@ const createBooking = async (bookingData) => {
     }
 
     logger.info('✅ [createBooking] No duplicate booking found for customer at this time slot');
+
+    // Lock the provider's day so concurrent bookings cannot both pass the availability check
+    await slotReservationService.reserve(
+      slotReservationService.getScopes({ providerId, providerType, shopId }),
+      bookingDate,
+      session
+    );
+
+    // Shops offer services under their own ID, other providers under theirs
+    const lines = bookingLineService.buildLines(services, providerType === 'shop_owner' ? shopId : providerId);
+    const duration = lines.duration;
+
     const isAvailable = await isTimeSlotAvailable(
         bookingData.barberId, // Using barberId field for now, but this could be providerId
         bookingDate,
         bookingData.bookingTime,
         duration,
-        providerType // Pass the provider type
+        providerType, // Pass the provider type
+        {
+          session,
+          customerId: bookingData.customerId,
+          bufferBefore: lines.bufferBefore,
+          bufferAfter: lines.bufferAfter,
+          timeZone: bookingTimeZone,
+          ignoreLeadTime: true // checked above with a clearer message
+        }
     );
 
     if (!isAvailable) {
@@ -965,7 +1100,7 @@ const createBooking = async (bookingData) => {
     }
 
     // Validate that the booking time falls within provider's schedule/opening hours
-    const dayOfWeek = bookingDate.toLocaleString('en-US', { weekday: 'long' }).toLowerCase();
+    const dayOfWeek = timeZone.getDayOfWeek(bookingDate);
     let daySchedule;
     let scheduleType = '';
 
@@ -1022,6 +1157,10 @@ const createBooking = async (bookingData) => {
   let bookingStatus = 'pending';
   logger.info(`Provider type: ${providerType}, shopId: ${shopId || 'N/A'}`);
 
+    // Prices are in the country's currency; keep today's rate for reports
+    const currency = await exchangeRateService.getCountryCurrency(bookingData.countryId || customer.countryId);
+    const exchangeRate = await exchangeRateService.getRateSnapshot(currency);
+
     const newBookingData = {
       ...bookingData,
       barberId: providerId, // Use the resolved provider ID
@@ -1030,87 +1169,100 @@ const createBooking = async (bookingData) => {
       barberName: providerType === 'shop_owner'
         ? `${provider.firstName} ${provider.lastName}`
         : `${provider.firstName} ${provider.lastName}`,
-      serviceName: service.title,
-      price: service.price,
-      duration: service.duration || 30,
+      ...lines,
       status: bookingStatus,
       paymentStatus: 'pending',
-      bookingDate: bookingDate
+      discount: null, // set by the promo code below
+      currency,
+      exchangeRate,
+      bookingDate: bookingDate,
+      timeZone: bookingTimeZone
     };
 
     // Create booking
     const booking = await Booking.create([newBookingData], { session });
 
-    // Send notifications based on booking status
-    try {
-      if (bookingStatus === 'assigned') {
-        // Direct notification to provider for confirmation
-        const notificationUserId = providerType === 'shop_owner' ? providerId : provider._id;
-        await notificationService.createNotification({
-          userId: notificationUserId,
-          title: 'New Booking Request',
-          message: `You have a new booking request for ${service.title} on ${bookingDate.toLocaleDateString()} at ${bookingData.bookingTime.hour}:${bookingData.bookingTime.minute.toString().padStart(2, '0')}. Please confirm or reject.`,
-          type: 'booking',
-          relatedId: booking[0]._id,
-          onModel: 'Booking'
-        }, { session });
-      } else if (bookingStatus === 'pending') {
-        // Notify provider directly for freelancers
-        if (providerType === 'freelancer') {
-          await notificationService.createNotification({
-            userId: provider._id,
-            title: 'New Booking Request',
-            message: `You have a new booking request from ${customer.firstName} ${customer.lastName} for ${service.title} on ${bookingDate.toLocaleDateString()} at ${bookingData.bookingTime.hour}:${bookingData.bookingTime.minute.toString().padStart(2, '0')}. Please accept or reject this request.`,
-            type: 'booking',
-            relatedId: booking[0]._id,
-            onModel: 'Booking'
-          }, { session });
-        } else if (providerType === 'shop_owner') {
-          // For shop bookings, notify shop owner directly
+    // A waitlister booking the slot held for them uses up the hold
+    await waitlistService.claimHold(booking[0], session);
+
+    // An invalid promo code fails the booking rather than charging the full price unexpectedly
+    if (bookingData.promoCode) {
+      await promotionService.applyToBooking(booking[0], bookingData.promoCode, { session });
+    }
+
+    // Series occurrences are announced once by bookingSeriesService
+    if (options.notify !== false) {
+      // Send notifications based on booking status
+      try {
+        if (bookingStatus === 'assigned') {
+          // Direct notification to provider for confirmation
+          const notificationUserId = providerType === 'shop_owner' ? providerId : provider._id;
           await notificationService.createNotification({
-            userId: providerId,
+            userId: notificationUserId,
             title: 'New Booking Request',
-            message: `You have a new booking request from ${customer.firstName} ${customer.lastName} for ${service.title} on ${bookingDate.toLocaleDateString()} at ${bookingData.bookingTime.hour}:${bookingData.bookingTime.minute.toString().padStart(2, '0')}. Please accept or reject this request.`,
+            message: `You have a new booking request for ${lines.serviceName} on ${bookingDate.toLocaleDateString()} at ${bookingData.bookingTime.hour}:${bookingData.bookingTime.minute.toString().padStart(2, '0')}. Please confirm or reject.`,
             type: 'booking',
             relatedId: booking[0]._id,
             onModel: 'Booking'
           }, { session });
-        } else if (providerType === 'barber' && provider.shopId) {
-          // For shop-based barbers, notify shop owner first
-          const shop = await Shop.findById(provider.shopId)
-            .populate('ownerId', '_id')
-            .session(session);
-
-          if (shop && shop.ownerId) {
+        } else if (bookingStatus === 'pending') {
+          // Notify provider directly for freelancers
+          if (providerType === 'freelancer') {
+            await notificationService.createNotification({
+              userId: provider._id,
+              title: 'New Booking Request',
+              message: `You have a new booking request from ${customer.firstName} ${customer.lastName} for ${lines.serviceName} on ${bookingDate.toLocaleDateString()} at ${bookingData.bookingTime.hour}:${bookingData.bookingTime.minute.toString().padStart(2, '0')}. Please accept or reject this request.`,
+              type: 'booking',
+              relatedId: booking[0]._id,
+              onModel: 'Booking'
+            }, { session });
+          } else if (providerType === 'shop_owner') {
+            // For shop bookings, notify shop owner directly
             await notificationService.createNotification({
-              userId: shop.ownerId._id,
-              title: 'New Booking Approval Required',
-              message: `New booking request needs your approval for barber ${provider.firstName} ${provider.lastName}. Service: ${service.title} on ${bookingDate.toLocaleDateString()}.`,
+              userId: providerId,
+              title: 'New Booking Request',
+              message: `You have a new booking request from ${customer.firstName} ${customer.lastName} for ${lines.serviceName} on ${bookingDate.toLocaleDateString()} at ${bookingData.bookingTime.hour}:${bookingData.bookingTime.minute.toString().padStart(2, '0')}. Please accept or reject this request.`,
               type: 'booking',
               relatedId: booking[0]._id,
               onModel: 'Booking'
             }, { session });
+          } else if (providerType === 'barber' && provider.shopId) {
+            // For shop-based barbers, notify shop owner first
+            const shop = await Shop.findById(provider.shopId)
+              .populate('ownerId', '_id')
+              .session(session);
+
+            if (shop && shop.ownerId) {
+              await notificationService.createNotification({
+                userId: shop.ownerId._id,
+                title: 'New Booking Approval Required',
+                message: `New booking request needs your approval for barber ${provider.firstName} ${provider.lastName}. Service: ${lines.serviceName} on ${bookingDate.toLocaleDateString()}.`,
+                type: 'booking',
+                relatedId: booking[0]._id,
+                onModel: 'Booking'
+              }, { session });
+            }
           }
         }
+      } catch (e) {
+        logger.warn('Failed to send notifications:', e.message);
+        // Continue with booking creation even if notification fails
       }
-    } catch (e) {
-      logger.warn('Failed to send notifications:', e.message);
-      // Continue with booking creation even if notification fails
-    }
 
-    // Send booking confirmation to customer
-    try {
-      await notificationService.createNotification({
-        userId: bookingData.customerId,
-        title: 'Booking Created Successfully',
-        message: `Your booking #${booking[0].uid} for ${service.title} has been created successfully. We'll notify you once a provider accepts your request.`,
-        type: 'booking',
-        relatedId: booking[0]._id,
-        onModel: 'Booking'
-      }, { session });
-    } catch (customerNotificationError) {
-      logger.warn('Failed to send customer booking confirmation:', customerNotificationError.message);
-      // Continue with booking creation even if customer notification fails
+      // Send booking confirmation to customer
+      try {
+        await notificationService.createNotification({
+          userId: bookingData.customerId,
+          title: 'Booking Created Successfully',
+          message: `Your booking #${booking[0].uid} for ${lines.serviceName} has been created successfully. We'll notify you once a provider accepts your request.`,
+          type: 'booking',
+          relatedId: booking[0]._id,
+          onModel: 'Booking'
+        }, { session });
+      } catch (customerNotificationError) {
+        logger.warn('Failed to send customer booking confirmation:', customerNotificationError.message);
+        // Continue with booking creation even if customer notification fails
+      }
     }
 
     await session.commitTransaction();
@@ -1131,7 +1283,7 @@ const createBooking = async (bookingData) => {
       serviceId: bookingData.serviceId
     });
     logger.error('Booking creation error:', error);
-    if (error instanceof ApiError) throw error;
+    if (error instanceof ApiError || slotReservationService.isConflict(error)) throw error;
     throw new Error(`Error creating booking: ${error.message}`);
   } finally {
     session.endSession();
@@ -1144,32 +1296,41 @@ const createBooking = async (bookingData) => {
  * @param {Date} date - Booking date
  * @param {Object} time - Booking time {hour, minute}
  * @param {number} duration - Service duration in minutes
+ * @param {string} providerType - Provider type ('barber', 'freelancer' or 'shop_owner')
+ * @param {Object} options - Additional options
+ * @param {string} [options.excludeBookingId] - Booking to ignore (e.g. the one being assigned)
+ * @param {Object} [options.session] - Mongoose session to read within a reservation transaction
+ * @param {string} [options.customerId] - Customer booking the slot; slots held for them on the waitlist count as free
+ * @param {number} [options.bufferBefore] - Minutes to keep free before the slot
+ * @param {number} [options.bufferAfter] - Minutes to keep free after the slot
+ * @param {boolean} [options.ignoreLeadTime] - Skip the minimum notice, e.g. when moving an existing booking
+ * @param {string} [options.timeZone] - Provider time zone, if the caller already resolved it
  * @returns {Promise<boolean>} - Whether the time slot is available
  */
-const isTimeSlotAvailable = async (providerId, date, time, duration, providerType = 'barber') => {
+const isTimeSlotAvailable = async (providerId, date, time, duration, providerType = 'barber', options = {}) => {
   try {
-    // Set time to midnight to compare just the date part
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
+    // Bookings of a provider share its time zone, so local times of the same calendar day compare directly
+    const day = timeZone.getDayRange(date);
 
     // Find all bookings for the provider on that day
     const bookingQuery = {
       bookingDate: {
-        $gte: startOfDay,
-        $lte: endOfDay
+        $gte: day.start,
+        $lte: day.end
       },
-      status: { $in: ['pending', 'confirmed'] }
+      status: { $in: ACTIVE_BOOKING_STATUSES }
     };
 
+    if (options.excludeBookingId) {
+      bookingQuery._id = { $ne: options.excludeBookingId };
+    }
+
     // Set the appropriate ID field based on provider type
     if (providerType === 'shop_owner') {
       // For shop owners, check against shopId
       // We need to get the shop ID from the providerId (shop owner ID)
       const Shop = require('../models/Shop');
-      const shop = await Shop.findOne({ ownerId: providerId });
+      const shop = await Shop.findOne({ ownerId: providerId }).session(options.session || null);
       if (shop) {
         bookingQuery.shopId = shop._id;
       } else {
@@ -1181,25 +1342,35 @@ const isTimeSlotAvailable = async (providerId, date, time, duration, providerTyp
       bookingQuery.barberId = providerId;
     }
 
-    const bookings = await Booking.find(bookingQuery);
+    const bookings = await Booking.find(bookingQuery).session(options.session || null);
 
-    // Calculate start and end minutes for requested slot
-    const requestedStartMinutes = time.hour * 60 + time.minute;
-    const requestedEndMinutes = requestedStartMinutes + duration;
+    // Slots held for waitlisters are taken for everyone else
+    const holds = await waitlistService.getActiveHolds(
+      bookingQuery.shopId ? { shopId: bookingQuery.shopId } : { barberId: providerId },
+      day,
+      { session: options.session, excludeCustomerId: options.customerId }
+    );
 
-    // Check for conflicts with existing bookings
-    for (const booking of bookings) {
-      const existingStartMinutes = booking.bookingTime.hour * 60 + booking.bookingTime.minute;
-      const existingEndMinutes = existingStartMinutes + booking.duration;
+    // Time off, shop closures, public holidays, daily breaks and lead time
+    const rules = await blockedPeriodService.getProviderRules(providerId, date, {
+      session: options.session,
+      timeZone: options.timeZone
+    });
 
-      // Check for overlap
-      if (
-          (requestedStartMinutes >= existingStartMinutes && requestedStartMinutes < existingEndMinutes) ||
-          (requestedEndMinutes > existingStartMinutes && requestedEndMinutes <= existingEndMinutes) ||
-          (requestedStartMinutes <= existingStartMinutes && requestedEndMinutes >= existingEndMinutes)
-      ) {
-        return false; // Time slot is not available
-      }
+    if (!options.ignoreLeadTime && slotRules.startsTooSoon(date, time, rules.timeZone, rules.leadTimeMinutes)) {
+      return false;
+    }
+
+    const requested = {
+      bookingTime: time,
+      duration,
+      bufferBefore: options.bufferBefore,
+      bufferAfter: options.bufferAfter
+    };
+
+    // Check for conflicts with existing bookings, buffers included
+    if (slotRules.overlapsAny(requested, [...bookings, ...holds, ...rules.blocked])) {
+      return false; // Time slot is not available
     }
 
     return true; // Time slot is available
@@ -1210,13 +1381,15 @@ const isTimeSlotAvailable = async (providerId, date, time, duration, providerTyp
 };
 
 /**
- * Get available time slots for a barber on a specific date
+ * Get available time slots for a barber on a specific date.
+ * Slots are computed in the provider's local time.
  * @param {string} barberId - Barber ID
- * @param {Date} date - Date object
- * @param {string} serviceId - Service ID
- * @returns {Promise<Array>} - List of available time slots
+ * @param {Date} date - Calendar date in the provider's time zone
+ * @param {string|Array<string>} serviceId - Service ID, or the ordered IDs of a multi-service appointment
+ * @param {Object} [options] - { customerId } of the customer asking, whose waitlist holds stay bookable
+ * @returns {Promise<Array>} - List of slots { hour, minute, time, timeZone, local, utc }
  */
-const getAvailableTimeSlots = async (providerId, date, serviceId) => {
+const getAvailableTimeSlots = async (providerId, date, serviceId, options = {}) => {
   try {
     // Get provider (barber, freelancer, or shop owner) to check availability schedule
     let provider = await Barber.findById(providerId);
@@ -1252,18 +1425,16 @@ const getAvailableTimeSlots = async (providerId, date, serviceId) => {
 
     logger.info('Provider found:', provider._id, 'Type:', providerType);
 
-    // Get service to check duration
-    const service = await Service.findById(serviceId);
-    if (!service) {
-      logger.info('Service not found:', serviceId);
-      throw new ApiError('Service not found', 404);
-    }
-    logger.info(' Service found:', service._id, service.title, 'duration:', service.duration);
+    // Get services to check the combined duration
+    const services = await bookingLineService.loadServices(serviceId);
+    const lines = bookingLineService.buildLines(services, shop ? shop._id : providerId);
+    logger.info(' Services found:', lines.serviceName, 'duration:', lines.duration);
 
-    const serviceDuration = service.duration || 30;
+    const serviceDuration = lines.duration;
+    const providerTimeZone = await timeZoneService.resolveTimeZone({ shop: shop || provider.shopId, provider });
 
     // Get provider schedule for the specific day
-    const dayOfWeek = date.toLocaleString('en-US', { weekday: 'long' }).toLowerCase();
+    const dayOfWeek = timeZone.getDayOfWeek(date);
 
     let daySchedule;
     if (providerType === 'shop_owner' && shop) {
@@ -1305,15 +1476,12 @@ const getAvailableTimeSlots = async (providerId, date, serviceId) => {
     const endMinutes = endHour * 60 + endMinute;
 
     // Fetch all bookings for this provider on this date ONCE (optimization!)
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
+    const day = timeZone.getDayRange(date);
 
     const bookingQuery = {
       bookingDate: {
-        $gte: startOfDay,
-        $lte: endOfDay
+        $gte: day.start,
+        $lte: day.end
       },
       status: { $in: ['pending', 'confirmed'] }
     };
@@ -1326,7 +1494,25 @@ const getAvailableTimeSlots = async (providerId, date, serviceId) => {
     }
 
     const existingBookings = await Booking.find(bookingQuery).lean();
-    logger.info(`Found ${existingBookings.length} existing bookings for ${providerId} on ${date.toISOString().split('T')[0]}`);
+    logger.info(`Found ${existingBookings.length} existing bookings for ${providerId} on ${timeZone.toCalendarDate(date)}`);
+
+    // Slots held for waitlisters are not offered to anyone else
+    const holds = await waitlistService.getActiveHolds(
+      bookingQuery.shopId ? { shopId: bookingQuery.shopId } : { barberId: providerId },
+      day,
+      { excludeCustomerId: options.customerId }
+    );
+    existingBookings.push(...holds);
+
+    // Time off, shop closures, public holidays, daily breaks and lead time
+    const rules = await blockedPeriodService.getProviderRules(providerId, date, {
+      provider,
+      shop,
+      timeZone: providerTimeZone
+    });
+    existingBookings.push(...rules.blocked);
+
+    const buffers = { bufferBefore: lines.bufferBefore, bufferAfter: lines.bufferAfter };
 
     // Now check each slot against the bookings (in memory - much faster!)
     for (let currentMinutes = startMinutes; currentMinutes < endMinutes; currentMinutes += slotInterval) {
@@ -1337,28 +1523,14 @@ const getAvailableTimeSlots = async (providerId, date, serviceId) => {
       const slotEndMinutes = currentMinutes + serviceDuration;
       if (slotEndMinutes > endMinutes) continue;
 
-      const requestedStartMinutes = currentMinutes;
-      const requestedEndMinutes = currentMinutes + serviceDuration;
-
-      // Check for conflicts with existing bookings (in memory)
-      let isAvailable = true;
-      for (const booking of existingBookings) {
-        const existingStartMinutes = booking.bookingTime.hour * 60 + booking.bookingTime.minute;
-        const existingEndMinutes = existingStartMinutes + booking.duration;
-
-        // Check for overlap
-        if (
-          (requestedStartMinutes >= existingStartMinutes && requestedStartMinutes < existingEndMinutes) ||
-          (requestedEndMinutes > existingStartMinutes && requestedEndMinutes <= existingEndMinutes) ||
-          (requestedStartMinutes <= existingStartMinutes && requestedEndMinutes >= existingEndMinutes)
-        ) {
-          isAvailable = false;
-          break;
-        }
-      }
+      const requested = { bookingTime: { hour, minute }, duration: serviceDuration, ...buffers };
+
+      // Skip time slots that start too soon, then check for conflicts with existing bookings (in memory)
+      const isAvailable = !slotRules.startsTooSoon(date, requested.bookingTime, providerTimeZone, rules.leadTimeMinutes)
+        && !slotRules.overlapsAny(requested, existingBookings);
 
       if (isAvailable) {
-        availableSlots.push({ hour, minute });
+        availableSlots.push(timeZone.buildSlot(date, currentMinutes, providerTimeZone));
       }
     }
     return availableSlots;
@@ -1372,8 +1544,8 @@ const getAvailableTimeSlots = async (providerId, date, serviceId) => {
 /**
  * Get general availability for a barber (without specific service)
  * @param {string} barberId - Barber ID
- * @param {Date} date - Date to check availability for
- * @returns {Promise<Array>} - Array of available time slots
+ * @param {Date} date - Calendar date in the provider's time zone
+ * @returns {Promise<Array>} - List of slots { hour, minute, time, timeZone, local, utc }
  */
 const getGeneralAvailability = async (providerId, date) => {
   try {
@@ -1396,9 +1568,10 @@ const getGeneralAvailability = async (providerId, date) => {
 
     // Use default 30-minute slots for general availability
     const defaultDuration = 30;
+    const providerTimeZone = await timeZoneService.resolveTimeZone({ shop: provider.shopId, provider });
 
     // Get provider schedule for the specific day
-    const dayOfWeek = date.toLocaleString('en-US', { weekday: 'long' }).toLowerCase();
+    const dayOfWeek = timeZone.getDayOfWeek(date);
     const daySchedule = provider.schedule[dayOfWeek];
 
     // Check if provider is available on this day
@@ -1438,11 +1611,12 @@ const getGeneralAvailability = async (providerId, date) => {
           date,
           timeSlot,
           defaultDuration,
-          providerType
+          providerType,
+          { timeZone: providerTimeZone }
       );
 
       if (isAvailable) {
-        availableSlots.push(timeSlot);
+        availableSlots.push(timeZone.buildSlot(date, currentMinutes, providerTimeZone));
       }
     }
     return availableSlots;
@@ -1653,15 +1827,11 @@ const getBookingsByBarber = async (barberId, options = {}) => {
 
     // Add date filter if provided
     if (options.date) {
-      const startOfDay = new Date(options.date);
-      startOfDay.setHours(0, 0, 0, 0);
-
-      const endOfDay = new Date(options.date);
-      endOfDay.setHours(23, 59, 59, 999);
+      const day = timeZone.getDayRange(options.date);
 
       filter.bookingDate = {
-        $gte: startOfDay,
-        $lte: endOfDay
+        $gte: day.start,
+        $lte: day.end
       };
     }
 
@@ -1758,15 +1928,11 @@ const getBookingsByShop = async (shopId, options = {}) => {
 
     // Add date filter if provided
     if (options.date) {
-      const startOfDay = new Date(options.date);
-      startOfDay.setHours(0, 0, 0, 0);
-
-      const endOfDay = new Date(options.date);
-      endOfDay.setHours(23, 59, 59, 999);
+      const day = timeZone.getDayRange(options.date);
 
       filter.bookingDate = {
-        $gte: startOfDay,
-        $lte: endOfDay
+        $gte: day.start,
+        $lte: day.end
       };
     }
 
@@ -1833,13 +1999,10 @@ const getBookingsByRole = async (role, options = {}) => {
     }
 
     if (date) {
-      const startOfDay = new Date(date);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(date);
-      endOfDay.setHours(23, 59, 59, 999);
+      const day = timeZone.getDayRange(date);
       matchConditions.bookingDate = {
-        $gte: startOfDay,
-        $lte: endOfDay
+        $gte: day.start,
+        $lte: day.end
       };
     }
 
@@ -1966,15 +2129,37 @@ const getBookingsByRole = async (role, options = {}) => {
   }
 };
 
+/**
+ * Check that an actor takes part in a booking: its customer, its assigned
+ * provider or the owner of its shop. Admins and the system act on any booking.
+ * @private
+ */
+const checkBookingParticipant = async (booking, actor, session) => {
+  const role = bookingStateMachine.normalizeRole(actor && actor.role);
+  if (role === 'admin' || role === 'system') return;
+
+  const actorId = actor && actor.id ? actor.id.toString() : null;
+  const isSame = (id) => !!actorId && !!id && id.toString() === actorId;
+
+  if (role === 'customer' && isSame(booking.customerId)) return;
+  if (['barber', 'freelancer', 'shop_owner'].includes(role) && isSame(booking.barberId)) return;
+  if (role === 'shop_owner' && booking.shopId) {
+    const shop = await Shop.findById(booking.shopId).session(session);
+    if (shop && isSame(shop.ownerId)) return;
+  }
+
+  throw new ApiError('You are not authorized to update this booking', 403);
+};
 
 /**
  * Update booking status
  * @param {string} id - Booking ID
  * @param {string} status - New status
  * @param {string} reason - Reason for status change (optional)
+ * @param {Object} actor - Who makes the change { id, role } (defaults to the system)
  * @returns {Promise<Object>} - Updated booking
  */
-const updateBookingStatus = async (id, status, reason = '') => {
+const updateBookingStatus = async (id, status, reason = '', actor = bookingStateMachine.SYSTEM_ACTOR) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -1983,32 +2168,33 @@ const updateBookingStatus = async (id, status, reason = '') => {
     if (!booking) {
       throw new ApiError('Booking not found', 404);
     }
+    await checkBookingParticipant(booking, actor, session);
 
-    // Validate status change
-    const validTransitions = {
-      pending: ['pending', 'cancelled'],
-      pending: ['confirmed', 'cancelled'],
-      assigned: ['confirmed', 'rejected', 'cancelled'], // Can be accepted, rejected, or cancelled
-      rejected: ['assigned', 'cancelled'], // Can be reassigned or cancelled
-      confirmed: ['completed', 'cancelled', 'noShow'],
-      cancelled: [], // Cannot transition from cancelled
-      completed: [], // Cannot transition from completed
-      noShow: [], // Cannot transition from no-show
-      rescheduled: ['pending', 'cancelled'] // Can be approved or cancelled after reschedule
-    };
-
-    if (!validTransitions[booking.status] || !validTransitions[booking.status].includes(status)) {
-      throw new ApiError(`Cannot change booking status from ${booking.status} to ${status}`, 400);
+    // Cancellations and no-shows are charged under the shop or country policy
+    let outcome = null;
+    if (status === 'cancelled' || status === 'noShow') {
+      await booking.populate({ path: 'paymentId', options: { session } });
+      const policy = await cancellationPolicyService.getPolicyForBooking(booking, { session });
+      outcome = cancellationPolicyService.evaluate(booking, policy, { status, actorRole: actor.role });
+      if (!outcome.allowed) {
+        throw new ApiError(cancellationPolicyService.getLateCancellationMessage(policy), 400);
+      }
     }
 
-    // Update status and reason if provided
-    booking.status = status;
+    // Validate and apply the status change
+    bookingStateMachine.transition(booking, status, { actor, reason });
     if (status === 'cancelled' && reason) {
       booking.cancellationReason = reason;
     } else if (status === 'noShow' && reason) {
       booking.cancellationReason = reason;
     }
 
+    if (outcome) {
+      await paymentService.applyCancellationCharge(booking, outcome, { session, reason });
+    } else if (status === 'rejected') {
+      await promotionService.releaseFromBooking(booking, { session });
+    }
+
     await booking.save({ session });
 
     // If status is changed to completed, update barber rating
@@ -2301,26 +2487,120 @@ const countBookingsByCountry = async (countryId, filter = {}) => {
 };
 
 /**
- * Reschedule a booking
+ * Move a booking to another date and/or time.
+ * Every change of a booking's time goes through here: the provider's old and new
+ * day are locked and the new slot is checked against their other bookings in one
+ * transaction, retried when a concurrent booking of the same day wins the lock.
  * @param {string} bookingId - Booking ID
- * @param {Object} body - Booking data
+ * @param {Object|Function} changes - { bookingDate, bookingTime, duration, notes }; missing fields are kept.
+ *   A function is called with the current booking and returns the changes, e.g. to shift it by some minutes
+ * @param {Object} [options] - Additional options
+ * @param {Function} [options.check] - Called with the booking and session before the change, throws when it may not be changed
+ * @param {Function} [options.update] - Called with the moved booking before it is saved, e.g. to change its status
+ * @param {boolean} [options.ignoreLeadTime] - Skip the provider's minimum notice, for moves made by the provider
  * @returns {Promise<Object>} - Updated booking
  */
-const rescheduleBooking = async (bookingId, body = {}) => {
+const changeBookingTime = (bookingId, changes, options = {}) => {
+  return slotReservationService.withRetry(() => changeBookingTimeAttempt(bookingId, changes, options));
+};
+
+/**
+ * Move a booking in a single transaction
+ * @private
+ */
+const changeBookingTimeAttempt = async (bookingId, changes, options) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
   try {
-    const booking = await Booking.findById(bookingId);
+    const booking = await Booking.findById(bookingId).session(session);
     if (!booking) {
       throw new ApiError('Booking not found', 404);
     }
-    // 
-    booking.bookingDate = body.newDate;
-    booking.bookingTime = body.newTime;
-    booking.duration = body.duration;
-    await booking.save();
+    if (options.check) {
+      await options.check(booking, session);
+    }
+
+    if (typeof changes === 'function') {
+      changes = changes(booking);
+    }
+
+    const previousDate = booking.bookingDate;
+    // New date is a calendar date in the booking's time zone
+    if (changes.bookingDate) {
+      booking.bookingDate = timeZone.toBookingDate(changes.bookingDate);
+    }
+    if (changes.bookingTime) {
+      booking.bookingTime = changes.bookingTime;
+    }
+    if (changes.duration) {
+      booking.duration = changes.duration;
+    }
+    if (changes.notes !== undefined) {
+      booking.notes = changes.notes;
+    }
 
+    const moved = !!(changes.bookingDate || changes.bookingTime || changes.duration);
+    if (moved && booking.barberId) {
+      const providerType = await ShopOwner.exists({ _id: booking.barberId }).session(session) ? 'shop_owner' : 'barber';
+
+      // Lock both days so the freed and the taken slot change together
+      await slotReservationService.reserve(
+        slotReservationService.getScopes({ providerId: booking.barberId, providerType, shopId: booking.shopId }),
+        [previousDate, booking.bookingDate],
+        session
+      );
+
+      const isAvailable = await isTimeSlotAvailable(
+        booking.barberId,
+        booking.bookingDate,
+        booking.bookingTime,
+        booking.duration,
+        providerType,
+        {
+          excludeBookingId: booking._id,
+          session,
+          customerId: booking.customerId,
+          bufferBefore: booking.bufferBefore,
+          bufferAfter: booking.bufferAfter,
+          ignoreLeadTime: !!options.ignoreLeadTime
+        }
+      );
+      if (!isAvailable) {
+        throw new ApiError('Selected time slot is not available', 409);
+      }
+    }
+
+    if (options.update) {
+      options.update(booking);
+    }
+
+    await booking.save({ session });
+    await session.commitTransaction();
     return booking;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Reschedule a booking
+ * @param {string} bookingId - Booking ID
+ * @param {Object} body - Booking data
+ * @returns {Promise<Object>} - Updated booking
+ */
+const rescheduleBooking = async (bookingId, body = {}) => {
+  try {
+    return await changeBookingTime(bookingId, {
+      bookingDate: body.newDate,
+      bookingTime: body.newTime,
+      duration: body.duration
+    });
   } catch (error) {
     logger.error('Reschedule booking error:', error);
+    if (error instanceof ApiError) throw error;
     throw new Error(`Error rescheduling booking: ${error.message}`);
   }
 }
@@ -2416,34 +2696,19 @@ const getPendingBookingRequests = async (providerId, options = {}) => {
  */
 const updateBookingDetails = async (bookingId, customerId, updateData) => {
   try {
-    const booking = await Booking.findById(bookingId);
-    if (!booking) {
-      throw new ApiError('Booking not found', 404);
-    }
-
-    // Check if the booking belongs to the customer
-    if (booking.customerId.toString() !== customerId.toString()) {
-      throw new ApiError('You can only update your own bookings', 403);
-    }
-
-    // Check if booking is in pending state
-    if (booking.status !== 'pending') {
-      throw new ApiError('You can only update bookings that are in pending state', 400);
-    }
-
-    // Update the fields
-    if (updateData.bookingDate) {
-      booking.bookingDate = new Date(updateData.bookingDate);
-    }
-    if (updateData.bookingTime) {
-      booking.bookingTime = updateData.bookingTime;
-    }
-    if (updateData.notes !== undefined) {
-      booking.notes = updateData.notes;
-    }
+    return await changeBookingTime(bookingId, updateData, {
+      check: (booking) => {
+        // Check if the booking belongs to the customer
+        if (booking.customerId.toString() !== customerId.toString()) {
+          throw new ApiError('You can only update your own bookings', 403);
+        }
 
-    await booking.save();
-    return booking;
+        // Check if booking is in pending state
+        if (booking.status !== 'pending') {
+          throw new ApiError('You can only update bookings that are in pending state', 400);
+        }
+      }
+    });
   } catch (error) {
     logger.error('Update booking details error:', error);
     if (error instanceof ApiError) throw error;
@@ -2459,29 +2724,14 @@ const updateBookingDetails = async (bookingId, customerId, updateData) => {
  */
 const updateBookingDetailsPublic = async (bookingId, updateData) => {
   try {
-    const booking = await Booking.findById(bookingId);
-    if (!booking) {
-      throw new ApiError('Booking not found', 404);
-    }
-
-    // Check if booking is in pending state
-    if (booking.status !== 'pending') {
-      throw new ApiError('You can only update bookings that are in pending state', 400);
-    }
-
-    // Update the fields
-    if (updateData.bookingDate) {
-      booking.bookingDate = new Date(updateData.bookingDate);
-    }
-    if (updateData.bookingTime) {
-      booking.bookingTime = updateData.bookingTime;
-    }
-    if (updateData.notes !== undefined) {
-      booking.notes = updateData.notes;
-    }
-
-    await booking.save();
-    return booking;
+    return await changeBookingTime(bookingId, updateData, {
+      check: (booking) => {
+        // Check if booking is in pending state
+        if (booking.status !== 'pending') {
+          throw new ApiError('You can only update bookings that are in pending state', 400);
+        }
+      }
+    });
   } catch (error) {
     logger.error('Update booking details (public) error:', error);
     if (error instanceof ApiError) throw error;
@@ -2490,33 +2740,21 @@ const updateBookingDetailsPublic = async (bookingId, updateData) => {
 };
 const updateCustomerBookingByShopOwner = async (bookingId, shopOwnerId, updateData) => {
   try {
-    const booking = await Booking.findById(bookingId).populate('shopId');
-    if (!booking) {
-      throw new ApiError('Booking not found', 404);
-    }
-
-    // Check if the shop owner owns the shop for this booking
-    if (!booking.shopId || booking.shopId.ownerId.toString() !== shopOwnerId.toString()) {
-      throw new ApiError('You can only update bookings for your own shops', 403);
-    }
-
-    // Check if booking is in pending state
-    if (booking.status !== 'pending') {
-      throw new ApiError('You can only update bookings that are in pending state', 400);
-    }
-
-    // Update the fields
-    if (updateData.bookingDate) {
-      booking.bookingDate = new Date(updateData.bookingDate);
-    }
-    if (updateData.bookingTime) {
-      booking.bookingTime = updateData.bookingTime;
-    }
-    if (updateData.notes !== undefined) {
-      booking.notes = updateData.notes;
-    }
+    const booking = await changeBookingTime(bookingId, updateData, {
+      check: async (booking, session) => {
+        // Check if the shop owner owns the shop for this booking
+        const shop = booking.shopId ? await Shop.findById(booking.shopId).session(session) : null;
+        if (!shop || shop.ownerId.toString() !== shopOwnerId.toString()) {
+          throw new ApiError('You can only update bookings for your own shops', 403);
+        }
 
-    await booking.save();
+        // Check if booking is in pending state
+        if (booking.status !== 'pending') {
+          throw new ApiError('You can only update bookings that are in pending state', 400);
+        }
+      },
+      ignoreLeadTime: true
+    });
 
     // Send notification to customer
     try {
@@ -2545,7 +2783,7 @@ const updateCustomerBookingByShopOwner = async (bookingId, shopOwnerId, updateDa
  */
 const cancelBookingPublic = async (bookingId, reason = '') => {
   try {
-    const booking = await Booking.findById(bookingId);
+    const booking = await Booking.findById(bookingId).populate('paymentId');
     if (!booking) {
       throw new ApiError('Booking not found', 404);
     }
@@ -2555,14 +2793,27 @@ const cancelBookingPublic = async (bookingId, reason = '') => {
       throw new ApiError('You can only cancel bookings that are in pending state', 400);
     }
 
+    const policy = await cancellationPolicyService.getPolicyForBooking(booking);
+    const outcome = cancellationPolicyService.evaluate(booking, policy, { actorRole: 'customer' });
+    if (!outcome.allowed) {
+      throw new ApiError(cancellationPolicyService.getLateCancellationMessage(policy), 400);
+    }
+
     // Update booking status to cancelled
-    booking.status = 'cancelled';
+    bookingStateMachine.transition(booking, 'cancelled', {
+      actor: { id: booking.customerId, role: 'customer' },
+      reason
+    });
     if (reason) {
       booking.cancellationReason = reason;
     }
+    await paymentService.applyCancellationCharge(booking, outcome, { reason });
 
     await booking.save();
 
+    // Offer the freed slot to the waitlist
+    await waitlistService.notifyBookingCancelled(booking);
+
     // Send notification to barber/provider
     try {
       await notificationService.createNotification({
@@ -2586,7 +2837,7 @@ const cancelBookingPublic = async (bookingId, reason = '') => {
 };
 const cancelBooking = async (bookingId, customerId, reason = '') => {
   try {
-    const booking = await Booking.findById(bookingId);
+    const booking = await Booking.findById(bookingId).populate('paymentId');
     if (!booking) {
       throw new ApiError('Booking not found', 404);
     }
@@ -2601,14 +2852,27 @@ const cancelBooking = async (bookingId, customerId, reason = '') => {
       throw new ApiError('You can only cancel bookings that are in pending state', 400);
     }
 
+    const policy = await cancellationPolicyService.getPolicyForBooking(booking);
+    const outcome = cancellationPolicyService.evaluate(booking, policy, { actorRole: 'customer' });
+    if (!outcome.allowed) {
+      throw new ApiError(cancellationPolicyService.getLateCancellationMessage(policy), 400);
+    }
+
     // Update booking status to cancelled
-    booking.status = 'cancelled';
+    bookingStateMachine.transition(booking, 'cancelled', {
+      actor: { id: customerId, role: 'customer' },
+      reason
+    });
     if (reason) {
       booking.cancellationReason = reason;
     }
+    await paymentService.applyCancellationCharge(booking, outcome, { reason });
 
     await booking.save();
 
+    // Offer the freed slot to the waitlist
+    await waitlistService.notifyBookingCancelled(booking);
+
     // Send notification to customer
     try {
       await notificationService.createNotification({
@@ -2664,6 +2928,7 @@ module.exports = {
   getRecentBookings,
   getBookingStats,
   countBookingsByCountry,
+  changeBookingTime,
   rescheduleBooking,
   cancelBooking,
   cancelBookingPublic,
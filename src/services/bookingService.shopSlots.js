@@ -1,29 +1,32 @@
 /**
- * Get available time slots for a shop
+ * Get available time slots for a shop.
+ * Slots are computed in the shop's local time.
  * @param {string} shopId - Shop ID
- * @param {Date} date - Date to check availability for
- * @param {string} serviceId - Service ID
- * @returns {Promise<Array>} - List of available time slots
+ * @param {Date} date - Calendar date in the shop's time zone
+ * @param {string|Array<string>} serviceId - Service ID, or the ordered IDs of a multi-service appointment
+ * @param {Object} [options] - { customerId } of the customer asking, whose waitlist holds stay bookable
+ * @returns {Promise<Array>} - List of slots { hour, minute, time, timeZone, local, utc }
  */
 const Shop = require('../models/Shop');
-const Service = require('../models/Service');
 const ApiError = require('../middlewares/errorHandler').ApiError;
+const timeZoneService = require('./timeZoneService');
+const { getDayOfWeek, getDayRange, buildSlot } = require('../utils/timeZone');
+const { overlapsAny, resolveLeadTime, startsTooSoon } = require('../utils/slotRules');
+const { loadServices, buildLines } = require('./bookingLineService');
 
-const getAvailableShopTimeSlots = async (shopId, date, serviceId) => {
+const getAvailableShopTimeSlots = async (shopId, date, serviceId, options = {}) => {
   try {
     // Find shop
     const shop = await Shop.findById(shopId);
     if (!shop) {
       throw new ApiError('Shop not found', 404);
     }
-    // Find service
-    const service = await Service.findById(serviceId);
-    if (!service) {
-      throw new ApiError('Service not found', 404);
-    }
-    const serviceDuration = service.duration || 30;
+    // Find services and their combined duration
+    const lines = buildLines(await loadServices(serviceId), shop._id);
+    const serviceDuration = lines.duration;
+    const shopTimeZone = await timeZoneService.resolveTimeZone({ shop });
     // Use shop.openingHours array for schedule
-    const dayOfWeek = date.toLocaleString('en-US', { weekday: 'long' }).toLowerCase();
+    const dayOfWeek = getDayOfWeek(date);
     const daySchedule = shop.openingHours && shop.openingHours.find(d => d.day.toLowerCase() === dayOfWeek);
     if (!daySchedule || !daySchedule.isOpen) {
       return [];
@@ -36,38 +39,37 @@ const getAvailableShopTimeSlots = async (shopId, date, serviceId) => {
     const availableSlots = [];
     // Find all bookings for this shop on the given day
     const Booking = require('../models/Booking');
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
+    const day = getDayRange(date);
     const bookings = await Booking.find({
       shopId,
-      bookingDate: { $gte: startOfDay, $lte: endOfDay },
+      bookingDate: { $gte: day.start, $lte: day.end },
       status: { $in: ['pending', 'confirmed'] }
     });
+    // Slots held for waitlisters are not offered to anyone else
+    const waitlistService = require('./waitlistService');
+    bookings.push(...await waitlistService.getActiveHolds({ shopId }, day, { excludeCustomerId: options.customerId }));
+    // Shop closures and public holidays
+    const blockedPeriodService = require('./blockedPeriodService');
+    bookings.push(...await blockedPeriodService.getBlockedSlots({ shopId: shop._id, countryId: shop.countryId }, date));
+
+    const buffers = { bufferBefore: lines.bufferBefore, bufferAfter: lines.bufferAfter };
+    const leadTimeMinutes = resolveLeadTime(shop);
 
     for (let currentMinutes = startMinutes; currentMinutes < endMinutes; currentMinutes += slotInterval) {
-      const hour = Math.floor(currentMinutes / 60);
-      const minute = currentMinutes % 60;
       const slotEndMinutes = currentMinutes + serviceDuration;
       if (slotEndMinutes > endMinutes) continue;
 
-      // Check for booking conflicts
-      let isAvailable = true;
-      for (const booking of bookings) {
-        const existingStartMinutes = booking.bookingTime.hour * 60 + booking.bookingTime.minute;
-        const existingEndMinutes = existingStartMinutes + booking.duration;
-        if (
-          (currentMinutes >= existingStartMinutes && currentMinutes < existingEndMinutes) ||
-          (slotEndMinutes > existingStartMinutes && slotEndMinutes <= existingEndMinutes) ||
-          (currentMinutes <= existingStartMinutes && slotEndMinutes >= existingEndMinutes)
-        ) {
-          isAvailable = false;
-          break;
-        }
-      }
+      const requested = {
+        bookingTime: { hour: Math.floor(currentMinutes / 60), minute: currentMinutes % 60 },
+        duration: serviceDuration,
+        ...buffers
+      };
+
+      // Check the lead time and booking conflicts, buffers included
+      const isAvailable = !startsTooSoon(date, requested.bookingTime, shopTimeZone, leadTimeMinutes)
+        && !overlapsAny(requested, bookings);
       if (isAvailable) {
-        availableSlots.push(`${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`);
+        availableSlots.push(buildSlot(date, currentMinutes, shopTimeZone));
       }
     }
     return availableSlots;
@@ -0,0 +1,117 @@
+// src/services/bookingStateMachine.js
+const { ADMIN_ROLES, transitions } = require('../config/bookingLifecycle');
+const { ApiError } = require('../middlewares/errorHandler');
+
+/**
+ * Actor used by background jobs and payment webhooks
+ */
+const SYSTEM_ACTOR = Object.freeze({ id: null, role: 'system' });
+
+/**
+ * Map a user role to a lifecycle actor role
+ * @param {string} role - User role
+ * @returns {string} - Lifecycle role
+ */
+const normalizeRole = (role) => {
+  const name = (role || '').toString().toLowerCase().trim();
+  return ADMIN_ROLES.includes(name) ? 'admin' : name;
+};
+
+/**
+ * Build a lifecycle actor from an authenticated request
+ * @param {Object} req - Express request (after authenticate)
+ * @returns {Object} - Actor { id, role }
+ */
+const actorFromRequest = (req) => ({
+  id: req.user ? req.user._id : null,
+  role: (req.user && req.user.role) || (req.role && req.role.name)
+});
+
+/**
+ * Check whether a role may move a booking between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @param {string} role - Actor role
+ * @returns {boolean}
+ */
+const canTransition = (from, to, role) => {
+  const allowedRoles = transitions[from] && transitions[from][to];
+  return !!allowedRoles && allowedRoles.includes(normalizeRole(role));
+};
+
+/**
+ * List the statuses a role may move a booking to
+ * @param {string} from - Current status
+ * @param {string} role - Actor role
+ * @returns {Array<string>}
+ */
+const getAllowedTransitions = (from, role) => {
+  return Object.keys(transitions[from] || {}).filter(to => canTransition(from, to, role));
+};
+
+/**
+ * List the statuses from which a role may move a booking to the target status
+ * @param {string} to - Target status
+ * @param {string} role - Actor role
+ * @returns {Array<string>}
+ */
+const getStatusesAllowing = (to, role) => {
+  return Object.keys(transitions).filter(from => from !== to && canTransition(from, to, role));
+};
+
+/**
+ * Move a booking to a new status and record it in the status history.
+ * The booking is not saved.
+ * @param {Object} booking - Booking document
+ * @param {string} to - Target status
+ * @param {Object} options - Transition options
+ * @param {Object} options.actor - Actor { id, role }
+ * @param {string} [options.reason] - Reason for the change
+ * @returns {Object} - The booking
+ */
+const transition = (booking, to, { actor, reason = '' } = {}) => {
+  const from = booking.status;
+  const role = normalizeRole(actor && actor.role);
+
+  if (!transitions[to]) {
+    throw new ApiError(`Unknown booking status: ${to}`, 400);
+  }
+
+  // Staying in the same status is a no-op unless it is an explicit transition (e.g. rescheduling again)
+  if (from === to && !(transitions[from] && transitions[from][to])) {
+    return booking;
+  }
+
+  if (!transitions[from] || !transitions[from][to]) {
+    throw new ApiError(`Cannot change booking status from ${from} to ${to}`, 409);
+  }
+
+  if (!transitions[from][to].includes(role)) {
+    throw new ApiError(`${role || 'unknown'} is not allowed to change booking status from ${from} to ${to}`, 403);
+  }
+
+  booking.status = to;
+  if (!booking.statusHistory) {
+    booking.statusHistory = [];
+  }
+  booking.statusHistory.push({
+    from,
+    to,
+    actorId: actor && actor.id ? actor.id : null,
+    actorRole: role,
+    reason: reason || '',
+    changedAt: new Date()
+  });
+
+  return booking;
+};
+
+module.exports = {
+  SYSTEM_ACTOR,
+  normalizeRole,
+  actorFromRequest,
+  canTransition,
+  getAllowedTransitions,
+  getStatusesAllowing,
+  transition
+};
@@ -0,0 +1,316 @@
+// src/services/cancellationPolicyService.js
+const CancellationPolicy = require('../models/CancellationPolicy');
+const Country = require('../models/Country');
+const Shop = require('../models/Shop');
+const Booking = require('../models/Booking');
+const { ApiError } = require('../middlewares/errorHandler');
+const bookingStateMachine = require('./bookingStateMachine');
+const bookingLineService = require('./bookingLineService');
+const { toInstant } = require('../utils/timeZone');
+const logger = require('../utils/logger');
+
+/**
+ * Policy used when neither the shop nor the country has one: free
+ * cancellation until 2 hours before the appointment, no late cancellation
+ * and the full price charged for a no-show
+ */
+const DEFAULT_POLICY = Object.freeze({
+    scope: 'default',
+    refundTiers: [{ hoursBefore: 2, refundPercent: 100 }],
+    allowLateCancellation: false,
+    lateCancelFeePercent: 100,
+    noShowFeePercent: 100,
+    gracePeriodMinutes: 0,
+    isDefault: true
+});
+
+const POLICY_FIELDS = [
+    'refundTiers',
+    'allowLateCancellation',
+    'lateCancelFeePercent',
+    'noShowFeePercent',
+    'gracePeriodMinutes',
+    'isActive'
+];
+
+/**
+ * Round a money amount to cents
+ * @private
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * CancellationPolicyService resolves and evaluates cancellation and no-show
+ * policies of shops and countries
+ */
+class CancellationPolicyService {
+    /**
+     * Get the policy that applies to a booking: its shop's, else its country's, else the default
+     * @param {Object} booking - Booking document
+     * @param {Object} [options] - { session }
+     * @returns {Promise<Object>} - Policy
+     */
+    async getPolicyForBooking(booking, options = {}) {
+        const session = options.session || null;
+
+        if (booking.shopId) {
+            const shopPolicy = await CancellationPolicy.findOne({
+                scope: 'shop',
+                shopId: booking.shopId._id || booking.shopId,
+                isActive: true
+            }).session(session).lean();
+            if (shopPolicy) return shopPolicy;
+        }
+
+        if (booking.countryId) {
+            const countryPolicy = await CancellationPolicy.findOne({
+                scope: 'country',
+                countryId: booking.countryId._id || booking.countryId,
+                isActive: true
+            }).session(session).lean();
+            if (countryPolicy) return countryPolicy;
+        }
+
+        return DEFAULT_POLICY;
+    }
+
+    /**
+     * Work out what cancelling a booking or marking it as no-show costs.
+     * Only customer cancellations and no-shows are charged; when the provider,
+     * shop or an admin cancels, the customer gets everything back. A no-show
+     * is never refunded: the payment is kept and any fee above it is outstanding.
+     * @param {Object} booking - Booking document (paymentId may be populated)
+     * @param {Object} policy - Policy from getPolicyForBooking
+     * @param {Object} options - Evaluation options
+     * @param {string} [options.status] - cancelled or noShow
+     * @param {string} [options.actorRole] - Role of who cancels
+     * @param {Date} [options.now] - Current instant
+     * @returns {Object} - Outcome { kind, allowed, hoursBefore, refundPercent, feeAmount, refundAmount, outstandingAmount, ... }
+     */
+    evaluate(booking, policy, { status = 'cancelled', actorRole = 'customer', now = new Date() } = {}) {
+        const startsAt = booking.startsAt || toInstant(booking.bookingDate, booking.bookingTime, booking.timeZone);
+        const hoursBefore = (new Date(startsAt).getTime() - now.getTime()) / (1000 * 60 * 60);
+        const price = bookingLineService.getTotalPrice(booking);
+
+        let paidAmount = 0;
+        if (booking.paymentStatus === 'paid') {
+            const payment = booking.paymentId;
+            paidAmount = payment && payment.amount != null ? payment.amount : price;
+        }
+
+        const role = bookingStateMachine.normalizeRole(actorRole);
+        let kind;
+        let feePercent;
+        let allowed = true;
+        let withinGracePeriod = false;
+
+        if (status === 'noShow') {
+            kind = 'no_show';
+            feePercent = policy.noShowFeePercent;
+        } else if (role !== 'customer') {
+            kind = 'provider_cancellation';
+            feePercent = 0;
+        } else {
+            const minutesSinceBooking = booking.createdAt
+                ? (now.getTime() - new Date(booking.createdAt).getTime()) / (1000 * 60)
+                : Infinity;
+            withinGracePeriod = hoursBefore > 0 && minutesSinceBooking <= policy.gracePeriodMinutes;
+
+            const tier = [...(policy.refundTiers || [])]
+                .sort((a, b) => b.hoursBefore - a.hoursBefore)
+                .find(t => hoursBefore >= t.hoursBefore);
+
+            if (withinGracePeriod) {
+                kind = 'cancellation';
+                feePercent = 0;
+            } else if (tier) {
+                kind = 'cancellation';
+                feePercent = 100 - tier.refundPercent;
+            } else {
+                kind = 'late_cancellation';
+                feePercent = policy.lateCancelFeePercent;
+                allowed = !!policy.allowLateCancellation;
+            }
+        }
+
+        const feeAmount = roundAmount(price * feePercent / 100);
+
+        return {
+            kind,
+            allowed,
+            policyId: policy._id || null,
+            policyScope: policy.scope,
+            hoursBefore: Math.round(hoursBefore * 100) / 100,
+            withinGracePeriod,
+            price,
+            paidAmount,
+            feePercent,
+            refundPercent: 100 - feePercent,
+            feeAmount,
+            refundAmount: kind === 'no_show' ? 0 : roundAmount(Math.max(0, paidAmount - feeAmount)),
+            outstandingAmount: roundAmount(Math.max(0, feeAmount - paidAmount))
+        };
+    }
+
+    /**
+     * Get the message shown when a customer cancels too late to be allowed
+     * @param {Object} policy - Policy
+     * @returns {string}
+     */
+    getLateCancellationMessage(policy) {
+        const hours = Math.min(...(policy.refundTiers || []).map(t => t.hoursBefore));
+        return Number.isFinite(hours)
+            ? `Bookings must be cancelled at least ${hours} hours before the appointment time`
+            : 'This booking can no longer be cancelled';
+    }
+
+    /**
+     * Show a customer what cancelling their booking now would cost
+     * @param {string} bookingId - Booking ID
+     * @param {string} customerId - Customer user ID
+     * @returns {Promise<Object>} - { bookingId, canCancel, message, outcome, policy }
+     */
+    async previewCancellation(bookingId, customerId) {
+        const booking = await Booking.findById(bookingId).populate('paymentId', 'amount currency');
+        if (!booking) {
+            throw new ApiError('Booking not found', 404);
+        }
+        if (booking.customerId.toString() !== customerId.toString()) {
+            throw new ApiError('Unauthorized access to booking', 403);
+        }
+
+        const policy = await this.getPolicyForBooking(booking);
+        const outcome = this.evaluate(booking, policy, { actorRole: 'customer' });
+        const cancellable = bookingStateMachine.canTransition(booking.status, 'cancelled', 'customer');
+
+        let message;
+        if (!cancellable) {
+            message = `Booking cannot be cancelled because it is already ${booking.status}`;
+        } else if (!outcome.allowed) {
+            message = this.getLateCancellationMessage(policy);
+        } else if (outcome.feeAmount === 0) {
+            message = 'You can cancel this booking free of charge.';
+        } else {
+            message = `Cancelling now costs ${outcome.feeAmount} (${outcome.feePercent}% of the booking price).`;
+        }
+
+        return {
+            bookingId: booking._id,
+            canCancel: cancellable && outcome.allowed,
+            message,
+            outcome,
+            policy: {
+                scope: policy.scope,
+                refundTiers: policy.refundTiers,
+                allowLateCancellation: policy.allowLateCancellation,
+                lateCancelFeePercent: policy.lateCancelFeePercent,
+                noShowFeePercent: policy.noShowFeePercent,
+                gracePeriodMinutes: policy.gracePeriodMinutes
+            }
+        };
+    }
+
+    /**
+     * Get cancellation policies with optional filtering
+     * @param {Object} [filters] - { scope, countryId, shopId }
+     * @returns {Promise<Array>} - Policies
+     */
+    async getPolicies(filters = {}) {
+        const query = {};
+        if (filters.scope) query.scope = filters.scope;
+        if (filters.countryId) query.countryId = filters.countryId;
+        if (filters.shopId) query.shopId = filters.shopId;
+
+        return await CancellationPolicy.find(query)
+            .populate('countryId', 'name code')
+            .populate('shopId', 'name')
+            .sort({ scope: 1, createdAt: -1 })
+            .lean();
+    }
+
+    /**
+     * Create or replace the cancellation policy of a country
+     * @param {string} countryId - Country ID
+     * @param {Object} data - Policy fields
+     * @param {string} userId - Admin user ID
+     * @returns {Promise<Object>} - Policy
+     */
+    async setCountryPolicy(countryId, data, userId) {
+        const country = await Country.findById(countryId);
+        if (!country) {
+            throw new ApiError('Country not found', 404);
+        }
+
+        return await this.upsertPolicy({ scope: 'country', countryId }, data, userId);
+    }
+
+    /**
+     * Get the cancellation policy of a shop owner's shop (or the one that applies instead)
+     * @param {string} ownerId - Shop owner user ID
+     * @returns {Promise<Object>} - Policy
+     */
+    async getShopPolicy(ownerId) {
+        const shop = await Shop.findOne({ ownerId }).select('_id countryId').lean();
+        if (!shop) {
+            throw new ApiError('Shop not found', 404);
+        }
+
+        return await this.getPolicyForBooking({ shopId: shop._id, countryId: shop.countryId });
+    }
+
+    /**
+     * Create or replace the cancellation policy of a shop owner's shop
+     * @param {string} ownerId - Shop owner user ID
+     * @param {Object} data - Policy fields
+     * @returns {Promise<Object>} - Policy
+     */
+    async setShopPolicy(ownerId, data) {
+        const shop = await Shop.findOne({ ownerId }).select('_id').lean();
+        if (!shop) {
+            throw new ApiError('Shop not found', 404);
+        }
+
+        return await this.upsertPolicy({ scope: 'shop', shopId: shop._id }, data, ownerId);
+    }
+
+    /**
+     * Delete a cancellation policy
+     * @param {string} id - Policy ID
+     * @returns {Promise<boolean>} - Success status
+     */
+    async deletePolicy(id) {
+        const result = await CancellationPolicy.deleteOne({ _id: id });
+        return result.deletedCount > 0;
+    }
+
+    /**
+     * Create or update the policy matching a filter
+     * @private
+     */
+    async upsertPolicy(filter, data, userId) {
+        const tiers = data.refundTiers || [];
+        const hours = tiers.map(t => t.hoursBefore);
+        if (new Set(hours).size !== hours.length) {
+            throw new ApiError('Each refund tier needs a different number of hours', 400);
+        }
+
+        const update = { lastUpdatedBy: userId };
+        POLICY_FIELDS.forEach((field) => {
+            if (data[field] !== undefined) update[field] = data[field];
+        });
+
+        const policy = await CancellationPolicy.findOneAndUpdate(
+            filter,
+            { $set: update },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+
+        logger.info(`Cancellation policy updated for ${filter.scope} ${filter.countryId || filter.shopId}`);
+        return policy;
+    }
+}
+
+const cancellationPolicyService = new CancellationPolicyService();
+cancellationPolicyService.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = cancellationPolicyService;
@@ -1,6 +1,8 @@
 // src/services/customerService.js
 const Customer = require('../models/Customer');
 const { User, ROLES } = require('../models/User');
+const otpService = require('./otpService');
+const { ApiError } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
 
 /**
@@ -207,6 +209,52 @@ class CustomerService {
         }
     }
 
+    /**
+     * Send a code to the customer's phone number to verify it
+     * @param {string} userId - Customer ID
+     * @returns {Promise<Object>} - { channel, destination, expiresAt, resendAvailableAt }
+     */
+    async sendPhoneVerification(userId) {
+        const customer = await Customer.findById(userId);
+
+        if (!customer) {
+            throw new ApiError('Customer profile not found', 404);
+        }
+        if (customer.phoneVerified) {
+            throw new ApiError('Phone number is already verified', 400);
+        }
+
+        return await otpService.sendOtp(customer, 'phone_verification');
+    }
+
+    /**
+     * Verify the customer's phone number with the code sent to it
+     * @param {string} userId - Customer ID
+     * @param {string} code - Code entered
+     * @returns {Promise<Object>} - Updated customer
+     */
+    async verifyPhone(userId, code) {
+        const customer = await Customer.findById(userId);
+
+        if (!customer) {
+            throw new ApiError('Customer profile not found', 404);
+        }
+
+        const otp = await otpService.verifyOtp(customer, 'phone_verification', code);
+
+        // The number may have changed after the code was sent
+        if (otp.destination !== customer.phoneNumber) {
+            throw new ApiError('Phone number has changed. Please request a new code.', 400);
+        }
+
+        customer.phoneVerified = true;
+        customer.phoneVerifiedAt = new Date();
+        await customer.save();
+
+        logger.info(`Customer ${customer._id} verified phone number`);
+        return customer;
+    }
+
     /**
      * Add address to customer
      * @param {string} userId - User ID
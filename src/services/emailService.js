@@ -92,6 +92,44 @@ class EmailService {
         }
     }
 
+    /**
+     * Send a one-time password
+     * @param {string} email - Recipient email
+     * @param {string} code - One-time password
+     * @param {string} title - What the code is for, e.g. 'Email Verification'
+     * @param {number} expiresInMinutes - Minutes until the code expires
+     * @returns {Promise<boolean>} - Success status
+     */
+    async sendOtp(email, code, title, expiresInMinutes) {
+        try {
+            const mailOptions = {
+                from: process.env.EMAIL_FROM,
+                to: email,
+                subject: `Your Trimmers ${title} Code`,
+                text: `Your code is: ${code}. It will expire in ${expiresInMinutes} minutes.`,
+                html: `
+                    <div style="font-family: Arial, sans-serif; background: #f9f9f9; padding: 30px; border-radius: 10px; max-width: 400px; margin: auto;">
+                        <h2 style="color: #2d8cf0; text-align: center;">${title}</h2>
+                        <p style="font-size: 16px; color: #333; text-align: center;">Use the code below to continue:</p>
+                        <div style="background: #fff; border-radius: 8px; padding: 20px; margin: 20px 0; text-align: center;">
+                            <span style="font-size: 2.2em; letter-spacing: 8px; color: #27ae60; font-weight: bold;">${code}</span>
+                        </div>
+                        <p style="font-size: 15px; color: #555; text-align: center;">This code will expire in <b>${expiresInMinutes} minutes</b>.</p>
+                        <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;">
+                        <p style="font-size: 13px; color: #aaa; text-align: center;">If you did not request this, please ignore this email.</p>
+                    </div>
+                `
+            };
+
+            const info = await this.transporter.sendMail(mailOptions);
+            logger.info(`${title} code email sent to ${email}: ${info.messageId}`);
+            return true;
+        } catch (error) {
+            logger.error(`Failed to send ${title} code email to ${email}: ${error.message}`);
+            throw error;
+        }
+    }
+
     /**
      * Test email connection
      * @returns {Promise<boolean>} - Connection status
@@ -0,0 +1,220 @@
+// src/services/exchangeRateService.js
+const ExchangeRate = require('../models/ExchangeRate');
+const Country = require('../models/Country');
+const { ApiError } = require('../middlewares/errorHandler');
+const exchangeRateSources = require('./exchangeRateSources');
+const currencyConverter = require('../utils/currencyConverter');
+const logger = require('../utils/logger');
+
+// Currency every rate is quoted against
+const BASE_CURRENCY = 'USD';
+
+/**
+ * Check a currency code is supported and normalise it
+ * @private
+ */
+const normaliseCurrency = (currency) => {
+    const code = (currency || '').toUpperCase();
+    if (!currencyConverter.isSupported(code)) {
+        throw new ApiError(`Currency ${currency} is not supported`, 400);
+    }
+    return code;
+};
+
+/**
+ * Get the current rates of all currencies
+ * @returns {Promise<Object>} - Units of each currency per unit of the base currency
+ */
+const getRates = async () => {
+    const rates = await ExchangeRate.find().select('currency rate').lean();
+
+    return rates.reduce((map, { currency, rate }) => {
+        map[currency] = rate;
+        return map;
+    }, { [BASE_CURRENCY]: 1 });
+};
+
+/**
+ * List the stored rates
+ * @returns {Promise<Array>} - Rates sorted by currency
+ */
+const listRates = async () => {
+    const rates = await ExchangeRate.find()
+        .populate('updatedBy', 'firstName lastName email')
+        .sort({ currency: 1 })
+        .lean();
+
+    return { baseCurrency: BASE_CURRENCY, rates };
+};
+
+/**
+ * Set the rate of a currency by hand
+ * @param {string} currency - Currency code
+ * @param {number} rate - Units of the currency per unit of the base currency
+ * @param {string} userId - Admin user ID
+ * @returns {Promise<Object>} - Exchange rate
+ */
+const setRate = async (currency, rate, userId) => {
+    const code = normaliseCurrency(currency);
+    if (code === BASE_CURRENCY) {
+        throw new ApiError(`The rate of the base currency ${BASE_CURRENCY} is always 1`, 400);
+    }
+
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+        { currency: code },
+        { $set: { rate, source: 'manual', updatedBy: userId } },
+        { upsert: true, new: true, runValidators: true }
+    );
+
+    logger.info(`Exchange rate of ${code} set to ${rate} by ${userId}`);
+    return exchangeRate;
+};
+
+/**
+ * Import rates from a source. Rates quoted against another base are
+ * converted to the base currency; unsupported currencies are skipped.
+ * @param {string} [sourceName] - Source name, EXCHANGE_RATES_SOURCE by default
+ * @returns {Promise<Object>} - { source, imported, skipped }
+ */
+const importRates = async (sourceName) => {
+    const source = exchangeRateSources.getSource(sourceName);
+    const data = await source.fetchRates();
+
+    if (!data || typeof data.rates !== 'object' || data.rates === null) {
+        throw new ApiError(`Exchange rate source ${source.name} returned no rates`, 502);
+    }
+
+    const base = (data.base || BASE_CURRENCY).toUpperCase();
+    const baseRate = base === BASE_CURRENCY ? 1 : data.rates[BASE_CURRENCY];
+    if (!(baseRate > 0)) {
+        throw new ApiError(`Exchange rate source ${source.name} has no ${BASE_CURRENCY} rate to convert from ${base}`, 502);
+    }
+
+    const operations = [];
+    const skipped = [];
+    Object.entries(data.rates).forEach(([currency, value]) => {
+        const code = currency.toUpperCase();
+        if (code === BASE_CURRENCY) return;
+
+        const rate = Number(value) / baseRate;
+        if (!currencyConverter.isSupported(code) || !Number.isFinite(rate) || rate <= 0) {
+            skipped.push(code);
+            return;
+        }
+
+        operations.push({
+            updateOne: {
+                filter: { currency: code },
+                update: { $set: { rate, source: source.name, updatedBy: null } },
+                upsert: true
+            }
+        });
+    });
+
+    if (operations.length > 0) {
+        await ExchangeRate.bulkWrite(operations);
+    }
+
+    logger.info(`Imported ${operations.length} exchange rates from ${source.name}${skipped.length ? `, skipped ${skipped.join(', ')}` : ''}`);
+    return { source: source.name, imported: operations.length, skipped };
+};
+
+/**
+ * Get the currency a country prices in
+ * @param {string} countryId - Country ID
+ * @returns {Promise<string>} - Currency code, the base currency without a country
+ */
+const getCountryCurrency = async (countryId) => {
+    const country = countryId ? await Country.findById(countryId).select('currency').lean() : null;
+    return ((country && country.currency && country.currency.code) || BASE_CURRENCY).toUpperCase();
+};
+
+/**
+ * Take a copy of the current rate of a currency to store with a booking
+ * @param {string} currency - Currency code
+ * @returns {Promise<Object>} - { baseCurrency, rate, capturedAt }; rate is null when the currency has none
+ */
+const getRateSnapshot = async (currency) => {
+    const code = (currency || BASE_CURRENCY).toUpperCase();
+    let rate = 1;
+
+    if (code !== BASE_CURRENCY) {
+        const exchangeRate = await ExchangeRate.findOne({ currency: code }).select('rate').lean();
+        rate = exchangeRate ? exchangeRate.rate : null;
+        if (!exchangeRate) {
+            logger.warn(`No exchange rate for ${code}; booking reports will use the rate at report time`);
+        }
+    }
+
+    return { baseCurrency: BASE_CURRENCY, rate, capturedAt: new Date() };
+};
+
+/**
+ * Get the currency reports are converted into
+ * @param {string} [currency] - Requested currency, REPORTING_CURRENCY or the base currency by default
+ * @returns {string} - Currency code
+ */
+const getReportingCurrency = (currency) => {
+    return normaliseCurrency(currency || process.env.REPORTING_CURRENCY || BASE_CURRENCY);
+};
+
+/**
+ * Check an amount can be converted into a currency: it is already in that
+ * currency, or there is a rate for both currencies
+ * @param {string} currency - Currency of the amount
+ * @param {number} [rate] - Rate stored with the amount's booking, if any
+ * @param {string} toCurrency - Currency to convert into
+ * @param {Object} rates - Current rates from getRates
+ * @returns {boolean}
+ */
+const canConvert = (currency, rate, toCurrency, rates) => {
+    const from = (currency || BASE_CURRENCY).toUpperCase();
+    const to = toCurrency.toUpperCase();
+    return from === to || (!!(rate || rates[from]) && !!rates[to]);
+};
+
+/**
+ * Convert amounts in several currencies into one currency and add them up.
+ * Amounts are converted to the base currency at the rate stored with their
+ * booking when there is one, then to the reporting currency at today's rate.
+ * Amounts without any rate are left out of the total and returned per currency.
+ * @param {Array} amounts - [{ amount, currency, rate }]; rate is the booking's snapshot, if any
+ * @param {string} toCurrency - Currency to convert into
+ * @param {Object} rates - Current rates from getRates
+ * @returns {Object} - { amount, unconverted }; amount is rounded to the minor unit of toCurrency,
+ *   unconverted maps each currency that could not be converted to its total
+ */
+const sumInCurrency = (amounts, toCurrency, rates) => {
+    const to = toCurrency.toUpperCase();
+    const left = {};
+
+    const total = amounts.reduce((sum, { amount, currency, rate }) => {
+        const from = (currency || BASE_CURRENCY).toUpperCase();
+        if (from === to) {
+            return sum + amount;
+        }
+        if (!canConvert(from, rate, to, rates)) {
+            left[from] = (left[from] || 0) + amount;
+            return sum;
+        }
+        return sum + amount / (rate || rates[from]) * rates[to];
+    }, 0);
+
+    const unconverted = Object.fromEntries(
+        Object.entries(left).map(([currency, amount]) => [currency, currencyConverter.round(amount, currency)])
+    );
+    return { amount: currencyConverter.round(total, to), unconverted };
+};
+
+module.exports = {
+    BASE_CURRENCY,
+    getRates,
+    listRates,
+    setRate,
+    importRates,
+    getCountryCurrency,
+    getRateSnapshot,
+    getReportingCurrency,
+    canConvert,
+    sumInCurrency
+};
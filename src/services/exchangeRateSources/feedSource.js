@@ -0,0 +1,33 @@
+// src/services/exchangeRateSources/feedSource.js
+const axios = require('axios');
+const { ApiError } = require('../../middlewares/errorHandler');
+
+/**
+ * Fetches rates from an HTTP feed at EXCHANGE_RATES_FEED_URL answering
+ * { base, rates }, the format most public rate APIs use
+ */
+class FeedSource {
+    constructor() {
+        this.name = 'feed';
+    }
+
+    /**
+     * Fetch the current rates
+     * @returns {Promise<Object>} - { base, rates }
+     */
+    async fetchRates() {
+        const url = process.env.EXCHANGE_RATES_FEED_URL;
+        if (!url) {
+            throw new ApiError('EXCHANGE_RATES_FEED_URL is not configured', 500);
+        }
+
+        try {
+            const response = await axios.get(url, { timeout: 15000 });
+            return response.data;
+        } catch (error) {
+            throw new ApiError(`Exchange rate feed request failed: ${error.message}`, 502);
+        }
+    }
+}
+
+module.exports = new FeedSource();
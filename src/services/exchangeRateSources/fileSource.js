@@ -0,0 +1,37 @@
+// src/services/exchangeRateSources/fileSource.js
+const fs = require('fs/promises');
+const path = require('path');
+const { ApiError } = require('../../middlewares/errorHandler');
+
+/**
+ * Reads rates from a JSON file { base, rates } at EXCHANGE_RATES_FILE,
+ * relative to the working directory (data/exchangeRates.json by default)
+ */
+class FileSource {
+    constructor() {
+        this.name = 'file';
+    }
+
+    /**
+     * Read the current rates
+     * @returns {Promise<Object>} - { base, rates }
+     */
+    async fetchRates() {
+        const filePath = path.resolve(process.env.EXCHANGE_RATES_FILE || 'data/exchangeRates.json');
+
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            throw new ApiError(`Exchange rate file ${filePath} could not be read: ${error.message}`, 500);
+        }
+
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            throw new ApiError(`Exchange rate file ${filePath} is not valid JSON`, 500);
+        }
+    }
+}
+
+module.exports = new FileSource();
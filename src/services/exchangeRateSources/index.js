@@ -0,0 +1,35 @@
+// src/services/exchangeRateSources/index.js
+/**
+ * Exchange rate source registry. Every source implements:
+ *   name         - Key stored as the source of imported rates
+ *   fetchRates() - Current rates { base, rates: { CODE: units per base unit } }
+ * The import job uses EXCHANGE_RATES_SOURCE (file by default).
+ */
+const { ApiError } = require('../../middlewares/errorHandler');
+const fileSource = require('./fileSource');
+const feedSource = require('./feedSource');
+
+const SOURCES = {
+    file: fileSource,
+    feed: feedSource
+};
+
+const SOURCE_NAMES = Object.keys(SOURCES);
+
+/**
+ * Get a source by name, or the configured default
+ * @param {string} [name] - Source name
+ * @returns {Object} - Source
+ */
+const getSource = (name) => {
+    const sourceName = name || process.env.EXCHANGE_RATES_SOURCE || 'file';
+    if (!SOURCES[sourceName]) {
+        throw new ApiError(`Exchange rate source ${sourceName} is not available`, 400);
+    }
+    return SOURCES[sourceName];
+};
+
+module.exports = {
+    SOURCE_NAMES,
+    getSource
+};
@@ -0,0 +1,53 @@
+// src/services/firebaseTokenVerifier.js
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+// Firebase sign-in providers customers can use, by the name we store
+const SIGN_IN_PROVIDERS = {
+    'google.com': 'google',
+    'apple.com': 'apple'
+};
+
+/**
+ * Verifies Firebase ID tokens from the mobile apps' Google and Apple sign-in.
+ * Firebase Admin is loaded on first use, so the app runs without its
+ * credentials until someone signs in this way.
+ */
+class FirebaseTokenVerifier {
+    /**
+     * Verify an ID token and read the identity in it
+     * @param {string} idToken - Firebase ID token
+     * @returns {Promise<Object>} - { uid, provider, email, emailVerified, name, picture, phoneNumber }
+     */
+    async verifyIdToken(idToken) {
+        let admin;
+        try {
+            admin = require('../config/firebase');
+        } catch (error) {
+            logger.error(`Firebase Admin could not be loaded: ${error.message}`);
+            throw new ApiError('Social sign-in is not available', 503);
+        }
+
+        let decoded;
+        try {
+            // Also rejects tokens of Firebase users that were disabled or signed out
+            decoded = await admin.auth().verifyIdToken(idToken, true);
+        } catch (error) {
+            logger.warn(`Firebase ID token rejected: ${error.code || error.message}`);
+            throw new ApiError('Invalid or expired sign-in token', 401);
+        }
+
+        const signInProvider = decoded.firebase && decoded.firebase.sign_in_provider;
+        return {
+            uid: decoded.uid,
+            provider: SIGN_IN_PROVIDERS[signInProvider] || null,
+            email: decoded.email ? decoded.email.toLowerCase() : null,
+            emailVerified: decoded.email_verified === true,
+            name: decoded.name || '',
+            picture: decoded.picture || null,
+            phoneNumber: decoded.phone_number || null
+        };
+    }
+}
+
+module.exports = new FirebaseTokenVerifier();
@@ -0,0 +1,305 @@
+// src/services/identityService.js
+const Identity = require('../models/Identity');
+const Customer = require('../models/Customer');
+const Barber = require('../models/Barber');
+const Freelancer = require('../models/Freelancer');
+const ShopOwner = require('../models/ShopOwner');
+const Admin = require('../models/Admin');
+const Role = require('../models/Role');
+const { User } = require('../models/User');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+// Collection each role's users are stored in; admins fall back to the legacy Admin collection
+const ROLE_MODELS = {
+  customer: [Customer],
+  barber: [Barber],
+  freelancer: [Freelancer],
+  shop_owner: [ShopOwner],
+  admin: [User, Admin],
+  super_admin: [User, Admin],
+  country_manager: [User, Admin],
+  customer_care: [User, Admin]
+};
+
+const ACCOUNT_MODELS = [Customer, Barber, Freelancer, ShopOwner, User, Admin];
+
+const MODELS_BY_NAME = ACCOUNT_MODELS.reduce((models, Model) => {
+  models[Model.modelName] = Model;
+  return models;
+}, {});
+
+/**
+ * Check whether a role belongs to staff, who sign in to the admin panel
+ * @param {string} role - Role name
+ * @returns {boolean}
+ */
+const isStaffRole = (role) => (ROLE_MODELS[role] || []).includes(User);
+
+/**
+ * Find the user of a role by ID
+ * @param {string} userId - User ID
+ * @param {string} role - Role name
+ * @returns {Promise<Object|null>} - { user, userModel } or null
+ */
+const findUserForRole = async (userId, role) => {
+  for (const Model of ROLE_MODELS[role] || []) {
+    const user = await Model.findById(userId);
+    if (user) {
+      return { user, userModel: Model.modelName };
+    }
+  }
+  return null;
+};
+
+/**
+ * Get the role name of a user, from its Role when the model references one
+ * @param {Object} user - User document
+ * @returns {Promise<string>} - Role name
+ */
+const resolveRoleName = async (user) => {
+  if (!user.roleId) {
+    return user.role;
+  }
+  const role = await Role.findById(user.roleId);
+  if (!role) {
+    throw new ApiError('Role not found', 500);
+  }
+  return role.name;
+};
+
+/**
+ * Find the accounts using an email in every collection
+ * @param {string} email - Email address
+ * @returns {Promise<Array>} - [{ user, role, userModel }], with password hashes
+ */
+const findAccountsByEmail = async (email) => {
+  const accounts = [];
+  for (const Model of ACCOUNT_MODELS) {
+    const users = await Model.find({ email: email.toLowerCase() }).select('+password');
+    for (const user of users) {
+      accounts.push({ user, role: await resolveRoleName(user), userModel: Model.modelName });
+    }
+  }
+  return accounts;
+};
+
+/**
+ * Find the reasons accounts with the same email cannot share one identity.
+ * Passwords are not compared here: their hashes are salted, so only the
+ * password typed at login can tell whether two accounts share it.
+ * @param {Array} accounts - [{ user, role }]
+ * @returns {Array} - [{ code, message }], empty when they can be linked
+ */
+const getLinkConflicts = (accounts) => {
+  const conflicts = [];
+  const roles = accounts.map(account => account.role);
+
+  if (roles.some(isStaffRole) && roles.some(role => !isStaffRole(role))) {
+    conflicts.push({ code: 'STAFF_AND_APP_ACCOUNTS', message: 'Staff accounts cannot share credentials with app accounts' });
+  }
+  if (new Set(roles).size < roles.length) {
+    conflicts.push({ code: 'DUPLICATE_ROLE', message: 'More than one account has the same role' });
+  }
+  // An unverified account may have been registered by someone else
+  if (accounts.length > 1 && accounts.some(account => !account.user.emailVerified)) {
+    conflicts.push({ code: 'UNVERIFIED_ACCOUNT', message: 'An account has not verified the email' });
+  }
+  return conflicts;
+};
+
+/**
+ * Keep the accounts a password signs in to
+ * @param {Array} accounts - [{ user }] with password hashes
+ * @param {string} password - Password as typed
+ * @returns {Promise<Array>} - Accounts whose password it is
+ */
+const filterByPassword = async (accounts, password) => {
+  const matches = await Promise.all(accounts.map(account => account.user.matchPassword(password)));
+  return accounts.filter((account, index) => matches[index]);
+};
+
+/**
+ * Link accounts with the same email to one identity, creating it when there
+ * is none. The accounts must already have the identity's password; their
+ * password hashes are left as they are.
+ * @param {string} email - Email address
+ * @param {Array} accounts - [{ user, role, userModel }]
+ * @param {string} password - Password hash a new identity signs in with
+ * @param {Object} [identity] - Existing identity for the email
+ * @returns {Promise<Object>} - Identity document
+ */
+const linkAccounts = async (email, accounts, password, identity = null) => {
+  const linkedIds = identity ? identity.profiles.map(profile => profile.userId.toString()) : [];
+  const profiles = accounts
+    .filter(account => !linkedIds.includes(account.user._id.toString()))
+    .map(account => ({ role: account.role, userModel: account.userModel, userId: account.user._id }));
+
+  if (identity) {
+    return Identity.findByIdAndUpdate(
+      identity._id,
+      { $push: { profiles: { $each: profiles } } },
+      { new: true }
+    );
+  }
+
+  return Identity.create({
+    email: email.toLowerCase(),
+    password,
+    profiles,
+    defaultRole: profiles.length === 1 ? profiles[0].role : null
+  });
+};
+
+/**
+ * Link a user who logged in without an identity, together with the other
+ * accounts of the email that the same password signs in to. The user joins
+ * the email's identity when it has that password, or gets a new one when
+ * the email has none. Accounts with another password keep signing in on
+ * their own.
+ * @param {Object} user - User document with its password hash
+ * @param {string} role - Role name
+ * @param {string} password - Password the user logged in with
+ * @returns {Promise<Object|null>} - Identity document, or null when not linked
+ */
+const ensureIdentity = async (user, role, password) => {
+  if (await Identity.exists({ 'profiles.userId': user._id })) {
+    return null;
+  }
+
+  const identity = await findByEmail(user.email, { withPassword: true });
+  if (identity && !(await identity.matchPassword(password))) {
+    logger.info(`Not linking ${role} ${user._id} to identity ${identity._id}: the passwords differ`);
+    return null;
+  }
+
+  const linkedIds = identity ? identity.profiles.map(profile => profile.userId.toString()) : [];
+  const accounts = await findAccountsByEmail(user.email);
+  const linked = accounts.filter(account => linkedIds.includes(account.user._id.toString()));
+  const joining = await filterByPassword(
+    accounts.filter(account => !linkedIds.includes(account.user._id.toString())),
+    password
+  );
+
+  const conflicts = getLinkConflicts([...linked, ...joining]);
+  if (conflicts.length > 0) {
+    logger.warn(`Not linking ${role} ${user._id} to an identity: ${conflicts.map(conflict => conflict.code).join(', ')}`);
+    return null;
+  }
+
+  try {
+    const linkedIdentity = await linkAccounts(user.email, joining, user.password, identity);
+    logger.info(`Linked ${joining.length} account(s) of ${user.email} to identity ${linkedIdentity._id}`);
+    return linkedIdentity;
+  } catch (error) {
+    // Another login for the same email created it first
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Find the identity for an email
+ * @param {string} email - Email address
+ * @param {Object} [options] - { withPassword }
+ * @returns {Promise<Object|null>} - Identity document
+ */
+const findByEmail = async (email, options = {}) => {
+  const query = Identity.findOne({ email: email.toLowerCase() });
+  return options.withPassword ? query.select('+password') : query;
+};
+
+/**
+ * Find the identity a profile is linked to
+ * @param {string} userId - User ID of the profile
+ * @returns {Promise<Object|null>} - Identity document
+ */
+const findByUserId = async (userId) => Identity.findOne({ 'profiles.userId': userId });
+
+/**
+ * Pick the profile to sign in to: the requested role, else the one used
+ * last, else the first
+ * @param {Object} identity - Identity document
+ * @param {string} [role] - Requested role
+ * @returns {Object} - Profile { role, userModel, userId }
+ */
+const selectProfile = (identity, role = null) => {
+  if (role) {
+    const profile = identity.profiles.find(p => p.role === role);
+    if (!profile) {
+      throw new ApiError(`You do not have a ${role} profile`, 400, [{ code: 'PROFILE_NOT_FOUND' }]);
+    }
+    return profile;
+  }
+  return identity.profiles.find(p => p.role === identity.defaultRole) || identity.profiles[0];
+};
+
+/**
+ * Remember the profile an identity signed in to, so the next login opens it
+ * @param {Object} user - User document of the profile
+ * @param {string} role - Role name
+ * @returns {Promise<Object|null>} - Identity document, or null when the user has none
+ */
+const recordLogin = async (user, role) => {
+  return Identity.findOneAndUpdate(
+    { 'profiles.userId': user._id },
+    { $set: { defaultRole: role, lastLogin: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * List the profiles a user can switch between
+ * @param {Object|null} identity - Identity document
+ * @param {Object} user - User document signed in
+ * @param {string} role - Role name signed in
+ * @returns {Array} - [{ role, userId }]
+ */
+const listProfiles = (identity, user, role) => {
+  if (!identity) {
+    return [{ role, userId: user._id }];
+  }
+  return identity.profiles.map(profile => ({ role: profile.role, userId: profile.userId }));
+};
+
+/**
+ * Copy a profile's new password hash to its identity and the other linked
+ * profiles
+ * @param {Object} user - User document saved with the new password
+ * @returns {Promise<Array>} - IDs of every profile the password applies to
+ */
+const syncPassword = async (user) => {
+  const identity = await findByUserId(user._id);
+  if (!identity) {
+    return [user._id];
+  }
+
+  await Identity.updateOne({ _id: identity._id }, { $set: { password: user.password } });
+  for (const profile of identity.profiles) {
+    if (!profile.userId.equals(user._id)) {
+      await MODELS_BY_NAME[profile.userModel].updateOne({ _id: profile.userId }, { $set: { password: user.password } });
+    }
+  }
+
+  return identity.profiles.map(profile => profile.userId);
+};
+
+module.exports = {
+  ROLE_MODELS,
+  isStaffRole,
+  findUserForRole,
+  resolveRoleName,
+  findAccountsByEmail,
+  getLinkConflicts,
+  filterByPassword,
+  linkAccounts,
+  ensureIdentity,
+  findByEmail,
+  findByUserId,
+  selectProfile,
+  recordLogin,
+  listProfiles,
+  syncPassword
+};
@@ -0,0 +1,297 @@
+// src/services/jobSchedulerService.js
+const os = require('os');
+const cron = require('node-cron');
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * JobSchedulerService runs background jobs on a cron schedule.
+ * Jobs are locked in MongoDB so that with several app instances
+ * (PM2 cluster, multiple ECS tasks) each run happens exactly once.
+ */
+class JobSchedulerService {
+    constructor() {
+        this.definitions = new Map();
+        this.tasks = [];
+        this.instanceId = `${os.hostname()}:${process.pid}`;
+    }
+
+    /**
+     * Define a job
+     * @param {string} name - Unique job name
+     * @param {Object} options - Job options
+     * @param {string} options.schedule - Cron expression
+     * @param {Function} options.handler - Async function returning a JSON-serialisable result
+     * @param {string} [options.description] - Human readable description
+     * @param {number} [options.maxAttempts] - Attempts per run before the run is marked failed
+     * @param {number} [options.backoffMs] - Base delay between attempts, doubled after each failure
+     * @param {number} [options.lockTtlMs] - How long a run may hold the lock per attempt
+     */
+    defineJob(name, options) {
+        if (!options || typeof options.handler !== 'function') {
+            throw new Error(`Job ${name} must have a handler`);
+        }
+        if (!cron.validate(options.schedule)) {
+            throw new Error(`Job ${name} has an invalid cron schedule: ${options.schedule}`);
+        }
+
+        this.definitions.set(name, {
+            name,
+            description: options.description || '',
+            schedule: options.schedule,
+            handler: options.handler,
+            maxAttempts: options.maxAttempts || 3,
+            backoffMs: options.backoffMs !== undefined ? options.backoffMs : 30000,
+            lockTtlMs: options.lockTtlMs || DEFAULT_LOCK_TTL_MS
+        });
+    }
+
+    /**
+     * Register defined jobs in the database and start their cron triggers
+     * @returns {Promise<void>}
+     */
+    async start() {
+        for (const definition of this.definitions.values()) {
+            await ScheduledJob.findOneAndUpdate(
+                { name: definition.name },
+                {
+                    $set: {
+                        description: definition.description,
+                        schedule: definition.schedule,
+                        maxAttempts: definition.maxAttempts,
+                        backoffMs: definition.backoffMs
+                    },
+                    $setOnInsert: { name: definition.name }
+                },
+                { upsert: true }
+            );
+
+            const task = cron.schedule(definition.schedule, () => {
+                const scheduledAt = new Date();
+                scheduledAt.setSeconds(0, 0);
+                this._runScheduled(definition, scheduledAt).catch(error => {
+                    logger.error(`Job ${definition.name} scheduling error: ${error.message}`);
+                });
+            });
+            this.tasks.push(task);
+        }
+
+        logger.info(`Job scheduler started on ${this.instanceId} with ${this.definitions.size} job(s)`);
+    }
+
+    /**
+     * Stop all cron triggers of this instance
+     */
+    stop() {
+        this.tasks.forEach(task => task.stop());
+        this.tasks = [];
+    }
+
+    /**
+     * List jobs with their last run
+     * @returns {Promise<Array>} - Jobs
+     */
+    async listJobs() {
+        return await ScheduledJob.find()
+            .populate('lastRunId')
+            .sort({ name: 1 })
+            .lean();
+    }
+
+    /**
+     * Get run history of a job
+     * @param {string} name - Job name
+     * @param {Object} options - Pagination options (page, limit)
+     * @returns {Promise<Object>} - Runs with pagination
+     */
+    async getJobRuns(name, options = {}) {
+        const page = parseInt(options.page) || 1;
+        const limit = parseInt(options.limit) || 20;
+
+        const job = await ScheduledJob.findOne({ name }).lean();
+        if (!job) {
+            throw new ApiError('Job not found', 404);
+        }
+
+        const [runs, total] = await Promise.all([
+            JobRun.find({ jobName: name })
+                .sort({ startedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            JobRun.countDocuments({ jobName: name })
+        ]);
+
+        return {
+            job,
+            runs,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * Trigger a job manually. The job runs in the background.
+     * @param {string} name - Job name
+     * @param {string} userId - Admin who triggered the run
+     * @returns {Promise<Object>} - Started job run
+     */
+    async triggerJob(name, userId) {
+        const definition = this.definitions.get(name);
+        if (!definition) {
+            throw new ApiError('Job not found', 404);
+        }
+
+        const job = await this._acquireLock(definition, {});
+        if (!job) {
+            throw new ApiError(`Job ${name} is already running`, 409);
+        }
+
+        const run = await this._createRun(definition, 'manual', userId);
+        this._execute(definition, run).catch(error => {
+            logger.error(`Job ${name} manual run error: ${error.message}`);
+        });
+
+        return run;
+    }
+
+    /**
+     * Run a job for a cron tick if no other instance already claimed it
+     * @private
+     */
+    async _runScheduled(definition, scheduledAt) {
+        const job = await this._acquireLock(definition, {
+            enabled: true,
+            $or: [{ lastScheduledAt: null }, { lastScheduledAt: { $lt: scheduledAt } }]
+        }, { lastScheduledAt: scheduledAt });
+
+        if (!job) {
+            return;
+        }
+
+        const run = await this._createRun(definition, 'schedule', null);
+        await this._execute(definition, run);
+    }
+
+    /**
+     * Atomically take the job lock
+     * @private
+     * @returns {Promise<Object|null>} - Job document or null if the lock is held
+     */
+    async _acquireLock(definition, filter, update = {}) {
+        const now = new Date();
+
+        return await ScheduledJob.findOneAndUpdate(
+            {
+                name: definition.name,
+                $and: [
+                    { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+                    filter
+                ]
+            },
+            {
+                $set: {
+                    ...update,
+                    lockedBy: this.instanceId,
+                    lockedUntil: new Date(now.getTime() + definition.lockTtlMs)
+                }
+            },
+            { new: true }
+        );
+    }
+
+    /**
+     * @private
+     */
+    async _createRun(definition, trigger, userId) {
+        const run = await JobRun.create({
+            jobName: definition.name,
+            trigger,
+            triggeredBy: userId || null,
+            instance: this.instanceId
+        });
+
+        await ScheduledJob.updateOne(
+            { name: definition.name },
+            { $set: { lastRunId: run._id, lastRunAt: run.startedAt, lastRunStatus: 'running' } }
+        );
+
+        return run;
+    }
+
+    /**
+     * Execute the handler with retries and exponential backoff, then release the lock
+     * @private
+     */
+    async _execute(definition, run) {
+        let result = null;
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= definition.maxAttempts; attempt++) {
+            const attemptLog = { attempt, startedAt: new Date() };
+
+            // Keep the lock for the duration of this attempt
+            await ScheduledJob.updateOne(
+                { name: definition.name, lockedBy: this.instanceId },
+                { $set: { lockedUntil: new Date(Date.now() + definition.lockTtlMs) } }
+            );
+
+            try {
+                result = await definition.handler();
+                attemptLog.finishedAt = new Date();
+                run.attempts.push(attemptLog);
+                lastError = null;
+                break;
+            } catch (error) {
+                lastError = error;
+                attemptLog.finishedAt = new Date();
+                attemptLog.error = error.message;
+                run.attempts.push(attemptLog);
+                logger.warn(`Job ${definition.name} attempt ${attempt}/${definition.maxAttempts} failed: ${error.message}`);
+
+                if (attempt < definition.maxAttempts) {
+                    await sleep(definition.backoffMs * Math.pow(2, attempt - 1));
+                }
+            }
+        }
+
+        run.status = lastError ? 'failed' : 'succeeded';
+        run.result = result;
+        run.error = lastError ? lastError.message : null;
+        run.finishedAt = new Date();
+        run.durationMs = run.finishedAt - run.startedAt;
+        await run.save();
+
+        await ScheduledJob.updateOne(
+            { name: definition.name, lockedBy: this.instanceId },
+            {
+                $set: {
+                    lockedBy: null,
+                    lockedUntil: null,
+                    lastRunStatus: run.status,
+                    lastError: run.error
+                }
+            }
+        );
+
+        if (lastError) {
+            logger.error(`Job ${definition.name} failed after ${run.attempts.length} attempt(s): ${lastError.message}`);
+        } else {
+            logger.debug(`Job ${definition.name} succeeded in ${run.durationMs}ms`, { result });
+        }
+
+        return run;
+    }
+}
+
+module.exports = new JobSchedulerService();
@@ -0,0 +1,400 @@
+// src/services/ledgerService.js
+const LedgerEntry = require('../models/LedgerEntry');
+const Booking = require('../models/Booking');
+const Freelancer = require('../models/Freelancer');
+const PlatformFee = require('../models/PlatformFee');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const ACCOUNTS = Object.freeze({
+    CASH: 'platform_cash',
+    PAYABLE: 'provider_payable',
+    FEES: 'platform_fees',
+    ADJUSTMENTS: 'platform_adjustments',
+    WALLET: 'customer_wallet',
+    PROMOTIONS: 'platform_promotions'
+});
+
+// Same defaults as platformFeeService when a country has no PlatformFee
+const DEFAULT_FEES = Object.freeze({ freelancer: 10, shop: 15 });
+
+/**
+ * Round a money amount to cents
+ * @private
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Find who is owed the revenue of a booking. Shop bookings are paid to the
+ * shop, home-based bookings to the freelancer; barbers without a shop are
+ * charged the freelancer fee.
+ * @param {Object} booking - Booking document
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - { providerId, providerModel, feeType }
+ */
+const resolvePayee = async (booking, options = {}) => {
+    if (booking.shopId) {
+        return { providerId: booking.shopId, providerModel: 'Shop', feeType: 'shop' };
+    }
+
+    const isFreelancer = await Freelancer.exists({ _id: booking.barberId }).session(options.session || null);
+    return {
+        providerId: booking.barberId,
+        providerModel: isFreelancer ? 'Freelancer' : 'Barber',
+        feeType: 'freelancer'
+    };
+};
+
+/**
+ * Get the part of a booking's discount the platform pays. Platform-funded
+ * discounts are added back to what the customer paid so providers are paid
+ * and charged the fee as if the customer paid in full.
+ * @param {Object} booking - Booking document
+ * @returns {number}
+ */
+const getPlatformDiscount = (booking) => {
+    const discount = booking && booking.discount;
+    return discount && discount.fundedBy === 'platform' ? roundAmount(discount.amount || 0) : 0;
+};
+
+/**
+ * Build the payable line of an entry: a credit when the provider is owed
+ * the amount, a debit when they owe it
+ * @private
+ */
+const payableLine = (amount) => amount >= 0
+    ? { account: ACCOUNTS.PAYABLE, credit: roundAmount(amount) }
+    : { account: ACCOUNTS.PAYABLE, debit: roundAmount(-amount) };
+
+/**
+ * Get the platform fee percentage of a country
+ * @param {string} countryId - Country ID
+ * @param {string} feeType - shop or freelancer
+ * @param {Object} [options] - { session }
+ * @returns {Promise<number>}
+ */
+const getFeePercentage = async (countryId, feeType, options = {}) => {
+    const platformFee = countryId
+        ? await PlatformFee.findOne({ countryId, isActive: true }).session(options.session || null)
+        : null;
+
+    if (!platformFee) {
+        return DEFAULT_FEES[feeType];
+    }
+    return feeType === 'shop' ? platformFee.shopFee : platformFee.freelanceBarberFee;
+};
+
+/**
+ * Post a journal entry. Entries with an idempotency key are posted once;
+ * posting the same key again returns the existing entry.
+ * @param {Object} data - Entry fields (lines must balance)
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - Ledger entry
+ */
+const postEntry = async (data, options = {}) => {
+    const session = options.session || null;
+
+    if (data.idempotencyKey) {
+        const existing = await LedgerEntry.findOne({ idempotencyKey: data.idempotencyKey }).session(session);
+        if (existing) {
+            return existing;
+        }
+    }
+
+    try {
+        const [entry] = await LedgerEntry.create([data], { session });
+        return entry;
+    } catch (error) {
+        // Posted concurrently by another request
+        if (error.code === 11000 && data.idempotencyKey) {
+            return await LedgerEntry.findOne({ idempotencyKey: data.idempotencyKey }).session(session);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Post the revenue of a captured payment and record the platform commission
+ * on it. Card and wallet payments are held by the platform, which owes the
+ * provider the amount minus the fee; cash is held by the provider, who owes the fee.
+ * A platform-funded discount is owed to the provider on top and the fee is
+ * charged on the undiscounted amount.
+ * @param {Object} payment - Payment document (saved by this function)
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object|null>} - Ledger entry, or null without a booking
+ */
+const postPaymentCaptured = async (payment, options = {}) => {
+    const session = options.session || null;
+
+    const booking = await Booking.findById(payment.bookingId).session(session);
+    if (!booking) {
+        logger.warn(`Ledger: booking ${payment.bookingId} of payment ${payment._id} not found`);
+        return null;
+    }
+
+    const payee = await resolvePayee(booking, { session });
+    const feePercentage = await getFeePercentage(booking.countryId || payment.countryId, payee.feeType, { session });
+    const amount = roundAmount(payment.amount);
+    const discount = getPlatformDiscount(booking);
+    const gross = roundAmount(amount + discount);
+    const fee = roundAmount(gross * feePercentage / 100);
+
+    const isCash = payment.paymentMethod === 'cash';
+    const isWallet = payment.paymentMethod === 'wallet';
+    const providerAmount = roundAmount((isCash ? 0 : amount) + discount - fee);
+    const lines = [
+        ...(isCash ? [] : [{ account: isWallet ? ACCOUNTS.WALLET : ACCOUNTS.CASH, debit: amount }]),
+        ...(discount > 0 ? [{ account: ACCOUNTS.PROMOTIONS, debit: discount }] : []),
+        payableLine(providerAmount),
+        { account: ACCOUNTS.FEES, credit: fee }
+    ];
+
+    const entry = await postEntry({
+        type: 'booking_revenue',
+        idempotencyKey: `payment:${payment._id}:captured`,
+        providerId: payee.providerId,
+        providerModel: payee.providerModel,
+        bookingId: booking._id,
+        paymentId: payment._id,
+        currency: (payment.currency || 'USD').toUpperCase(),
+        lines,
+        providerAmount,
+        grossAmount: gross,
+        discountAmount: discount,
+        feePercentage,
+        description: `${isCash ? 'Cash' : isWallet ? 'Wallet' : 'Card'} payment for booking #${booking.uid}`
+    }, { session });
+
+    payment.commission = { amount: fee, percentage: feePercentage };
+    await payment.save({ session });
+
+    return entry;
+};
+
+/**
+ * Post a refund of a captured payment. The platform fee and any
+ * platform-funded discount are given back in proportion to the refunded
+ * share of what the customer paid. Refunds to the customer's wallet are
+ * paid by the platform whatever the payment method was.
+ * @param {Object} payment - Payment document
+ * @param {number} amount - Refunded amount
+ * @param {Object} [options] - { session, stripeRefundId, reason, toWallet }
+ * @returns {Promise<Object|null>} - Ledger entry, or null when nothing was posted
+ */
+const postRefund = async (payment, amount, options = {}) => {
+    const session = options.session || null;
+
+    const revenue = await LedgerEntry.findOne({ paymentId: payment._id, type: 'booking_revenue' }).session(session);
+    if (!revenue) {
+        logger.warn(`Ledger: refund of payment ${payment._id} without posted revenue`);
+        return null;
+    }
+
+    const refunded = roundAmount(amount);
+    const discount = revenue.discountAmount || 0;
+    const paid = revenue.grossAmount - discount;
+    const share = paid > 0 ? refunded / paid : 0;
+    const feeBack = roundAmount(share * revenue.grossAmount * revenue.feePercentage / 100);
+    const discountBack = roundAmount(share * discount);
+    const toWallet = options.toWallet || payment.paymentMethod === 'wallet';
+    const isCash = payment.paymentMethod === 'cash' && !toWallet;
+
+    // The provider hands cash refunds back themselves; only the fee and discount are settled with them
+    if (isCash && feeBack === 0 && discountBack === 0) {
+        return null;
+    }
+
+    const providerAmount = roundAmount(feeBack - discountBack - (isCash ? 0 : refunded));
+    const lines = [
+        payableLine(providerAmount),
+        { account: ACCOUNTS.FEES, debit: feeBack },
+        ...(discountBack > 0 ? [{ account: ACCOUNTS.PROMOTIONS, credit: discountBack }] : []),
+        ...(isCash ? [] : [{ account: toWallet ? ACCOUNTS.WALLET : ACCOUNTS.CASH, credit: refunded }])
+    ];
+
+    return await postEntry({
+        type: 'refund',
+        idempotencyKey: options.stripeRefundId ? `refund:${options.stripeRefundId}` : undefined,
+        providerId: revenue.providerId,
+        providerModel: revenue.providerModel,
+        bookingId: revenue.bookingId,
+        paymentId: payment._id,
+        currency: revenue.currency,
+        lines,
+        providerAmount,
+        grossAmount: refunded,
+        discountAmount: discountBack,
+        feePercentage: revenue.feePercentage,
+        description: options.reason || 'Refund'
+    }, { session });
+};
+
+/**
+ * Post a card tip. The platform holds the tip and owes all of it to the
+ * provider; no fee is charged. Cash tips stay with the provider and are
+ * not posted.
+ * @param {Object} tip - Completed Tip document
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - Ledger entry
+ */
+const postTip = async (tip, options = {}) => {
+    const amount = roundAmount(tip.amount);
+
+    return await postEntry({
+        type: 'tip',
+        idempotencyKey: `tip:${tip._id}`,
+        providerId: tip.providerId,
+        providerModel: tip.providerModel,
+        bookingId: tip.bookingId,
+        currency: (tip.currency || 'USD').toUpperCase(),
+        lines: [
+            { account: ACCOUNTS.CASH, debit: amount },
+            { account: ACCOUNTS.PAYABLE, credit: amount }
+        ],
+        providerAmount: amount,
+        grossAmount: amount,
+        feePercentage: 0,
+        description: `Tip ${tip.uid}`
+    }, options);
+};
+
+/**
+ * Credit (positive amount) or charge (negative amount) a provider
+ * @param {Object} data - { providerId, providerModel, amount, currency, description }
+ * @param {string} userId - Admin user ID
+ * @returns {Promise<Object>} - Ledger entry
+ */
+const postAdjustment = async (data, userId) => {
+    const amount = roundAmount(Math.abs(data.amount));
+    if (!amount) {
+        throw new ApiError('Adjustment amount cannot be zero', 400);
+    }
+
+    const credit = data.amount > 0;
+    return await postEntry({
+        type: 'adjustment',
+        providerId: data.providerId,
+        providerModel: data.providerModel,
+        currency: (data.currency || 'USD').toUpperCase(),
+        lines: [
+            { account: ACCOUNTS.ADJUSTMENTS, debit: credit ? amount : 0, credit: credit ? 0 : amount },
+            { account: ACCOUNTS.PAYABLE, debit: credit ? 0 : amount, credit: credit ? amount : 0 }
+        ],
+        providerAmount: credit ? amount : -amount,
+        grossAmount: amount,
+        description: data.description,
+        createdBy: userId
+    });
+};
+
+/**
+ * Post the transfer of a payout to its provider. The entry is settled by the payout itself.
+ * @param {Object} payout - Payout document
+ * @param {Object} [options] - { session, userId }
+ * @returns {Promise<Object>} - Ledger entry
+ */
+const postPayout = async (payout, options = {}) => {
+    return await postEntry({
+        type: 'payout',
+        idempotencyKey: `payout:${payout._id}`,
+        providerId: payout.providerId,
+        providerModel: payout.providerModel,
+        currency: payout.currency,
+        lines: [
+            { account: ACCOUNTS.PAYABLE, debit: payout.amount },
+            { account: ACCOUNTS.CASH, credit: payout.amount }
+        ],
+        providerAmount: -payout.amount,
+        grossAmount: payout.amount,
+        description: `Payout ${payout.uid}${payout.paymentReference ? ` (${payout.paymentReference})` : ''}`,
+        payoutId: payout._id,
+        createdBy: options.userId || null
+    }, { session: options.session });
+};
+
+/**
+ * Get ledger entries with optional filtering
+ * @param {Object} [filters] - { providerId, providerModel, type, unsettled, from, to, page, limit }
+ * @returns {Promise<Object>} - { entries, pagination }
+ */
+const getEntries = async (filters = {}) => {
+    const page = parseInt(filters.page) || 1;
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+
+    const query = {};
+    if (filters.providerId) query.providerId = filters.providerId;
+    if (filters.providerModel) query.providerModel = filters.providerModel;
+    if (filters.type) query.type = filters.type;
+    if (filters.unsettled) query.payoutId = null;
+    if (filters.from || filters.to) {
+        query.postedAt = {};
+        if (filters.from) query.postedAt.$gte = new Date(filters.from);
+        if (filters.to) query.postedAt.$lte = new Date(filters.to);
+    }
+
+    const [entries, total] = await Promise.all([
+        LedgerEntry.find(query)
+            .sort({ postedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        LedgerEntry.countDocuments(query)
+    ]);
+
+    return {
+        entries,
+        pagination: {
+            total,
+            page,
+            limit,
+            pages: Math.ceil(total / limit)
+        }
+    };
+};
+
+/**
+ * Get what the platform owes each provider: the payable balance and the
+ * part of it not yet in a payout
+ * @param {Object} [filters] - { providerModel, currency }
+ * @returns {Promise<Array>} - Balances { providerId, providerModel, currency, balance, unsettled }
+ */
+const getProviderBalances = async (filters = {}) => {
+    const match = {};
+    if (filters.providerModel) match.providerModel = filters.providerModel;
+    if (filters.currency) match.currency = filters.currency.toUpperCase();
+
+    const balances = await LedgerEntry.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: { providerId: '$providerId', providerModel: '$providerModel', currency: '$currency' },
+                balance: { $sum: '$providerAmount' },
+                unsettled: { $sum: { $cond: [{ $eq: ['$payoutId', null] }, '$providerAmount', 0] } },
+                lastPostedAt: { $max: '$postedAt' }
+            }
+        },
+        { $sort: { balance: -1 } }
+    ]);
+
+    return balances.map(item => ({
+        ...item._id,
+        balance: roundAmount(item.balance),
+        unsettled: roundAmount(item.unsettled),
+        lastPostedAt: item.lastPostedAt
+    }));
+};
+
+module.exports = {
+    ACCOUNTS,
+    resolvePayee,
+    getFeePercentage,
+    getPlatformDiscount,
+    postEntry,
+    postPaymentCaptured,
+    postRefund,
+    postTip,
+    postAdjustment,
+    postPayout,
+    getEntries,
+    getProviderBalances
+};
@@ -340,13 +340,15 @@ class NotificationService {
             const titleMap = {
                 completed: 'Payment Successful',
                 failed: 'Payment Failed',
-                refunded: 'Payment Refunded'
+                refunded: 'Payment Refunded',
+                partially_refunded: 'Payment Partially Refunded'
             };
 
             const messageMap = {
                 completed: `Your payment of $${payment.amount} has been processed successfully`,
                 failed: `Your payment of $${payment.amount} has failed. Please try again.`,
-                refunded: `Your payment of $${payment.amount} has been refunded`
+                refunded: `Your payment of $${payment.amount} has been refunded`,
+                partially_refunded: `$${payment.refundDetails?.amount} of your payment of $${payment.amount} has been refunded`
             };
 
             return await this.createNotification({
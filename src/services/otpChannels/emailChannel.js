@@ -0,0 +1,26 @@
+// src/services/otpChannels/emailChannel.js
+const emailService = require('../emailService');
+
+/**
+ * Delivers codes to the user's email address
+ */
+class EmailChannel {
+    constructor() {
+        this.name = 'email';
+    }
+
+    getDestination(user) {
+        return user.email || null;
+    }
+
+    mask(email) {
+        const [local, domain] = email.split('@');
+        return `${local.slice(0, 2)}${'*'.repeat(Math.max(local.length - 2, 1))}@${domain}`;
+    }
+
+    async send({ destination, code, title, expiresInMinutes }) {
+        await emailService.sendOtp(destination, code, title, expiresInMinutes);
+    }
+}
+
+module.exports = new EmailChannel();
@@ -0,0 +1,36 @@
+// src/services/otpChannels/index.js
+/**
+ * OTP delivery channel registry. Every channel implements:
+ *   name                                        - Key stored on OTPs
+ *   getDestination(user)                        - Address of the user on the channel, or null
+ *   mask(destination)                           - Destination shown back to the client
+ *   send({ destination, code, title, expiresInMinutes })
+ *                                               - Deliver a code
+ */
+const { ApiError } = require('../../middlewares/errorHandler');
+const emailChannel = require('./emailChannel');
+const smsChannel = require('./smsChannel');
+
+const CHANNELS = {
+    email: emailChannel,
+    sms: smsChannel
+};
+
+const CHANNEL_NAMES = Object.keys(CHANNELS);
+
+/**
+ * Get a channel by name
+ * @param {string} name - Channel name
+ * @returns {Object} - Channel
+ */
+const getChannel = (name) => {
+    if (!CHANNELS[name]) {
+        throw new ApiError(`OTP channel ${name} is not available`, 400);
+    }
+    return CHANNELS[name];
+};
+
+module.exports = {
+    CHANNEL_NAMES,
+    getChannel
+};
@@ -0,0 +1,28 @@
+// src/services/otpChannels/smsChannel.js
+const smsProviders = require('../smsProviders');
+
+/**
+ * Delivers codes by text message through the configured SMS provider
+ */
+class SmsChannel {
+    constructor() {
+        this.name = 'sms';
+    }
+
+    getDestination(user) {
+        return user.phoneNumber || (user.profile && user.profile.phoneNumber) || null;
+    }
+
+    mask(phoneNumber) {
+        return `${'*'.repeat(Math.max(phoneNumber.length - 4, 0))}${phoneNumber.slice(-4)}`;
+    }
+
+    async send({ destination, code, title, expiresInMinutes }) {
+        await smsProviders.getProvider().sendSms({
+            to: destination,
+            body: `Your Trimmers ${title.toLowerCase()} code is ${code}. It expires in ${expiresInMinutes} minutes.`
+        });
+    }
+}
+
+module.exports = new SmsChannel();
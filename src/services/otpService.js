@@ -0,0 +1,202 @@
+// src/services/otpService.js
+const crypto = require('crypto');
+const Otp = require('../models/Otp');
+const otpChannels = require('./otpChannels');
+const sessionService = require('./sessionService');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+const OTP_LENGTH = parseInt(process.env.OTP_LENGTH) || 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_LOCKOUT_MINUTES = parseInt(process.env.OTP_LOCKOUT_MINUTES) || 15;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+
+// What each purpose is called in messages and the channel its codes go out on
+const PURPOSES = {
+  email_verification: { title: 'Email Verification', channel: 'email' },
+  password_reset: { title: 'Password Reset', channel: 'email' },
+  phone_verification: { title: 'Phone Verification', channel: 'sms' }
+};
+
+/**
+ * Look up a purpose
+ * @private
+ */
+const getPurpose = (purpose) => {
+  if (!PURPOSES[purpose]) {
+    throw new ApiError(`Unknown OTP purpose ${purpose}`, 500);
+  }
+  return PURPOSES[purpose];
+};
+
+/**
+ * Hash a code for storage. The user and purpose are part of the hash so a
+ * code cannot be used for another user or purpose.
+ * @private
+ */
+const hashCode = (userId, purpose, code) => {
+  return crypto
+    .createHmac('sha256', process.env.OTP_SECRET || sessionService.getJwtSecret())
+    .update(`${userId}:${purpose}:${code}`)
+    .digest('hex');
+};
+
+/**
+ * Compare two hashes in constant time
+ * @private
+ */
+const hashesMatch = (a, b) => {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Make a random numeric code
+ * @private
+ */
+const generateCode = () => {
+  return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+};
+
+/**
+ * Throw if the user is locked out of a purpose
+ * @private
+ */
+const checkLockout = (otp) => {
+  if (otp && otp.lockedUntil && otp.lockedUntil > new Date()) {
+    const minutes = Math.ceil((otp.lockedUntil - Date.now()) / 60000);
+    throw new ApiError(`Too many incorrect codes. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, 429);
+  }
+};
+
+/**
+ * Generate a code and send it to the user. A new code replaces the previous
+ * one; codes cannot be resent until the cooldown has passed.
+ * @param {Object} user - User document
+ * @param {string} purpose - email_verification, password_reset or phone_verification
+ * @returns {Promise<Object>} - { channel, destination (masked), expiresAt, resendAvailableAt }
+ */
+const sendOtp = async (user, purpose) => {
+  const { title, channel: channelName } = getPurpose(purpose);
+  const channel = otpChannels.getChannel(channelName);
+
+  const destination = channel.getDestination(user);
+  if (!destination) {
+    throw new ApiError(`No ${channelName === 'sms' ? 'phone number' : 'email address'} to send the code to`, 400);
+  }
+
+  const existing = await Otp.findOne({ userId: user._id, purpose });
+  checkLockout(existing);
+
+  if (existing && existing.lastSentAt) {
+    const waitSeconds = Math.ceil((existing.lastSentAt.getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000 - Date.now()) / 1000);
+    if (waitSeconds > 0) {
+      throw new ApiError(`Please wait ${waitSeconds} seconds before requesting another code`, 429);
+    }
+  }
+
+  // Attempts are not reset here so resending does not buy more guesses
+  const code = generateCode();
+  const now = new Date();
+  const otp = await Otp.findOneAndUpdate(
+    { userId: user._id, purpose },
+    {
+      $set: {
+        userModel: user.constructor.modelName,
+        channel: channelName,
+        destination,
+        codeHash: hashCode(user._id, purpose, code),
+        expiresAt: new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000),
+        lastSentAt: now,
+        consumedAt: null
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  try {
+    await channel.send({ destination, code, title, expiresInMinutes: OTP_TTL_MINUTES });
+  } catch (error) {
+    // Let the user ask again straight away
+    await Otp.updateOne({ _id: otp._id }, { $set: { codeHash: null, lastSentAt: null } });
+    logger.error(`Failed to send ${purpose} code to user ${user._id}: ${error.message}`);
+    throw error instanceof ApiError ? error : new ApiError('The code could not be sent. Please try again.', 502);
+  }
+
+  logger.info(`Sent ${purpose} code to user ${user._id} by ${channelName}`);
+  return {
+    channel: channelName,
+    destination: channel.mask(destination),
+    expiresAt: otp.expiresAt,
+    resendAvailableAt: new Date(now.getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000)
+  };
+};
+
+/**
+ * Check a code entered by the user. A correct code can be used once; after
+ * too many wrong codes the user is locked out and must request a new one.
+ * @param {Object} user - User document
+ * @param {string} purpose - Purpose the code was sent for
+ * @param {string} code - Code entered
+ * @returns {Promise<Object>} - The used OTP, with the destination it was sent to
+ */
+const verifyOtp = async (user, purpose, code) => {
+  getPurpose(purpose);
+
+  const otp = await Otp.findOne({ userId: user._id, purpose }).select('+codeHash');
+  checkLockout(otp);
+
+  if (!otp || !otp.codeHash) {
+    throw new ApiError('No code has been requested. Please request a new code.', 400);
+  }
+  if (otp.expiresAt <= new Date()) {
+    throw new ApiError('The code has expired. Please request a new code.', 400);
+  }
+
+  // Every check takes an attempt before the code is compared, so concurrent
+  // guesses cannot go past the limit
+  const claimed = await Otp.findOneAndUpdate(
+    { _id: otp._id, codeHash: otp.codeHash, consumedAt: null, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new ApiError('No code has been requested. Please request a new code.', 400);
+  }
+
+  const codeHash = hashCode(user._id, purpose, String(code).trim());
+  if (!hashesMatch(codeHash, otp.codeHash)) {
+    if (claimed.attempts >= OTP_MAX_ATTEMPTS) {
+      await Otp.updateOne(
+        { _id: otp._id },
+        { $set: { attempts: 0, codeHash: null, lockedUntil: new Date(Date.now() + OTP_LOCKOUT_MINUTES * 60 * 1000) } }
+      );
+      logger.warn(`User ${user._id} locked out of ${purpose} after ${OTP_MAX_ATTEMPTS} incorrect codes`);
+      throw new ApiError(`Too many incorrect codes. Try again in ${OTP_LOCKOUT_MINUTES} minutes.`, 429);
+    }
+
+    const remaining = OTP_MAX_ATTEMPTS - claimed.attempts;
+    throw new ApiError(`Invalid code. ${remaining} attempt${remaining === 1 ? '' : 's'} remaining.`, 400);
+  }
+
+  // Only one of two concurrent checks of the same code succeeds
+  const used = await Otp.findOneAndUpdate(
+    { _id: otp._id, codeHash: otp.codeHash, consumedAt: null },
+    { $set: { codeHash: null, consumedAt: new Date(), attempts: 0 } },
+    { new: true }
+  );
+  if (!used) {
+    throw new ApiError('No code has been requested. Please request a new code.', 400);
+  }
+
+  return used;
+};
+
+module.exports = {
+  PURPOSES,
+  OTP_MAX_ATTEMPTS,
+  sendOtp,
+  verifyOtp
+};
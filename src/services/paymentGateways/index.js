@@ -0,0 +1,81 @@
+// src/services/paymentGateways/index.js
+/**
+ * Payment gateway registry. Every gateway implements:
+ *   name                                               - Key stored on payments and countries
+ *   paymentMethods                                     - Payment methods it can take
+ *   createIntent({ amount, currency, metadata })       - Start a payment the client confirms
+ *   confirmIntent(intentId)                            - Get the confirmed payment and its status
+ *   refund({ intentId, amount, currency, reasonCode, metadata })
+ *                                                      - Refund part or all of a payment
+ *   listRefunds(intentId)                              - Refunds made on the gateway, amounts in minor units
+ *   parseWebhook(rawBody, signature)                   - Verify and parse a webhook request
+ * Countries choose their gateway with `Country.paymentGateway`.
+ */
+const Country = require('../../models/Country');
+const { ApiError } = require('../../middlewares/errorHandler');
+const stripeGateway = require('./stripeGateway');
+const mockGateway = require('./mockGateway');
+
+const GATEWAYS = {
+    stripe: stripeGateway,
+    mock: mockGateway
+};
+
+const GATEWAY_NAMES = Object.keys(GATEWAYS);
+
+/**
+ * Check a gateway exists and may be used here; the mock gateway is not
+ * available in production
+ * @param {string} name - Gateway name
+ * @returns {boolean}
+ */
+const isAvailable = (name) => {
+    if (!GATEWAYS[name]) return false;
+    return name !== 'mock' || process.env.NODE_ENV !== 'production';
+};
+
+/**
+ * Get a gateway by name
+ * @param {string} name - Gateway name
+ * @returns {Object} - Gateway
+ */
+const getGateway = (name) => {
+    if (!isAvailable(name)) {
+        throw new ApiError(`Payment gateway ${name} is not available`, 400);
+    }
+    return GATEWAYS[name];
+};
+
+/**
+ * Get the gateway of a country, or PAYMENT_GATEWAY_DEFAULT (stripe) when it has none
+ * @param {string} countryId - Country ID
+ * @returns {Promise<Object>} - Gateway
+ */
+const getGatewayForCountry = async (countryId) => {
+    const country = countryId ? await Country.findById(countryId).select('paymentGateway').lean() : null;
+    return getGateway((country && country.paymentGateway) || process.env.PAYMENT_GATEWAY_DEFAULT || 'stripe');
+};
+
+/**
+ * Get the gateway a payment was taken through and its intent ID. Payments
+ * from before gateways were stored were all taken through Stripe.
+ * @param {Object} payment - Payment document
+ * @returns {Object|null} - { gateway, intentId }, or null for payments without a gateway (cash, wallet)
+ */
+const getPaymentGateway = (payment) => {
+    if (payment.gateway && payment.gatewayPaymentId) {
+        return { gateway: getGateway(payment.gateway), intentId: payment.gatewayPaymentId };
+    }
+    if (payment.stripePaymentIntentId) {
+        return { gateway: stripeGateway, intentId: payment.stripePaymentIntentId };
+    }
+    return null;
+};
+
+module.exports = {
+    GATEWAY_NAMES,
+    isAvailable,
+    getGateway,
+    getGatewayForCountry,
+    getPaymentGateway
+};
@@ -0,0 +1,165 @@
+// src/services/paymentGateways/mockGateway.js
+const crypto = require('crypto');
+const { ApiError } = require('../../middlewares/errorHandler');
+const currencyConverter = require('../../utils/currencyConverter');
+
+/**
+ * Local payment gateway for tests and development. Intents and refunds are
+ * kept in memory; intents succeed when confirmed unless marked otherwise
+ * with setIntentStatus.
+ */
+class MockGateway {
+    constructor() {
+        this.name = 'mock';
+        this.paymentMethods = ['card', 'mobile_wallet', 'bank_transfer'];
+        this.intents = new Map();
+    }
+
+    /**
+     * Create a payment intent
+     * @param {Object} data - { amount, currency, metadata }
+     * @returns {Promise<Object>} - Intent { id, clientSecret, status, amount, currency }
+     */
+    async createIntent({ amount, currency, metadata }) {
+        const id = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+        const intent = {
+            id,
+            clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+            status: 'requires_confirmation',
+            amount,
+            currency: currency.toLowerCase(),
+            metadata: metadata || {},
+            refunds: []
+        };
+        this.intents.set(id, intent);
+
+        return {
+            id,
+            clientSecret: intent.clientSecret,
+            status: intent.status,
+            amount,
+            currency: intent.currency
+        };
+    }
+
+    /**
+     * Confirm a payment intent
+     * @param {string} intentId - Payment intent ID
+     * @returns {Promise<Object>} - Intent { id, status, amount, currency, metadata, paymentMethod, paymentDetails }
+     */
+    async confirmIntent(intentId) {
+        const intent = this.getIntent(intentId);
+        if (intent.status === 'requires_confirmation') {
+            intent.status = 'succeeded';
+        }
+
+        return {
+            id: intent.id,
+            status: intent.status,
+            amount: intent.amount,
+            currency: intent.currency,
+            metadata: intent.metadata,
+            paymentMethod: intent.metadata.paymentMethod || 'card',
+            paymentDetails: { paymentMethodType: 'mock' }
+        };
+    }
+
+    /**
+     * Refund part or all of a payment intent
+     * @param {Object} data - { intentId, amount, currency, reasonCode, metadata }
+     * @returns {Promise<Object>} - Refund { id, amount, status }
+     */
+    async refund({ intentId, amount, reasonCode, metadata }) {
+        const intent = this.getIntent(intentId);
+        const refunded = intent.refunds.reduce((sum, refund) => sum + refund.amount, 0);
+        if (intent.status !== 'succeeded' || Math.round((refunded + amount) * 100) > Math.round(intent.amount * 100)) {
+            throw new ApiError('Mock gateway cannot refund this amount', 400);
+        }
+
+        const refund = {
+            id: `mock_re_${crypto.randomBytes(12).toString('hex')}`,
+            amount,
+            status: 'succeeded',
+            reason: reasonCode,
+            created: Math.floor(Date.now() / 1000),
+            metadata: metadata || {}
+        };
+        intent.refunds.push(refund);
+
+        return {
+            id: refund.id,
+            amount,
+            status: refund.status
+        };
+    }
+
+    /**
+     * List the refunds of a payment intent, amounts in minor units like Stripe
+     * @param {string} intentId - Payment intent ID
+     * @returns {Promise<Array>} - Refunds
+     */
+    async listRefunds(intentId) {
+        const intent = this.getIntent(intentId);
+        return intent.refunds.map(refund => ({
+            ...refund,
+            amount: currencyConverter.toMinorUnits(refund.amount, intent.currency)
+        }));
+    }
+
+    /**
+     * Parse a webhook body signed with an HMAC-SHA256 of the body
+     * @param {Buffer|string} rawBody - Request body
+     * @param {string} signature - Hex signature
+     * @returns {Object} - Event
+     */
+    parseWebhook(rawBody, signature) {
+        const expected = this.sign(rawBody);
+        if (!signature || signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            throw new ApiError('Invalid mock gateway signature', 400);
+        }
+        return JSON.parse(rawBody.toString());
+    }
+
+    /**
+     * Sign a webhook body the way parseWebhook expects
+     * @param {Buffer|string} rawBody - Request body
+     * @returns {string} - Hex signature
+     */
+    sign(rawBody) {
+        return crypto
+            .createHmac('sha256', process.env.MOCK_GATEWAY_WEBHOOK_SECRET || 'mock_webhook_secret')
+            .update(rawBody)
+            .digest('hex');
+    }
+
+    /**
+     * Set the status an intent is confirmed with, e.g. requires_payment_method for a declined card
+     * @param {string} intentId - Payment intent ID
+     * @param {string} status - Intent status
+     */
+    setIntentStatus(intentId, status) {
+        this.getIntent(intentId).status = status;
+    }
+
+    /**
+     * Forget all intents
+     */
+    reset() {
+        this.intents.clear();
+    }
+
+    /**
+     * Find an intent
+     * @private
+     */
+    getIntent(intentId) {
+        const intent = this.intents.get(intentId);
+        if (!intent) {
+            throw new ApiError('Payment intent not found', 404);
+        }
+        return intent;
+    }
+}
+
+module.exports = new MockGateway();
@@ -0,0 +1,128 @@
+// src/services/paymentGateways/stripeGateway.js
+const Stripe = require('stripe');
+const { ApiError } = require('../../middlewares/errorHandler');
+const currencyConverter = require('../../utils/currencyConverter');
+
+// Refund reasons Stripe accepts; other reason codes are only kept on the payment
+const STRIPE_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+/**
+ * Payment gateway adapter for Stripe
+ */
+class StripeGateway {
+    constructor() {
+        this.name = 'stripe';
+        this.paymentMethods = ['card'];
+        this.stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+    }
+
+    /**
+     * Create a payment intent
+     * @param {Object} data - { amount, currency, metadata }
+     * @returns {Promise<Object>} - Intent { id, clientSecret, status, amount, currency }
+     */
+    async createIntent({ amount, currency, metadata }) {
+        const paymentIntent = await this.stripe.paymentIntents.create({
+            amount: currencyConverter.toMinorUnits(amount, currency),
+            currency: currency.toLowerCase(),
+            metadata
+        });
+
+        return {
+            id: paymentIntent.id,
+            clientSecret: paymentIntent.client_secret,
+            status: paymentIntent.status,
+            amount,
+            currency: paymentIntent.currency
+        };
+    }
+
+    /**
+     * Get a payment intent the client confirmed, with its payment method
+     * @param {string} intentId - Payment intent ID
+     * @returns {Promise<Object>} - Intent { id, status, amount, currency, metadata, paymentMethod, paymentDetails }
+     */
+    async confirmIntent(intentId) {
+        const paymentIntent = await this.stripe.paymentIntents.retrieve(intentId);
+
+        let paymentDetails = {};
+        if (paymentIntent.payment_method) {
+            const paymentMethod = await this.stripe.paymentMethods.retrieve(paymentIntent.payment_method);
+            paymentDetails = {
+                paymentMethodType: paymentMethod.type,
+                brand: paymentMethod.card ? paymentMethod.card.brand : null,
+                last4: paymentMethod.card ? paymentMethod.card.last4 : null
+            };
+        }
+
+        return {
+            id: paymentIntent.id,
+            status: paymentIntent.status,
+            amount: currencyConverter.fromMinorUnits(paymentIntent.amount, paymentIntent.currency),
+            currency: paymentIntent.currency,
+            metadata: paymentIntent.metadata || {},
+            paymentMethod: 'card',
+            paymentDetails
+        };
+    }
+
+    /**
+     * Refund part or all of a payment intent
+     * @param {Object} data - { intentId, amount, currency, reasonCode, metadata }
+     * @returns {Promise<Object>} - Refund { id, amount, status }
+     */
+    async refund({ intentId, amount, currency, reasonCode, metadata }) {
+        const refund = await this.stripe.refunds.create({
+            payment_intent: intentId,
+            amount: currencyConverter.toMinorUnits(amount, currency),
+            reason: STRIPE_REFUND_REASONS.includes(reasonCode) ? reasonCode : 'requested_by_customer',
+            metadata
+        });
+
+        return {
+            id: refund.id,
+            amount: currencyConverter.fromMinorUnits(refund.amount, refund.currency || currency),
+            status: refund.status
+        };
+    }
+
+    /**
+     * List the refunds of a payment intent, including ones made from the Stripe dashboard
+     * @param {string} intentId - Payment intent ID
+     * @returns {Promise<Array>} - Stripe refunds
+     */
+    async listRefunds(intentId) {
+        const refunds = await this.stripe.refunds.list({
+            payment_intent: intentId,
+            limit: 100
+        });
+        return refunds.data;
+    }
+
+    /**
+     * Verify the signature of a webhook request and parse its event
+     * @param {Buffer|string} rawBody - Request body exactly as Stripe sent it
+     * @param {string} signature - Stripe-Signature header
+     * @returns {Object} - Stripe event
+     */
+    parseWebhook(rawBody, signature) {
+        const secret = process.env.STRIPE_WEBHOOK_SECRET;
+        if (!secret) {
+            throw new ApiError('Stripe webhook secret is not configured', 500);
+        }
+        if (!signature) {
+            throw new ApiError('Stripe signature is required', 400);
+        }
+        if (!rawBody) {
+            throw new ApiError('Raw request body not available', 400);
+        }
+
+        try {
+            return this.stripe.webhooks.constructEvent(rawBody, signature, secret);
+        } catch (error) {
+            throw new ApiError(`Invalid Stripe signature: ${error.message}`, 400);
+        }
+    }
+}
+
+module.exports = new StripeGateway();
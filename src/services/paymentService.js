@@ -2,13 +2,27 @@
 const Payment = require('../models/Payment');
 const Booking = require('../models/Booking');
 const Barber = require('../models/Barber');
+const Freelancer = require('../models/Freelancer');
 const Shop = require('../models/Shop');
 const { ApiError } = require('../middlewares/errorHandler');
 const mongoose = require('mongoose');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const notificationService = require('./notificationService');
+const bookingStateMachine = require('./bookingStateMachine');
+const waitlistService = require('./waitlistService');
+const bookingLineService = require('./bookingLineService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const ledgerService = require('./ledgerService');
+const paymentGateways = require('./paymentGateways');
+const walletService = require('./walletService');
+const promotionService = require('./promotionService');
+const tipService = require('./tipService');
+const exchangeRateService = require('./exchangeRateService');
+const currencyConverter = require('../utils/currencyConverter');
 const logger = require('../utils/logger');
 
+// Metadata purpose of the gateway intents that pay a booking
+const BOOKING_PAYMENT_PURPOSE = 'booking_payment';
+
 /**
  * Get payment by ID
  * @param {string} id - Payment ID
@@ -63,6 +77,40 @@ const getPaymentByUid = async (uid) => {
     }
 };
 
+/**
+ * Find who a booking's payment is made to: the freelancer for freelancer
+ * bookings, otherwise the barber
+ * @param {Object} booking - Booking document
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - { providerId, providerModel }
+ */
+const getPaymentProvider = async (booking, options = {}) => {
+    const isFreelancer = await Freelancer.exists({ _id: booking.barberId }).session(options.session || null);
+    return {
+        providerId: booking.barberId,
+        providerModel: isFreelancer ? 'Freelancer' : 'Barber'
+    };
+};
+
+/**
+ * Compute the platform commission on a booking payment from the country's
+ * PlatformFee: the shop fee for shop bookings, the freelancer fee otherwise.
+ * Platform-funded discounts do not lower the commission.
+ * @param {Object} booking - Booking document
+ * @param {number} amount - Payment amount
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - { amount, percentage }
+ */
+const getCommission = async (booking, amount, options = {}) => {
+    const payee = await ledgerService.resolvePayee(booking, options);
+    const percentage = await ledgerService.getFeePercentage(booking.countryId, payee.feeType, options);
+    const gross = amount + ledgerService.getPlatformDiscount(booking);
+    return {
+        amount: Math.round(gross * percentage) / 100,
+        percentage
+    };
+};
+
 /**
  * Process cash payment for a booking
  * @param {string} bookingId - Booking ID
@@ -91,16 +139,18 @@ const processCashPayment = async (bookingId, userId) => {
         }
 
         // Create payment record
+        const amount = bookingLineService.getTotalPrice(booking);
+        const provider = await getPaymentProvider(booking, { session });
         const payment = await Payment.create([{
             bookingId,
             customerId: userId,
-            providerId: booking.barberId,
-            providerModel: 'Barber',
-            amount: booking.price,
-            currency: 'USD', // Or get from booking.currency
+            ...provider,
+            amount,
+            currency: booking.currency || 'USD',
             status: 'pending', // Cash payments start as pending until collected
             paymentMethod: 'cash',
             paymentDetails: { payOnSite: true },
+            commission: await getCommission(booking, amount, { session }),
             countryId: booking.countryId
         }], { session });
 
@@ -132,12 +182,102 @@ const processCashPayment = async (bookingId, userId) => {
 };
 
 /**
- * Create Stripe payment intent
+ * Pay a booking from the customer's wallet. The wallet is debited and the
+ * payment completed at once, so the booking is confirmed like a card payment.
  * @param {string} bookingId - Booking ID
  * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { payment, wallet }
+ */
+const processWalletPayment = async (bookingId, userId) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        // Get booking details
+        const booking = await Booking.findById(bookingId).session(session);
+        if (!booking) {
+            throw new ApiError('Booking not found', 404);
+        }
+
+        // Verify booking belongs to user
+        if (booking.customerId.toString() !== userId.toString()) {
+            throw new ApiError('Unauthorized access to booking', 403);
+        }
+
+        // Verify booking hasn't been paid already
+        if (booking.paymentStatus === 'paid') {
+            throw new ApiError('Booking has already been paid', 400);
+        }
+
+        const amount = bookingLineService.getTotalPrice(booking);
+        const provider = await getPaymentProvider(booking, { session });
+        const [payment] = await Payment.create([{
+            bookingId,
+            customerId: userId,
+            ...provider,
+            amount,
+            currency: booking.currency || 'USD',
+            status: 'completed',
+            paymentMethod: 'wallet',
+            commission: await getCommission(booking, amount, { session }),
+            countryId: booking.countryId
+        }], { session });
+
+        // Fails with insufficient balance and rolls the payment back
+        const { wallet, transaction } = await walletService.postTransaction(userId, {
+            type: 'payment',
+            amount,
+            currency: payment.currency,
+            bookingId: booking._id,
+            paymentId: payment._id,
+            description: `Payment for booking #${booking.uid}`
+        }, { session });
+
+        payment.paymentDetails = { walletTransactionId: transaction._id };
+        await payment.save({ session });
+        await ledgerService.postPaymentCaptured(payment, { session });
+
+        booking.paymentStatus = 'paid';
+        booking.paymentId = payment._id;
+        if (booking.status === 'pending') {
+            bookingStateMachine.transition(booking, 'confirmed', {
+                actor: bookingStateMachine.SYSTEM_ACTOR,
+                reason: 'Wallet payment received'
+            });
+        }
+        await booking.save({ session });
+
+        // Send notification to barber
+        await notificationService.createNotification({
+            userId: booking.barberId,
+            title: 'Payment Received',
+            message: `Payment for booking #${booking.uid} has been made from the customer's wallet.`,
+            type: 'payment',
+            relatedId: booking._id,
+            onModel: 'Booking'
+        }, { session });
+
+        await session.commitTransaction();
+        return { payment, wallet };
+    } catch (error) {
+        await session.abortTransaction();
+        logger.error('Wallet payment processing error:', error);
+        if (error instanceof ApiError) throw error;
+        throw new Error(`Error processing wallet payment: ${error.message}`);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Create a payment intent with the gateway of the booking's country. A promo
+ * code given here is applied to the booking before the amount is computed.
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - User ID
+ * @param {Object} [options] - { promoCode }
  * @returns {Promise<Object>} - Payment intent details
  */
-const createPaymentIntent = async (bookingId, userId) => {
+const createPaymentIntent = async (bookingId, userId, options = {}) => {
     try {
         // Get booking details
         const booking = await Booking.findById(bookingId);
@@ -155,22 +295,43 @@ const createPaymentIntent = async (bookingId, userId) => {
             throw new ApiError('Booking has already been paid', 400);
         }
 
-        // Create payment intent
-        const amountInCents = Math.round(booking.price * 100);
-        const paymentIntent = await stripe.paymentIntents.create({
-            amount: amountInCents,
-            currency: 'usd', // Or get from booking.currency
+        if (options.promoCode) {
+            await promotionService.applyToBooking(booking, options.promoCode);
+        }
+
+        // Create payment intent for the total of the booking's services
+        // through the gateway of the booking's country
+        const amount = bookingLineService.getTotalPrice(booking);
+        const provider = await getPaymentProvider(booking);
+        const commission = await getCommission(booking, amount);
+        const gateway = await paymentGateways.getGatewayForCountry(booking.countryId);
+        const paymentIntent = await gateway.createIntent({
+            amount,
+            currency: booking.currency || 'USD',
             metadata: {
+                purpose: BOOKING_PAYMENT_PURPOSE,
                 bookingId: booking._id.toString(),
                 customerId: userId.toString(),
-                serviceName: booking.serviceName
+                serviceName: booking.serviceName,
+                providerId: provider.providerId.toString(),
+                providerModel: provider.providerModel,
+                commissionPercentage: String(commission.percentage),
+                ...(booking.discount && booking.discount.code && {
+                    promoCode: booking.discount.code,
+                    discountAmount: String(booking.discount.amount),
+                    discountFundedBy: booking.discount.fundedBy
+                })
             }
         });
 
         return {
-            clientSecret: paymentIntent.client_secret,
-            amount: booking.price,
-            paymentIntentId: paymentIntent.id
+            clientSecret: paymentIntent.clientSecret,
+            amount,
+            discount: booking.discount || null,
+            commission,
+            providerModel: provider.providerModel,
+            paymentIntentId: paymentIntent.id,
+            gateway: gateway.name
         };
     } catch (error) {
         logger.error('Payment intent creation error:', error);
@@ -180,8 +341,30 @@ const createPaymentIntent = async (bookingId, userId) => {
 };
 
 /**
- * Process Stripe payment
- * @param {string} paymentIntentId - Stripe payment intent ID
+ * Check a confirmed intent was created to pay a booking: by createPaymentIntent,
+ * for this booking, and for its total
+ * @private
+ */
+const checkBookingIntent = (paymentIntent, bookingId, amount, currency) => {
+    const metadata = paymentIntent.metadata || {};
+
+    // Intents from before the purpose was set carry the booking ID only
+    if (metadata.purpose && metadata.purpose !== BOOKING_PAYMENT_PURPOSE) {
+        throw new ApiError('Payment intent is not a booking payment', 400);
+    }
+    if (metadata.bookingId !== bookingId.toString()) {
+        throw new ApiError('Payment intent belongs to another booking', 400);
+    }
+    if ((paymentIntent.currency || '').toUpperCase() !== currency ||
+        currencyConverter.toMinorUnits(paymentIntent.amount, currency) !== currencyConverter.toMinorUnits(amount, currency)) {
+        throw new ApiError('Payment intent amount does not match the booking total', 400);
+    }
+};
+
+/**
+ * Process an online payment confirmed by the client through the gateway of
+ * the booking's country (Stripe unless the country uses another gateway)
+ * @param {string} paymentIntentId - Gateway payment intent ID
  * @param {string} bookingId - Booking ID
  * @param {string} userId - User ID
  * @returns {Promise<Object>} - Payment details
@@ -208,43 +391,48 @@ const processStripePayment = async (paymentIntentId, bookingId, userId) => {
         }
 
         // Verify payment intent
-        const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+        const gateway = await paymentGateways.getGatewayForCountry(booking.countryId);
+        const paymentIntent = await gateway.confirmIntent(paymentIntentId);
 
         if (paymentIntent.status !== 'succeeded') {
             throw new ApiError('Payment has not been completed', 400);
         }
 
-        // Get payment method details for saving
-        const paymentMethod = await stripe.paymentMethods.retrieve(
-            paymentIntent.payment_method
-        );
+        // Only an intent created for this booking's total pays it, not a tip or a wallet top-up
+        const amount = bookingLineService.getTotalPrice(booking);
+        const currency = (booking.currency || 'USD').toUpperCase();
+        checkBookingIntent(paymentIntent, bookingId, amount, currency);
 
         // Create payment record
+        const provider = await getPaymentProvider(booking, { session });
         const payment = await Payment.create([{
             bookingId,
             customerId: userId,
-            providerId: booking.barberId,
-            providerModel: 'Barber',
-            amount: booking.price,
-            currency: paymentIntent.currency || 'usd',
+            ...provider,
+            amount,
+            currency,
             status: 'completed',
-            paymentMethod: 'card',
-            stripePaymentIntentId: paymentIntentId,
-            paymentDetails: {
-                paymentMethodType: paymentMethod.type,
-                brand: paymentMethod.card ? paymentMethod.card.brand : null,
-                last4: paymentMethod.card ? paymentMethod.card.last4 : null
-            },
+            paymentMethod: paymentIntent.paymentMethod,
+            gateway: gateway.name,
+            gatewayPaymentId: paymentIntentId,
+            stripePaymentIntentId: gateway.name === 'stripe' ? paymentIntentId : null,
+            paymentDetails: paymentIntent.paymentDetails,
             countryId: booking.countryId
         }], { session });
 
+        // Post the revenue and platform commission to the provider ledger
+        await ledgerService.postPaymentCaptured(payment[0], { session });
+
         // Update booking payment status and status
         booking.paymentStatus = 'paid';
         booking.paymentId = payment[0]._id;
 
         // If the booking was pending, confirm it now
         if (booking.status === 'pending') {
-            booking.status = 'confirmed';
+            bookingStateMachine.transition(booking, 'confirmed', {
+                actor: bookingStateMachine.SYSTEM_ACTOR,
+                reason: 'Card payment received'
+            });
         }
 
         await booking.save({ session });
@@ -264,6 +452,9 @@ const processStripePayment = async (paymentIntentId, bookingId, userId) => {
     } catch (error) {
         await session.abortTransaction();
         logger.error('Stripe payment processing error:', error);
+        if (error.code === 11000 && error.keyPattern && error.keyPattern.gatewayPaymentId) {
+            throw new ApiError('Payment intent has already been used', 409);
+        }
         if (error instanceof ApiError) throw error;
         throw new Error(`Error processing Stripe payment: ${error.message}`);
     } finally {
@@ -324,9 +515,9 @@ const getPaymentsByCustomer = async (customerId, options = {}) => {
 };
 
 /**
- * Get payments by provider (barber or shop)
+ * Get payments by provider (barber, freelancer or shop)
  * @param {string} providerId - Provider ID
- * @param {string} providerModel - Provider model (Barber or Shop)
+ * @param {string} providerModel - Provider model (Barber, Freelancer or Shop)
  * @param {Object} options - Query options
  * @returns {Promise<Object>} - Payments and pagination info
  */
@@ -336,6 +527,10 @@ const getPaymentsByProvider = async (providerId, providerModel, options = {}) =>
         const limit = Math.min(parseInt(options.limit) || 10, 100);
         const skip = (page - 1) * limit;
 
+        if (!Payment.schema.path('providerModel').enumValues.includes(providerModel)) {
+            throw new ApiError('Provider model must be Barber, Freelancer or Shop', 400);
+        }
+
         const filter = { providerId, providerModel };
 
         // Add status filter if provided
@@ -391,9 +586,15 @@ const updatePaymentStatus = async (id, status) => {
         }
 
         // Update status
+        const wasCompleted = payment.status === 'completed';
         payment.status = status;
         await payment.save();
 
+        // Collected cash payments are posted to the provider ledger once
+        if (status === 'completed' && !wasCompleted) {
+            await ledgerService.postPaymentCaptured(payment);
+        }
+
         return payment;
     } catch (error) {
         if (error instanceof ApiError) throw error;
@@ -402,11 +603,257 @@ const updatePaymentStatus = async (id, status) => {
 };
 
 /**
- * Cancel booking and process refund if paid with Stripe
+ * Round a money amount to cents
+ * @private
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the part of a captured payment that has not been refunded yet
+ * @param {Object} payment - Payment document
+ * @returns {number} - Refundable amount
+ */
+const getRefundableAmount = (payment) => roundAmount(payment.amount - (payment.refundedAmount || 0));
+
+/**
+ * Add a refund to the refund history of a payment and update its refunded
+ * amount and status. A Stripe refund that is already in the history is not
+ * added again. The payment is not saved.
+ * @param {Object} payment - Payment document
+ * @param {Object} refund - { amount, reasonCode, reason, stripeRefundId, source, refundedBy, refundDate }
+ * @returns {Object|null} - Added refund, or null if it was already recorded
+ */
+const recordRefund = (payment, refund) => {
+    if (refund.stripeRefundId && payment.refunds.some(item => item.stripeRefundId === refund.stripeRefundId)) {
+        return null;
+    }
+
+    const entry = {
+        amount: roundAmount(refund.amount),
+        reasonCode: refund.reasonCode || null,
+        reason: refund.reason || null,
+        refundDate: refund.refundDate || new Date(),
+        stripeRefundId: refund.stripeRefundId || null,
+        source: refund.source || 'api',
+        refundedBy: refund.refundedBy || null,
+        method: refund.method || 'original',
+        walletTransactionId: refund.walletTransactionId || null
+    };
+
+    payment.refunds.push(entry);
+    payment.refundedAmount = roundAmount((payment.refundedAmount || 0) + entry.amount);
+    payment.refundDetails = entry;
+    payment.status = getRefundableAmount(payment) <= 0 ? 'refunded' : 'partially_refunded';
+
+    return entry;
+};
+
+/**
+ * Record the refunds of a payment found on Stripe that are missing from its
+ * refund history, such as refunds made from the Stripe dashboard, and post
+ * them to the ledger
+ * @param {Object} payment - Payment document with a payment intent
+ * @param {Array} [stripeRefunds] - Refunds of the charge; listed from Stripe if not given
+ * @returns {Promise<Array>} - Refunds added to the history
+ */
+const reconcileStripeRefunds = async (payment, stripeRefunds) => {
+    let refunds = stripeRefunds;
+    if (!refunds) {
+        const { gateway, intentId } = paymentGateways.getPaymentGateway(payment);
+        refunds = await gateway.listRefunds(intentId);
+    }
+
+    const added = [];
+    // Oldest first so the history follows the order of the refunds on Stripe
+    const sorted = [...refunds].sort((a, b) => a.created - b.created);
+
+    for (const stripeRefund of sorted) {
+        if (!['succeeded', 'pending'].includes(stripeRefund.status)) {
+            continue;
+        }
+
+        const reasonCode = (stripeRefund.metadata && stripeRefund.metadata.reasonCode) || stripeRefund.reason;
+        const entry = recordRefund(payment, {
+            amount: currencyConverter.fromMinorUnits(stripeRefund.amount, payment.currency),
+            reasonCode: Payment.REFUND_REASONS.includes(reasonCode) ? reasonCode : 'other',
+            reason: 'Refunded via Stripe',
+            stripeRefundId: stripeRefund.id,
+            source: 'stripe',
+            refundDate: new Date(stripeRefund.created * 1000)
+        });
+        if (entry) {
+            added.push(entry);
+        }
+    }
+
+    if (added.length) {
+        await payment.save();
+
+        // Refunds made through the API are already posted under the same refund ID
+        for (const entry of added) {
+            await ledgerService.postRefund(payment, entry.amount, {
+                stripeRefundId: entry.stripeRefundId,
+                reason: entry.reason
+            });
+        }
+    }
+
+    return added;
+};
+
+/**
+ * Refund part of a payment through its gateway or as wallet credit, record
+ * it in the refund history and post it to the ledger. Wallet payments are
+ * always refunded to the wallet; cash payments are only recorded unless
+ * refunded to the wallet.
+ * @private
+ * @param {Object} payment - Payment document
+ * @param {Object} refund - { amount, reasonCode, reason, refundedBy, toWallet }
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - Refund history entry
+ */
+const issueRefund = async (payment, refund, options = {}) => {
+    const session = options.session || null;
+    const toWallet = !!refund.toWallet || payment.paymentMethod === 'wallet';
+    let stripeRefundId = null;
+    let walletTransactionId = null;
+
+    if (toWallet) {
+        const { transaction } = await walletService.postTransaction(payment.customerId, {
+            type: 'refund_credit',
+            amount: refund.amount,
+            currency: payment.currency,
+            bookingId: payment.bookingId,
+            paymentId: payment._id,
+            description: refund.reason,
+            createdBy: refund.refundedBy
+        }, { session });
+        walletTransactionId = transaction._id;
+    } else {
+        const paymentGateway = paymentGateways.getPaymentGateway(payment);
+        if (paymentGateway) {
+            try {
+                const gatewayRefund = await paymentGateway.gateway.refund({
+                    intentId: paymentGateway.intentId,
+                    amount: refund.amount,
+                    currency: payment.currency,
+                    reasonCode: refund.reasonCode,
+                    metadata: {
+                        paymentId: payment._id.toString(),
+                        reasonCode: refund.reasonCode
+                    }
+                });
+                stripeRefundId = gatewayRefund.id;
+            } catch (gatewayError) {
+                logger.error('Gateway refund error:', gatewayError);
+                throw new ApiError(`Failed to process refund: ${gatewayError.message}`, 500);
+            }
+        }
+    }
+
+    const entry = recordRefund(payment, {
+        amount: refund.amount,
+        reasonCode: refund.reasonCode,
+        reason: refund.reason,
+        stripeRefundId,
+        refundedBy: refund.refundedBy,
+        method: toWallet ? 'wallet' : 'original',
+        walletTransactionId
+    });
+    await payment.save({ session });
+
+    await ledgerService.postRefund(payment, refund.amount, {
+        session,
+        stripeRefundId,
+        reason: refund.reason,
+        toWallet
+    });
+
+    return entry;
+};
+
+/**
+ * Apply the outcome of a cancellation policy to a booking: refund what the
+ * policy gives back through the payment's gateway, or to the wallet for
+ * wallet payments, and record the charge on the booking.
+ * The booking and payment are not committed; pass the caller's session.
+ * @param {Object} booking - Booking document with paymentId populated
+ * @param {Object} outcome - Outcome of cancellationPolicyService.evaluate
+ * @param {Object} [options] - { session, reason }
+ * @returns {Promise<Object|null>} - Refund { amount, currency, refundId } or null
+ */
+const applyCancellationCharge = async (booking, outcome, options = {}) => {
+    const { session = null, reason } = options;
+    let refundResult = null;
+
+    // A no-show keeps the payment; only cancellations give money back
+    if (outcome.kind !== 'no_show' && booking.paymentStatus === 'paid' && booking.paymentId && outcome.refundAmount > 0) {
+        const payment = booking.paymentId;
+        const paymentGateway = paymentGateways.getPaymentGateway(payment);
+        // Earlier partial refunds are deducted from what the policy gives back
+        const refundAmount = Math.min(outcome.refundAmount, getRefundableAmount(payment));
+
+        // Only process refund for payments taken through a gateway or from the wallet
+        if ((paymentGateway || payment.paymentMethod === 'wallet') && refundAmount > 0) {
+            // Refund only what the policy gives back, the fee stays captured
+            const entry = await issueRefund(payment, {
+                amount: refundAmount,
+                reasonCode: 'booking_cancelled',
+                reason: reason || 'Booking cancelled'
+            }, { session });
+
+            refundResult = {
+                amount: refundAmount,
+                currency: payment.currency,
+                refundId: entry.stripeRefundId || entry.walletTransactionId,
+                method: entry.method
+            };
+
+            if (payment.status === 'refunded') {
+                booking.paymentStatus = 'refunded';
+            }
+        }
+    }
+
+    // A cancelled booking no longer uses up its promo code; a no-show does
+    if (outcome.kind !== 'no_show') {
+        await promotionService.releaseFromBooking(booking, { session });
+    }
+
+    // Unpaid bookings are not collected any more; an outstanding fee is tracked on the charge
+    if (booking.paymentStatus === 'pending' && booking.status === 'cancelled') {
+        booking.paymentStatus = 'cancelled';
+    }
+
+    let status = 'none';
+    if (outcome.outstandingAmount > 0) {
+        status = 'outstanding';
+    } else if (outcome.feeAmount > 0) {
+        status = 'retained';
+    }
+
+    booking.cancellationCharge = {
+        kind: outcome.kind,
+        policyId: outcome.policyId,
+        hoursBefore: outcome.hoursBefore,
+        feePercent: outcome.feePercent,
+        feeAmount: outcome.feeAmount,
+        refundAmount: refundResult ? refundResult.amount : 0,
+        outstandingAmount: outcome.outstandingAmount,
+        status,
+        evaluatedAt: new Date()
+    };
+
+    return refundResult;
+};
+
+/**
+ * Cancel a customer's booking under the cancellation policy of its shop or
+ * country, refunding what the policy gives back if paid through a gateway
  * @param {string} bookingId - Booking ID
  * @param {string} userId - User ID (customer)
  * @param {string} reason - Cancellation reason
- * @returns {Promise<Object>} - Updated booking and refund details
+ * @returns {Promise<Object>} - Updated booking, refund and charge details
  */
 const cancelAndRefundBooking = async (bookingId, userId, reason) => {
     const session = await mongoose.startSession();
@@ -427,70 +874,29 @@ const cancelAndRefundBooking = async (bookingId, userId, reason) => {
             throw new ApiError('Unauthorized access to booking', 403);
         }
 
-        // Check if booking can be cancelled
-        if (['completed', 'cancelled'].includes(booking.status)) {
-            throw new ApiError(`Booking cannot be cancelled because it is already ${booking.status}`, 400);
+        // Check if booking can be cancelled before any refund is issued
+        if (!bookingStateMachine.canTransition(booking.status, 'cancelled', 'customer')) {
+            throw new ApiError(`Booking cannot be cancelled because it is already ${booking.status}`, 409);
         }
 
-        // Check cancellation time policy (e.g., can only cancel X hours before appointment)
-        const now = new Date();
-        const bookingDateTime = new Date(booking.bookingDate);
-        bookingDateTime.setHours(booking.bookingTime.hour, booking.bookingTime.minute);
-
-        const hoursBeforeBooking = (bookingDateTime - now) / (1000 * 60 * 60);
-
-        // For example, require cancellation at least 2 hours before appointment
-        const minimumHoursForCancellation = 2;
-        if (hoursBeforeBooking < minimumHoursForCancellation) {
-            throw new ApiError(`Bookings must be cancelled at least ${minimumHoursForCancellation} hours before the appointment time`, 400);
-        }
-
-        // Process refund if paid with Stripe
-        let refundResult = null;
-        if (booking.paymentStatus === 'paid' && booking.paymentId) {
-            const payment = booking.paymentId;
-
-            // Only process refund for card payments with Stripe
-            if (payment.paymentMethod === 'card' && payment.stripePaymentIntentId) {
-                try {
-                    // Create refund in Stripe
-                    const stripeRefund = await stripe.refunds.create({
-                        payment_intent: payment.stripePaymentIntentId,
-                        reason: 'requested_by_customer'
-                    });
-
-                    // Update payment status and add refund details
-                    payment.status = 'refunded';
-                    payment.refundDetails = {
-                        amount: payment.amount,
-                        reason: reason || 'Customer cancelled booking',
-                        refundDate: new Date(),
-                        stripeRefundId: stripeRefund.id
-                    };
-
-                    await payment.save({ session });
-                    refundResult = {
-                        amount: payment.amount,
-                        currency: payment.currency,
-                        refundId: stripeRefund.id
-                    };
-                } catch (stripeError) {
-                    logger.error('Stripe refund error:', stripeError);
-                    throw new ApiError(`Failed to process refund: ${stripeError.message}`, 500);
-                }
-            }
+        // Check the cancellation policy against the UTC start of the booking
+        const policy = await cancellationPolicyService.getPolicyForBooking(booking, { session });
+        const outcome = cancellationPolicyService.evaluate(booking, policy, { actorRole: 'customer' });
+        if (!outcome.allowed) {
+            throw new ApiError(cancellationPolicyService.getLateCancellationMessage(policy), 400);
         }
 
         // Update booking status
-        booking.status = 'cancelled';
+        bookingStateMachine.transition(booking, 'cancelled', {
+            actor: { id: userId, role: 'customer' },
+            reason: reason || 'Customer requested cancellation'
+        });
         booking.cancellationReason = reason || 'Customer requested cancellation';
 
-        // Update payment status if not already handled
-        if (booking.paymentStatus === 'pending') {
-            booking.paymentStatus = 'cancelled';
-        } else if (booking.paymentStatus === 'paid' && refundResult) {
-            booking.paymentStatus = 'refunded';
-        }
+        const refundResult = await applyCancellationCharge(booking, outcome, {
+            session,
+            reason: reason || 'Customer cancelled booking'
+        });
 
         await booking.save({ session });
 
@@ -506,9 +912,13 @@ const cancelAndRefundBooking = async (bookingId, userId, reason) => {
 
         await session.commitTransaction();
 
+        // Offer the freed slot to the waitlist once the cancellation is visible
+        await waitlistService.notifyBookingCancelled(booking);
+
         return {
             booking,
-            refund: refundResult
+            refund: refundResult,
+            charge: booking.cancellationCharge
         };
     } catch (error) {
         await session.abortTransaction();
@@ -521,9 +931,12 @@ const cancelAndRefundBooking = async (bookingId, userId, reason) => {
 };
 
 /**
- * Refund payment
+ * Refund all or part of the amount of a payment that is not refunded yet.
+ * A payment can be refunded several times until nothing is left. With
+ * toWallet the refund is credited to the customer's wallet instead of
+ * reversed to the card.
  * @param {string} paymentId - Payment ID
- * @param {Object} refundData - Refund data
+ * @param {Object} refundData - { amount, reasonCode, reason, refundedBy, toWallet }; amount defaults to what is left
  * @returns {Promise<Object>} - Updated payment
  */
 const refundPayment = async (paymentId, refundData) => {
@@ -536,57 +949,35 @@ const refundPayment = async (paymentId, refundData) => {
             throw new ApiError('Payment not found', 404);
         }
 
-        // Check if payment can be refunded
-        if (payment.status !== 'completed') {
-            throw new ApiError('Only completed payments can be refunded', 400);
-        }
-
         // Check if already refunded
         if (payment.status === 'refunded') {
             throw new ApiError('Payment has already been refunded', 400);
         }
 
-        // For Stripe payments, process refund through Stripe
-        if (payment.paymentMethod === 'card' && payment.stripePaymentIntentId) {
-            try {
-                // Set refund amount (defaults to full amount if not specified)
-                const refundAmount = refundData.amount !== undefined
-                    ? Math.round(refundData.amount * 100)
-                    : undefined;
-
-                // Create refund in Stripe
-                const stripeRefund = await stripe.refunds.create({
-                    payment_intent: payment.stripePaymentIntentId,
-                    amount: refundAmount,
-                    reason: 'requested_by_customer'
-                });
+        // Check if payment can be refunded
+        if (!['completed', 'partially_refunded'].includes(payment.status)) {
+            throw new ApiError('Only completed payments can be refunded', 400);
+        }
 
-                // Update refund details
-                payment.refundDetails = {
-                    amount: refundData.amount || payment.amount,
-                    reason: refundData.reason || 'Merchant initiated refund',
-                    refundDate: new Date(),
-                    stripeRefundId: stripeRefund.id
-                };
-            } catch (stripeError) {
-                logger.error('Stripe refund error:', stripeError);
-                throw new ApiError(`Failed to process refund: ${stripeError.message}`, 500);
-            }
-        } else {
-            // For non-Stripe payments, just update the refund details
-            payment.refundDetails = {
-                amount: refundData.amount || payment.amount,
-                reason: refundData.reason || 'Merchant initiated refund',
-                refundDate: new Date()
-            };
+        const refundable = getRefundableAmount(payment);
+        const amount = refundData.amount !== undefined ? roundAmount(refundData.amount) : refundable;
+        if (amount <= 0) {
+            throw new ApiError('Refund amount must be greater than zero', 400);
+        }
+        if (amount > refundable) {
+            throw new ApiError(`Refund amount cannot exceed the remaining ${refundable} ${payment.currency}`, 400);
         }
 
-        // Update payment status
-        payment.status = 'refunded';
-        await payment.save({ session });
+        await issueRefund(payment, {
+            amount,
+            reasonCode: refundData.reasonCode || 'requested_by_customer',
+            reason: refundData.reason || 'Merchant initiated refund',
+            refundedBy: refundData.refundedBy,
+            toWallet: refundData.toWallet
+        }, { session });
 
-        // Also update booking payment status if it exists
-        if (payment.bookingId) {
+        // Also update booking payment status once nothing is left to refund
+        if (payment.bookingId && payment.status === 'refunded') {
             const booking = await Booking.findById(payment.bookingId).session(session);
             if (booking) {
                 booking.paymentStatus = 'refunded';
@@ -606,8 +997,103 @@ const refundPayment = async (paymentId, refundData) => {
 };
 
 /**
- * Get payment statistics
- * @param {Object} options - Query options
+ * Get the refund history of a payment
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<Object>} - { paymentId, amount, refundedAmount, refundableAmount, status, refunds }
+ */
+const getPaymentRefunds = async (paymentId) => {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+        throw new ApiError('Payment not found', 404);
+    }
+
+    return {
+        paymentId: payment._id,
+        amount: payment.amount,
+        currency: payment.currency,
+        refundedAmount: payment.refundedAmount,
+        refundableAmount: getRefundableAmount(payment),
+        status: payment.status,
+        refunds: payment.refunds
+    };
+};
+
+/**
+ * Add refunds made on the payment's gateway that are missing from a
+ * payment, e.g. when a Stripe webhook was not delivered
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<Object>} - { payment, added }
+ */
+const reconcilePaymentRefunds = async (paymentId) => {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+        throw new ApiError('Payment not found', 404);
+    }
+    if (!paymentGateways.getPaymentGateway(payment)) {
+        throw new ApiError('Only payments taken through a gateway can be reconciled', 400);
+    }
+
+    try {
+        const added = await reconcileStripeRefunds(payment);
+        await updateBookingAfterStripeRefund(payment, added);
+        return { payment, added };
+    } catch (error) {
+        logger.error('Reconcile refunds error:', error);
+        throw new Error(`Error reconciling refunds: ${error.message}`);
+    }
+};
+
+/**
+ * Pipeline stages adding the rate a payment's booking was made at, when
+ * the payment is in the booking's currency
+ * @private
+ */
+const bookingRateStages = () => [
+    {
+        $lookup: {
+            from: 'bookings',
+            localField: 'bookingId',
+            foreignField: '_id',
+            as: 'booking'
+        }
+    },
+    {
+        $addFields: {
+            currency: { $toUpper: { $ifNull: ['$currency', 'USD'] } },
+            booking: { $arrayElemAt: ['$booking', 0] }
+        }
+    },
+    {
+        $addFields: {
+            bookingRate: {
+                $cond: [
+                    { $eq: ['$currency', '$booking.currency'] },
+                    { $ifNull: ['$booking.exchangeRate.rate', null] },
+                    null
+                ]
+            }
+        }
+    }
+];
+
+/**
+ * Add the count and amount of an aggregated row to a group of a report
+ * @private
+ */
+const addToGroup = (groups, key, row) => {
+    if (!groups[key]) {
+        groups[key] = { count: 0, amounts: [] };
+    }
+    groups[key].count += row.count;
+    groups[key].amounts.push({ amount: row.amount, currency: row._id.currency, rate: row._id.rate });
+};
+
+/**
+ * Get payment statistics. Amounts are converted into the reporting currency;
+ * byCurrency keeps the amounts in the currency they were paid in. Amounts in
+ * a currency without any exchange rate are left out of the converted totals
+ * and listed per currency under unconverted.
+ * @param {Object} options - Query options, including reportingCurrency
  * @returns {Promise<Object>} - Payment statistics
  */
 const getPaymentStatistics = async (options = {}) => {
@@ -623,96 +1109,173 @@ const getPaymentStatistics = async (options = {}) => {
 
         // Add filter for provider
         if (options.providerId && options.providerModel) {
-            match.providerId = mongoose.Types.ObjectId(options.providerId);
+            match.providerId = new mongoose.Types.ObjectId(options.providerId);
             match.providerModel = options.providerModel;
         }
 
         // Add filter for customer
         if (options.customerId) {
-            match.customerId = mongoose.Types.ObjectId(options.customerId);
+            match.customerId = new mongoose.Types.ObjectId(options.customerId);
         }
 
-        // Aggregate payment statistics
+        const reportingCurrency = exchangeRateService.getReportingCurrency(options.reportingCurrency);
+
+        // Aggregate payment statistics per currency and booking rate
         const stats = await Payment.aggregate([
             { $match: match },
+            ...bookingRateStages(),
             {
                 $group: {
                     _id: {
                         status: '$status',
-                        paymentMethod: '$paymentMethod'
+                        paymentMethod: '$paymentMethod',
+                        currency: '$currency',
+                        rate: '$bookingRate'
                     },
                     count: { $sum: 1 },
-                    totalAmount: { $sum: '$amount' }
+                    amount: { $sum: '$amount' }
                 }
-            },
+            }
+        ]);
+
+        const rates = await exchangeRateService.getRates();
+        const total = {};
+        const byStatus = {};
+        const byPaymentMethod = {};
+        const byCurrency = {};
+
+        stats.forEach(row => {
+            addToGroup(total, 'all', row);
+            addToGroup(byStatus, row._id.status, row);
+            addToGroup(byPaymentMethod, row._id.paymentMethod, row);
+            addToGroup(byCurrency, row._id.currency, row);
+        });
+
+        // Sum each group in the reporting currency
+        const summarise = (groups) => Object.fromEntries(
+            Object.entries(groups).map(([key, group]) => {
+                const { amount, unconverted } = exchangeRateService.sumInCurrency(group.amounts, reportingCurrency, rates);
+                return [key, { count: group.count, amount, unconverted }];
+            })
+        );
+        const totalSum = total.all
+            ? exchangeRateService.sumInCurrency(total.all.amounts, reportingCurrency, rates)
+            : { amount: 0, unconverted: {} };
+
+        return {
+            currency: reportingCurrency,
+            totalPayments: total.all ? total.all.count : 0,
+            totalAmount: totalSum.amount,
+            unconverted: totalSum.unconverted,
+            byStatus: summarise(byStatus),
+            byPaymentMethod: summarise(byPaymentMethod),
+            byCurrency: Object.fromEntries(
+                Object.entries(byCurrency).map(([currency, group]) => [currency, {
+                    count: group.count,
+                    amount: exchangeRateService.sumInCurrency(group.amounts, currency, rates).amount
+                }])
+            )
+        };
+    } catch (error) {
+        if (error instanceof ApiError) throw error;
+        throw new Error(`Error getting payment statistics: ${error.message}`);
+    }
+};
+
+// Date formats of the periods of the revenue report
+const REVENUE_PERIOD_FORMATS = {
+    day: '%Y-%m-%d',
+    week: '%G-W%V',
+    month: '%Y-%m'
+};
+
+/**
+ * Get revenue per period converted into the reporting currency. Payments in
+ * a currency without any exchange rate cannot be converted; they get rows of
+ * their own in the currency they were paid in, with converted set to false.
+ * @param {Object} options - { startDate, endDate, groupBy (day, week or month), reportingCurrency }
+ * @returns {Promise<Array>} - Rows { period, currency, converted, payments, revenue, refunds, netRevenue, platformFees }
+ */
+const getRevenueReport = async (options = {}) => {
+    try {
+        const groupBy = options.groupBy || 'day';
+        if (!REVENUE_PERIOD_FORMATS[groupBy]) {
+            throw new ApiError(`groupBy must be one of ${Object.keys(REVENUE_PERIOD_FORMATS).join(', ')}`, 400);
+        }
+
+        const reportingCurrency = exchangeRateService.getReportingCurrency(options.reportingCurrency);
+
+        const rows = await Payment.aggregate([
             {
-                $group: {
-                    _id: null,
-                    totalPayments: { $sum: '$count' },
-                    totalAmount: { $sum: '$totalAmount' },
-                    byStatus: {
-                        $push: {
-                            status: '$_id.status',
-                            paymentMethod: '$_id.paymentMethod',
-                            count: '$count',
-                            amount: '$totalAmount'
-                        }
-                    }
+                $match: {
+                    status: { $in: ['completed', 'partially_refunded', 'refunded'] },
+                    createdAt: { $gte: options.startDate, $lte: options.endDate }
                 }
             },
+            ...bookingRateStages(),
             {
-                $project: {
-                    _id: 0,
-                    totalPayments: 1,
-                    totalAmount: 1,
-                    byStatus: 1
+                $group: {
+                    _id: {
+                        period: { $dateToString: { format: REVENUE_PERIOD_FORMATS[groupBy], date: '$createdAt' } },
+                        currency: '$currency',
+                        rate: '$bookingRate'
+                    },
+                    count: { $sum: 1 },
+                    amount: { $sum: '$amount' },
+                    refunds: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+                    platformFees: { $sum: { $ifNull: ['$commission.amount', 0] } }
                 }
-            }
+            },
+            { $sort: { '_id.period': 1 } }
         ]);
 
-        // Process and format statistics
-        let result = {
-            totalPayments: 0,
-            totalAmount: 0,
-            byStatus: {},
-            byPaymentMethod: {}
-        };
+        const rates = await exchangeRateService.getRates();
+        const groups = new Map();
 
-        if (stats.length > 0) {
-            const stat = stats[0];
-            result.totalPayments = stat.totalPayments;
-            result.totalAmount = stat.totalAmount;
+        rows.forEach(row => {
+            const { period, currency, rate } = row._id;
+            const converted = exchangeRateService.canConvert(currency, rate, reportingCurrency, rates);
+            const rowCurrency = converted ? reportingCurrency : (currency || exchangeRateService.BASE_CURRENCY).toUpperCase();
+            const key = `${period}|${converted ? '' : rowCurrency}`;
 
-            // Process by status and payment method
-            stat.byStatus.forEach(item => {
-                const { status, paymentMethod, count, amount } = item;
-
-                // By status
-                if (!result.byStatus[status]) {
-                    result.byStatus[status] = { count: 0, amount: 0 };
-                }
-                result.byStatus[status].count += count;
-                result.byStatus[status].amount += amount;
+            if (!groups.has(key)) {
+                groups.set(key, { period, currency: rowCurrency, converted, payments: 0, revenue: [], refunds: [], platformFees: [] });
+            }
+            const group = groups.get(key);
 
-                // By payment method
-                if (!result.byPaymentMethod[paymentMethod]) {
-                    result.byPaymentMethod[paymentMethod] = { count: 0, amount: 0 };
-                }
-                result.byPaymentMethod[paymentMethod].count += count;
-                result.byPaymentMethod[paymentMethod].amount += amount;
-            });
-        }
+            group.payments += row.count;
+            group.revenue.push({ amount: row.amount, currency, rate });
+            group.refunds.push({ amount: row.refunds, currency, rate });
+            group.platformFees.push({ amount: row.platformFees, currency, rate });
+        });
 
-        return result;
+        return Array.from(groups.values(), (group) => {
+            const sum = amounts => exchangeRateService.sumInCurrency(amounts, group.currency, rates).amount;
+            const revenue = sum(group.revenue);
+            const refunds = sum(group.refunds);
+
+            return {
+                period: group.period,
+                currency: group.currency,
+                converted: group.converted,
+                payments: group.payments,
+                revenue,
+                refunds,
+                netRevenue: currencyConverter.round(revenue - refunds, group.currency),
+                platformFees: sum(group.platformFees)
+            };
+        });
     } catch (error) {
-        throw new Error(`Error getting payment statistics: ${error.message}`);
+        if (error instanceof ApiError) throw error;
+        throw new Error(`Error getting revenue report: ${error.message}`);
     }
 };
 
 /**
- * Handle Stripe webhook events
+ * Handle Stripe webhook events. Signature checks and deduplication are done
+ * by stripeWebhookService before an event gets here.
  * @param {Object} event - Stripe event
- * @returns {Promise<boolean>} - Success status
+ * @returns {Promise<boolean>} - Whether the event type is handled
  */
 const handleStripeWebhook = async (event) => {
     try {
@@ -734,6 +1297,7 @@ const handleStripeWebhook = async (event) => {
 
             default:
                 logger.info(`Unhandled Stripe event type: ${event.type}`);
+                return false;
         }
 
         return true;
@@ -750,6 +1314,23 @@ const handleStripeWebhook = async (event) => {
  */
 async function handlePaymentIntentSucceeded(paymentIntent) {
     try {
+        // Wallet top-ups are credited here too in case the client never confirms them
+        if (paymentIntent.metadata.purpose === 'wallet_top_up') {
+            await walletService.creditTopUp('stripe', {
+                id: paymentIntent.id,
+                status: paymentIntent.status,
+                amount: currencyConverter.fromMinorUnits(paymentIntent.amount_received, paymentIntent.currency),
+                metadata: paymentIntent.metadata
+            });
+            return;
+        }
+
+        // Tips are separate charges on a completed booking
+        if (paymentIntent.metadata.purpose === 'tip') {
+            await tipService.handleTipIntent(paymentIntent);
+            return;
+        }
+
         // Extract booking ID from metadata
         const { bookingId } = paymentIntent.metadata;
 
@@ -765,6 +1346,7 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
             // Update payment status
             payment.status = 'completed';
             await payment.save();
+            await ledgerService.postPaymentCaptured(payment);
 
             // Find and update booking
             const booking = await Booking.findById(bookingId);
@@ -772,7 +1354,10 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
                 booking.paymentStatus = 'paid';
                 // Also confirm the booking
                 if (booking.status === 'pending') {
-                    booking.status = 'confirmed';
+                    bookingStateMachine.transition(booking, 'confirmed', {
+                        actor: bookingStateMachine.SYSTEM_ACTOR,
+                        reason: 'Card payment received'
+                    });
                 }
                 await booking.save();
 
@@ -791,6 +1376,7 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
         }
     } catch (error) {
         logger.error('Error handling payment intent succeeded:', error);
+        throw error;
     }
 }
 
@@ -801,6 +1387,12 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
  */
 async function handlePaymentIntentFailed(paymentIntent) {
     try {
+        // A failed tip leaves the booking's own payment untouched
+        if (paymentIntent.metadata.purpose === 'tip') {
+            await tipService.handleTipIntent(paymentIntent);
+            return;
+        }
+
         // Extract booking ID from metadata
         const { bookingId } = paymentIntent.metadata;
 
@@ -838,11 +1430,48 @@ async function handlePaymentIntentFailed(paymentIntent) {
         }
     } catch (error) {
         logger.error('Error handling payment intent failed:', error);
+        throw error;
+    }
+}
+
+/**
+ * Mark the booking of a payment refunded once nothing is left to refund and
+ * tell the customer about refunds recorded from Stripe
+ * @param {Object} payment - Payment document
+ * @param {Array} added - Refunds added to the history
+ * @returns {Promise<void>}
+ */
+async function updateBookingAfterStripeRefund(payment, added) {
+    if (!added.length) {
+        return;
+    }
+
+    const booking = await Booking.findById(payment.bookingId);
+    if (!booking) {
+        return;
+    }
+
+    if (payment.status === 'refunded') {
+        booking.paymentStatus = 'refunded';
+        await booking.save();
     }
+
+    const total = roundAmount(added.reduce((sum, refund) => sum + refund.amount, 0));
+    await notificationService.createNotification({
+        userId: booking.customerId,
+        title: 'Payment Refunded',
+        message: payment.status === 'refunded'
+            ? `Your payment for booking #${booking.uid} has been refunded.`
+            : `${total} ${payment.currency} of your payment for booking #${booking.uid} has been refunded.`,
+        type: 'payment',
+        relatedId: booking._id,
+        onModel: 'Booking'
+    });
 }
 
 /**
- * Handle charge refunded
+ * Handle charge refunded. Refunds made from the Stripe dashboard are added
+ * to the refund history; refunds made through the API are already there.
  * @param {Object} charge - Stripe charge
  * @returns {Promise<void>}
  */
@@ -852,37 +1481,16 @@ async function handleChargeRefunded(charge) {
         const payment = await Payment.findOne({ stripePaymentIntentId: charge.payment_intent });
 
         if (payment) {
-            // Update payment status and refund details
-            payment.status = 'refunded';
-            payment.refundDetails = {
-                amount: charge.amount_refunded / 100, // Convert from cents
-                reason: 'Refunded via Stripe',
-                refundDate: new Date(),
-                stripeRefundId: charge.refunds.data[0]?.id
-            };
-            await payment.save();
-
-            // Find and update booking
-            const booking = await Booking.findById(payment.bookingId);
-            if (booking) {
-                booking.paymentStatus = 'refunded';
-                await booking.save();
-
-                // Send notification to customer
-                await notificationService.createNotification({
-                    userId: booking.customerId,
-                    title: 'Payment Refunded',
-                    message: `Your payment for booking #${booking.uid} has been refunded.`,
-                    type: 'payment',
-                    relatedId: booking._id,
-                    onModel: 'Booking'
-                });
-            }
+            // The charge only lists the first refunds; fetch them all when there are more
+            const stripeRefunds = charge.refunds && !charge.refunds.has_more ? charge.refunds.data : undefined;
+            const added = await reconcileStripeRefunds(payment, stripeRefunds);
+            await updateBookingAfterStripeRefund(payment, added);
         } else {
             logger.warn(`Payment not found for charge ${charge.id}`);
         }
     } catch (error) {
         logger.error('Error handling charge refunded:', error);
+        throw error;
     }
 }
 
@@ -890,13 +1498,20 @@ module.exports = {
     getPaymentById,
     getPaymentByUid,
     processCashPayment,
+    processWalletPayment,
     createPaymentIntent,
     processStripePayment,
     getPaymentsByCustomer,
     getPaymentsByProvider,
     updatePaymentStatus,
+    applyCancellationCharge,
     cancelAndRefundBooking,
     refundPayment,
+    getRefundableAmount,
+    recordRefund,
+    getPaymentRefunds,
+    reconcilePaymentRefunds,
     getPaymentStatistics,
+    getRevenueReport,
     handleStripeWebhook
 };
\ No newline at end of file
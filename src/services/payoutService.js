@@ -0,0 +1,334 @@
+// src/services/payoutService.js
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const SettlementRun = require('../models/SettlementRun');
+const Payout = require('../models/Payout');
+const { ApiError } = require('../middlewares/errorHandler');
+const ledgerService = require('./ledgerService');
+const logger = require('../utils/logger');
+
+/**
+ * Round a money amount to cents
+ * @private
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Amount an entry moved on the platform fee account (credit minus debit)
+ * @private
+ */
+const getFeeAmount = (entry) => entry.lines
+    .filter(line => line.account === ledgerService.ACCOUNTS.FEES)
+    .reduce((sum, line) => sum + (line.credit || 0) - (line.debit || 0), 0);
+
+/**
+ * Summarize the entries a payout settles
+ * @param {Array} entries - Ledger entries of one provider and currency
+ * @returns {Object} - Statement { bookingRevenue, cashCollected, platformFees, refunds, adjustments, tips, entryCount }
+ */
+const buildStatement = (entries) => {
+    const statement = {
+        bookingRevenue: 0,
+        cashCollected: 0,
+        platformFees: 0,
+        refunds: 0,
+        adjustments: 0,
+        tips: 0,
+        entryCount: entries.length
+    };
+
+    entries.forEach((entry) => {
+        statement.platformFees += getFeeAmount(entry);
+
+        if (entry.type === 'booking_revenue') {
+            statement.bookingRevenue += entry.grossAmount;
+            // Cash stays with the provider, who is only charged the fee
+            const heldByPlatform = entry.lines.some(line =>
+                [ledgerService.ACCOUNTS.CASH, ledgerService.ACCOUNTS.WALLET].includes(line.account));
+            if (!heldByPlatform) {
+                statement.cashCollected += entry.grossAmount - (entry.discountAmount || 0);
+            }
+        } else if (entry.type === 'refund') {
+            statement.refunds += entry.grossAmount;
+        } else if (entry.type === 'adjustment') {
+            statement.adjustments += entry.providerAmount;
+        } else if (entry.type === 'tip') {
+            statement.tips += entry.providerAmount;
+        }
+    });
+
+    ['bookingRevenue', 'cashCollected', 'platformFees', 'refunds', 'adjustments', 'tips'].forEach((field) => {
+        statement[field] = roundAmount(statement[field]);
+    });
+    return statement;
+};
+
+/**
+ * Create a settlement run: one payout per provider and currency for the
+ * unsettled ledger entries posted up to the end of the period. Providers
+ * whose entries do not add up to a positive amount are carried forward.
+ * @param {Object} [options] - { periodEnd, trigger, userId }
+ * @returns {Promise<Object>} - { run, payouts }
+ */
+const runSettlement = async (options = {}) => {
+    const periodEnd = options.periodEnd ? new Date(options.periodEnd) : new Date();
+    if (isNaN(periodEnd.getTime()) || periodEnd > new Date()) {
+        throw new ApiError('Settlement period must end in the past', 400);
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const previousRun = await SettlementRun.findOne().sort({ periodEnd: -1 }).session(session);
+
+        const entries = await LedgerEntry.find({
+            payoutId: null,
+            postedAt: { $lte: periodEnd }
+        }).sort({ postedAt: 1 }).session(session).lean();
+
+        const groups = new Map();
+        entries.forEach((entry) => {
+            const key = `${entry.providerModel}:${entry.providerId}:${entry.currency}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(entry);
+        });
+
+        const [run] = await SettlementRun.create([{
+            periodStart: previousRun ? previousRun.periodEnd : null,
+            periodEnd,
+            trigger: options.trigger || 'manual',
+            createdBy: options.userId || null
+        }], { session });
+
+        const payouts = [];
+        const totals = {};
+
+        for (const group of groups.values()) {
+            const amount = roundAmount(group.reduce((sum, entry) => sum + entry.providerAmount, 0));
+            if (amount <= 0) {
+                continue;
+            }
+
+            const { providerId, providerModel, currency } = group[0];
+            const [payout] = await Payout.create([{
+                settlementRunId: run._id,
+                providerId,
+                providerModel,
+                currency,
+                amount,
+                statement: buildStatement(group)
+            }], { session });
+
+            await LedgerEntry.updateMany(
+                { _id: { $in: group.map(entry => entry._id) } },
+                { $set: { payoutId: payout._id } },
+                { session }
+            );
+
+            totals[currency] = roundAmount((totals[currency] || 0) + amount);
+            payouts.push(payout);
+        }
+
+        run.payoutCount = payouts.length;
+        run.totals = totals;
+        await run.save({ session });
+
+        await session.commitTransaction();
+        logger.info(`Settlement run ${run.uid} created ${payouts.length} payout(s)`);
+
+        return { run, payouts };
+    } catch (error) {
+        await session.abortTransaction();
+        logger.error('Settlement run error:', error);
+        if (error instanceof ApiError) throw error;
+        throw new Error(`Error running settlement: ${error.message}`);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Get settlement runs, newest first
+ * @param {Object} [options] - { page, limit }
+ * @returns {Promise<Object>} - { runs, pagination }
+ */
+const getSettlementRuns = async (options = {}) => {
+    const page = parseInt(options.page) || 1;
+    const limit = Math.min(parseInt(options.limit) || 20, 100);
+
+    const [runs, total] = await Promise.all([
+        SettlementRun.find()
+            .sort({ periodEnd: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        SettlementRun.countDocuments()
+    ]);
+
+    return {
+        runs,
+        pagination: {
+            total,
+            page,
+            limit,
+            pages: Math.ceil(total / limit)
+        }
+    };
+};
+
+/**
+ * Get payouts with optional filtering
+ * @param {Object} [filters] - { status, settlementRunId, providerId, providerModel }
+ * @returns {Promise<Array>} - Payouts with their provider
+ */
+const getPayouts = async (filters = {}) => {
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.settlementRunId) query.settlementRunId = filters.settlementRunId;
+    if (filters.providerId) query.providerId = filters.providerId;
+    if (filters.providerModel) query.providerModel = filters.providerModel;
+
+    return await Payout.find(query)
+        .populate('providerId', 'name firstName lastName email uid')
+        .populate('settlementRunId', 'uid periodStart periodEnd')
+        .sort({ createdAt: -1 })
+        .lean();
+};
+
+/**
+ * Get a payout with the ledger entries it settles
+ * @param {string} id - Payout ID
+ * @returns {Promise<Object>} - { payout, entries }
+ */
+const getPayoutStatement = async (id) => {
+    const payout = await Payout.findById(id)
+        .populate('providerId', 'name firstName lastName email uid')
+        .populate('settlementRunId', 'uid periodStart periodEnd')
+        .lean();
+    if (!payout) {
+        throw new ApiError('Payout not found', 404);
+    }
+
+    const entries = await LedgerEntry.find({ payoutId: payout._id })
+        .populate('bookingId', 'uid bookingDate serviceName')
+        .sort({ postedAt: 1 })
+        .lean();
+
+    return { payout, entries };
+};
+
+/**
+ * Load a payout and check it is in one of the expected statuses
+ * @private
+ */
+const findPayoutInStatus = async (id, statuses, session = null) => {
+    const payout = await Payout.findById(id).session(session);
+    if (!payout) {
+        throw new ApiError('Payout not found', 404);
+    }
+    if (!statuses.includes(payout.status)) {
+        throw new ApiError(`Payout is ${payout.status}`, 409);
+    }
+    return payout;
+};
+
+/**
+ * Approve a reviewed payout
+ * @param {string} id - Payout ID
+ * @param {string} userId - Admin user ID
+ * @returns {Promise<Object>} - Payout
+ */
+const approvePayout = async (id, userId) => {
+    const payout = await findPayoutInStatus(id, ['pending']);
+
+    payout.status = 'approved';
+    payout.approvedBy = userId;
+    payout.approvedAt = new Date();
+    await payout.save();
+
+    return payout;
+};
+
+/**
+ * Mark an approved payout as paid and post the transfer to the ledger
+ * @param {string} id - Payout ID
+ * @param {string} userId - Admin user ID
+ * @param {Object} [data] - { paymentReference, notes }
+ * @returns {Promise<Object>} - Payout
+ */
+const markPayoutPaid = async (id, userId, data = {}) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const payout = await findPayoutInStatus(id, ['approved'], session);
+
+        payout.status = 'paid';
+        payout.paidBy = userId;
+        payout.paidAt = new Date();
+        payout.paymentReference = data.paymentReference || null;
+        if (data.notes) payout.notes = data.notes;
+        await payout.save({ session });
+
+        await ledgerService.postPayout(payout, { session, userId });
+
+        await session.commitTransaction();
+        return payout;
+    } catch (error) {
+        await session.abortTransaction();
+        logger.error('Mark payout paid error:', error);
+        if (error instanceof ApiError) throw error;
+        throw new Error(`Error marking payout as paid: ${error.message}`);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Cancel a payout that was not paid; its entries go into the next settlement run
+ * @param {string} id - Payout ID
+ * @param {string} userId - Admin user ID
+ * @param {string} [notes] - Why the payout was cancelled
+ * @returns {Promise<Object>} - Payout
+ */
+const cancelPayout = async (id, userId, notes = '') => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const payout = await findPayoutInStatus(id, ['pending', 'approved'], session);
+
+        payout.status = 'cancelled';
+        if (notes) payout.notes = notes;
+        await payout.save({ session });
+
+        await LedgerEntry.updateMany(
+            { payoutId: payout._id },
+            { $set: { payoutId: null } },
+            { session }
+        );
+
+        await session.commitTransaction();
+        logger.info(`Payout ${payout.uid} cancelled by ${userId}`);
+        return payout;
+    } catch (error) {
+        await session.abortTransaction();
+        logger.error('Cancel payout error:', error);
+        if (error instanceof ApiError) throw error;
+        throw new Error(`Error cancelling payout: ${error.message}`);
+    } finally {
+        session.endSession();
+    }
+};
+
+module.exports = {
+    buildStatement,
+    runSettlement,
+    getSettlementRuns,
+    getPayouts,
+    getPayoutStatement,
+    approvePayout,
+    markPayoutPaid,
+    cancelPayout
+};
@@ -210,17 +210,19 @@ class PlatformFeeService {
      */
     async getApplicableFee(booking) {
         try {
-            // Get barber to determine employment type
+            // Get barber to determine employment type; freelancers have their own collection
             const Barber = require('../models/Barber');
+            const Freelancer = require('../models/Freelancer');
             const barber = await Barber.findById(booking.barberId);
+            const freelancer = barber ? null : await Freelancer.findById(booking.barberId);
 
-            if (!barber) {
+            if (!barber && !freelancer) {
                 throw new Error('Barber not found');
             }
 
             // Get country-based platform fees
             const platformFee = await PlatformFee.findOne({
-                countryId: barber.countryId,
+                countryId: (barber || freelancer).countryId || booking.countryId,
                 isActive: true
             });
 
@@ -236,7 +238,7 @@ class PlatformFeeService {
             const { User } = require('../models/User');
             const { EMPLOYMENT_TYPES } = User;
 
-            const isFreelance = barber.employmentType === EMPLOYMENT_TYPES.FREELANCE;
+            const isFreelance = !!freelancer || barber.employmentType === EMPLOYMENT_TYPES.FREELANCE;
 
             return {
                 freelanceBarberFee,
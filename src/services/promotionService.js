@@ -0,0 +1,489 @@
+// src/services/promotionService.js
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const Booking = require('../models/Booking');
+const Shop = require('../models/Shop');
+const { ApiError } = require('../middlewares/errorHandler');
+const bookingLineService = require('./bookingLineService');
+const logger = require('../utils/logger');
+
+const PROMOTION_FIELDS = [
+    'code',
+    'name',
+    'description',
+    'discountType',
+    'value',
+    'maxDiscount',
+    'minBookingAmount',
+    'fundedBy',
+    'firstBookingOnly',
+    'countryIds',
+    'shopIds',
+    'serviceIds',
+    'usageLimit',
+    'usageLimitPerCustomer',
+    'startsAt',
+    'endsAt',
+    'isActive'
+];
+
+// Shop owners cannot change who funds their promotions or where they apply
+const SHOP_PROMOTION_FIELDS = PROMOTION_FIELDS.filter(field => !['fundedBy', 'countryIds', 'shopIds'].includes(field));
+
+// Bookings that do not count as an earlier booking for first-booking offers
+const NOT_BOOKED_STATUSES = ['cancelled', 'rejected'];
+
+/**
+ * Round a money amount to cents
+ * @private
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Normalize a promo code the way it is stored
+ * @private
+ */
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Check whether a scope list is empty or contains an ID
+ * @private
+ */
+const inScope = (ids, id) => !ids || ids.length === 0 || (!!id && ids.some(item => item.toString() === id.toString()));
+
+/**
+ * PromotionService manages promo codes and applies their discounts to bookings
+ */
+class PromotionService {
+    /**
+     * Compute the discount of a promotion on an amount
+     * @param {Object} promotion - Promotion
+     * @param {number} amount - Amount the promotion applies to
+     * @returns {number} - Discount, never more than the amount
+     */
+    calculateDiscount(promotion, amount) {
+        let discount = promotion.discountType === 'percentage'
+            ? amount * promotion.value / 100
+            : promotion.value;
+
+        if (promotion.discountType === 'percentage' && promotion.maxDiscount) {
+            discount = Math.min(discount, promotion.maxDiscount);
+        }
+        return roundAmount(Math.max(Math.min(discount, amount), 0));
+    }
+
+    /**
+     * Get the part of a booking's price a promotion applies to: the lines of
+     * its services, or the whole booking when it is not limited to services
+     * @param {Object} promotion - Promotion
+     * @param {Object} booking - Booking document
+     * @returns {number}
+     */
+    getEligibleAmount(promotion, booking) {
+        const lines = bookingLineService.getServiceLines(booking)
+            .filter(line => inScope(promotion.serviceIds, line.serviceId));
+        return roundAmount(lines.reduce((sum, line) => sum + (line.price || 0), 0));
+    }
+
+    /**
+     * Check a promotion can be used on a booking and compute its discount
+     * @param {Object} promotion - Promotion document
+     * @param {Object} booking - Booking document
+     * @param {Object} [options] - { session, now }
+     * @returns {Promise<number>} - Discount
+     */
+    async checkEligibility(promotion, booking, options = {}) {
+        const session = options.session || null;
+        const now = options.now || new Date();
+
+        if (!promotion || !promotion.isActive) {
+            throw new ApiError('Promo code is not valid', 400);
+        }
+        if (promotion.startsAt && now < promotion.startsAt) {
+            throw new ApiError('Promo code is not active yet', 400);
+        }
+        if (promotion.endsAt && now > promotion.endsAt) {
+            throw new ApiError('Promo code has expired', 400);
+        }
+        if (!inScope(promotion.countryIds, booking.countryId)) {
+            throw new ApiError('Promo code is not valid in your country', 400);
+        }
+        if (!inScope(promotion.shopIds, booking.shopId) ||
+            (promotion.fundedBy === 'shop' && !booking.shopId)) {
+            throw new ApiError('Promo code is not valid for this shop', 400);
+        }
+
+        const eligibleAmount = this.getEligibleAmount(promotion, booking);
+        if (eligibleAmount === 0) {
+            throw new ApiError('Promo code is not valid for these services', 400);
+        }
+        if (eligibleAmount < (promotion.minBookingAmount || 0)) {
+            throw new ApiError(`Promo code needs a booking of at least ${promotion.minBookingAmount}`, 400);
+        }
+
+        if (promotion.firstBookingOnly) {
+            const earlierBooking = await Booking.exists({
+                customerId: booking.customerId,
+                _id: { $ne: booking._id },
+                status: { $nin: NOT_BOOKED_STATUSES }
+            }).session(session);
+            if (earlierBooking) {
+                throw new ApiError('Promo code is only valid on your first booking', 400);
+            }
+        }
+
+        return this.calculateDiscount(promotion, eligibleAmount);
+    }
+
+    /**
+     * Pick which of the customer's allowed uses of a promotion a new
+     * redemption takes: the lowest one not taken. Redemptions are unique per
+     * use, so concurrent bookings cannot both take the last one.
+     * @param {Object} promotion - Promotion document
+     * @param {string} customerId - Customer ID
+     * @param {Object} [options] - { session }
+     * @returns {Promise<number|null>} - Use number, or null for promotions without a per-customer limit
+     */
+    async getNextCustomerUse(promotion, customerId, options = {}) {
+        const limit = promotion.usageLimitPerCustomer;
+        if (!limit) {
+            return null;
+        }
+
+        const redemptions = await PromotionRedemption.find({ promotionId: promotion._id, customerId })
+            .select('customerUse')
+            .session(options.session || null)
+            .lean();
+        if (redemptions.length >= limit) {
+            throw new ApiError('You have already used this promo code', 400);
+        }
+
+        // Redemptions from before use numbers existed count towards the limit without one
+        const taken = new Set(redemptions.map(redemption => redemption.customerUse));
+        let use = 1;
+        while (taken.has(use)) use++;
+        return use;
+    }
+
+    /**
+     * Apply a promo code to an unpaid booking and save it. Applying the code
+     * the booking already has is a no-op.
+     * @param {Object} booking - Booking document
+     * @param {string} code - Promo code
+     * @param {Object} [options] - { session }
+     * @returns {Promise<Object>} - Booking discount { promotionId, code, amount, fundedBy }
+     */
+    async applyToBooking(booking, code, options = {}) {
+        const normalized = normalizeCode(code);
+
+        if (booking.discount && booking.discount.code) {
+            if (booking.discount.code === normalized) {
+                return booking.discount;
+            }
+            throw new ApiError('A promo code is already applied to this booking', 400);
+        }
+        if (booking.paymentStatus === 'paid') {
+            throw new ApiError('Promo codes cannot be applied to paid bookings', 400);
+        }
+
+        return await this.withTransaction(options, async (session) => {
+            const promotion = await Promotion.findOne({ code: normalized }).session(session);
+            const discount = await this.checkEligibility(promotion, booking, { session });
+            const customerUse = await this.getNextCustomerUse(promotion, booking.customerId, { session });
+
+            // Counted atomically so concurrent bookings cannot pass the global limit
+            const counted = await Promotion.findOneAndUpdate(
+                {
+                    _id: promotion._id,
+                    $or: [
+                        { usageLimit: null },
+                        { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+                    ]
+                },
+                { $inc: { usageCount: 1 } },
+                { new: true, session }
+            );
+            if (!counted) {
+                throw new ApiError('Promo code has reached its usage limit', 400);
+            }
+
+            try {
+                await PromotionRedemption.create([{
+                    promotionId: promotion._id,
+                    customerId: booking.customerId,
+                    bookingId: booking._id,
+                    customerUse,
+                    code: promotion.code,
+                    discountAmount: discount,
+                    fundedBy: promotion.fundedBy
+                }], { session });
+            } catch (error) {
+                // Another booking of the customer took the same use first
+                if (error.code === 11000 && error.keyPattern && error.keyPattern.customerUse) {
+                    throw new ApiError('You have already used this promo code', 400);
+                }
+                throw error;
+            }
+
+            booking.discount = {
+                promotionId: promotion._id,
+                code: promotion.code,
+                amount: discount,
+                fundedBy: promotion.fundedBy
+            };
+            await booking.save({ session });
+
+            logger.info(`Promo code ${promotion.code} applied to booking ${booking._id}: ${discount} (${promotion.fundedBy}-funded)`);
+            return booking.discount;
+        });
+    }
+
+    /**
+     * Give back the promo code use of a cancelled or rejected booking, so it
+     * no longer counts towards the promotion's limits. The booking keeps its
+     * discount as a record of the price it was quoted. Releasing twice is a no-op.
+     * @param {Object} booking - Booking document
+     * @param {Object} [options] - { session }
+     * @returns {Promise<boolean>} - Whether a redemption was released
+     */
+    async releaseFromBooking(booking, options = {}) {
+        if (!booking.discount || !booking.discount.promotionId) {
+            return false;
+        }
+
+        return await this.withTransaction(options, async (session) => {
+            const redemption = await PromotionRedemption.findOneAndDelete({ bookingId: booking._id }, { session });
+            if (!redemption) {
+                return false;
+            }
+
+            await Promotion.updateOne(
+                { _id: redemption.promotionId, usageCount: { $gt: 0 } },
+                { $inc: { usageCount: -1 } },
+                { session }
+            );
+
+            logger.info(`Promo code ${redemption.code} released from booking ${booking._id}`);
+            return true;
+        });
+    }
+
+    /**
+     * Get promotions with optional filtering
+     * @param {Object} [filters] - { code, fundedBy, shopId, isActive }
+     * @returns {Promise<Array>} - Promotions
+     */
+    async getPromotions(filters = {}) {
+        const query = {};
+        if (filters.code) query.code = normalizeCode(filters.code);
+        if (filters.fundedBy) query.fundedBy = filters.fundedBy;
+        if (filters.shopId) query.shopIds = filters.shopId;
+        if (filters.isActive !== undefined) query.isActive = String(filters.isActive) === 'true';
+
+        return await Promotion.find(query)
+            .populate('countryIds', 'name code')
+            .populate('shopIds', 'name')
+            .sort({ createdAt: -1 })
+            .lean();
+    }
+
+    /**
+     * Get a promotion
+     * @param {string} id - Promotion ID
+     * @returns {Promise<Object>} - Promotion
+     */
+    async getPromotionById(id) {
+        const promotion = await Promotion.findById(id)
+            .populate('countryIds', 'name code')
+            .populate('shopIds', 'name')
+            .lean();
+        if (!promotion) {
+            throw new ApiError('Promotion not found', 404);
+        }
+        return promotion;
+    }
+
+    /**
+     * Create a promotion
+     * @param {Object} data - Promotion fields
+     * @param {string} userId - User ID of the creator
+     * @returns {Promise<Object>} - Promotion
+     */
+    async createPromotion(data, userId) {
+        const promotion = this.pick(data, PROMOTION_FIELDS);
+        this.validate(promotion);
+
+        try {
+            return await Promotion.create({ ...promotion, createdBy: userId });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new ApiError(`Promo code ${normalizeCode(data.code)} already exists`, 409);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Update a promotion
+     * @param {string} id - Promotion ID
+     * @param {Object} data - Promotion fields
+     * @returns {Promise<Object>} - Promotion
+     */
+    async updatePromotion(id, data) {
+        const promotion = await Promotion.findById(id);
+        if (!promotion) {
+            throw new ApiError('Promotion not found', 404);
+        }
+
+        return await this.savePromotion(promotion, this.pick(data, PROMOTION_FIELDS));
+    }
+
+    /**
+     * Delete a promotion. Redeemed promotions are deactivated instead so
+     * their bookings keep a reference to them.
+     * @param {string} id - Promotion ID
+     * @returns {Promise<boolean>} - Success status
+     */
+    async deletePromotion(id) {
+        const promotion = await Promotion.findById(id);
+        if (!promotion) {
+            return false;
+        }
+
+        if (promotion.usageCount > 0) {
+            promotion.isActive = false;
+            await promotion.save();
+        } else {
+            await promotion.deleteOne();
+        }
+        return true;
+    }
+
+    /**
+     * Get the promotions of a shop owner's shop
+     * @param {string} ownerId - Shop owner user ID
+     * @returns {Promise<Array>} - Promotions
+     */
+    async getShopPromotions(ownerId) {
+        const shop = await this.getOwnerShop(ownerId);
+        return await Promotion.find({ shopIds: shop._id, fundedBy: 'shop' }).sort({ createdAt: -1 }).lean();
+    }
+
+    /**
+     * Create a promotion funded by a shop owner's shop
+     * @param {string} ownerId - Shop owner user ID
+     * @param {Object} data - Promotion fields
+     * @returns {Promise<Object>} - Promotion
+     */
+    async createShopPromotion(ownerId, data) {
+        const shop = await this.getOwnerShop(ownerId);
+
+        return await this.createPromotion({
+            ...this.pick(data, SHOP_PROMOTION_FIELDS),
+            fundedBy: 'shop',
+            shopIds: [shop._id],
+            countryIds: shop.countryId ? [shop.countryId] : []
+        }, ownerId);
+    }
+
+    /**
+     * Update a promotion of a shop owner's shop
+     * @param {string} ownerId - Shop owner user ID
+     * @param {string} id - Promotion ID
+     * @param {Object} data - Promotion fields
+     * @returns {Promise<Object>} - Promotion
+     */
+    async updateShopPromotion(ownerId, id, data) {
+        const shop = await this.getOwnerShop(ownerId);
+        const promotion = await Promotion.findOne({ _id: id, shopIds: shop._id, fundedBy: 'shop' });
+        if (!promotion) {
+            throw new ApiError('Promotion not found', 404);
+        }
+
+        return await this.savePromotion(promotion, this.pick(data, SHOP_PROMOTION_FIELDS));
+    }
+
+    /**
+     * Apply changes to a promotion, check it and save it
+     * @private
+     */
+    async savePromotion(promotion, changes) {
+        promotion.set(changes);
+        this.validate(promotion);
+
+        try {
+            return await promotion.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new ApiError(`Promo code ${promotion.code} already exists`, 409);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Reject promotions that could never apply
+     * @private
+     */
+    validate(promotion) {
+        if (promotion.discountType === 'percentage' && promotion.value > 100) {
+            throw new ApiError('A percentage discount cannot exceed 100', 400);
+        }
+        if (promotion.startsAt && promotion.endsAt && promotion.endsAt <= promotion.startsAt) {
+            throw new ApiError('Promotion must end after it starts', 400);
+        }
+        if (promotion.fundedBy === 'shop' && (!promotion.shopIds || promotion.shopIds.length === 0)) {
+            throw new ApiError('Shop-funded promotions must be limited to the shops that fund them', 400);
+        }
+    }
+
+    /**
+     * Copy the allowed fields of a request body
+     * @private
+     */
+    pick(data, fields) {
+        const picked = {};
+        fields.forEach((field) => {
+            if (data[field] !== undefined) picked[field] = data[field];
+        });
+        return picked;
+    }
+
+    /**
+     * Find the shop of a shop owner
+     * @private
+     */
+    async getOwnerShop(ownerId) {
+        const shop = await Shop.findOne({ ownerId }).select('_id countryId').lean();
+        if (!shop) {
+            throw new ApiError('Shop not found', 404);
+        }
+        return shop;
+    }
+
+    /**
+     * Run a function in the caller's session, or in a transaction of its own
+     * @private
+     */
+    async withTransaction(options, fn) {
+        if (options.session) {
+            return await fn(options.session);
+        }
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+            const result = await fn(session);
+            await session.commitTransaction();
+            return result;
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    }
+}
+
+module.exports = new PromotionService();
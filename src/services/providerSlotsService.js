@@ -2,17 +2,22 @@ const Barber = require('../models/Barber');
 const Freelancer = require('../models/Freelancer');
 const Shop = require('../models/Shop');
 const Booking = require('../models/Booking');
-const Service = require('../models/Service');
 const moment = require('moment');
 const { ApiError } = require('../middlewares/errorHandler');
+const timeZoneService = require('./timeZoneService');
+const blockedPeriodService = require('./blockedPeriodService');
+const bookingLineService = require('./bookingLineService');
+const timeZone = require('../utils/timeZone');
+const slotRules = require('../utils/slotRules');
 
 /**
- * Get available time slots for a barber/freelancer on a given date
+ * Get available time slots for a barber/freelancer on a given date.
+ * Slots are computed in the provider's local time.
  * @param {string} providerId - Provider ID
  * @param {string} providerType - Type of provider ('barber' or 'freelancer')
- * @param {Date} date - Date to check availability for
- * @param {string} serviceId - Service ID for getting duration
- * @returns {Promise<Array>} - List of available time slots
+ * @param {Date|string} date - Calendar date in the provider's time zone
+ * @param {string|Array<string>} serviceId - Service ID, or the ordered IDs of a multi-service appointment
+ * @returns {Promise<Array>} - List of slots { hour, minute, time, timeZone, local, utc }
  */
 const getProviderTimeSlots = async (providerId, providerType, date, serviceId) => {
     try {
@@ -28,14 +33,11 @@ const getProviderTimeSlots = async (providerId, providerType, date, serviceId) =
             throw new ApiError('Provider not found', 404);
         }
 
-        // Get service for duration
-        const service = await Service.findById(serviceId);
-        if (!service) {
-            throw new ApiError('Service not found', 404);
-        }
-
-        const serviceDuration = service.duration || 30;
-        const dayOfWeek = moment(date).format('dddd').toLowerCase();
+        // Get services for the combined duration
+        const lines = bookingLineService.buildLines(await bookingLineService.loadServices(serviceId), providerId);
+        const serviceDuration = lines.duration;
+        const providerTimeZone = await timeZoneService.resolveTimeZone({ shop: provider.shopId, provider });
+        const dayOfWeek = timeZone.getDayOfWeek(date);
 
         // Support both array and object schedule formats
         let scheduleForDay = null;
@@ -58,32 +60,37 @@ const getProviderTimeSlots = async (providerId, providerType, date, serviceId) =
         const endMinutes = toHour * 60 + toMinute;
 
         // Get all bookings for this provider on the selected date
-        const startOfDay = new Date(date);
-        startOfDay.setHours(0, 0, 0, 0);
-        const endOfDay = new Date(date);
-        endOfDay.setHours(23, 59, 59, 999);
+        const day = timeZone.getDayRange(date);
 
         const bookings = await Booking.find({
             [`${providerType}Id`]: providerId,
-            bookingDate: { $gte: startOfDay, $lte: endOfDay },
+            bookingDate: { $gte: day.start, $lte: day.end },
             status: { $in: ['pending', 'confirmed'] }
         });
 
+        // Time off, shop closures, public holidays, daily breaks and lead time
+        const rules = await blockedPeriodService.getProviderRules(providerId, date, {
+            provider,
+            timeZone: providerTimeZone
+        });
+        bookings.push(...rules.blocked);
+
+        const buffers = { bufferBefore: lines.bufferBefore, bufferAfter: lines.bufferAfter };
+
         const slots = [];
         for (let m = startMinutes; m + serviceDuration <= endMinutes; m += 30) {
-            const slotHour = Math.floor(m / 60);
-            const slotMinute = m % 60;
-            const slotEndMinutes = m + serviceDuration;
+            const requested = {
+                bookingTime: { hour: Math.floor(m / 60), minute: m % 60 },
+                duration: serviceDuration,
+                ...buffers
+            };
 
-            // Check for conflicts
-            const conflict = bookings.some(b => {
-                const bookingStart = b.bookingTime.hour * 60 + b.bookingTime.minute;
-                const bookingEnd = bookingStart + b.duration;
-                return m < bookingEnd && slotEndMinutes > bookingStart;
-            });
+            // Check for conflicts, buffers included
+            const conflict = slotRules.startsTooSoon(date, requested.bookingTime, providerTimeZone, rules.leadTimeMinutes)
+                || slotRules.overlapsAny(requested, bookings);
 
             if (!conflict) {
-                slots.push(`${slotHour.toString().padStart(2, '0')}:${slotMinute.toString().padStart(2, '0')}`);
+                slots.push(timeZone.buildSlot(date, m, providerTimeZone));
             }
         }
 
@@ -95,44 +102,54 @@ const getProviderTimeSlots = async (providerId, providerType, date, serviceId) =
 };
 
 /**
- * Get available slots for all providers (barbers, freelancers, shops) for a given service
+ * Get available slots for all providers (barbers, freelancers, shops) for a given service.
+ * Days start from today in each provider's time zone.
  * @param {Array} providers - List of providers
  * @param {string} serviceId - Service ID
- * @returns {Promise<Object>} - Map of provider IDs to their available slots and field names for next 7 days
+ * @returns {Promise<Object>} - Map of provider IDs to their time zone, local slots ("HH:MM") and UTC slots for next 7 days
  */
 const getProvidersAvailableSlots = async (providers, serviceId) => {
     try {
         const result = {};
         const days = 7;
-        const today = new Date();
 
         for (const provider of providers) {
             const slots = {};
+            const utcSlots = {};
             const fieldName = 'availableSlots';
+            const providerTimeZone = provider.providerType === 'shop'
+                ? await timeZoneService.resolveTimeZone({ shop: provider._id })
+                : await timeZoneService.resolveTimeZone({ shop: provider.shopId, provider });
+            const today = timeZone.today(providerTimeZone);
 
             // Get slots for next 7 days
             for (let i = 0; i < days; i++) {
-                const date = moment(today).add(i, 'days').toDate();
-                const dateString = moment(date).format('YYYY-MM-DD');
+                const dateString = moment.utc(today).add(i, 'days').format('YYYY-MM-DD');
 
+                let daySlots;
                 if (provider.providerType === 'shop') {
                     // For shops, use the shop slots service
                     const shopSlotService = require('./bookingService.shopSlots');
-                    slots[dateString] = await shopSlotService.getAvailableShopTimeSlots(provider._id, date, serviceId);
+                    daySlots = await shopSlotService.getAvailableShopTimeSlots(provider._id, dateString, serviceId);
                 } else {
                     // For barbers and freelancers
-                    slots[dateString] = await getProviderTimeSlots(
+                    daySlots = await getProviderTimeSlots(
                         provider._id,
                         provider.providerType,
-                        date,
+                        dateString,
                         serviceId
                     );
                 }
+
+                slots[dateString] = daySlots.map(slot => slot.time);
+                utcSlots[dateString] = daySlots.map(slot => slot.utc);
             }
 
             result[provider._id.toString()] = {
                 fieldName,
-                slots
+                timeZone: providerTimeZone,
+                slots,
+                utcSlots
             };
         }
 
@@ -141,7 +158,9 @@ const getProvidersAvailableSlots = async (providers, serviceId) => {
         if (error instanceof ApiError) throw error;
         throw new Error(`Error getting providers available slots: ${error.message}`);
     }
-};module.exports = {
+};
+
+module.exports = {
     getProviderTimeSlots,
     getProvidersAvailableSlots
 };
@@ -0,0 +1,278 @@
+// src/services/sessionService.js
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const identityService = require('./identityService');
+
+// Access tokens are short-lived; the refresh token renews them
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.JWT_ACCESS_EXPIRES_IN) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+let devSecret = null;
+
+/**
+ * Get the secret tokens are signed with. Without JWT_SECRET tokens are signed
+ * with a random secret outside production, so they do not survive a restart.
+ * @returns {string} - Secret
+ */
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new ApiError('JWT_SECRET is not configured', 500);
+  }
+  if (!devSecret) {
+    devSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('JWT_SECRET is not set; using a random secret until the server restarts');
+  }
+  return devSecret;
+};
+
+/**
+ * Hash a refresh token for storage
+ * @private
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign an access token for a session
+ * @param {Object} session - Session document
+ * @returns {string} - JWT
+ */
+const generateAccessToken = (session) => {
+  return jwt.sign(
+    { id: session.userId, role: session.role, sid: session._id },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+};
+
+/**
+ * Verify an access token
+ * @param {string} token - JWT
+ * @returns {Object} - Decoded payload { id, role, sid }
+ */
+const verifyAccessToken = (token) => {
+  return jwt.verify(token, getJwtSecret());
+};
+
+/**
+ * Make a new refresh token and the session fields that go with it
+ * @private
+ * @returns {Object} - { refreshToken, fields }
+ */
+const newRefreshToken = () => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  return {
+    refreshToken,
+    fields: {
+      refreshTokenHash: hashToken(refreshToken),
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }
+  };
+};
+
+/**
+ * Build the tokens returned to the client
+ * @private
+ */
+const toTokens = (session, refreshToken) => ({
+  accessToken: generateAccessToken(session),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  session
+});
+
+/**
+ * Start a session for a user who logged in. A session the device already
+ * had is replaced.
+ * @param {Object} user - User document
+ * @param {string} role - Role name
+ * @param {Object} [device] - { deviceId, deviceName, userAgent, ipAddress }
+ * @param {Object} [options] - { twoFactorVerified } - whether the user passed two-factor authentication
+ * @returns {Promise<Object>} - { accessToken, refreshToken, expiresIn, session }
+ */
+const createSession = async (user, role, device = {}, options = {}) => {
+  if (device.deviceId) {
+    await Session.updateMany(
+      { userId: user._id, deviceId: device.deviceId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'replaced' } }
+    );
+  }
+
+  const { refreshToken, fields } = newRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    userModel: user.constructor.modelName,
+    role,
+    deviceId: device.deviceId || null,
+    deviceName: device.deviceName || '',
+    userAgent: device.userAgent || '',
+    ipAddress: device.ipAddress || '',
+    twoFactorVerifiedAt: options.twoFactorVerified ? new Date() : null,
+    ...fields
+  });
+
+  return toTokens(session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new access and refresh token. A refresh
+ * token that was already exchanged revokes its session, as it must have
+ * been copied.
+ * @param {string} refreshToken - Refresh token
+ * @param {Object} [device] - { userAgent, ipAddress }
+ * @returns {Promise<Object>} - { accessToken, refreshToken, expiresIn, session }
+ */
+const refreshSession = async (refreshToken, device = {}) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { previousRefreshTokenHash: tokenHash, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'reuse' } }
+    );
+    if (reused) {
+      logger.warn(`Refresh token reused for session ${reused._id} of user ${reused.userId}; session revoked`);
+    }
+    throw new ApiError('Invalid refresh token', 401);
+  }
+
+  if (session.revokedAt || session.expiresAt <= new Date()) {
+    throw new ApiError('Session has expired. Please login again.', 401);
+  }
+
+  const found = await identityService.findUserForRole(session.userId, session.role);
+  if (!found || !found.user.isActive) {
+    await revokeSession(session.userId, session._id, { reason: 'deactivated' });
+    throw new ApiError('Your account has been deactivated', 403);
+  }
+
+  // Only one of two concurrent refreshes with the same token wins
+  const { refreshToken: nextToken, fields } = newRefreshToken();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        ...fields,
+        previousRefreshTokenHash: tokenHash,
+        ...(device.userAgent && { userAgent: device.userAgent }),
+        ...(device.ipAddress && { ipAddress: device.ipAddress })
+      }
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    throw new ApiError('Invalid refresh token', 401);
+  }
+
+  return toTokens(rotated, nextToken);
+};
+
+/**
+ * Get a session if it is still active
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} - Session or null
+ */
+const getActiveSession = async (sessionId) => {
+  return await Session.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Record that the user of a session passed two-factor authentication, and
+ * re-authenticated in doing so
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} - Session
+ */
+const markTwoFactorVerified = async (sessionId) => {
+  const now = new Date();
+  return await Session.findByIdAndUpdate(sessionId, { $set: { twoFactorVerifiedAt: now, stepUpAt: now } }, { new: true });
+};
+
+/**
+ * Record that the user of a session re-authenticated for sensitive actions
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} - Session
+ */
+const markSteppedUp = async (sessionId) => {
+  return await Session.findByIdAndUpdate(sessionId, { $set: { stepUpAt: new Date() } }, { new: true });
+};
+
+/**
+ * List the active sessions of a user, most recently used first
+ * @param {string} userId - User ID
+ * @param {string} [currentSessionId] - Session of the request, flagged as current
+ * @returns {Promise<Array>} - Sessions
+ */
+const listSessions = async (userId, currentSessionId = null) => {
+  const sessions = await Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  return sessions.map(session => ({
+    ...session,
+    current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+  }));
+};
+
+/**
+ * Revoke one session of a user
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {Object} [options] - { reason, revokedBy }
+ * @returns {Promise<Object>} - Revoked session
+ */
+const revokeSession = async (userId, sessionId, options = {}) => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: options.reason || 'user', revokedBy: options.revokedBy || null } },
+    { new: true }
+  );
+
+  if (!session) {
+    throw new ApiError('Session not found', 404);
+  }
+
+  return session;
+};
+
+/**
+ * Revoke all sessions of a user, except one if given
+ * @param {string} userId - User ID
+ * @param {Object} [options] - { reason, revokedBy, exceptSessionId }
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, options = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (options.exceptSessionId) {
+    filter._id = { $ne: options.exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: options.reason || 'user', revokedBy: options.revokedBy || null }
+  });
+
+  logger.info(`Revoked ${result.modifiedCount} sessions of user ${userId} (${options.reason || 'user'})`);
+  return result.modifiedCount;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  getJwtSecret,
+  generateAccessToken,
+  verifyAccessToken,
+  createSession,
+  refreshSession,
+  getActiveSession,
+  markTwoFactorVerified,
+  markSteppedUp,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
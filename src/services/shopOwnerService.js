@@ -5,6 +5,8 @@ const Shop = require('../models/Shop');
 const logger = require('../utils/logger');
 const fileUploadService = require('./fileUploadService');
 const Booking = require('../models/Booking');
+const bookingStateMachine = require('./bookingStateMachine');
+const promotionService = require('./promotionService');
 const mongoose = require('mongoose');
 
 /**
@@ -506,9 +508,10 @@ class ShopOwnerService {
    * Assign a booking to a barber/freelancer
    * @param {string} bookingId - Booking ID
    * @param {string} barberId - Barber/Freelancer ID
+   * @param {string} shopOwnerId - Shop owner making the assignment
    * @returns {Promise<Object>} - Updated booking
    */
-  async assignBookingToBarber(bookingId, barberId) {
+  async assignBookingToBarber(bookingId, barberId, shopOwnerId) {
     try {
       const booking = await Booking.findById(bookingId);
       if (!booking) {
@@ -523,7 +526,10 @@ class ShopOwnerService {
         throw new Error('Cannot assign to a different barber than selected by the customer');
       }
       booking.barberId = barberId;
-      booking.status = 'assigned';
+      bookingStateMachine.transition(booking, 'assigned', {
+        actor: { id: shopOwnerId, role: 'shop_owner' },
+        reason: 'Assigned by shop owner'
+      });
       await booking.save();
       return booking;
     } catch (error) {
@@ -563,7 +569,10 @@ class ShopOwnerService {
 
       // Reassign to new barber
       booking.barberId = newBarberId;
-      booking.status = 'assigned';
+      bookingStateMachine.transition(booking, 'assigned', {
+        actor: { id: shopOwnerId, role: 'shop_owner' },
+        reason: 'Reassigned by shop owner'
+      });
       await booking.save();
 
       return booking;
@@ -602,7 +611,10 @@ class ShopOwnerService {
       }
 
       // Accept the booking
-      booking.status = 'accepted';
+      bookingStateMachine.transition(booking, 'confirmed', {
+        actor: { id: shopOwnerId, role: 'shop_owner' },
+        reason: 'Accepted by shop owner'
+      });
       await booking.save();
 
       return booking;
@@ -641,7 +653,11 @@ class ShopOwnerService {
       }
 
       // Reject the booking
-      booking.status = 'shop_owner_rejected';
+      bookingStateMachine.transition(booking, 'rejected', {
+        actor: { id: shopOwnerId, role: 'shop_owner' },
+        reason: 'Rejected by shop owner'
+      });
+      await promotionService.releaseFromBooking(booking);
       await booking.save();
 
       return booking;
@@ -0,0 +1,102 @@
+// src/services/slotReservationService.js
+const SlotLock = require('../models/SlotLock');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+const { toCalendarDate } = require('../utils/timeZone');
+
+const MAX_ATTEMPTS = 5;
+const WRITE_CONFLICT_CODE = 112;
+const DUPLICATE_KEY_CODE = 11000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * List the lock scopes a booking of a provider competes for.
+ * Shop owner availability covers every booking of the shop, so bookings of
+ * a shop's barbers also take the shop scope.
+ * @param {Object} provider - { providerId, providerType, shopId }
+ * @returns {Array<string>} - Lock scopes
+ */
+const getScopes = ({ providerId, providerType, shopId }) => {
+  if (providerType === 'shop_owner') {
+    return shopId ? [`shop:${shopId}`] : [`provider:${providerId}`];
+  }
+
+  const scopes = [`provider:${providerId}`];
+  if (shopId) {
+    scopes.push(`shop:${shopId}`);
+  }
+  return scopes;
+};
+
+/**
+ * Take the day locks of the given scopes inside a transaction.
+ * Must be called before the availability check of the same transaction.
+ * @param {Array<string>} scopes - Lock scopes from getScopes
+ * @param {Date|string|Array<Date|string>} date - Booking date, or both days of a booking being moved
+ * @param {Object} session - Mongoose session with an active transaction
+ * @returns {Promise<void>}
+ */
+const reserve = async (scopes, date, session) => {
+  const dayKeys = [].concat(date).map(toCalendarDate);
+  const keys = [];
+  scopes.forEach(scope => dayKeys.forEach(dayKey => keys.push(`${scope}:${dayKey}`)));
+
+  // Sorted so that concurrent transactions always lock in the same order
+  for (const key of [...new Set(keys)].sort()) {
+    await SlotLock.findOneAndUpdate(
+      { key },
+      { $inc: { version: 1 }, $set: { lastReservedAt: new Date() } },
+      { upsert: true, new: true, session }
+    );
+  }
+};
+
+/**
+ * Check whether an error means another transaction holds the same lock
+ * @param {Error} error - Error thrown inside a reservation transaction
+ * @returns {boolean}
+ */
+const isConflict = (error) => {
+  if (!error) return false;
+  if (typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError')) {
+    return true;
+  }
+  if (error.code === WRITE_CONFLICT_CODE) {
+    return true;
+  }
+  // Two transactions creating the same lock document at once
+  return error.code === DUPLICATE_KEY_CODE && !!error.keyPattern && !!error.keyPattern.key;
+};
+
+/**
+ * Run a reservation transaction, retrying it when it lost a lock to a
+ * concurrent booking. The retry re-runs the availability check, so the
+ * losing request either gets another free slot or a "not available" error.
+ * @param {Function} fn - Async function running one full transaction
+ * @returns {Promise<*>} - Result of fn
+ */
+const withRetry = async (fn) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (!isConflict(error)) {
+        throw error;
+      }
+      if (attempt >= MAX_ATTEMPTS) {
+        logger.warn(`Slot reservation gave up after ${attempt} conflicting attempts`);
+        throw new ApiError('Selected time slot is being booked by someone else. Please try again.', 409);
+      }
+      logger.debug(`Slot reservation conflict, retrying (attempt ${attempt + 1}/${MAX_ATTEMPTS})`);
+      await sleep(Math.floor(Math.random() * 50 * attempt));
+    }
+  }
+};
+
+module.exports = {
+  getScopes,
+  reserve,
+  isConflict,
+  withRetry
+};
@@ -0,0 +1,44 @@
+// src/services/smsProviders/fakeProvider.js
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+/**
+ * Local SMS provider for tests and development. Messages are kept in an
+ * in-memory outbox instead of being sent.
+ */
+class FakeProvider {
+    constructor() {
+        this.name = 'fake';
+        this.outbox = [];
+    }
+
+    /**
+     * Send a text message
+     * @param {Object} message - { to, body }
+     * @returns {Promise<Object>} - { id }
+     */
+    async sendSms({ to, body }) {
+        const id = `fake_sms_${crypto.randomBytes(8).toString('hex')}`;
+        this.outbox.push({ id, to, body, sentAt: new Date() });
+        logger.info(`Fake SMS ${id} queued for ${to}`);
+        return { id };
+    }
+
+    /**
+     * Get the last message sent to a number
+     * @param {string} to - Phone number
+     * @returns {Object|null} - { id, to, body, sentAt }
+     */
+    lastMessageTo(to) {
+        return [...this.outbox].reverse().find(message => message.to === to) || null;
+    }
+
+    /**
+     * Empty the outbox
+     */
+    clear() {
+        this.outbox = [];
+    }
+}
+
+module.exports = new FakeProvider();
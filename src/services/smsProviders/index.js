@@ -0,0 +1,37 @@
+// src/services/smsProviders/index.js
+/**
+ * SMS provider registry. Every provider implements:
+ *   name                    - Provider name
+ *   sendSms({ to, body })   - Send a text message; resolves to { id }
+ * SMS_PROVIDER chooses the provider, fake by default outside production.
+ */
+const { ApiError } = require('../../middlewares/errorHandler');
+const twilioProvider = require('./twilioProvider');
+const fakeProvider = require('./fakeProvider');
+
+const PROVIDERS = {
+    twilio: twilioProvider,
+    fake: fakeProvider
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Get a provider by name, or the configured default. The fake provider is
+ * not available in production.
+ * @param {string} [name] - Provider name
+ * @returns {Object} - Provider
+ */
+const getProvider = (name) => {
+    const isProduction = process.env.NODE_ENV === 'production';
+    const providerName = name || process.env.SMS_PROVIDER || (isProduction ? 'twilio' : 'fake');
+    if (!PROVIDERS[providerName] || (providerName === 'fake' && isProduction)) {
+        throw new ApiError(`SMS provider ${providerName} is not available`, 500);
+    }
+    return PROVIDERS[providerName];
+};
+
+module.exports = {
+    PROVIDER_NAMES,
+    getProvider
+};
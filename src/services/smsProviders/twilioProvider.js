@@ -0,0 +1,47 @@
+// src/services/smsProviders/twilioProvider.js
+const axios = require('axios');
+const { ApiError } = require('../../middlewares/errorHandler');
+
+/**
+ * Sends text messages through the Twilio REST API
+ *
+ * Required environment variables:
+ * - TWILIO_ACCOUNT_SID: Account SID
+ * - TWILIO_AUTH_TOKEN: Auth token
+ * - TWILIO_FROM_NUMBER: Sender phone number in E.164 format
+ */
+class TwilioProvider {
+    constructor() {
+        this.name = 'twilio';
+    }
+
+    /**
+     * Send a text message
+     * @param {Object} message - { to, body }
+     * @returns {Promise<Object>} - { id }
+     */
+    async sendSms({ to, body }) {
+        const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER } = process.env;
+        if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM_NUMBER) {
+            throw new ApiError('Twilio is not configured', 500);
+        }
+
+        try {
+            const response = await axios.post(
+                `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`,
+                new URLSearchParams({ To: to, From: TWILIO_FROM_NUMBER, Body: body }).toString(),
+                {
+                    auth: { username: TWILIO_ACCOUNT_SID, password: TWILIO_AUTH_TOKEN },
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    timeout: 15000
+                }
+            );
+            return { id: response.data.sid };
+        } catch (error) {
+            const reason = (error.response && error.response.data && error.response.data.message) || error.message;
+            throw new ApiError(`SMS could not be sent: ${reason}`, 502);
+        }
+    }
+}
+
+module.exports = new TwilioProvider();
@@ -0,0 +1,157 @@
+// src/services/socialAuthService.js
+const crypto = require('crypto');
+const Customer = require('../models/Customer');
+const Barber = require('../models/Barber');
+const Freelancer = require('../models/Freelancer');
+const ShopOwner = require('../models/ShopOwner');
+const Admin = require('../models/Admin');
+const Role = require('../models/Role');
+const { User } = require('../models/User');
+const firebaseTokenVerifier = require('./firebaseTokenVerifier');
+const sessionService = require('./sessionService');
+const identityService = require('./identityService');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+// Collections of accounts that must keep signing in with their password
+const NON_CUSTOMER_MODELS = [Barber, Freelancer, ShopOwner, User, Admin];
+
+/**
+ * Split a display name into first and last name
+ * @private
+ */
+const splitName = (name) => {
+  const parts = (name || '').trim().split(/\s+/).filter(Boolean);
+  return {
+    firstName: parts[0] || '',
+    lastName: parts.slice(1).join(' ')
+  };
+};
+
+/**
+ * Check no provider or staff account uses the email
+ * @private
+ */
+const checkEmailNotTakenByStaff = async (email) => {
+  for (const Model of NON_CUSTOMER_MODELS) {
+    if (await Model.exists({ email })) {
+      throw new ApiError('This email belongs to a business or staff account. Please sign in with your password.', 409);
+    }
+  }
+};
+
+/**
+ * Link a social account to an existing customer with the same email. A
+ * customer who never verified their email may have been registered by
+ * someone else, so their password and sessions are discarded.
+ * @private
+ */
+const linkToCustomer = async (customer, identity) => {
+  const existingLink = customer.socialAccounts.find(account => account.provider === identity.provider);
+  if (existingLink && existingLink.uid !== identity.uid) {
+    throw new ApiError(`A different ${identity.provider} account is already linked to this customer`, 409);
+  }
+
+  const takenOver = !customer.emailVerified;
+  if (takenOver) {
+    customer.password = crypto.randomBytes(32).toString('hex');
+    customer.emailVerified = true;
+  }
+
+  customer.socialAccounts.push({ provider: identity.provider, uid: identity.uid, email: identity.email });
+  await customer.save();
+
+  if (takenOver) {
+    for (const userId of await identityService.syncPassword(customer)) {
+      await sessionService.revokeAllSessions(userId, { reason: 'password_change' });
+    }
+    logger.warn(`Unverified customer ${customer._id} taken over by verified ${identity.provider} sign-in; password reset`);
+  }
+
+  logger.info(`Linked ${identity.provider} account ${identity.uid} to customer ${customer._id}`);
+  return customer;
+};
+
+/**
+ * Create a customer for a social account
+ * @private
+ */
+const createCustomer = async (identity, details) => {
+  const phoneNumber = details.phoneNumber || identity.phoneNumber;
+  if (!phoneNumber) {
+    throw new ApiError('Phone number is required to create your account', 400, [{ code: 'PHONE_NUMBER_REQUIRED' }]);
+  }
+
+  const name = splitName(identity.name);
+  const customerRole = await Role.findOne({ name: { $regex: new RegExp('^\\s*customer\\s*$', 'i') } });
+
+  const customer = await Customer.create({
+    email: identity.email,
+    // Never shown to anyone; the customer can set a password with forgot-password
+    password: crypto.randomBytes(32).toString('hex'),
+    firstName: details.firstName || name.firstName || identity.email.split('@')[0],
+    lastName: details.lastName || name.lastName || '-',
+    phoneNumber,
+    role: 'customer',
+    roleId: customerRole ? customerRole._id : null,
+    emailVerified: true,
+    isActive: true,
+    socialAccounts: [{ provider: identity.provider, uid: identity.uid, email: identity.email }]
+  });
+
+  logger.info(`Created customer ${customer._id} from ${identity.provider} account ${identity.uid}`);
+  return customer;
+};
+
+/**
+ * Find or create the customer a Firebase ID token belongs to. A known
+ * social account signs in its customer; otherwise the account is linked to
+ * the customer with the same verified email, or a new customer is created.
+ * @param {string} idToken - Firebase ID token from Google or Apple sign-in
+ * @param {Object} [details] - { phoneNumber, firstName, lastName } for new customers
+ * @returns {Promise<Object>} - { customer, isNewUser }
+ */
+const authenticate = async (idToken, details = {}) => {
+  const identity = await firebaseTokenVerifier.verifyIdToken(idToken);
+
+  if (!identity.provider) {
+    throw new ApiError('Only Google and Apple sign-in are supported', 400);
+  }
+
+  const linked = await Customer.findOne({ 'socialAccounts.uid': identity.uid });
+  if (linked) {
+    if (!linked.isActive) {
+      throw new ApiError('Your account has been deactivated', 403);
+    }
+    return { customer: linked, isNewUser: false };
+  }
+
+  // Only an email the provider verified proves the account is the customer's
+  if (!identity.email || !identity.emailVerified) {
+    throw new ApiError('Your Google or Apple account has no verified email address', 400);
+  }
+
+  await checkEmailNotTakenByStaff(identity.email);
+
+  const customer = await Customer.findOne({ email: identity.email });
+  if (customer) {
+    if (!customer.isActive) {
+      throw new ApiError('Your account has been deactivated', 403);
+    }
+    return { customer: await linkToCustomer(customer, identity), isNewUser: false };
+  }
+
+  try {
+    return { customer: await createCustomer(identity, details), isNewUser: true };
+  } catch (error) {
+    // Another request for the same account or email created the customer first
+    if (error.code === 11000) {
+      throw new ApiError('Sign-in is already in progress for this account. Please try again.', 409);
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  authenticate
+};
@@ -0,0 +1,194 @@
+// src/services/stripeWebhookService.js
+const WebhookEvent = require('../models/WebhookEvent');
+const { ApiError } = require('../middlewares/errorHandler');
+const paymentService = require('./paymentService');
+const paymentGateways = require('./paymentGateways');
+const logger = require('../utils/logger');
+
+// Events that can be picked up for processing
+const CLAIMABLE_STATUSES = ['received', 'failed'];
+
+// An event still processing after this long is taken to have crashed mid-way
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+/**
+ * Verify the signature of a webhook request and parse its event
+ * @param {Buffer|string} rawBody - Request body exactly as Stripe sent it
+ * @param {string} signature - Stripe-Signature header
+ * @returns {Object} - Stripe event
+ */
+const constructEvent = (rawBody, signature) => {
+    return paymentGateways.getGateway('stripe').parseWebhook(rawBody, signature);
+};
+
+/**
+ * Process a stored event if no other request is processing or has processed it
+ * @param {Object} stored - Webhook event document
+ * @param {Object} [options] - { replayedBy }
+ * @returns {Promise<Object>} - { event, duplicate }
+ */
+const processEvent = async (stored, options = {}) => {
+    const update = {
+        $set: { status: 'processing', lastAttemptAt: new Date() },
+        $inc: { attempts: 1 }
+    };
+    if (options.replayedBy) {
+        update.$set.replayedBy = options.replayedBy;
+    }
+
+    const claimed = await WebhookEvent.findOneAndUpdate(
+        { _id: stored._id, status: { $in: CLAIMABLE_STATUSES } },
+        update,
+        { new: true }
+    );
+    if (!claimed) {
+        return { event: stored, duplicate: true };
+    }
+
+    try {
+        const handled = await paymentService.handleStripeWebhook(claimed.payload);
+        claimed.status = handled ? 'processed' : 'ignored';
+        claimed.processedAt = new Date();
+        claimed.lastError = null;
+    } catch (error) {
+        claimed.status = 'failed';
+        claimed.lastError = error.message;
+        logger.error(`Stripe event ${claimed.eventId} (${claimed.type}) failed: ${error.message}`);
+    }
+
+    await claimed.save();
+    return { event: claimed, duplicate: false };
+};
+
+/**
+ * Store a verified event once and process it. Redeliveries of an event that
+ * was processed are acknowledged without running it again; redeliveries of a
+ * failed event retry it.
+ * @param {Object} event - Verified Stripe event
+ * @returns {Promise<Object>} - { event, duplicate }
+ */
+const receiveEvent = async (event) => {
+    const filter = { provider: 'stripe', eventId: event.id };
+    let stored;
+
+    try {
+        stored = await WebhookEvent.findOneAndUpdate(
+            filter,
+            {
+                $setOnInsert: {
+                    type: event.type,
+                    livemode: !!event.livemode,
+                    payload: event,
+                    receivedAt: new Date()
+                }
+            },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        // Inserted concurrently by a redelivery
+        if (error.code !== 11000) throw error;
+        stored = await WebhookEvent.findOne(filter);
+    }
+
+    return await processEvent(stored);
+};
+
+/**
+ * Verify, store and process a webhook request
+ * @param {Buffer|string} rawBody - Request body exactly as Stripe sent it
+ * @param {string} signature - Stripe-Signature header
+ * @returns {Promise<Object>} - { event, duplicate }
+ */
+const handleWebhook = async (rawBody, signature) => {
+    const event = constructEvent(rawBody, signature);
+    return await receiveEvent(event);
+};
+
+/**
+ * Get stored webhook events, newest first
+ * @param {Object} [filters] - { status, type, page, limit }
+ * @returns {Promise<Object>} - { events, pagination }
+ */
+const getEvents = async (filters = {}) => {
+    const page = parseInt(filters.page) || 1;
+    const limit = Math.min(parseInt(filters.limit) || 20, 100);
+
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.type) query.type = filters.type;
+
+    const [events, total] = await Promise.all([
+        WebhookEvent.find(query)
+            .select('-payload')
+            .sort({ receivedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        WebhookEvent.countDocuments(query)
+    ]);
+
+    return {
+        events,
+        pagination: {
+            total,
+            page,
+            limit,
+            pages: Math.ceil(total / limit)
+        }
+    };
+};
+
+/**
+ * Get a stored webhook event with its payload
+ * @param {string} id - Webhook event ID
+ * @returns {Promise<Object>} - Webhook event
+ */
+const getEvent = async (id) => {
+    const stored = await WebhookEvent.findById(id).lean();
+    if (!stored) {
+        throw new ApiError('Webhook event not found', 404);
+    }
+    return stored;
+};
+
+/**
+ * Process a failed event again. Events stuck in processing for longer than
+ * STALE_PROCESSING_MS can be replayed as well.
+ * @param {string} id - Webhook event ID
+ * @param {string} userId - Admin user ID
+ * @returns {Promise<Object>} - Webhook event after the replay
+ */
+const replayEvent = async (id, userId) => {
+    const stored = await WebhookEvent.findById(id);
+    if (!stored) {
+        throw new ApiError('Webhook event not found', 404);
+    }
+
+    const stale = stored.status === 'processing' &&
+        stored.lastAttemptAt < new Date(Date.now() - STALE_PROCESSING_MS);
+    if (stale) {
+        await WebhookEvent.updateOne(
+            { _id: stored._id, status: 'processing' },
+            { $set: { status: 'failed', lastError: 'Processing did not finish' } }
+        );
+    } else if (!CLAIMABLE_STATUSES.includes(stored.status)) {
+        throw new ApiError(`Only failed events can be replayed; this event is ${stored.status}`, 409);
+    }
+
+    const result = await processEvent(stored, { replayedBy: userId });
+    if (result.duplicate) {
+        throw new ApiError('Webhook event is already being processed', 409);
+    }
+
+    logger.info(`Stripe event ${stored.eventId} replayed by ${userId}: ${result.event.status}`);
+    return result.event;
+};
+
+module.exports = {
+    constructEvent,
+    receiveEvent,
+    handleWebhook,
+    getEvents,
+    getEvent,
+    replayEvent
+};
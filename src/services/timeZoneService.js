@@ -0,0 +1,49 @@
+// src/services/timeZoneService.js
+const Country = require('../models/Country');
+const Shop = require('../models/Shop');
+const { DEFAULT_TIME_ZONE, normalizeTimeZone } = require('../utils/timeZone');
+
+/**
+ * Get the time zone of a country
+ * @param {string} countryId - Country ID
+ * @returns {Promise<string|null>} - Time zone or null if the country has none
+ */
+const getCountryTimeZone = async (countryId) => {
+  if (!countryId) return null;
+  const country = await Country.findById(countryId).select('timeZone').lean();
+  return country && country.timeZone ? normalizeTimeZone(country.timeZone) : null;
+};
+
+/**
+ * Resolve the time zone bookings of a shop or provider are made in.
+ * The shop's country wins, then the provider's country, then the booking's country.
+ * @param {Object} options - Lookup options
+ * @param {Object|string} [options.shop] - Shop document or ID
+ * @param {Object} [options.provider] - Barber, freelancer or shop owner document
+ * @param {string} [options.countryId] - Fallback country ID
+ * @returns {Promise<string>} - IANA time zone, UTC if none is configured
+ */
+const resolveTimeZone = async ({ shop, provider, countryId } = {}) => {
+  let shopDoc = shop;
+  if (shop && !shop.countryId) {
+    shopDoc = await Shop.findById(shop._id || shop).select('countryId').lean();
+  }
+
+  const candidates = [
+    shopDoc && shopDoc.countryId,
+    provider && provider.countryId,
+    countryId
+  ];
+
+  for (const candidate of candidates) {
+    const timeZone = await getCountryTimeZone(candidate && candidate._id ? candidate._id : candidate);
+    if (timeZone) return timeZone;
+  }
+
+  return DEFAULT_TIME_ZONE;
+};
+
+module.exports = {
+  getCountryTimeZone,
+  resolveTimeZone
+};
@@ -0,0 +1,227 @@
+// src/services/tipService.js
+const Tip = require('../models/Tip');
+const Booking = require('../models/Booking');
+const Freelancer = require('../models/Freelancer');
+const ShopOwner = require('../models/ShopOwner');
+const { ApiError } = require('../middlewares/errorHandler');
+const notificationService = require('./notificationService');
+const ledgerService = require('./ledgerService');
+const paymentGateways = require('./paymentGateways');
+const logger = require('../utils/logger');
+
+/**
+ * Round a money amount to cents
+ * @private
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Find a completed booking of a customer that can be tipped
+ * @private
+ */
+const getTippableBooking = async (bookingId, customerId) => {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+        throw new ApiError('Booking not found', 404);
+    }
+    if (booking.customerId.toString() !== customerId.toString()) {
+        throw new ApiError('Unauthorized access to booking', 403);
+    }
+    if (booking.status !== 'completed') {
+        throw new ApiError('Tips can only be given for completed bookings', 400);
+    }
+    return booking;
+};
+
+/**
+ * Find who receives the tips of a booking: the barber or freelancer who did
+ * it, or the shop when its owner did it themselves
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} - { providerId, providerModel }
+ */
+const getTipRecipient = async (booking) => {
+    if (await Freelancer.exists({ _id: booking.barberId })) {
+        return { providerId: booking.barberId, providerModel: 'Freelancer' };
+    }
+    if (booking.shopId && await ShopOwner.exists({ _id: booking.barberId })) {
+        return { providerId: booking.shopId, providerModel: 'Shop' };
+    }
+    return { providerId: booking.barberId, providerModel: 'Barber' };
+};
+
+/**
+ * Mark a tip completed, post card tips to the ledger and tell the provider.
+ * Completes a tip once even when the client and a webhook both report it.
+ * @private
+ */
+const completeTip = async (tip) => {
+    const completed = await Tip.findOneAndUpdate(
+        { _id: tip._id, status: { $ne: 'completed' } },
+        { $set: { status: 'completed', paidAt: new Date() } },
+        { new: true }
+    );
+    if (!completed) {
+        return await Tip.findById(tip._id);
+    }
+
+    if (completed.method === 'card') {
+        await ledgerService.postTip(completed);
+    }
+
+    const booking = await Booking.findById(completed.bookingId).select('uid barberId');
+    await notificationService.createNotification({
+        userId: booking ? booking.barberId : completed.providerId,
+        title: 'Tip Received',
+        message: `You received a ${completed.method} tip of ${completed.amount} ${completed.currency}${booking ? ` for booking #${booking.uid}` : ''}.`,
+        type: 'payment',
+        relatedId: completed.bookingId,
+        onModel: 'Booking'
+    });
+
+    logger.info(`Tip ${completed.uid} of ${completed.amount} completed for booking ${completed.bookingId}`);
+    return completed;
+};
+
+/**
+ * Start a card tip for a completed booking through the gateway of the booking's country
+ * @param {string} bookingId - Booking ID
+ * @param {string} customerId - Customer ID
+ * @param {Object} data - { amount, note }
+ * @returns {Promise<Object>} - { tipId, clientSecret, paymentIntentId, amount, currency, gateway }
+ */
+const createCardTipIntent = async (bookingId, customerId, data) => {
+    const booking = await getTippableBooking(bookingId, customerId);
+    const recipient = await getTipRecipient(booking);
+    const amount = roundAmount(data.amount);
+    const gateway = await paymentGateways.getGatewayForCountry(booking.countryId);
+
+    const tip = new Tip({
+        bookingId: booking._id,
+        customerId,
+        ...recipient,
+        amount,
+        currency: booking.currency || 'USD',
+        method: 'card',
+        gateway: gateway.name,
+        note: data.note || '',
+        countryId: booking.countryId || null
+    });
+
+    const intent = await gateway.createIntent({
+        amount,
+        currency: tip.currency,
+        metadata: {
+            purpose: 'tip',
+            tipId: tip._id.toString(),
+            bookingId: booking._id.toString(),
+            customerId: customerId.toString()
+        }
+    });
+
+    tip.gatewayPaymentId = intent.id;
+    await tip.save();
+
+    return {
+        tipId: tip._id,
+        clientSecret: intent.clientSecret,
+        paymentIntentId: intent.id,
+        amount,
+        currency: tip.currency,
+        gateway: gateway.name
+    };
+};
+
+/**
+ * Confirm a card tip the customer paid
+ * @param {string} bookingId - Booking ID
+ * @param {string} customerId - Customer ID
+ * @param {string} paymentIntentId - Gateway payment intent ID
+ * @returns {Promise<Object>} - Tip
+ */
+const confirmCardTip = async (bookingId, customerId, paymentIntentId) => {
+    const tip = await Tip.findOne({ bookingId, customerId, method: 'card', gatewayPaymentId: paymentIntentId });
+    if (!tip) {
+        throw new ApiError('Tip not found', 404);
+    }
+    if (tip.status === 'completed') {
+        return tip;
+    }
+
+    const intent = await paymentGateways.getGateway(tip.gateway).confirmIntent(paymentIntentId);
+    if (intent.status !== 'succeeded') {
+        throw new ApiError(`Tip payment has not been completed (status: ${intent.status})`, 400);
+    }
+
+    return await completeTip(tip);
+};
+
+/**
+ * Record a tip the customer gave in cash
+ * @param {string} bookingId - Booking ID
+ * @param {string} customerId - Customer ID
+ * @param {Object} data - { amount, note }
+ * @returns {Promise<Object>} - Tip
+ */
+const recordCashTip = async (bookingId, customerId, data) => {
+    const booking = await getTippableBooking(bookingId, customerId);
+    const recipient = await getTipRecipient(booking);
+
+    const tip = await Tip.create({
+        bookingId: booking._id,
+        customerId,
+        ...recipient,
+        amount: roundAmount(data.amount),
+        currency: booking.currency || 'USD',
+        method: 'cash',
+        note: data.note || '',
+        countryId: booking.countryId || null
+    });
+
+    return await completeTip(tip);
+};
+
+/**
+ * Get the tips of a booking
+ * @param {string} bookingId - Booking ID
+ * @param {string} customerId - Customer ID the booking must belong to
+ * @returns {Promise<Array>} - Tips, newest first
+ */
+const getBookingTips = async (bookingId, customerId) => {
+    const booking = await Booking.findById(bookingId).select('customerId').lean();
+    if (!booking || booking.customerId.toString() !== customerId.toString()) {
+        throw new ApiError('Booking not found or unauthorized', 404);
+    }
+
+    return await Tip.find({ bookingId }).sort({ createdAt: -1 }).lean();
+};
+
+/**
+ * Complete or fail a card tip from a gateway webhook
+ * @param {Object} intent - Payment intent { id, status, metadata }
+ * @returns {Promise<Object|null>} - Tip, or null when unknown
+ */
+const handleTipIntent = async (intent) => {
+    const tip = await Tip.findOne({ gatewayPaymentId: intent.id });
+    if (!tip) {
+        logger.warn(`Tip not found for payment intent ${intent.id}`);
+        return null;
+    }
+
+    if (intent.status === 'succeeded') {
+        return await completeTip(tip);
+    }
+    if (tip.status === 'pending') {
+        tip.status = 'failed';
+        await tip.save();
+    }
+    return tip;
+};
+
+module.exports = {
+    getTipRecipient,
+    createCardTipIntent,
+    confirmCardTip,
+    recordCashTip,
+    getBookingTips,
+    handleTipIntent
+};
@@ -0,0 +1,426 @@
+// src/services/twoFactorService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const TwoFactorAuth = require('../models/TwoFactorAuth');
+const sessionService = require('./sessionService');
+const totp = require('../utils/totp');
+const { ApiError } = require('../middlewares/errorHandler');
+const logger = require('../utils/logger');
+
+// Staff roles that can enroll an authenticator app
+const STAFF_ROLES = ['super_admin', 'admin', 'country_manager', 'customer_care'];
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Trimmers';
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.TWO_FACTOR_LOCKOUT_MINUTES) || 15;
+const LOGIN_CHALLENGE_TTL_SECONDS = 5 * 60;
+const STEP_UP_TTL_MINUTES = parseInt(process.env.STEP_UP_TTL_MINUTES) || 5;
+
+/**
+ * Get the roles that must use two-factor authentication, all staff roles
+ * unless TWO_FACTOR_REQUIRED_ROLES lists them
+ * @returns {Array<string>} - Role names
+ */
+const getRequiredRoles = () => {
+  if (process.env.TWO_FACTOR_REQUIRED_ROLES === undefined) {
+    return STAFF_ROLES;
+  }
+  return process.env.TWO_FACTOR_REQUIRED_ROLES
+    .split(',')
+    .map(role => role.trim())
+    .filter(role => STAFF_ROLES.includes(role));
+};
+
+/**
+ * Check whether a role must use two-factor authentication
+ * @param {string} role - Role name
+ * @returns {boolean}
+ */
+const isRequiredForRole = (role) => getRequiredRoles().includes(role);
+
+/**
+ * Key secrets are encrypted with, from TWO_FACTOR_ENCRYPTION_KEY or the JWT secret
+ * @private
+ */
+const getEncryptionKey = () => {
+  return crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || sessionService.getJwtSecret())
+    .digest();
+};
+
+/**
+ * Encrypt a secret for storage as iv:tag:ciphertext
+ * @private
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+/**
+ * Decrypt a stored secret
+ * @private
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Hash a recovery code for storage
+ * @private
+ */
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+};
+
+/**
+ * Make a new set of recovery codes
+ * @private
+ * @returns {Object} - { codes, stored }
+ */
+const newRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return {
+    codes,
+    stored: codes.map(code => ({ codeHash: hashRecoveryCode(code), usedAt: null }))
+  };
+};
+
+/**
+ * Check the user is staff and so can use an authenticator app
+ * @private
+ */
+const checkStaffRole = (role) => {
+  if (!STAFF_ROLES.includes(role)) {
+    throw new ApiError('Two-factor authentication is only available for staff accounts', 403);
+  }
+};
+
+/**
+ * Get the two-factor authentication state of a user
+ * @param {Object} user - User document
+ * @param {string} role - Role name
+ * @returns {Promise<Object>} - { enabled, enabledAt, required, recoveryCodesRemaining }
+ */
+const getStatus = async (user, role) => {
+  const record = STAFF_ROLES.includes(role)
+    ? await TwoFactorAuth.findOne({ userId: user._id }).select('+recoveryCodes')
+    : null;
+  const enabled = Boolean(record && record.enabled);
+
+  return {
+    enabled,
+    enabledAt: enabled ? record.enabledAt : null,
+    required: isRequiredForRole(role),
+    recoveryCodesRemaining: enabled ? record.recoveryCodes.filter(code => !code.usedAt).length : 0
+  };
+};
+
+/**
+ * Start enrolling an authenticator app. The secret is only used once the
+ * user confirms a code from the app with enable.
+ * @param {Object} user - User document
+ * @param {string} role - Role name
+ * @returns {Promise<Object>} - { secret, otpauthUri }
+ */
+const setup = async (user, role) => {
+  checkStaffRole(role);
+
+  const existing = await TwoFactorAuth.findOne({ userId: user._id });
+  if (existing && existing.enabled) {
+    throw new ApiError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = totp.generateSecret();
+  await TwoFactorAuth.findOneAndUpdate(
+    { userId: user._id },
+    {
+      $set: {
+        userModel: user.constructor.modelName,
+        secret: encryptSecret(secret),
+        enabled: false,
+        recoveryCodes: [],
+        lastUsedStep: 0,
+        failedAttempts: 0,
+        lockedUntil: null
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  return {
+    secret,
+    otpauthUri: totp.keyUri({ secret, account: user.email, issuer: ISSUER })
+  };
+};
+
+/**
+ * Count a wrong code, locking the user out after too many
+ * @private
+ */
+const recordFailure = async (record) => {
+  const updated = await TwoFactorAuth.findOneAndUpdate(
+    { _id: record._id },
+    { $inc: { failedAttempts: 1 } },
+    { new: true }
+  );
+
+  if (updated.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    await TwoFactorAuth.updateOne(
+      { _id: record._id },
+      { $set: { failedAttempts: 0, lockedUntil: new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000) } }
+    );
+    logger.warn(`Two-factor authentication locked for user ${record.userId} after ${MAX_FAILED_ATTEMPTS} wrong codes`);
+    throw new ApiError(`Too many incorrect codes. Try again in ${LOCKOUT_MINUTES} minutes.`, 429);
+  }
+
+  throw new ApiError('Invalid two-factor code', 401);
+};
+
+/**
+ * Check an authenticator code or a recovery code. Each code is accepted once.
+ * @private
+ * @param {Object} record - TwoFactorAuth document with its secret
+ * @param {Object} credentials - { code } or { recoveryCode }
+ * @returns {Promise<string>} - 'totp' or 'recovery_code'
+ */
+const checkCode = async (record, { code, recoveryCode }) => {
+  if (record.lockedUntil && record.lockedUntil > new Date()) {
+    const minutes = Math.ceil((record.lockedUntil - Date.now()) / 60000);
+    throw new ApiError(`Too many incorrect codes. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, 429);
+  }
+
+  if (recoveryCode) {
+    const result = await TwoFactorAuth.updateOne(
+      { _id: record._id, recoveryCodes: { $elemMatch: { codeHash: hashRecoveryCode(recoveryCode), usedAt: null } } },
+      { $set: { 'recoveryCodes.$.usedAt': new Date(), failedAttempts: 0 } }
+    );
+    if (result.modifiedCount !== 1) {
+      return await recordFailure(record);
+    }
+    logger.info(`User ${record.userId} used a two-factor recovery code`);
+    return 'recovery_code';
+  }
+
+  const step = totp.verify(decryptSecret(record.secret), code);
+  if (step === null) {
+    return await recordFailure(record);
+  }
+
+  // A code seen before, or an older one, has been replayed
+  const result = await TwoFactorAuth.updateOne(
+    { _id: record._id, lastUsedStep: { $lt: step } },
+    { $set: { lastUsedStep: step, failedAttempts: 0 } }
+  );
+  if (result.modifiedCount !== 1) {
+    throw new ApiError('This code has already been used. Wait for the next code.', 401);
+  }
+  return 'totp';
+};
+
+/**
+ * Get the enabled second factor of a user, with its secret
+ * @private
+ */
+const getEnabledRecord = async (userId) => {
+  const record = await TwoFactorAuth.findOne({ userId, enabled: true }).select('+secret');
+  if (!record) {
+    throw new ApiError('Two-factor authentication is not enabled', 400);
+  }
+  return record;
+};
+
+/**
+ * Finish enrolling with a code from the authenticator app
+ * @param {Object} user - User document
+ * @param {string} code - Code from the app
+ * @returns {Promise<Object>} - { recoveryCodes } - shown once; only their hashes are kept
+ */
+const enable = async (user, code) => {
+  const record = await TwoFactorAuth.findOne({ userId: user._id }).select('+secret');
+  if (!record) {
+    throw new ApiError('Set up two-factor authentication first', 400);
+  }
+  if (record.enabled) {
+    throw new ApiError('Two-factor authentication is already enabled', 400);
+  }
+
+  await checkCode(record, { code });
+
+  const { codes, stored } = newRecoveryCodes();
+  await TwoFactorAuth.updateOne(
+    { _id: record._id },
+    { $set: { enabled: true, enabledAt: new Date(), recoveryCodes: stored } }
+  );
+
+  logger.info(`Two-factor authentication enabled for user ${user._id}`);
+  return { recoveryCodes: codes };
+};
+
+/**
+ * Check a code of a user with two-factor authentication enabled
+ * @param {string} userId - User ID
+ * @param {Object} credentials - { code } or { recoveryCode }
+ * @returns {Promise<string>} - 'totp' or 'recovery_code'
+ */
+const verify = async (userId, credentials) => {
+  return await checkCode(await getEnabledRecord(userId), credentials);
+};
+
+/**
+ * Replace the recovery codes of a user
+ * @param {Object} user - User document
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Object>} - { recoveryCodes }
+ */
+const regenerateRecoveryCodes = async (user, code) => {
+  const record = await getEnabledRecord(user._id);
+  await checkCode(record, { code });
+
+  const { codes, stored } = newRecoveryCodes();
+  await TwoFactorAuth.updateOne({ _id: record._id }, { $set: { recoveryCodes: stored } });
+
+  logger.info(`Two-factor recovery codes replaced for user ${user._id}`);
+  return { recoveryCodes: codes };
+};
+
+/**
+ * Turn off two-factor authentication. Roles that require it cannot.
+ * @param {Object} user - User document
+ * @param {string} role - Role name
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<void>}
+ */
+const disable = async (user, role, code) => {
+  if (isRequiredForRole(role)) {
+    throw new ApiError('Two-factor authentication is required for your role', 403);
+  }
+
+  const record = await getEnabledRecord(user._id);
+  await checkCode(record, { code });
+  await TwoFactorAuth.deleteOne({ _id: record._id });
+
+  logger.info(`Two-factor authentication disabled for user ${user._id}`);
+};
+
+/**
+ * Remove the second factor of a user who lost their device, and log them
+ * out everywhere so they enroll again on next login
+ * @param {string} userId - User ID
+ * @param {string} adminId - Admin who reset it
+ * @returns {Promise<void>}
+ */
+const reset = async (userId, adminId) => {
+  const result = await TwoFactorAuth.deleteOne({ userId });
+  if (result.deletedCount === 0) {
+    throw new ApiError('Two-factor authentication is not set up for this user', 404);
+  }
+
+  await sessionService.revokeAllSessions(userId, { reason: 'admin', revokedBy: adminId });
+  logger.info(`Two-factor authentication of user ${userId} reset by ${adminId}`);
+};
+
+/**
+ * Make the token a user who passed the password check exchanges, with a
+ * two-factor code, for a session
+ * @param {Object} user - User document
+ * @param {string} role - Role name
+ * @param {string} [fcmToken] - FCM token sent with the login
+ * @returns {Object} - { twoFactorRequired, challengeToken, expiresIn }
+ */
+const createLoginChallenge = (user, role, fcmToken = null) => {
+  const challengeToken = jwt.sign(
+    { id: user._id, role, purpose: 'two_factor_login', fcmToken },
+    sessionService.getJwtSecret(),
+    { expiresIn: LOGIN_CHALLENGE_TTL_SECONDS }
+  );
+
+  return { twoFactorRequired: true, challengeToken, expiresIn: LOGIN_CHALLENGE_TTL_SECONDS };
+};
+
+/**
+ * Read a login challenge token
+ * @param {string} challengeToken - Token from createLoginChallenge
+ * @returns {Object} - { id, role, fcmToken }
+ */
+const verifyLoginChallenge = (challengeToken) => {
+  let payload;
+  try {
+    payload = jwt.verify(challengeToken, sessionService.getJwtSecret());
+  } catch (error) {
+    throw new ApiError('Two-factor login has expired. Please login again.', 401);
+  }
+
+  if (payload.purpose !== 'two_factor_login') {
+    throw new ApiError('Invalid two-factor login token', 401);
+  }
+  return payload;
+};
+
+/**
+ * Re-authenticate for sensitive actions, with a two-factor code or, for
+ * users without two-factor authentication, their password
+ * @param {Object} user - User document
+ * @param {Object} session - Session of the request
+ * @param {Object} credentials - { code }, { recoveryCode } or { password }
+ * @returns {Promise<Object>} - { stepUpExpiresAt }
+ */
+const stepUp = async (user, session, credentials) => {
+  const record = await TwoFactorAuth.findOne({ userId: user._id, enabled: true }).select('+secret');
+
+  if (record) {
+    if (!credentials.code && !credentials.recoveryCode) {
+      throw new ApiError('A two-factor code is required', 400);
+    }
+    await checkCode(record, credentials);
+    await sessionService.markTwoFactorVerified(session._id);
+  } else {
+    if (!credentials.password) {
+      throw new ApiError('Your password is required', 400);
+    }
+    const withPassword = await user.constructor.findById(user._id).select('+password');
+    if (!withPassword || !(await withPassword.matchPassword(credentials.password))) {
+      throw new ApiError('Invalid password', 401);
+    }
+    await sessionService.markSteppedUp(session._id);
+  }
+
+  return { stepUpExpiresAt: new Date(Date.now() + STEP_UP_TTL_MINUTES * 60 * 1000) };
+};
+
+/**
+ * Check whether a session re-authenticated recently enough for sensitive actions
+ * @param {Object} session - Session
+ * @returns {boolean}
+ */
+const hasRecentStepUp = (session) => {
+  return Boolean(session && session.stepUpAt) &&
+    Date.now() - new Date(session.stepUpAt).getTime() < STEP_UP_TTL_MINUTES * 60 * 1000;
+};
+
+module.exports = {
+  STAFF_ROLES,
+  getRequiredRoles,
+  isRequiredForRole,
+  getStatus,
+  setup,
+  enable,
+  verify,
+  regenerateRecoveryCodes,
+  disable,
+  reset,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  stepUp,
+  hasRecentStepUp
+};
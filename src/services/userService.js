@@ -7,6 +7,7 @@ const Freelancer = require('../models/Freelancer');
 const Admin = require('../models/Admin');
 const { User } = require('../models/User');
 const logger = require('../utils/logger');
+const identityService = require('./identityService');
 
 /**
  * UserService provides methods for user management
@@ -902,7 +903,7 @@ class UserService {
      * Update user password (admin function)
      * @param {string} id - User ID
      * @param {string} newPassword - New password
-     * @returns {Promise<boolean>} - Success status
+     * @returns {Promise<Array>} - IDs of every linked profile the new password applies to
      */
     async resetUserPassword(id, newPassword) {
         try {
@@ -936,7 +937,8 @@ class UserService {
             user.password = newPassword;
             await user.save();
 
-            return true;
+            // The password applies to every profile linked to the user's identity
+            return await identityService.syncPassword(user);
         } catch (error) {
             logger.error(`Reset user password error: ${error.message}`);
             throw error;
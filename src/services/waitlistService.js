@@ -0,0 +1,429 @@
+// src/services/waitlistService.js
+const moment = require('moment-timezone');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Service = require('../models/Service');
+const Shop = require('../models/Shop');
+const Barber = require('../models/Barber');
+const Freelancer = require('../models/Freelancer');
+const ShopOwner = require('../models/ShopOwner');
+const { ApiError } = require('../middlewares/errorHandler');
+const notificationService = require('./notificationService');
+const timeZoneService = require('./timeZoneService');
+const logger = require('../utils/logger');
+const timeZone = require('../utils/timeZone');
+
+// How long a freed slot is held for a waitlister before it passes to the next one
+const HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES, 10) || 15;
+const MAX_WINDOW_DAYS = 30;
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+/**
+ * Find a provider in any of the provider collections
+ * @private
+ */
+const findProvider = async (providerId) => {
+  for (const Model of [Barber, Freelancer, ShopOwner]) {
+    const provider = await Model.findById(providerId).select('countryId shopId').lean();
+    if (provider) return provider;
+  }
+  return null;
+};
+
+/**
+ * Register a customer's interest in a provider or shop
+ * @param {string} customerId - Customer ID
+ * @param {Object} data - { barberId?, shopId?, serviceId, dateFrom, dateTo }
+ * @returns {Promise<Object>} - Waitlist entry
+ */
+const joinWaitlist = async (customerId, data) => {
+  const { barberId = null, serviceId } = data;
+  let { shopId = null } = data;
+
+  if (!barberId && !shopId) {
+    throw new ApiError('A provider or a shop is required to join the waitlist', 400);
+  }
+
+  const service = await Service.findById(serviceId).select('title duration').lean();
+  if (!service) {
+    throw new ApiError('Service not found', 404);
+  }
+
+  let provider = null;
+  if (barberId) {
+    provider = await findProvider(barberId);
+    if (!provider) {
+      throw new ApiError('Provider not found', 404);
+    }
+    shopId = shopId || provider.shopId || null;
+  }
+  if (!barberId) {
+    const shop = await Shop.findById(shopId).select('_id').lean();
+    if (!shop) {
+      throw new ApiError('Shop not found', 404);
+    }
+  }
+
+  const entryTimeZone = await timeZoneService.resolveTimeZone({ shop: shopId, provider });
+  const dateFrom = timeZone.toCalendarDate(data.dateFrom);
+  const dateTo = timeZone.toCalendarDate(data.dateTo || data.dateFrom);
+
+  if (dateFrom < timeZone.today(entryTimeZone)) {
+    throw new ApiError('The waitlist window cannot start in the past', 400);
+  }
+  if (dateTo < dateFrom) {
+    throw new ApiError('The waitlist window must end on or after its start date', 400);
+  }
+  if (moment.utc(dateTo).diff(moment.utc(dateFrom), 'days') >= MAX_WINDOW_DAYS) {
+    throw new ApiError(`The waitlist window cannot be longer than ${MAX_WINDOW_DAYS} days`, 400);
+  }
+
+  const duplicate = await WaitlistEntry.findOne({
+    customerId,
+    ...(barberId ? { barberId } : { barberId: null, shopId }),
+    serviceId,
+    status: { $in: ACTIVE_STATUSES },
+    dateFrom: { $lte: dateTo },
+    dateTo: { $gte: dateFrom }
+  });
+  if (duplicate) {
+    throw new ApiError('You are already on the waitlist for these dates', 409);
+  }
+
+  const entry = await WaitlistEntry.create({
+    customerId,
+    barberId,
+    shopId,
+    serviceId,
+    serviceName: service.title,
+    duration: service.duration || 30,
+    dateFrom,
+    dateTo,
+    timeZone: entryTimeZone
+  });
+
+  logger.info(`Customer ${customerId} joined waitlist ${entry.uid} (${dateFrom} - ${dateTo})`);
+  return entry;
+};
+
+/**
+ * Get the waitlist entries of a customer
+ * @param {string} customerId - Customer ID
+ * @param {Object} options - Filter options (status)
+ * @returns {Promise<Array>} - Waitlist entries
+ */
+const getCustomerEntries = async (customerId, options = {}) => {
+  const filter = { customerId };
+  if (options.status) {
+    filter.status = options.status;
+  }
+  return await WaitlistEntry.find(filter).sort({ createdAt: -1 }).lean();
+};
+
+/**
+ * Give up the hold of an entry and pass the slot to the next waitlister
+ * @private
+ */
+const releaseHold = async (entry, outcome, status) => {
+  const hold = entry.hold;
+  const released = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered' },
+    {
+      $set: { status, hold: null, 'offers.$[offer].outcome': outcome }
+    },
+    {
+      new: true,
+      arrayFilters: [{ 'offer.sourceBookingId': hold.sourceBookingId, 'offer.outcome': 'pending' }]
+    }
+  );
+
+  if (released) {
+    await offerSlot(hold);
+  }
+  return released;
+};
+
+/**
+ * Decline the slot currently held for a customer; the entry keeps waiting
+ * @param {string} entryId - Waitlist entry ID
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Object>} - Updated entry
+ */
+const declineHold = async (entryId, customerId) => {
+  const entry = await WaitlistEntry.findById(entryId);
+  if (!entry || entry.customerId.toString() !== customerId.toString()) {
+    throw new ApiError('Waitlist entry not found', 404);
+  }
+  if (entry.status !== 'offered' || !entry.hold) {
+    throw new ApiError('There is no slot held for this waitlist entry', 400);
+  }
+
+  return await releaseHold(entry, 'declined', 'waiting');
+};
+
+/**
+ * Leave the waitlist. A slot held for the entry passes to the next waitlister.
+ * @param {string} entryId - Waitlist entry ID
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Object>} - Updated entry
+ */
+const leaveWaitlist = async (entryId, customerId) => {
+  const entry = await WaitlistEntry.findById(entryId);
+  if (!entry || entry.customerId.toString() !== customerId.toString()) {
+    throw new ApiError('Waitlist entry not found', 404);
+  }
+  if (!ACTIVE_STATUSES.includes(entry.status)) {
+    throw new ApiError(`Waitlist entry is already ${entry.status}`, 400);
+  }
+
+  if (entry.status === 'offered' && entry.hold) {
+    const released = await releaseHold(entry, 'declined', 'cancelled');
+    if (released) return released;
+  }
+
+  entry.status = 'cancelled';
+  entry.hold = null;
+  await entry.save();
+  return entry;
+};
+
+/**
+ * Hold a free slot for the first matching waitlister and notify them.
+ * Entries are matched on provider (or shop for shop-wide entries), service,
+ * date window and service duration, in the order they joined. A customer is
+ * offered the same slot only once.
+ * @param {Object} slot - { sourceBookingId, barberId, shopId, serviceId, bookingDate, bookingTime, duration, bufferBefore, bufferAfter, timeZone }
+ * @returns {Promise<Object|null>} - Entry holding the slot, or null
+ */
+const offerSlot = async (slot) => {
+  const startsAt = timeZone.toInstant(slot.bookingDate, slot.bookingTime, slot.timeZone);
+
+  // Someone may have booked the slot while it was held, or it may start too soon to book
+  const bookingService = require('./bookingService');
+  const isFree = await bookingService.isTimeSlotAvailable(
+    slot.barberId,
+    slot.bookingDate,
+    slot.bookingTime,
+    slot.duration,
+    'barber',
+    {
+      bufferBefore: slot.bufferBefore,
+      bufferAfter: slot.bufferAfter,
+      timeZone: slot.timeZone
+    }
+  );
+  if (!isFree) {
+    return null;
+  }
+
+  const date = timeZone.toCalendarDate(slot.bookingDate);
+  const providerMatch = [{ barberId: slot.barberId }];
+  if (slot.shopId) {
+    providerMatch.push({ barberId: null, shopId: slot.shopId });
+  }
+
+  const hold = {
+    sourceBookingId: slot.sourceBookingId,
+    barberId: slot.barberId,
+    shopId: slot.shopId || null,
+    serviceId: slot.serviceId || null,
+    bookingDate: timeZone.toBookingDate(date),
+    bookingTime: { hour: slot.bookingTime.hour, minute: slot.bookingTime.minute },
+    duration: slot.duration,
+    bufferBefore: slot.bufferBefore || 0,
+    bufferAfter: slot.bufferAfter || 0,
+    timeZone: slot.timeZone,
+    expiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000)
+  };
+
+  const filter = {
+    status: 'waiting',
+    dateFrom: { $lte: date },
+    dateTo: { $gte: date },
+    duration: { $lte: slot.duration },
+    'offers.sourceBookingId': { $ne: slot.sourceBookingId },
+    $or: providerMatch
+  };
+  // Holds made before the service was recorded match any service
+  if (slot.serviceId) {
+    filter.serviceId = slot.serviceId;
+  }
+
+  // Claimed atomically so two cancellations cannot offer two slots to one entry
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    filter,
+    {
+      $set: { status: 'offered', hold },
+      $push: { offers: { sourceBookingId: slot.sourceBookingId } }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+
+  if (!entry) {
+    return null;
+  }
+
+  const slotTime = timeZone.describeInstant(startsAt, slot.timeZone).local;
+  const expiresTime = timeZone.describeInstant(hold.expiresAt, slot.timeZone).local;
+  try {
+    await notificationService.createNotification({
+      userId: entry.customerId,
+      title: 'A Slot Opened Up',
+      message: `A slot for ${entry.serviceName} opened up on ${slotTime}. It is held for you until ${expiresTime} — book it before then to keep it.`,
+      type: 'booking',
+      relatedId: slot.sourceBookingId,
+      onModel: 'Booking'
+    });
+  } catch (error) {
+    logger.warn('Failed to send waitlist notification:', error.message);
+  }
+
+  logger.info(`Held slot of booking ${slot.sourceBookingId} for waitlist entry ${entry.uid} until ${hold.expiresAt.toISOString()}`);
+  return entry;
+};
+
+/**
+ * Offer the slot of a cancelled booking to the waitlist
+ * @param {Object} booking - Cancelled booking
+ * @returns {Promise<Object|null>} - Entry holding the slot, or null
+ */
+const offerFreedSlot = async (booking) => {
+  return await offerSlot({
+    sourceBookingId: booking._id,
+    barberId: booking.barberId._id || booking.barberId,
+    shopId: booking.shopId ? (booking.shopId._id || booking.shopId) : null,
+    serviceId: booking.serviceId ? (booking.serviceId._id || booking.serviceId) : null,
+    bookingDate: booking.bookingDate,
+    bookingTime: booking.bookingTime,
+    duration: booking.duration,
+    bufferBefore: booking.bufferBefore,
+    bufferAfter: booking.bufferAfter,
+    timeZone: booking.timeZone
+  });
+};
+
+/**
+ * Same as offerFreedSlot, but never fails the caller. Used by the cancellation flows.
+ * @param {Object} booking - Cancelled booking
+ * @returns {Promise<void>}
+ */
+const notifyBookingCancelled = async (booking) => {
+  try {
+    await offerFreedSlot(booking);
+  } catch (error) {
+    logger.warn(`Failed to offer slot of booking ${booking._id} to the waitlist:`, error.message);
+  }
+};
+
+/**
+ * Get the slots currently held for waitlisters on a provider's or shop's day
+ * @param {Object} scope - { barberId } or { shopId }
+ * @param {Object} day - Day range { start, end } from timeZone.getDayRange
+ * @param {Object} options - { session, excludeCustomerId }
+ * @returns {Promise<Array>} - Holds { bookingTime, duration }, comparable to bookings
+ */
+const getActiveHolds = async ({ barberId, shopId }, day, options = {}) => {
+  const filter = {
+    status: 'offered',
+    'hold.expiresAt': { $gt: new Date() },
+    'hold.bookingDate': { $gte: day.start, $lte: day.end }
+  };
+  if (barberId) {
+    filter['hold.barberId'] = barberId;
+  } else {
+    filter['hold.shopId'] = shopId;
+  }
+  if (options.excludeCustomerId) {
+    filter.customerId = { $ne: options.excludeCustomerId };
+  }
+
+  const entries = await WaitlistEntry.find(filter)
+    .select('hold')
+    .session(options.session || null)
+    .lean();
+
+  return entries.map(entry => entry.hold);
+};
+
+/**
+ * Mark the hold a booking was made for as used
+ * @param {Object} booking - New booking
+ * @param {Object} [session] - Mongoose session of the booking transaction
+ * @returns {Promise<Object|null>} - Booked entry, or null if the booking used no hold
+ */
+const claimHold = async (booking, session = null) => {
+  return await WaitlistEntry.findOneAndUpdate(
+    {
+      customerId: booking.customerId,
+      status: 'offered',
+      'hold.barberId': booking.barberId,
+      'hold.bookingDate': booking.bookingDate,
+      'hold.bookingTime.hour': booking.bookingTime.hour,
+      'hold.bookingTime.minute': booking.bookingTime.minute,
+      'hold.expiresAt': { $gt: new Date() }
+    },
+    {
+      $set: { status: 'booked', bookingId: booking._id, 'offers.$[offer].outcome': 'booked' }
+    },
+    {
+      new: true,
+      session,
+      arrayFilters: [{ 'offer.outcome': 'pending' }]
+    }
+  );
+};
+
+/**
+ * Pass expired holds on to the next waitlister and close entries whose window has passed
+ * @returns {Promise<Object>} - { expiredHolds, reoffered, expiredEntries }
+ */
+const processExpiredHolds = async () => {
+  let expiredHolds = 0;
+  let reoffered = 0;
+
+  const entries = await WaitlistEntry.find({
+    status: 'offered',
+    'hold.expiresAt': { $lte: new Date() }
+  }).sort({ 'hold.expiresAt': 1 }).limit(100);
+
+  for (const entry of entries) {
+    try {
+      const hold = entry.hold;
+      const released = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'offered', 'hold.expiresAt': { $lte: new Date() } },
+        { $set: { status: 'waiting', hold: null, 'offers.$[offer].outcome': 'expired' } },
+        { new: true, arrayFilters: [{ 'offer.sourceBookingId': hold.sourceBookingId, 'offer.outcome': 'pending' }] }
+      );
+      if (!released) continue;
+
+      expiredHolds++;
+      if (await offerSlot(hold)) {
+        reoffered++;
+      }
+    } catch (error) {
+      logger.error(`Failed to process expired waitlist hold ${entry.uid}:`, error);
+    }
+  }
+
+  // Compared one day behind UTC so no entry closes before its own local day is over
+  const cutoff = moment.utc().subtract(1, 'day').format('YYYY-MM-DD');
+  const { modifiedCount: expiredEntries } = await WaitlistEntry.updateMany(
+    { status: 'waiting', dateTo: { $lt: cutoff } },
+    { $set: { status: 'expired' } }
+  );
+
+  return { expiredHolds, reoffered, expiredEntries };
+};
+
+module.exports = {
+  HOLD_MINUTES,
+  joinWaitlist,
+  getCustomerEntries,
+  declineHold,
+  leaveWaitlist,
+  offerSlot,
+  offerFreedSlot,
+  notifyBookingCancelled,
+  getActiveHolds,
+  claimHold,
+  processExpiredHolds
+};
@@ -0,0 +1,272 @@
+// src/services/walletService.js
+const mongoose = require('mongoose');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const Customer = require('../models/Customer');
+const { ApiError } = require('../middlewares/errorHandler');
+const paymentGateways = require('./paymentGateways');
+const logger = require('../utils/logger');
+
+// Transaction types that take money out of the wallet
+const DEBIT_TYPES = ['payment'];
+
+/**
+ * Round a money amount to cents
+ * @private
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Run a function in the caller's session, or in a transaction of its own
+ * @private
+ */
+const withTransaction = async (options, fn) => {
+    if (options.session) {
+        return await fn(options.session);
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const result = await fn(session);
+        await session.commitTransaction();
+        return result;
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Get the wallet of a customer, creating an empty one on first use
+ * @param {string} customerId - Customer ID
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - Wallet
+ */
+const getWallet = async (customerId, options = {}) => {
+    const session = options.session || null;
+
+    try {
+        return await Wallet.findOneAndUpdate(
+            { customerId },
+            { $setOnInsert: { customerId } },
+            { upsert: true, new: true, session }
+        );
+    } catch (error) {
+        // Created concurrently by another request
+        if (error.code !== 11000) throw error;
+        return await Wallet.findOne({ customerId }).session(session);
+    }
+};
+
+/**
+ * Credit or debit a wallet and record the transaction. Transactions with an
+ * idempotency key are posted once; posting the same key again returns the
+ * existing transaction.
+ * @param {string} customerId - Customer ID
+ * @param {Object} data - { type, amount, currency, bookingId, paymentId, gateway, gatewayPaymentId, idempotencyKey, description, createdBy }
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Object>} - { wallet, transaction }
+ */
+const postTransaction = async (customerId, data, options = {}) => {
+    const amount = roundAmount(data.amount);
+    if (!(amount > 0)) {
+        throw new ApiError('Wallet amount must be greater than zero', 400);
+    }
+
+    return await withTransaction(options, async (session) => {
+        if (data.idempotencyKey) {
+            const existing = await WalletTransaction.findOne({ idempotencyKey: data.idempotencyKey }).session(session);
+            if (existing) {
+                return { wallet: await getWallet(existing.customerId, { session }), transaction: existing };
+            }
+        }
+
+        const current = await getWallet(customerId, { session });
+        if (data.currency && data.currency.toUpperCase() !== current.currency) {
+            throw new ApiError(`The wallet only holds ${current.currency}; amounts in ${data.currency.toUpperCase()} cannot be paid from or into it`, 400);
+        }
+
+        const change = DEBIT_TYPES.includes(data.type) ? -amount : amount;
+        const filter = { customerId, isActive: true };
+        if (change < 0) {
+            filter.balance = { $gte: amount };
+        }
+
+        const wallet = await Wallet.findOneAndUpdate(filter, { $inc: { balance: change } }, { new: true, session });
+        if (!wallet) {
+            throw new ApiError(change < 0 ? 'Insufficient wallet balance' : 'Wallet is not active', 400);
+        }
+
+        // The unique idempotency key makes a concurrent duplicate fail and roll back its balance change
+        const [transaction] = await WalletTransaction.create([{
+            walletId: wallet._id,
+            customerId,
+            type: data.type,
+            amount: change,
+            balanceAfter: roundAmount(wallet.balance),
+            currency: wallet.currency,
+            idempotencyKey: data.idempotencyKey,
+            bookingId: data.bookingId || null,
+            paymentId: data.paymentId || null,
+            gateway: data.gateway || null,
+            gatewayPaymentId: data.gatewayPaymentId || null,
+            description: data.description || '',
+            createdBy: data.createdBy || null
+        }], { session });
+
+        return { wallet, transaction };
+    });
+};
+
+/**
+ * Get wallet transactions of a customer, newest first
+ * @param {string} customerId - Customer ID
+ * @param {Object} [options] - { type, page, limit }
+ * @returns {Promise<Object>} - { transactions, pagination }
+ */
+const getTransactions = async (customerId, options = {}) => {
+    const page = parseInt(options.page) || 1;
+    const limit = Math.min(parseInt(options.limit) || 20, 100);
+
+    const query = { customerId };
+    if (options.type) query.type = options.type;
+
+    const [transactions, total] = await Promise.all([
+        WalletTransaction.find(query)
+            .populate('bookingId', 'uid serviceName bookingDate')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        WalletTransaction.countDocuments(query)
+    ]);
+
+    return {
+        transactions,
+        pagination: {
+            total,
+            page,
+            limit,
+            pages: Math.ceil(total / limit)
+        }
+    };
+};
+
+/**
+ * Start a card top-up through the gateway of the customer's country
+ * @param {string} customerId - Customer ID
+ * @param {number} amount - Top-up amount
+ * @returns {Promise<Object>} - { clientSecret, paymentIntentId, amount, currency, gateway }
+ */
+const createTopUpIntent = async (customerId, amount) => {
+    const customer = await Customer.findById(customerId).select('countryId').lean();
+    if (!customer) {
+        throw new ApiError('Customer not found', 404);
+    }
+
+    const wallet = await getWallet(customerId);
+    if (!wallet.isActive) {
+        throw new ApiError('Wallet is not active', 400);
+    }
+
+    const gateway = await paymentGateways.getGatewayForCountry(customer.countryId);
+    const intent = await gateway.createIntent({
+        amount: roundAmount(amount),
+        currency: wallet.currency,
+        metadata: {
+            purpose: 'wallet_top_up',
+            customerId: customerId.toString()
+        }
+    });
+
+    return {
+        clientSecret: intent.clientSecret,
+        paymentIntentId: intent.id,
+        amount: roundAmount(amount),
+        currency: wallet.currency,
+        gateway: gateway.name
+    };
+};
+
+/**
+ * Credit a wallet with a top-up the gateway confirmed. Safe to call again
+ * for the same intent, e.g. from the client and from a webhook.
+ * @param {string} gatewayName - Gateway the intent was created with
+ * @param {Object} intent - Confirmed intent { id, status, amount, metadata }
+ * @param {Object} [options] - { customerId, session }; customerId must own the top-up when given
+ * @returns {Promise<Object>} - { wallet, transaction }
+ */
+const creditTopUp = async (gatewayName, intent, options = {}) => {
+    const metadata = intent.metadata || {};
+    if (metadata.purpose !== 'wallet_top_up' ||
+        (options.customerId && metadata.customerId !== options.customerId.toString())) {
+        throw new ApiError('Payment intent is not a top-up of this wallet', 400);
+    }
+    if (intent.status !== 'succeeded') {
+        throw new ApiError('Top-up payment has not been completed', 400);
+    }
+
+    const result = await postTransaction(metadata.customerId, {
+        type: 'top_up',
+        amount: intent.amount,
+        gateway: gatewayName,
+        gatewayPaymentId: intent.id,
+        idempotencyKey: `top_up:${gatewayName}:${intent.id}`,
+        description: 'Wallet top-up'
+    }, { session: options.session });
+
+    logger.info(`Wallet of customer ${metadata.customerId} topped up with ${intent.amount} (${intent.id})`);
+    return result;
+};
+
+/**
+ * Confirm a top-up the customer paid and credit their wallet
+ * @param {string} customerId - Customer ID
+ * @param {string} paymentIntentId - Gateway payment intent ID
+ * @returns {Promise<Object>} - { wallet, transaction }
+ */
+const confirmTopUp = async (customerId, paymentIntentId) => {
+    const customer = await Customer.findById(customerId).select('countryId').lean();
+    if (!customer) {
+        throw new ApiError('Customer not found', 404);
+    }
+
+    const gateway = await paymentGateways.getGatewayForCountry(customer.countryId);
+    const intent = await gateway.confirmIntent(paymentIntentId);
+
+    return await creditTopUp(gateway.name, intent, { customerId });
+};
+
+/**
+ * Grant a goodwill credit to a customer
+ * @param {string} customerId - Customer ID
+ * @param {Object} data - { amount, description }
+ * @param {string} adminId - Admin user ID
+ * @returns {Promise<Object>} - { wallet, transaction }
+ */
+const grantCredit = async (customerId, data, adminId) => {
+    const customer = await Customer.exists({ _id: customerId });
+    if (!customer) {
+        throw new ApiError('Customer not found', 404);
+    }
+
+    return await postTransaction(customerId, {
+        type: 'goodwill_credit',
+        amount: data.amount,
+        description: data.description || 'Goodwill credit',
+        createdBy: adminId
+    });
+};
+
+module.exports = {
+    getWallet,
+    postTransaction,
+    getTransactions,
+    createTopUpIntent,
+    creditTopUp,
+    confirmTopUp,
+    grantCredit
+};
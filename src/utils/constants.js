@@ -65,6 +65,11 @@ const BOOKING_STATUS = {
     REASSIGNED: 'reassigned'
 };
 
+/**
+ * Booking statuses that occupy a provider's time slot
+ */
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'assigned', 'reassigned'];
+
 /**
  * Service types
  */
@@ -91,6 +96,7 @@ const PAYMENT_STATUS = {
     PROCESSING: 'processing',
     COMPLETED: 'completed',
     FAILED: 'failed',
+    PARTIALLY_REFUNDED: 'partially_refunded',
     REFUNDED: 'refunded',
     CANCELLED: 'cancelled'
 };
@@ -123,6 +129,7 @@ module.exports = {
     BARBER_STATUS,
     SHOP_STATUS,
     BOOKING_STATUS,
+    ACTIVE_BOOKING_STATUSES,
     SERVICE_TYPES,
     SERVICE_STATUS,
     PAYMENT_STATUS,
@@ -1,14 +1,82 @@
 // src/utils/currencyConverter.js
+/**
+ * Currencies the platform prices in, with their symbol and number of minor
+ * units (decimal places). Rates are not kept here: they come from the
+ * exchange rate store (see exchangeRateService).
+ */
+const CURRENCIES = {
+    USD: { symbol: '$', minorUnits: 2 },
+    EUR: { symbol: '€', minorUnits: 2 },
+    GBP: { symbol: '£', minorUnits: 2 },
+    PKR: { symbol: '₨', minorUnits: 2 },
+    INR: { symbol: '₹', minorUnits: 2 },
+    AED: { symbol: 'د.إ', minorUnits: 2 },
+    SAR: { symbol: '﷼', minorUnits: 2 },
+    QAR: { symbol: 'ر.ق', minorUnits: 2 },
+    EGP: { symbol: 'E£', minorUnits: 2 },
+    TRY: { symbol: '₺', minorUnits: 2 },
+    CAD: { symbol: 'C$', minorUnits: 2 },
+    AUD: { symbol: 'A$', minorUnits: 2 },
+    JPY: { symbol: '¥', minorUnits: 0 },
+    KWD: { symbol: 'د.ك', minorUnits: 3 },
+    BHD: { symbol: '.د.ب', minorUnits: 3 },
+    OMR: { symbol: 'ر.ع.', minorUnits: 3 },
+    JOD: { symbol: 'د.ا', minorUnits: 3 }
+};
+
 class CurrencyConverter {
     constructor() {
-       
-        this.rates = {
-            USD: 1.0,
-            EUR: 0.85,
-            GBP: 0.73,
-            PKR: 275.5,
-            JPY: 110.25,
-        };
+        this.currencies = CURRENCIES;
+    }
+
+    /**
+     * Check a currency code is supported
+     * @param {string} currency - Currency code
+     * @returns {boolean}
+     */
+    isSupported(currency) {
+        return Boolean(currency && this.currencies[currency.toUpperCase()]);
+    }
+
+    /**
+     * Get the number of decimal places of a currency; unknown currencies use 2
+     * @param {string} currency - Currency code
+     * @returns {number} - Minor units
+     */
+    getMinorUnits(currency) {
+        const details = currency && this.currencies[currency.toUpperCase()];
+        return details ? details.minorUnits : 2;
+    }
+
+    /**
+     * Round an amount to the minor unit of its currency
+     * @param {number} amount - Amount
+     * @param {string} currency - Currency code
+     * @returns {number} - Rounded amount
+     */
+    round(amount, currency) {
+        const factor = Math.pow(10, this.getMinorUnits(currency));
+        return Math.round((amount + Number.EPSILON) * factor) / factor;
+    }
+
+    /**
+     * Express an amount in the minor unit of its currency, as gateways expect
+     * @param {number} amount - Amount
+     * @param {string} currency - Currency code
+     * @returns {number} - Integer amount in minor units
+     */
+    toMinorUnits(amount, currency) {
+        return Math.round(amount * Math.pow(10, this.getMinorUnits(currency)));
+    }
+
+    /**
+     * Convert an amount in minor units back to the currency's major unit
+     * @param {number} amount - Integer amount in minor units
+     * @param {string} currency - Currency code
+     * @returns {number} - Amount
+     */
+    fromMinorUnits(amount, currency) {
+        return amount / Math.pow(10, this.getMinorUnits(currency));
     }
 
     /**
@@ -16,22 +84,25 @@ class CurrencyConverter {
      * @param {number} amount - Amount to convert
      * @param {string} fromCurrency - Source currency code
      * @param {string} toCurrency - Target currency code
-     * @returns {number} - Converted amount
+     * @param {Object} rates - Units of each currency per unit of the base currency
+     * @returns {number} - Converted amount rounded to the target currency
      */
-    convert(amount, fromCurrency, toCurrency) {
+    convert(amount, fromCurrency, toCurrency, rates) {
+        const from = fromCurrency.toUpperCase();
+        const to = toCurrency.toUpperCase();
+
         // If same currency, no conversion needed
-        if (fromCurrency === toCurrency) {
-            return amount;
+        if (from === to) {
+            return this.round(amount, to);
         }
 
-        // Check if currencies are supported
-        if (!this.rates[fromCurrency] || !this.rates[toCurrency]) {
-            throw new Error('Unsupported currency');
+        // Check if currencies have a rate
+        if (!rates || !rates[from] || !rates[to]) {
+            throw new Error(`No exchange rate for ${!rates || !rates[from] ? from : to}`);
         }
 
-        // Convert to USD first, then to target currency
-        const amountInUSD = amount / this.rates[fromCurrency];
-        return amountInUSD * this.rates[toCurrency];
+        // Convert to the base currency first, then to target currency
+        return this.round(amount / rates[from] * rates[to], to);
     }
 
     /**
@@ -41,18 +112,11 @@ class CurrencyConverter {
      * @returns {string} - Formatted amount with currency symbol
      */
     format(amount, currency) {
-        const symbols = {
-            USD: '$',
-            EUR: '€',
-            GBP: '£',
-            PKR: '₨',
-            JPY: '¥',
-        };
-
-        const symbol = symbols[currency] || currency;
+        const details = currency && this.currencies[currency.toUpperCase()];
+        const symbol = details ? details.symbol : currency;
 
-        return `${symbol}${amount.toFixed(2)}`;
+        return `${symbol}${amount.toFixed(this.getMinorUnits(currency))}`;
     }
 }
 
-module.exports = new CurrencyConverter();
\ No newline at end of file
+module.exports = new CurrencyConverter();
@@ -42,7 +42,16 @@ const MODEL_PREFIXES = {
     SHOP: 'SH',
     SERVICE: 'SV',
     BOOKING: 'BK',
+    BOOKING_SERIES: 'BS',
+    WAITLIST_ENTRY: 'WL',
+    BLOCKED_PERIOD: 'BP',
     PAYMENT: 'PY',
+    LEDGER_ENTRY: 'LE',
+    SETTLEMENT_RUN: 'SR',
+    PAYOUT: 'PO',
+    WALLET_TRANSACTION: 'WT',
+    PROMOTION: 'PR',
+    TIP: 'TP',
     NOTIFICATION: 'NO',
     SHOP_UPDATE_REQUEST: 'SUR'
 };
@@ -0,0 +1,126 @@
+// src/utils/slotRules.js
+const { toInstant } = require('./timeZone');
+
+/**
+ * Rules that shape bookable slots besides the weekly schedule:
+ * - buffers: preparation before and cleanup after a service, kept free of other bookings
+ * - breaks: recurring daily breaks of a provider (e.g. lunch)
+ * - lead time: minimum notice before a booking can start
+ *
+ * Bookings, holds, breaks and blocked periods are compared as booking-like
+ * items { bookingTime, duration, bufferBefore, bufferAfter } of the same local day.
+ */
+const DEFAULT_LEAD_TIME_MINUTES = 60;
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ * @param {string} time - Wall-clock time
+ * @returns {number}
+ */
+const toMinutes = (time) => {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+};
+
+/**
+ * Get the buffers of a service, using the provider's override when set
+ * @param {Object} service - Service document
+ * @param {string} [providerId] - Barber, freelancer or shop ID offering the service
+ * @returns {Object} - { bufferBefore, bufferAfter } in minutes
+ */
+const getServiceBuffers = (service, providerId) => {
+    const offer = providerId && Array.isArray(service.offeredBy)
+        ? service.offeredBy.find(o => o.providerId && o.providerId.toString() === providerId.toString())
+        : null;
+
+    const pick = (field) => (offer && offer[field] != null ? offer[field] : service[field] || 0);
+
+    return {
+        bufferBefore: pick('bufferBefore'),
+        bufferAfter: pick('bufferAfter')
+    };
+};
+
+/**
+ * Get the minutes of the day an item keeps the provider busy, buffers included
+ * @param {Object} item - { bookingTime, duration, bufferBefore?, bufferAfter? }
+ * @returns {Object} - { start, end } in minutes after local midnight
+ */
+const getOccupiedRange = (item) => {
+    const start = item.bookingTime.hour * 60 + item.bookingTime.minute;
+    return {
+        start: start - (item.bufferBefore || 0),
+        end: start + item.duration + (item.bufferAfter || 0)
+    };
+};
+
+/**
+ * Check whether an item would overlap any other item of the same day
+ * @param {Object} item - Requested slot { bookingTime, duration, bufferBefore?, bufferAfter? }
+ * @param {Array} items - Bookings, holds, breaks and blocked periods
+ * @returns {boolean}
+ */
+const overlapsAny = (item, items) => {
+    const requested = getOccupiedRange(item);
+    return items.some((other) => {
+        const existing = getOccupiedRange(other);
+        return requested.start < existing.end && requested.end > existing.start;
+    });
+};
+
+/**
+ * Get a provider's daily breaks on a weekday as booking-like items
+ * @param {Object} provider - Barber or freelancer document
+ * @param {string} dayOfWeek - Lower-case weekday name
+ * @returns {Array} - Items { bookingTime, duration, type, reason }
+ */
+const getBreakSlots = (provider, dayOfWeek) => {
+    if (!provider || !Array.isArray(provider.breaks)) return [];
+
+    return provider.breaks
+        .filter(b => !b.days || b.days.length === 0 || b.days.includes(dayOfWeek))
+        .map((b) => {
+            const start = toMinutes(b.from);
+            return {
+                bookingTime: { hour: Math.floor(start / 60), minute: start % 60 },
+                duration: toMinutes(b.to) - start,
+                type: 'break',
+                reason: b.label || 'Break'
+            };
+        });
+};
+
+/**
+ * Resolve the minimum notice for new bookings. The first source with
+ * `minLeadTimeMinutes` set wins, so pass the provider before its shop.
+ * @param {...Object} sources - Provider and shop documents (may be null)
+ * @returns {number} - Minutes
+ */
+const resolveLeadTime = (...sources) => {
+    const source = sources.find(s => s && s.minLeadTimeMinutes != null);
+    return source ? source.minLeadTimeMinutes : DEFAULT_LEAD_TIME_MINUTES;
+};
+
+/**
+ * Check whether a slot starts before the lead time has passed
+ * @param {Date|string} date - Calendar date in the provider's time zone
+ * @param {Object} time - Wall-clock time {hour, minute}
+ * @param {string} timeZone - Provider time zone
+ * @param {number} leadTimeMinutes - Minimum notice
+ * @param {Date} [now] - Current instant
+ * @returns {boolean}
+ */
+const startsTooSoon = (date, time, timeZone, leadTimeMinutes, now = new Date()) => {
+    return toInstant(date, time, timeZone).getTime() < now.getTime() + leadTimeMinutes * 60 * 1000;
+};
+
+module.exports = {
+    DEFAULT_LEAD_TIME_MINUTES,
+    toMinutes,
+    getServiceBuffers,
+    getOccupiedRange,
+    overlapsAny,
+    getBreakSlots,
+    resolveLeadTime,
+    startsTooSoon
+};
@@ -0,0 +1,163 @@
+// src/utils/timeZone.js
+const moment = require('moment-timezone');
+
+/**
+ * Booking times are kept in two forms:
+ * - local: a calendar date (`bookingDate`, stored as UTC midnight of that date)
+ *   and a wall-clock time (`bookingTime`) in the shop/provider time zone
+ * - UTC: the instants `startsAt` / `endsAt`
+ */
+
+const DEFAULT_TIME_ZONE = 'UTC';
+const DATE_FORMAT = 'YYYY-MM-DD';
+const CALENDAR_DATE_REGEX = /^(\d{4}-\d{2}-\d{2})/;
+
+/**
+ * Check whether a string is a known IANA time zone
+ * @param {string} timeZone - Time zone name (e.g. "Asia/Karachi")
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+    return typeof timeZone === 'string' && !!moment.tz.zone(timeZone);
+};
+
+/**
+ * Fall back to UTC for missing or unknown time zones
+ * @param {string} timeZone - Time zone name
+ * @returns {string} - Valid time zone name
+ */
+const normalizeTimeZone = (timeZone) => {
+    return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+};
+
+/**
+ * Get the calendar date a booking date refers to.
+ * Strings keep the date the client wrote, Dates are read as UTC midnight.
+ * @param {Date|string} value - Booking date
+ * @returns {string} - YYYY-MM-DD
+ */
+const toCalendarDate = (value) => {
+    if (typeof value === 'string') {
+        const match = value.trim().match(CALENDAR_DATE_REGEX);
+        if (match) {
+            return match[1];
+        }
+    }
+    return moment.utc(value).format(DATE_FORMAT);
+};
+
+/**
+ * Convert a calendar date to the stored `bookingDate` value
+ * @param {Date|string} value - Booking date
+ * @returns {Date} - UTC midnight of the calendar date
+ */
+const toBookingDate = (value) => {
+    return moment.utc(toCalendarDate(value), DATE_FORMAT).toDate();
+};
+
+/**
+ * Get the `bookingDate` range of a calendar date for queries
+ * @param {Date|string} value - Booking date
+ * @returns {Object} - { start, end }
+ */
+const getDayRange = (value) => {
+    const day = moment.utc(toCalendarDate(value), DATE_FORMAT);
+    return {
+        start: day.clone().startOf('day').toDate(),
+        end: day.clone().endOf('day').toDate()
+    };
+};
+
+/**
+ * Get the lower-case weekday name of a calendar date
+ * @param {Date|string} value - Booking date
+ * @returns {string} - e.g. "monday"
+ */
+const getDayOfWeek = (value) => {
+    return moment.utc(toCalendarDate(value), DATE_FORMAT).format('dddd').toLowerCase();
+};
+
+/**
+ * Get today's calendar date in a time zone
+ * @param {string} timeZone - Time zone name
+ * @returns {string} - YYYY-MM-DD
+ */
+const today = (timeZone) => {
+    return moment.tz(normalizeTimeZone(timeZone)).format(DATE_FORMAT);
+};
+
+/**
+ * Convert a local date and wall-clock time to a UTC instant
+ * @param {Date|string} date - Booking date
+ * @param {Object} time - Wall-clock time {hour, minute}
+ * @param {string} timeZone - Time zone of the wall-clock time
+ * @returns {Date} - UTC instant
+ */
+const toInstant = (date, time, timeZone) => {
+    const local = moment.tz(toCalendarDate(date), DATE_FORMAT, normalizeTimeZone(timeZone));
+    return local.hour(time.hour).minute(time.minute).second(0).millisecond(0).toDate();
+};
+
+/**
+ * Move a local booking time by a number of minutes, rolling over to the next or previous day
+ * @param {Date|string} date - Booking date
+ * @param {Object} time - Wall-clock time {hour, minute}
+ * @param {number} minutes - Minutes to add (negative to subtract)
+ * @returns {Object} - { bookingDate, bookingTime }
+ */
+const shiftLocalTime = (date, time, minutes) => {
+    const shifted = moment.utc(toCalendarDate(date), DATE_FORMAT)
+        .add(time.hour * 60 + time.minute + minutes, 'minutes');
+    return {
+        bookingDate: shifted.clone().startOf('day').toDate(),
+        bookingTime: { hour: shifted.hour(), minute: shifted.minute() }
+    };
+};
+
+/**
+ * Describe an instant in a time zone and in UTC
+ * @param {Date} instant - UTC instant
+ * @param {string} timeZone - Time zone name
+ * @returns {Object} - { timeZone, local, utc }
+ */
+const describeInstant = (instant, timeZone) => {
+    const zone = normalizeTimeZone(timeZone);
+    return {
+        timeZone: zone,
+        local: moment(instant).tz(zone).format(),
+        utc: moment(instant).utc().toISOString()
+    };
+};
+
+/**
+ * Build a slot returned by the availability APIs
+ * @param {Date|string} date - Slot date
+ * @param {number} minutes - Slot start in minutes after local midnight
+ * @param {string} timeZone - Provider time zone
+ * @returns {Object} - { hour, minute, time, timeZone, local, utc }
+ */
+const buildSlot = (date, minutes, timeZone) => {
+    const hour = Math.floor(minutes / 60);
+    const minute = minutes % 60;
+    return {
+        hour,
+        minute,
+        time: `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`,
+        ...describeInstant(toInstant(date, { hour, minute }, timeZone), timeZone)
+    };
+};
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    isValidTimeZone,
+    normalizeTimeZone,
+    toCalendarDate,
+    toBookingDate,
+    getDayRange,
+    getDayOfWeek,
+    today,
+    toInstant,
+    shiftLocalTime,
+    describeInstant,
+    buildSlot
+};
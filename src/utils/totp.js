@@ -0,0 +1,144 @@
+// src/utils/totp.js
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Time-based one-time passwords (RFC 6238) as generated by authenticator
+ * apps: HMAC-SHA1, 6 digits, 30 second steps
+ */
+class Totp {
+    constructor() {
+        this.digits = 6;
+        this.stepSeconds = 30;
+    }
+
+    /**
+     * Encode bytes as base32, the format authenticator apps take secrets in
+     * @param {Buffer} buffer - Bytes
+     * @returns {string} - Base32 without padding
+     */
+    encodeBase32(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    /**
+     * Decode a base32 secret
+     * @param {string} secret - Base32, case and spaces ignored
+     * @returns {Buffer} - Bytes
+     */
+    decodeBase32(secret) {
+        const clean = secret.toUpperCase().replace(/[\s=]/g, '');
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error('Invalid base32 secret');
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * Generate a new random secret
+     * @returns {string} - Base32 secret of 160 bits
+     */
+    generateSecret() {
+        return this.encodeBase32(crypto.randomBytes(20));
+    }
+
+    /**
+     * Get the time step a moment falls in
+     * @param {number} [time] - Milliseconds since the epoch, now by default
+     * @returns {number} - Step number
+     */
+    getStep(time = Date.now()) {
+        return Math.floor(time / 1000 / this.stepSeconds);
+    }
+
+    /**
+     * Generate the code of a time step
+     * @param {string} secret - Base32 secret
+     * @param {number} step - Step number
+     * @returns {string} - Code
+     */
+    generate(secret, step = this.getStep()) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', this.decodeBase32(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 15;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+        return (binary % 10 ** this.digits).toString().padStart(this.digits, '0');
+    }
+
+    /**
+     * Check a code against the current step and the steps next to it, to
+     * allow for clock drift
+     * @param {string} secret - Base32 secret
+     * @param {string} code - Code entered
+     * @param {number} [window] - Steps either side to accept
+     * @returns {number|null} - Step the code belongs to, or null if it is wrong
+     */
+    verify(secret, code, window = 1) {
+        const entered = String(code || '').replace(/\s/g, '');
+        if (!/^\d+$/.test(entered) || entered.length !== this.digits) {
+            return null;
+        }
+
+        const current = this.getStep();
+        for (let step = current - window; step <= current + window; step++) {
+            const expected = this.generate(secret, step);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(entered))) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Build the otpauth URI authenticator apps enroll from, usually shown as a QR code
+     * @param {Object} options - { secret, account, issuer }
+     * @returns {string} - otpauth:// URI
+     */
+    keyUri({ secret, account, issuer }) {
+        const label = encodeURIComponent(`${issuer}:${account}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer,
+            algorithm: 'SHA1',
+            digits: String(this.digits),
+            period: String(this.stepSeconds)
+        });
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+}
+
+module.exports = new Totp();
@@ -26,6 +26,16 @@ const PAYMENT_STATUS = {
     REFUNDED: 'refunded'
 };
 
+const REFUND_REASONS = [
+    'requested_by_customer',
+    'booking_cancelled',
+    'service_issue',
+    'goodwill',
+    'duplicate',
+    'fraudulent',
+    'other'
+];
+
 const ROLES = {
     CUSTOMER: 'customer',
     BARBER: 'barber',
@@ -202,9 +212,83 @@ const userSchemas = {
         email: Joi.string().email().required().pattern(REGEX.EMAIL)
             .message('Please provide a valid email address'),
         password: Joi.string().required(),
-        fcmToken: Joi.string().optional()
+        // Profile to sign in to when the email has several
+        role: Joi.string().valid('customer', 'barber', 'shop_owner', 'freelancer', 'admin', 'super_admin', 'country_manager', 'customer_care'),
+        fcmToken: Joi.string().optional(),
+        deviceId: Joi.string().max(200),
+        deviceName: Joi.string().max(200).allow('')
+    }),
+
+    // Switch to another profile of the same identity
+    switchRole: Joi.object({
+        role: Joi.string().valid('customer', 'barber', 'shop_owner', 'freelancer').required()
+            .messages({
+                'any.required': 'Role is required'
+            }),
+        deviceId: Joi.string().max(200),
+        deviceName: Joi.string().max(200).allow('')
     }),
 
+    // Exchange a refresh token for new tokens
+    refreshToken: Joi.object({
+        refreshToken: Joi.string().required()
+            .messages({
+                'any.required': 'Refresh token is required'
+            })
+    }),
+
+    logout: Joi.object({
+        fcmToken: Joi.string(),
+        allDevices: Joi.boolean()
+    }),
+
+    // Google or Apple sign-in through Firebase
+    socialLogin: Joi.object({
+        idToken: Joi.string().required()
+            .messages({
+                'any.required': 'Firebase ID token is required'
+            }),
+        phoneNumber: Joi.string(),
+        firstName: Joi.string().min(2).max(50),
+        lastName: Joi.string().min(1).max(50),
+        fcmToken: Joi.string().optional(),
+        deviceId: Joi.string().max(200),
+        deviceName: Joi.string().max(200).allow('')
+    }),
+
+    // Finish a login with a two-factor code or a recovery code
+    twoFactorLogin: Joi.object({
+        challengeToken: Joi.string().required(),
+        code: Joi.string().pattern(/^\d{6}$/),
+        recoveryCode: Joi.string().max(20),
+        deviceId: Joi.string().max(200),
+        deviceName: Joi.string().max(200).allow('')
+    }).xor('code', 'recoveryCode')
+        .messages({
+            'object.missing': 'A two-factor code or a recovery code is required',
+            'object.xor': 'Send either a two-factor code or a recovery code'
+        }),
+
+    // Code from the authenticator app
+    twoFactorCode: Joi.object({
+        code: Joi.string().pattern(/^\d{6}$/).required()
+            .messages({
+                'string.pattern.base': 'Code must be 6 digits',
+                'any.required': 'Code is required'
+            })
+    }),
+
+    // Re-authenticate for sensitive actions
+    stepUp: Joi.object({
+        code: Joi.string().pattern(/^\d{6}$/),
+        recoveryCode: Joi.string().max(20),
+        password: Joi.string()
+    }).oxor('code', 'recoveryCode', 'password')
+        .or('code', 'recoveryCode', 'password')
+        .messages({
+            'object.missing': 'A two-factor code, a recovery code or your password is required'
+        }),
+
     // Update user profile
     updateProfile: Joi.object({
         firstName: Joi.string().min(2).max(50),
@@ -239,6 +323,28 @@ const userSchemas = {
 /**
  * Admin validation schemas
  */
+// Fields of a promotion (promo code); required ones are set per schema
+const PROMOTION_FIELDS = {
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{3,40}$/)
+        .messages({ 'string.pattern.base': 'Promo code must be 3 to 40 letters, digits, dashes or underscores' }),
+    name: Joi.string().min(3).max(100),
+    description: Joi.string().max(500).allow(''),
+    discountType: Joi.string().valid('percentage', 'fixed'),
+    value: Joi.number().positive().precision(2),
+    maxDiscount: Joi.number().positive().precision(2).allow(null),
+    minBookingAmount: Joi.number().min(0).precision(2),
+    fundedBy: Joi.string().valid('platform', 'shop'),
+    firstBookingOnly: Joi.boolean(),
+    countryIds: Joi.array().items(Joi.string().hex().length(24)).unique(),
+    shopIds: Joi.array().items(Joi.string().hex().length(24)).unique(),
+    serviceIds: Joi.array().items(Joi.string().hex().length(24)).unique(),
+    usageLimit: Joi.number().integer().min(1).allow(null),
+    usageLimitPerCustomer: Joi.number().integer().min(1).allow(null),
+    startsAt: Joi.date().allow(null),
+    endsAt: Joi.date().allow(null),
+    isActive: Joi.boolean()
+};
+
 const adminSchemas = {
     // Create user
     createUser: Joi.object({
@@ -578,6 +684,64 @@ const adminSchemas = {
         isActive: Joi.boolean().default(true)
     }),
 
+    // Credit (positive) or charge (negative) a provider in the payout ledger
+    createLedgerAdjustment: Joi.object({
+        providerId: Joi.string().hex().length(24).required(),
+        providerModel: Joi.string().valid('Barber', 'Freelancer', 'Shop').required(),
+        amount: Joi.number().invalid(0).required()
+            .messages({
+                'any.invalid': 'Adjustment amount cannot be zero',
+                'any.required': 'Adjustment amount is required'
+            }),
+        currency: Joi.string().length(3).uppercase().default('USD'),
+        description: Joi.string().min(3).max(500).required()
+            .messages({
+                'any.required': 'Adjustment description is required'
+            })
+    }),
+
+    // Create a promo code or discount campaign
+    createPromotion: Joi.object(PROMOTION_FIELDS)
+        .fork(['code', 'name', 'discountType', 'value'], schema => schema.required()),
+
+    updatePromotion: Joi.object(PROMOTION_FIELDS).min(1),
+
+    // Units of a currency per US dollar
+    setExchangeRate: Joi.object({
+        rate: Joi.number().positive().required()
+            .messages({
+                'number.positive': 'Exchange rate must be greater than zero',
+                'any.required': 'Exchange rate is required'
+            })
+    }),
+
+    importExchangeRates: Joi.object({
+        source: Joi.string().valid('file', 'feed')
+    }),
+
+    // Goodwill credit to a customer's wallet
+    grantWalletCredit: Joi.object({
+        amount: Joi.number().positive().precision(2).max(10000).required()
+            .messages({
+                'number.positive': 'Credit amount must be greater than zero',
+                'any.required': 'Credit amount is required'
+            }),
+        description: Joi.string().min(3).max(500)
+    }),
+
+    // Settle ledger entries posted up to periodEnd (defaults to now)
+    runSettlement: Joi.object({
+        periodEnd: Joi.date().max('now')
+    }),
+
+    markPayoutPaid: Joi.object({
+        paymentReference: Joi.string().max(200).required()
+            .messages({
+                'any.required': 'Payment reference is required'
+            }),
+        notes: Joi.string().max(500).allow('')
+    }),
+
     // Create category
     createCategory: Joi.object({
         name: Joi.string().min(2).max(50).required()
@@ -713,16 +877,19 @@ const bookingSchemas = {
     createBooking: Joi.object({
         customerId: Joi.string().hex().length(24).required(),
         barberId: Joi.string().hex().length(24).required(), // Can be shop owner, barber, or freelancer ID
-        serviceId: Joi.string().hex().length(24).required(),
+        serviceId: Joi.string().hex().length(24),
+        // Several services in one appointment, in the order they are performed
+        serviceIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(5).unique(),
         serviceType: Joi.string().valid('shopBased', 'homeBased').required(),
         countryId: Joi.string().hex().length(24).optional().allow('', null),
-        bookingDate: Joi.date().min(new Date().setHours(0,0,0,0)).required(),
+        bookingDate: Joi.date().min(new Date().setHours(0,0,0,0)).raw().required(), // raw keeps the calendar date the client sent
         bookingTime: Joi.object({
             hour: Joi.number().integer().min(0).max(23).required(),
             minute: Joi.number().integer().min(0).max(59).required()
         }).required(),
-        notes: Joi.string().max(500)
-    }),
+        notes: Joi.string().max(500),
+        promoCode: Joi.string().trim().max(40)
+    }).or('serviceId', 'serviceIds'),
         isHomeService: Joi.boolean().default(false),
         addressIndex: Joi.number().integer().min(0),
         customAddress: Joi.object({
@@ -737,6 +904,94 @@ const bookingSchemas = {
         })
     ,
 
+    // Create recurring booking series
+    createRecurringBooking: Joi.object({
+        barberId: Joi.string().hex().length(24).required(),
+        serviceId: Joi.string().hex().length(24),
+        serviceIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(5).unique(),
+        serviceType: Joi.string().valid('shopBased', 'homeBased').required(),
+        countryId: Joi.string().hex().length(24).optional().allow('', null),
+        bookingDate: Joi.date().min(new Date().setHours(0,0,0,0)).raw().required(), // first occurrence
+        bookingTime: Joi.object({
+            hour: Joi.number().integer().min(0).max(23).required(),
+            minute: Joi.number().integer().min(0).max(59).required()
+        }).required(),
+        notes: Joi.string().max(500),
+        recurrence: Joi.object({
+            frequency: Joi.string().valid('weekly', 'biweekly', 'monthly').required(),
+            endDate: Joi.date().raw(),
+            count: Joi.number().integer().min(1).max(52)
+        }).xor('endDate', 'count').required()
+            .messages({
+                'object.xor': 'Provide either recurrence.endDate or recurrence.count, not both',
+                'object.missing': 'Provide either recurrence.endDate or recurrence.count'
+            })
+    }).or('serviceId', 'serviceIds'),
+
+    // Join the waitlist of a provider or shop
+    joinWaitlist: Joi.object({
+        barberId: Joi.string().hex().length(24),
+        shopId: Joi.string().hex().length(24),
+        serviceId: Joi.string().hex().length(24).required(),
+        dateFrom: Joi.date().raw().required(),
+        dateTo: Joi.date().raw()
+    }).or('barberId', 'shopId')
+        .messages({
+            'object.missing': 'Either barberId or shopId is required'
+        }),
+
+    // Time off, shop closure or public holiday
+    createBlockedPeriod: Joi.object({
+        scope: Joi.string().valid('provider', 'shop', 'country'),
+        providerId: Joi.string().hex().length(24),
+        shopId: Joi.string().hex().length(24),
+        countryId: Joi.string().hex().length(24),
+        type: Joi.string().valid('vacation', 'closure', 'break', 'holiday').required(),
+        startDate: Joi.date().raw().required(),
+        endDate: Joi.date().raw(),
+        startTime: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+            .messages({ 'string.pattern.base': 'startTime must be in HH:MM format' }),
+        endTime: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+            .messages({ 'string.pattern.base': 'endTime must be in HH:MM format' }),
+        reason: Joi.string().max(500).allow('')
+    }).and('startTime', 'endTime'),
+
+    // Daily breaks and minimum notice of a barber or freelancer
+    updateProviderBookingRules: Joi.object({
+        breaks: Joi.array().max(10).items(Joi.object({
+            from: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required()
+                .messages({ 'string.pattern.base': 'from must be in HH:MM format' }),
+            to: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required()
+                .messages({ 'string.pattern.base': 'to must be in HH:MM format' }),
+            days: Joi.array().items(
+                Joi.string().valid('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday')
+            ).unique(),
+            label: Joi.string().max(100)
+        })),
+        minLeadTimeMinutes: Joi.number().integer().min(0).max(10080).allow(null)
+    }).or('breaks', 'minLeadTimeMinutes'),
+
+    // Minimum notice of a shop
+    updateShopBookingRules: Joi.object({
+        minLeadTimeMinutes: Joi.number().integer().min(0).max(10080).allow(null).required()
+    }),
+
+    // Cancellation and no-show policy of a country or shop
+    setCancellationPolicy: Joi.object({
+        refundTiers: Joi.array().items(Joi.object({
+            hoursBefore: Joi.number().min(0).max(720).required(),
+            refundPercent: Joi.number().min(0).max(100).required()
+        })).max(10).required()
+            .messages({
+                'any.required': 'Refund tiers are required'
+            }),
+        allowLateCancellation: Joi.boolean(),
+        lateCancelFeePercent: Joi.number().min(0).max(100),
+        noShowFeePercent: Joi.number().min(0).max(100),
+        gracePeriodMinutes: Joi.number().integer().min(0).max(1440),
+        isActive: Joi.boolean()
+    }),
+
     // Update booking status
     updateStatus: Joi.object({
         status: Joi.string().valid('pending', 'assigned', 'confirmed', 'completed', 'cancelled', 'noShow', 'rejected', 'reassigned').required(),
@@ -751,7 +1006,7 @@ const bookingSchemas = {
 
     // Process payment
     processPayment: Joi.object({
-        paymentMethod: Joi.string().valid('card', 'cash', 'wallet').required(),
+        paymentMethod: Joi.string().valid('card', 'cash', 'wallet', 'mobile_wallet', 'bank_transfer').required(),
         stripePaymentMethodId: Joi.string(),
         paymentDetails: Joi.object()
     }),
@@ -774,7 +1029,7 @@ const bookingSchemas = {
 
     // Update booking details (for customers)
     updateBookingDetails: Joi.object({
-        bookingDate: Joi.date().min(new Date().setHours(0,0,0,0)).optional(),
+        bookingDate: Joi.date().min(new Date().setHours(0,0,0,0)).raw().optional(),
         bookingTime: Joi.alternatives().try(
             Joi.object({
                 hour: Joi.number().integer().min(0).max(23).required(),
@@ -833,6 +1088,15 @@ const customerSchemas = {
         latitude: Joi.number(),
         longitude: Joi.number(),
         formattedAddress: Joi.string(),
+    }),
+
+    // Verify phone number
+    verifyPhone: Joi.object({
+        otp: Joi.string().pattern(/^\d{4,8}$/).required()
+            .messages({
+                'string.pattern.base': 'OTP must be a numeric code',
+                'any.required': 'OTP is required'
+            })
     })
 };
 
@@ -845,7 +1109,9 @@ const serviceSchemas = {
         description: Joi.string().min(10).required(),
         category: Joi.string().required(),
         shopId: Joi.string().hex().length(24).allow(null),
-        barberId: Joi.string().hex().length(24).allow(null)
+        barberId: Joi.string().hex().length(24).allow(null),
+        bufferBefore: Joi.number().integer().min(0).max(120),
+        bufferAfter: Joi.number().integer().min(0).max(120)
     }),
 
     updateService: Joi.object({
@@ -853,7 +1119,9 @@ const serviceSchemas = {
         description: Joi.string().min(10),
         category: Joi.string(),
         shopId: Joi.string().hex().length(24).allow(null),
-        barberId: Joi.string().hex().length(24).allow(null)
+        barberId: Joi.string().hex().length(24).allow(null),
+        bufferBefore: Joi.number().integer().min(0).max(120),
+        bufferAfter: Joi.number().integer().min(0).max(120)
     }),
 
     approveService: Joi.object({
@@ -994,6 +1262,13 @@ const shopSchemas = {
  * Shop Owner validation schemas
  */
 const shopOwnerSchemas = {
+    // Promotions of a shop are always funded by it and limited to it
+    createPromotion: adminSchemas.createPromotion
+        .fork(['fundedBy', 'countryIds', 'shopIds'], schema => schema.forbidden()),
+
+    updatePromotion: adminSchemas.updatePromotion
+        .fork(['fundedBy', 'countryIds', 'shopIds'], schema => schema.forbidden()),
+
     // Create shop owner profile
     createShopOwnerProfile: Joi.object({
         businessName: Joi.string().min(3).max(100).optional()
@@ -1044,7 +1319,7 @@ const paymentSchemas = {
     // Create payment
     createPayment: Joi.object({
         bookingId: Joi.string().hex().length(24).required(),
-        paymentMethod: Joi.string().valid('card', 'cash', 'wallet').required(),
+        paymentMethod: Joi.string().valid('card', 'cash', 'wallet', 'mobile_wallet', 'bank_transfer').required(),
         stripePaymentMethodId: Joi.string(),
         paymentDetails: Joi.object()
     }),
@@ -1054,10 +1329,13 @@ const paymentSchemas = {
         status: Joi.string().valid(...Object.values(PAYMENT_STATUS)).required()
     }),
 
-    // Refund payment
+    // Refund payment; amount defaults to what is left to refund
     refundPayment: Joi.object({
-        amount: Joi.number().min(0),
-        reason: Joi.string().max(500)
+        amount: Joi.number().positive().precision(2),
+        reasonCode: Joi.string().valid(...REFUND_REASONS),
+        reason: Joi.string().max(500),
+        // Credit the customer's wallet instead of reversing the payment
+        toWallet: Joi.boolean()
     }),
 
     // Create or process a cash payment
@@ -1070,6 +1348,52 @@ const paymentSchemas = {
             })
     }),
 
+    // Pay a booking from the customer's wallet
+    processWalletPayment: Joi.object({
+        bookingId: Joi.string().hex().length(24).required()
+            .messages({
+                'string.hex': 'Booking ID must be a valid ID',
+                'string.length': 'Booking ID must be 24 characters long',
+                'any.required': 'Booking ID is required'
+            })
+    }),
+
+    // Tip for a completed booking, by card or in cash
+    createTip: Joi.object({
+        amount: Joi.number().positive().precision(2).max(1000).required()
+            .messages({
+                'number.positive': 'Tip amount must be greater than zero',
+                'number.max': 'Tip amount cannot exceed 1000',
+                'any.required': 'Tip amount is required'
+            }),
+        note: Joi.string().max(200).allow('')
+    }),
+
+    confirmTip: Joi.object({
+        paymentIntentId: Joi.string().required()
+            .messages({
+                'any.required': 'Payment Intent ID is required'
+            })
+    }),
+
+    // Start a card top-up of the customer's wallet
+    createWalletTopUp: Joi.object({
+        amount: Joi.number().positive().precision(2).min(1).max(10000).required()
+            .messages({
+                'number.min': 'Top-up amount must be at least 1',
+                'number.max': 'Top-up amount cannot exceed 10000',
+                'any.required': 'Top-up amount is required'
+            })
+    }),
+
+    // Confirm a paid wallet top-up
+    confirmWalletTopUp: Joi.object({
+        paymentIntentId: Joi.string().required()
+            .messages({
+                'any.required': 'Payment Intent ID is required'
+            })
+    }),
+
     // Create a payment intent for Stripe
     createPaymentIntent: Joi.object({
         bookingId: Joi.string().hex().length(24).required()
@@ -1077,7 +1401,8 @@ const paymentSchemas = {
                 'string.hex': 'Booking ID must be a valid ID',
                 'string.length': 'Booking ID must be 24 characters long',
                 'any.required': 'Booking ID is required'
-            })
+            }),
+        promoCode: Joi.string().trim().max(40)
     }),
 
     // Confirm a Stripe payment
@@ -1099,7 +1424,9 @@ const paymentSchemas = {
         reason: Joi.string().max(500)
             .messages({
                 'string.max': 'Cancellation reason cannot exceed 500 characters'
-            })
+            }),
+        // For recurring bookings: this occurrence, this and following, or the whole series
+        scope: Joi.string().valid('this', 'following', 'series').default('this')
     }),
 
     // Reassign booking to another barber/freelancer/shop owner